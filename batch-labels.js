@@ -0,0 +1,99 @@
+/**
+ * Batch Labels
+ *
+ * Buys today's labels in waves: every Rithum shipment created in ShipStation today that still has
+ * no label is grouped into ShipStation batches, each batch is processed, and the shipments that
+ * failed are listed with ShipStation's error (and recorded in the order ledger).
+ *
+ * Usage:
+ *   node batch-labels.js                        # Batch by carrier/service (BATCH_GROUP_BY)
+ *   node batch-labels.js --group-by ship-by     # One batch per ship-by date
+ *   node batch-labels.js --date 2026-10-17      # Shipments created on another day (UTC)
+ *   node batch-labels.js --layout letter        # Letter-size label sheets instead of 4x6
+ *   node batch-labels.js --dry-run              # Show the batches without creating them
+ *
+ * Exits with status 1 if any shipment failed to get a label.
+ */
+
+require('dotenv').config();
+const ShipStationClient = require('./src/services/shipstationClient');
+const BatchLabeler = require('./src/services/batchLabeler');
+const Logger = require('./src/services/logger');
+const { shipstationConfig, validateConfig } = require('./src/config/shipstationConfig');
+
+const logger = Logger.child({ module: 'batchLabels' });
+
+/**
+ * Batch and process the day's unlabelled shipments and print the run report
+ * @param {Object} [options] - day, groupBy, labelLayout, dryRun (see BatchLabeler.run)
+ * @returns {Promise<Object>} Run report
+ */
+async function batchLabels(options = {}) {
+    validateConfig();
+    const client = new ShipStationClient(
+        shipstationConfig.apiKey,
+        shipstationConfig.baseUrl,
+        shipstationConfig.warehouseId,
+        shipstationConfig.shipFrom
+    );
+    const labeler = new BatchLabeler(client, shipstationConfig.batches);
+
+    const groupBy = options.groupBy || shipstationConfig.batches.groupBy;
+    logger.info(`\n🖨️  Batching unlabelled Rithum shipments (grouped by ${groupBy})` +
+        `${options.dryRun ? ' - DRY RUN' : ''}...\n`);
+
+    const report = await labeler.run({ ...options, groupBy });
+
+    logger.info('\n' + '='.repeat(80));
+    logger.info(`📊 Batch run for ${report.day}: ${report.shipments} unlabelled shipment(s), ${report.batches.length} batch(es)`);
+    logger.info('='.repeat(80));
+    report.batches.forEach(batch => {
+        const name = batch.batchNumber || batch.batchId || '(not created)';
+        const status = batch.dryRun ? 'dry run' : batch.status;
+        logger.info(`\n   📦 ${batch.key}: ${batch.count} shipment(s) - batch ${name} - ${status}`);
+        if (batch.error) {
+            logger.error(`      ❌ ${batch.error}`);
+        }
+        if (batch.labelDownload) {
+            logger.info(`      📄 Labels: ${batch.labelDownload}`);
+        }
+        batch.errors.forEach(shipmentError => {
+            const order = shipmentError.refs.poNumber || shipmentError.refs.dscoOrderId || shipmentError.externalShipmentId;
+            logger.error(`      ❌ ${shipmentError.shipmentId}${order ? ` (order ${order})` : ''}: ${shipmentError.error}`);
+        });
+    });
+    logger.info(`\n   ${report.failed > 0 ? '⚠️ ' : '✅'} ${report.failed} shipment(s) without a label\n`);
+
+    return report;
+}
+
+function getArgValue(args, name) {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+
+    try {
+        const report = await batchLabels({
+            day: getArgValue(args, '--date'),
+            groupBy: getArgValue(args, '--group-by'),
+            labelLayout: getArgValue(args, '--layout'),
+            dryRun: args.includes('--dry-run')
+        });
+        if (report.failed > 0) {
+            process.exit(1);
+        }
+    } catch (error) {
+        logger.error('\n❌ Batch run failed', { error });
+        process.exit(1);
+    }
+}
+
+// Run the script
+if (require.main === module) {
+    main();
+}
+
+module.exports = { batchLabels };
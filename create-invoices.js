@@ -0,0 +1,124 @@
+/**
+ * Create Invoices
+ *
+ * Creates Rithum invoices for shipped orders and checks how Rithum processed them. With
+ * AUTO_INVOICE=true every shipment posted to Rithum is invoiced straight away; this script previews
+ * invoices, catches up on orders shipped before that, and looks submitted invoices up in the
+ * InvoiceChangeLog (/invoice/log).
+ *
+ * Each invoice bills the shipped lines at their expectedCost; the order's shipping surcharge and
+ * sales tax go on its first invoice (INVOICE_INCLUDE_SHIPPING / INVOICE_INCLUDE_TAX).
+ *
+ * Usage:
+ *   node create-invoices.js --po PO12345 --dry-run   # Preview the invoices for an order
+ *   node create-invoices.js --po PO12345             # Invoice the order's packages not invoiced yet
+ *   node create-invoices.js --order 1234567890       # Same, by Rithum dscoOrderId
+ *   node create-invoices.js --check                  # Record accepted/rejected invoices from /invoice/log
+ *
+ * Exits with status 1 if an invoice could not be submitted or was rejected.
+ */
+
+require('dotenv').config();
+const RithumClient = require('./src/services/rithumClient');
+const InvoiceGenerator = require('./src/services/invoiceGenerator');
+const Logger = require('./src/services/logger');
+const { rithumConfig, validateConfig } = require('./src/config/rithumConfig');
+
+const logger = Logger.child({ module: 'createInvoices' });
+
+function createGenerator() {
+    validateConfig();
+    const rithumClient = new RithumClient(
+        rithumConfig.apiUrl,
+        rithumConfig.clientId,
+        rithumConfig.clientSecret
+    );
+    return new InvoiceGenerator(rithumClient, rithumConfig.invoices);
+}
+
+/**
+ * Invoice an order's uninvoiced packages and print each invoice
+ * @param {Object} refs - { dscoOrderId } or { poNumber }
+ * @param {Object} [options] - dryRun (see InvoiceGenerator.invoiceOrder)
+ * @returns {Promise<Array>} Results, one per package
+ */
+async function invoiceOrder(refs, options = {}) {
+    const generator = createGenerator();
+    logger.info(`\n🧾 Invoicing Rithum order ${refs.dscoOrderId || refs.poNumber}${options.dryRun ? ' - DRY RUN' : ''}...\n`);
+    const results = await generator.invoiceOrder(refs, options);
+
+    if (results.length === 0) {
+        logger.info('   ℹ️  The order has no shipped packages');
+    }
+    results.forEach(result => {
+        if (!result.invoice) {
+            logger.info(`   ⏭️  Package already invoiced`);
+            return;
+        }
+        const invoice = result.invoice;
+        logger.info(`   🧾 ${invoice.invoiceId}${result.requestId ? ` (requestId ${result.requestId})` : ''}` +
+            `${result.status === 'dry_run' ? ' - not sent' : ''}`);
+        invoice.lineItems.forEach(line => {
+            logger.info(`      ${line.sku || line.dscoItemId}: ${line.quantity} x ${line.unitPrice.toFixed(2)} = ${line.extendedAmount.toFixed(2)}`);
+        });
+        logger.info(`      Subtotal ${invoice.lineItemsSubtotal.toFixed(2)} + shipping ${invoice.freightAmount.toFixed(2)} ` +
+            `+ tax ${invoice.salesTaxAmount.toFixed(2)} = ${invoice.currencyCode} ${invoice.totalAmount.toFixed(2)}`);
+        if (invoice.ship) {
+            logger.info(`      Tracking: ${invoice.ship.trackingNumber}`);
+        }
+    });
+    if (options.dryRun && results.some(result => result.invoice)) {
+        console.log('\n   Payload:', JSON.stringify(results.filter(result => result.invoice).map(result => result.invoice), null, 2));
+    }
+    logger.info('');
+    return results;
+}
+
+/**
+ * Record the outcome of submitted invoices from the InvoiceChangeLog
+ * @returns {Promise<Object>} Summary: { checked, accepted, rejected, pending, errors }
+ */
+async function checkInvoices() {
+    const summary = await createGenerator().checkStatus();
+    if (summary.checked === 0) {
+        logger.info('\nℹ️  No invoice requests waiting for Rithum\n');
+    }
+    return summary;
+}
+
+function getArgValue(args, name) {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const poNumber = getArgValue(args, '--po');
+    const dscoOrderId = getArgValue(args, '--order');
+
+    try {
+        if (args.includes('--check')) {
+            const summary = await checkInvoices();
+            if (summary.rejected > 0 || summary.errors > 0) {
+                process.exit(1);
+            }
+        } else if (poNumber || dscoOrderId) {
+            await invoiceOrder(dscoOrderId ? { dscoOrderId } : { poNumber }, {
+                dryRun: args.includes('--dry-run')
+            });
+        } else {
+            console.log('Usage: node create-invoices.js (--po <poNumber> | --order <dscoOrderId>) [--dry-run] | --check');
+            process.exit(1);
+        }
+    } catch (error) {
+        logger.error('\n❌ Invoicing failed', { error });
+        process.exit(1);
+    }
+}
+
+// Run the script
+if (require.main === module) {
+    main();
+}
+
+module.exports = { invoiceOrder, checkInvoices };
@@ -0,0 +1,110 @@
+/**
+ * End of Day
+ *
+ * Closes out the shipping day: every label bought today is put on a carrier manifest (SCAN form),
+ * one per carrier and warehouse, and a carrier pickup is booked for the same labels when
+ * PICKUP_SCHEDULE is enabled. Manifest PDFs and a <day>.json index of manifest and pickup IDs are
+ * written to MANIFEST_DIR (default ./manifests).
+ *
+ * The cron worker runs this automatically once a day when MANIFEST_SCHEDULE=true (at MANIFEST_RUN_AT).
+ *
+ * Usage:
+ *   node end-of-day.js                      # Manifest today's labels (and book pickups if enabled)
+ *   node end-of-day.js --date 2026-10-17    # Close out another day (server local time)
+ *   node end-of-day.js --pickup             # Book pickups even if PICKUP_SCHEDULE is off
+ *   node end-of-day.js --no-pickup          # Manifests only
+ *   node end-of-day.js --dry-run            # Show what would be manifested
+ *
+ * Exits with status 1 if any carrier/warehouse group could not be closed out.
+ */
+
+require('dotenv').config();
+const ShipStationClient = require('./src/services/shipstationClient');
+const ManifestCreator = require('./src/services/manifestCreator');
+const Logger = require('./src/services/logger');
+const { shipstationConfig, validateConfig } = require('./src/config/shipstationConfig');
+
+const logger = Logger.child({ module: 'endOfDay' });
+
+/**
+ * Manifest a day's labels and print the report
+ * @param {Object} [options] - day, schedulePickup, dryRun (see ManifestCreator.run)
+ * @returns {Promise<Object>} Run report
+ */
+async function closeOutDay(options = {}) {
+    validateConfig();
+    const client = new ShipStationClient(
+        shipstationConfig.apiKey,
+        shipstationConfig.baseUrl,
+        shipstationConfig.warehouseId,
+        shipstationConfig.shipFrom
+    );
+    const creator = new ManifestCreator(client, {
+        warehouseId: shipstationConfig.warehouseId,
+        manifestDir: shipstationConfig.manifests.manifestDir,
+        pickup: shipstationConfig.manifests.pickup
+    });
+
+    logger.info(`\n📋 End-of-day close-out${options.dryRun ? ' - DRY RUN' : ''}...\n`);
+    const report = await creator.run(options);
+
+    logger.info('\n' + '='.repeat(80));
+    logger.info(`📊 End of day ${report.day}: ${report.groups.length} carrier/warehouse group(s)`);
+    logger.info('='.repeat(80));
+    if (report.groups.length === 0) {
+        logger.info('\n   ℹ️  No unmanifested labels');
+    }
+    report.groups.forEach(group => {
+        logger.info(`\n   🚚 ${group.carrierId} @ ${group.warehouseId || 'no warehouse'}: ${group.labelCount} label(s)` +
+            `${group.dryRun ? ' - dry run' : ''}`);
+        group.manifests.forEach(manifest => {
+            logger.info(`      📋 Manifest ${manifest.manifestId}${manifest.formId ? ` (form ${manifest.formId})` : ''}` +
+                `${manifest.manifestFile ? ` - ${manifest.manifestFile}` : ''}`);
+        });
+        if (group.pickup) {
+            logger.info(`      📦 Pickup ${group.pickup.pickupId}` +
+                `${group.pickup.confirmationNumber ? ` - confirmation ${group.pickup.confirmationNumber}` : ''}` +
+                `${group.pickup.bookedEarlier ? ' (booked by an earlier run)' : ''}`);
+        }
+        group.errors.forEach(error => logger.error(`      ❌ ${error}`));
+    });
+    logger.info('');
+
+    return report;
+}
+
+function getArgValue(args, name) {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    let schedulePickup;
+    if (args.includes('--pickup')) {
+        schedulePickup = true;
+    } else if (args.includes('--no-pickup')) {
+        schedulePickup = false;
+    }
+
+    try {
+        const report = await closeOutDay({
+            day: getArgValue(args, '--date'),
+            schedulePickup,
+            dryRun: args.includes('--dry-run')
+        });
+        if (report.failed > 0) {
+            process.exit(1);
+        }
+    } catch (error) {
+        logger.error('\n❌ End-of-day close-out failed', { error });
+        process.exit(1);
+    }
+}
+
+// Run the script
+if (require.main === module) {
+    main();
+}
+
+module.exports = { closeOutDay };
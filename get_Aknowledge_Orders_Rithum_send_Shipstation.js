@@ -1,16 +1,41 @@
 require('dotenv').config();
-const fs = require('fs').promises;
-const path = require('path');
 const OrderMapper = require('./src/services/orderMapper');
 const ShipStationClient = require('./src/services/shipstationClient');
 const RithumClient = require('./src/services/rithumClient');
 const CarrierSelector = require('./src/services/carrierSelector');
+const CarrierMappings = require('./src/services/carrierMappings');
+const DeliveryPromise = require('./src/services/deliveryPromise');
+const AutoLabeler = require('./src/services/autoLabeler');
+const CancellationHandler = require('./src/services/cancellationHandler');
+const OrderAcknowledger = require('./src/services/orderAcknowledger');
+const OrderLedger = require('./src/services/orderLedger');
+const Notifier = require('./src/services/notifier');
+const Logger = require('./src/services/logger');
+const Metrics = require('./src/services/metrics');
 const { shipstationConfig, validateConfig: validateShipStationConfig } = require('./src/config/shipstationConfig');
 const { rithumConfig, validateConfig: validateRithumConfig } = require('./src/config/rithumConfig');
+const { notificationConfig } = require('./src/config/notificationConfig');
+const { processWebhookEvent, createNotifier } = require('./webhook_shipstation_update_Rithum');
 
-const OUTPUT_FILE = path.join(__dirname, 'output.json');
+const logger = Logger.child({ module: 'intake' });
+
+const LEDGER_EVENTS = OrderLedger.EVENTS;
+const ALERT_EVENTS = Notifier.EVENTS;
+const METRICS = Metrics.METRICS;
+
+/**
+ * Pull new orders from the Rithum stream and create them in ShipStation
+ * @param {Object} [options]
+ * @param {boolean} [options.autoAcknowledge] - Also acknowledge "created" orders (default: AUTO_ACKNOWLEDGE)
+ * @param {Notifier} [options.notifier] - Shared notifier that flushes its own digest (default: one for this run)
+ */
+async function fetchAndMapOrders(options = {}) {
+    const ledger = new OrderLedger();
+    let autoAcknowledge = options.autoAcknowledge ?? rithumConfig.autoAcknowledge.enabled;
+    const notifier = options.notifier || createNotifier();
+    // A notifier of our own is flushed before the run ends, since nothing else will send its digest
+    const flushAlerts = () => (options.notifier ? Promise.resolve() : notifier.flush());
 
-async function fetchAndMapOrders() {
     try {
         let rithumClient = null;
         try {
@@ -20,9 +45,9 @@ async function fetchAndMapOrders() {
                 rithumConfig.clientId,
                 rithumConfig.clientSecret
             );
-            console.log('✅ Rithum client initialized\n');
+            logger.info('✅ Rithum client initialized\n');
         } catch (error) {
-            console.error('❌ Failed to initialize Rithum client:', error.message);
+            logger.error('❌ Failed to initialize Rithum client', { error });
             process.exit(1);
         }
 
@@ -30,6 +55,8 @@ async function fetchAndMapOrders() {
         let shipFromAddress = null;
         let warehouseId = null;
         let carrierSelector = null;
+        let deliveryPromise = null;
+        let autoLabeler = null;
         
         try {
             validateShipStationConfig();
@@ -39,18 +66,32 @@ async function fetchAndMapOrders() {
                 shipstationConfig.warehouseId,
                 shipstationConfig.shipFrom
             );
-            console.log('✅ ShipStation client initialized\n');
+            logger.info('✅ ShipStation client initialized\n');
             
             // Initialize carrier selector
-            carrierSelector = new CarrierSelector(shipstationClient);
-            console.log('✅ Carrier selector initialized\n');
+            carrierSelector = new CarrierSelector(shipstationClient, {
+                deliveryBufferDays: shipstationConfig.rateShopping.deliveryBufferDays
+            });
+            logger.info(`✅ Carrier selector initialized${shipstationConfig.rateShopping.enabled ? ' (rate shopping)' : ''}\n`);
+            
+            if (shipstationConfig.deliveryPromise.enabled) {
+                deliveryPromise = new DeliveryPromise(rithumClient, {
+                    useRithumPromise: shipstationConfig.deliveryPromise.useRithumPromise
+                });
+                logger.info('✅ Delivery promise check enabled\n');
+            }
+            
+            if (shipstationConfig.autoLabel.enabled) {
+                autoLabeler = new AutoLabeler(shipstationClient, shipstationConfig.autoLabel);
+                logger.info(`✅ Auto-label enabled (single SKU, up to ${autoLabeler.maxWeightOz} oz)\n`);
+            }
             
             // Fetch ship_from address from ShipStation warehouses API if not already configured
             if (!shipstationConfig.shipFrom && !shipstationConfig.warehouseId) {
-                console.log('📦 Fetching warehouses from ShipStation to get ship_from address...\n');
+                logger.info('📦 Fetching warehouses from ShipStation to get ship_from address...\n');
                 try {
                     const warehouses = await shipstationClient.getWarehouses();
-                    console.log(`   Found ${warehouses ? warehouses.length : 0} warehouse(s) in ShipStation`);
+                    logger.info(`   Found ${warehouses ? warehouses.length : 0} warehouse(s) in ShipStation`);
                     
                     if (warehouses && warehouses.length > 0) {
                         const defaultWarehouse = warehouses.find(w => w.is_default === true);
@@ -72,52 +113,72 @@ async function fetchAndMapOrders() {
                                 email: originAddr.email || '',
                                 address_residential_indicator: originAddr.address_residential_indicator || 'no'
                             };
-                            console.log(`✅ Extracted ship_from address from warehouse origin_address: ${warehouse.name || warehouseId}`);
+                            logger.info(`✅ Extracted ship_from address from warehouse origin_address: ${warehouse.name || warehouseId}`);
                         } else {
-                            console.log(`⚠️  Warehouse ${warehouseId} found but no origin_address available.`);
+                            logger.info(`⚠️  Warehouse ${warehouseId} found but no origin_address available.`);
                         }
                     } else {
-                        console.log('⚠️  No warehouses found in ShipStation.');
+                        logger.info('⚠️  No warehouses found in ShipStation.');
                     }
                 } catch (warehouseError) {
-                    console.warn(`⚠️  Could not fetch warehouses: ${warehouseError.message}`);
+                    logger.warn(`⚠️  Could not fetch warehouses: ${warehouseError.message}`);
                 }
             } else if (shipstationConfig.shipFrom) {
                 shipFromAddress = shipstationConfig.shipFrom;
-                console.log('✅ Using ship_from address from configuration\n');
+                logger.info('✅ Using ship_from address from configuration\n');
             } else if (shipstationConfig.warehouseId) {
                 warehouseId = shipstationConfig.warehouseId;
-                console.log(`✅ Using warehouse ID from configuration: ${warehouseId}\n`);
+                logger.info(`✅ Using warehouse ID from configuration: ${warehouseId}\n`);
             }
         } catch (error) {
-            console.error('❌ Failed to initialize ShipStation client:', error.message);
+            logger.error('❌ Failed to initialize ShipStation client', { error });
         }
 
-        console.log('📥 Fetching new orders from Rithum Event Stream...\n');
+        // Acknowledging an order we cannot then create in ShipStation would leave it stranded
+        let acknowledger = null;
+        if (autoAcknowledge && !shipstationClient) {
+            logger.warn('⚠️  Auto-acknowledge disabled: ShipStation client not initialized\n');
+            autoAcknowledge = false;
+        } else if (autoAcknowledge) {
+            acknowledger = new OrderAcknowledger(rithumClient, shipstationClient, rithumConfig.autoAcknowledge);
+            logger.info('✅ Auto-acknowledge enabled for "created" orders\n');
+        }
+
+        logger.info('📥 Fetching new orders from Rithum Event Stream...\n');
         const rithumResponse = await rithumClient.checkForNewOrders(
-            true,                    
-            'acknowledged',          
-            ['update_status_lifecycle']
+            true,
+            autoAcknowledge ? ['created', 'acknowledged'] : 'acknowledged',
+            autoAcknowledge ? ['create', 'update_status_lifecycle'] : ['update_status_lifecycle']
         );
 
         if (!rithumResponse.success) {
-            console.error('❌ Failed to fetch orders from Rithum:', rithumResponse.error || 'Unknown error');
+            logger.error('❌ Failed to fetch orders from Rithum', { error: rithumResponse.error || 'Unknown error' });
+            await notifier.notify({
+                event: ALERT_EVENTS.RITHUM_FETCH_FAILED,
+                severity: 'critical',
+                title: 'Could not fetch new orders from the Rithum stream',
+                message: String(rithumResponse.error || 'Unknown error')
+            });
+            await flushAlerts();
             process.exit(1);
         }
+        recordStreamLag(rithumResponse.allEvents);
         const orders = rithumResponse.orderDetails || [];
         const newOrderCount = rithumResponse.newOrderCount || 0;
 
-        console.log(`✅ Found ${newOrderCount} new order event(s) from Rithum Stream`);
+        logger.info(`✅ Found ${newOrderCount} new order event(s) from Rithum Stream`);
 
         if (!orders || orders.length === 0) {
-            console.log('ℹ️  No new orders to process.');
-            await saveOutput({
+            logger.info('ℹ️  No new orders to process.');
+            const cancellations = await propagateCancellations(rithumResponse.allEvents, shipstationClient, ledger);
+            await saveRunSummary(ledger, {
                 timestamp: new Date().toISOString(),
                 totalOrders: 0,
                 mappedOrders: [],
                 createdOrders: [],
                 errors: [],
                 summary: {
+                    acknowledged: 0,
                     mapped: 0,
                     created: 0,
                     failed: 0,
@@ -125,8 +186,12 @@ async function fetchAndMapOrders() {
                     creationFailed: 0
                 },
                 lastPosition: rithumResponse.lastPosition,
-                streamId: rithumResponse.streamId
+                streamId: rithumResponse.streamId,
+                eventCount: (rithumResponse.allEvents || []).length,
+                cancellations
             });
+            await checkStreamPosition(ledger, notifier);
+            await flushAlerts();
             return;
         }
 
@@ -137,6 +202,7 @@ async function fetchAndMapOrders() {
             createdOrders: [],
             errors: [],
             summary: {
+                acknowledged: 0,
                 mapped: 0,
                 created: 0,
                 failed: 0,
@@ -145,221 +211,408 @@ async function fetchAndMapOrders() {
             },
             lastPosition: rithumResponse.lastPosition,
             streamId: rithumResponse.streamId,
+            eventCount: (rithumResponse.allEvents || []).length,
             processingStartedAt: new Date().toISOString()
         };
 
         if (orders.length > 0) {
-            console.log('🔄 Mapping orders to ShipStation v2 format...\n');
+            logger.info('🔄 Mapping orders to ShipStation v2 format...\n');
             const mapper = new OrderMapper();
 
             // Process each order (Map and Create)
             for (let i = 0; i < orders.length; i++) {
-                const order = orders[i];
+                let order = orders[i];
                 const orderId = order.id || order.dscoOrderId || `unknown-${i}`;
-            
-                // Skip if order has an error
-                if (order.error) {
-                    results.summary.failed++;
-                    results.errors.push({
-                        orderId,
-                        poNumber: order.poNumber || 'N/A',
-                        error: order.error,
-                        timestamp: new Date().toISOString()
-                    });
-                    console.log(`❌ Order ${i + 1}/${orders.length} (${orderId}): ${order.error}`);
-                    continue;
-                }
+                const ledgerRefs = { dscoOrderId: order.dscoOrderId || order.id, poNumber: order.poNumber };
 
-                // Check if should process
-                if (!mapper.shouldProcess(order)) {
-                    results.summary.skipped++;
-                    console.log(`⏭️  Order ${i + 1}/${orders.length} (${orderId}): Skipped - status: ${order.dscoStatus || 'unknown'}`);
-                    continue;
-                }
+                // Everything logged for this order carries its correlation ID - kept in the ledger,
+                // so an order seen again (a retry, its shipment webhook) is logged under the same ID
+                const known = await ledger.getOrder(ledgerRefs);
+                const orderContext = {
+                    correlationId: known?.correlationId || Logger.newCorrelationId(),
+                    dscoOrderId: ledgerRefs.dscoOrderId,
+                    poNumber: ledgerRefs.poNumber
+                };
 
-                // Validate and map
-                const mappingResult = mapper.mapAndValidate(order);
-
-                if (mappingResult.success) {
-                    results.summary.mapped++;
-                    const mappedOrderData = {
-                        rithumOrderId: orderId,
-                        poNumber: order.poNumber,
-                        originalOrder: order,
-                        shipstationOrder: mappingResult.mappedOrder,
-                        mappedAt: new Date().toISOString()
-                    };
-                    
-                    console.log(`✅ Order ${i + 1}/${orders.length} (${orderId}): Mapped successfully`);
-                    console.log(`   Status: ${mappingResult.mappedOrder.orderStatus}`);
-                    console.log(`   Order Number: ${mappingResult.mappedOrder.orderNumber}`);
-                    console.log(`   PO Number: ${order.poNumber || 'N/A'}`);
-                    if (mappingResult.mappedOrder.shipmentNumber) {
-                        console.log(`   Shipment Number: ${mappingResult.mappedOrder.shipmentNumber}`);
+                await Logger.withContext(orderContext, async () => {
+                    METRICS.ordersPulled.inc();
+                    await ledger.record(LEDGER_EVENTS.PULLED, ledgerRefs, {
+                        streamId: rithumResponse.streamId,
+                        dscoLifecycle: order.dscoLifecycle || null,
+                        fetchError: order.fetchError || null
+                    });
+            
+                    // Skip if order has an error
+                    if (order.error) {
+                        results.summary.failed++;
+                        results.errors.push({
+                            orderId,
+                            poNumber: order.poNumber || 'N/A',
+                            error: order.error,
+                            timestamp: new Date().toISOString()
+                        });
+                        logger.info(`❌ Order ${i + 1}/${orders.length} (${orderId}): ${order.error}`);
+                        await ledger.record(LEDGER_EVENTS.MAPPING_FAILED, ledgerRefs, {}, order.error);
+                        return;
                     }
-                    // Create order in ShipStation
-                    if (shipstationClient) {
+
+                    // Acknowledge orders still in the "created" lifecycle (auto-acknowledge mode)
+                    if (acknowledger && acknowledger.needsAcknowledgement(order)) {
+                        let ackResult;
                         try {
-                            // Comprehensive check if order already exists in ShipStation
-                            const orderCheckData = {
-                                orderNumber: mappingResult.mappedOrder.orderNumber,
-                                poNumber: order.poNumber,
-                                shipmentNumber: mappingResult.mappedOrder.shipmentNumber
-                            };
+                            ackResult = await acknowledger.acknowledge(order);
+                        } catch (ackError) {
+                            results.summary.failed++;
+                            results.errors.push({
+                                orderId,
+                                poNumber: order.poNumber || 'N/A',
+                                error: `Failed to acknowledge order in Rithum: ${ackError.message}`,
+                                timestamp: new Date().toISOString()
+                            });
+                            logger.info(`❌ Order ${i + 1}/${orders.length} (${orderId}): Acknowledgement failed - ${ackError.message}`);
+                            await ledger.record(LEDGER_EVENTS.ACKNOWLEDGE_FAILED, ledgerRefs, {}, ackError);
+                            return;
+                        }
+
+                        if (!ackResult.acknowledged) {
+                            results.summary.skipped++;
+                            logger.info(`⏭️  Order ${i + 1}/${orders.length} (${orderId}): Not acknowledged - ${ackResult.reason}`);
+                            await ledger.record(LEDGER_EVENTS.ACKNOWLEDGE_DECLINED, ledgerRefs, {
+                                reason: ackResult.reason,
+                                validationErrors: ackResult.validationErrors || []
+                            });
+                            return;
+                        }
+
+                        results.summary.acknowledged++;
+                        logger.info(`✍️  Order ${i + 1}/${orders.length} (${orderId}): Acknowledged in Rithum${ackResult.partial ? ' (partial)' : ''}`);
+                        await ledger.record(LEDGER_EVENTS.ACKNOWLEDGED, ledgerRefs, {
+                            partial: ackResult.partial,
+                            requestId: ackResult.requestId,
+                            acceptedItems: ackResult.order.lineItems.map(item => ({
+                                sku: item.sku || item.partnerSku || null,
+                                quantity: item.acceptedQuantity
+                            }))
+                        });
+                        order = ackResult.order;
+                    }
+
+                    // Check if should process
+                    if (!mapper.shouldProcess(order)) {
+                        results.summary.skipped++;
+                        logger.info(`⏭️  Order ${i + 1}/${orders.length} (${orderId}): Skipped - status: ${order.dscoStatus || 'unknown'}`);
+                        await ledger.record(LEDGER_EVENTS.SKIPPED, ledgerRefs, {
+                            reason: 'Not eligible for processing',
+                            dscoStatus: order.dscoStatus || null,
+                            dscoLifecycle: order.dscoLifecycle || null
+                        });
+                        return;
+                    }
+
+                    // Validate and map
+                    const mappingResult = mapper.mapAndValidate(order);
+
+                    if (mappingResult.success) {
+                        results.summary.mapped++;
+                        const mappedOrderData = {
+                            rithumOrderId: orderId,
+                            poNumber: order.poNumber,
+                            originalOrder: order,
+                            shipstationOrder: mappingResult.mappedOrder,
+                            mappedAt: new Date().toISOString()
+                        };
+                    
+                        logger.info(`✅ Order ${i + 1}/${orders.length} (${orderId}): Mapped successfully`);
+                        METRICS.ordersMapped.inc();
+                        await ledger.record(LEDGER_EVENTS.MAPPED, ledgerRefs, {
+                            orderNumber: mappingResult.mappedOrder.orderNumber,
+                            shipmentNumber: mappingResult.mappedOrder.shipmentNumber,
+                            serviceCode: mappingResult.mappedOrder.serviceCode || null
+                        });
+                        logger.info(`   Status: ${mappingResult.mappedOrder.orderStatus}`);
+                        logger.info(`   Order Number: ${mappingResult.mappedOrder.orderNumber}`);
+                        logger.info(`   PO Number: ${order.poNumber || 'N/A'}`);
+                        if (mappingResult.mappedOrder.shipmentNumber) {
+                            logger.info(`   Shipment Number: ${mappingResult.mappedOrder.shipmentNumber}`);
+                        }
+                        // Create order in ShipStation
+                        if (shipstationClient) {
+                            try {
+                                // Comprehensive check if order already exists in ShipStation
+                                const orderCheckData = {
+                                    orderNumber: mappingResult.mappedOrder.orderNumber,
+                                    poNumber: order.poNumber,
+                                    shipmentNumber: mappingResult.mappedOrder.shipmentNumber
+                                };
                             
-                            const existenceCheck = await shipstationClient.checkOrderExists(orderCheckData);
+                                const existenceCheck = await shipstationClient.checkOrderExists(orderCheckData);
                             
-                            if (existenceCheck.found) {
-                                const existingShipment = existenceCheck.shipment;
-                                console.log(`   ⏭️  Order already exists in ShipStation via ${existenceCheck.method}`);
-                                console.log(`   📋 Existing Shipment ID: ${existingShipment.shipment_id}, Status: ${existingShipment.shipment_status || 'N/A'}`);
+                                if (existenceCheck.found) {
+                                    const existingShipment = existenceCheck.shipment;
+                                    logger.info(`   ⏭️  Order already exists in ShipStation via ${existenceCheck.method}`);
+                                    logger.info(`   📋 Existing Shipment ID: ${existingShipment.shipment_id}, Status: ${existingShipment.shipment_status || 'N/A'}`);
                                 
-                                results.summary.skipped++;
-                                mappedOrderData.shipstationCreated = false;
-                                mappedOrderData.shipstationSkipped = true;
-                                mappedOrderData.shipstationOrderId = existingShipment.sales_order_id || existingShipment.shipment_id || 'N/A';
-                                mappedOrderData.shipstationOrderNumber = existingShipment.shipment_number || existingShipment.external_shipment_id || orderCheckData.orderNumber;
-                                mappedOrderData.shipstationShipmentId = existingShipment.shipment_id || 'N/A';
-                                mappedOrderData.existingShipmentStatus = existingShipment.shipment_status || 'N/A';
-                                mappedOrderData.duplicateCheckMethod = existenceCheck.method;
-                                mappedOrderData.duplicateCheckIdentifier = existenceCheck.identifier;
-                                mappedOrderData.skippedAt = new Date().toISOString();
-                                results.mappedOrders.push(mappedOrderData);
-                                continue; // Skip to next order
-                            } else {
-                                console.log(`   ✅ Order verified as new - proceeding with creation...`);
-                            }
+                                    results.summary.skipped++;
+                                    mappedOrderData.shipstationCreated = false;
+                                    mappedOrderData.shipstationSkipped = true;
+                                    mappedOrderData.shipstationOrderId = existingShipment.sales_order_id || existingShipment.shipment_id || 'N/A';
+                                    mappedOrderData.shipstationOrderNumber = existingShipment.shipment_number || existingShipment.external_shipment_id || orderCheckData.orderNumber;
+                                    mappedOrderData.shipstationShipmentId = existingShipment.shipment_id || 'N/A';
+                                    mappedOrderData.existingShipmentStatus = existingShipment.shipment_status || 'N/A';
+                                    mappedOrderData.duplicateCheckMethod = existenceCheck.method;
+                                    mappedOrderData.duplicateCheckIdentifier = existenceCheck.identifier;
+                                    mappedOrderData.skippedAt = new Date().toISOString();
+                                    results.mappedOrders.push(mappedOrderData);
+                                    METRICS.ordersDuplicate.inc();
+                                    await ledger.record(LEDGER_EVENTS.DUPLICATE, {
+                                        ...ledgerRefs,
+                                        shipmentId: existingShipment.shipment_id
+                                    }, {
+                                        method: existenceCheck.method,
+                                        identifier: existenceCheck.identifier,
+                                        shipmentStatus: existingShipment.shipment_status || null
+                                    });
+                                    return; // Skip to next order
+                                } else {
+                                    logger.info(`   ✅ Order verified as new - proceeding with creation...`);
+                                }
                             
-                            const orderWithShipFrom = { ...mappingResult.mappedOrder };
-                            if (shipFromAddress) {
-                                orderWithShipFrom.shipFrom = shipFromAddress;
-                            } else if (warehouseId) {
-                                orderWithShipFrom.warehouse_id = warehouseId;
-                            } else {
-                                console.log(`      ⚠️  No ship_from address or warehouse_id available - order may fail`);
-                            }
+                                const orderWithShipFrom = { ...mappingResult.mappedOrder };
+                                if (shipFromAddress) {
+                                    orderWithShipFrom.shipFrom = shipFromAddress;
+                                } else if (warehouseId) {
+                                    orderWithShipFrom.warehouse_id = warehouseId;
+                                } else {
+                                    logger.info(`      ⚠️  No ship_from address or warehouse_id available - order may fail`);
+                                }
                             
-                            // 🚀 INTELLIGENT CARRIER SELECTION WITH RITHUM REQUIREMENTS
-                            // Select appropriate carrier based on order characteristics AND Rithum requirements
-                            let selectedCarrierId = null;
+                                // 🚀 INTELLIGENT CARRIER SELECTION WITH RITHUM REQUIREMENTS
+                                // Select appropriate carrier based on order characteristics AND Rithum requirements
+                                let selectedCarrierId = null;
                             
-                            if (carrierSelector) {
-                                try {
-                                    selectedCarrierId = await carrierSelector.selectCarrier(
-                                        mappingResult.mappedOrder,
-                                        mappingResult.mappedOrder.shipTo,
-                                        order  // Pass original Rithum order data for carrier requirements
-                                    );
+                                if (carrierSelector) {
+                                    try {
+                                        selectedCarrierId = await carrierSelector.selectCarrier(
+                                            mappingResult.mappedOrder,
+                                            mappingResult.mappedOrder.shipTo,
+                                            order  // Pass original Rithum order data for carrier requirements
+                                        );
                                     
-                                    if (selectedCarrierId) {
-                                        console.log(`   🚚 Selected carrier: ${selectedCarrierId} (respects Rithum requirements)`);
-                                    } else {
-                                        console.log(`   ⚠️  No suitable carrier found via intelligent selection`);
+                                        if (selectedCarrierId) {
+                                            logger.info(`   🚚 Selected carrier: ${selectedCarrierId} (respects Rithum requirements)`);
+                                        } else {
+                                            logger.info(`   ⚠️  No suitable carrier found via intelligent selection`);
+                                        }
+                                    } catch (carrierError) {
+                                        logger.error(`   ❌ Carrier selection failed: ${carrierError.message}`);
+                                        selectedCarrierId = null;
                                     }
-                                } catch (carrierError) {
-                                    console.error(`   ❌ Carrier selection failed: ${carrierError.message}`);
-                                    selectedCarrierId = null;
+                                } else {
+                                    logger.info(`   ⚠️  Carrier selector not available`);
                                 }
-                            } else {
-                                console.log(`   ⚠️  Carrier selector not available`);
-                            }
                             
-                            // 🛡️ FALLBACK CARRIER ASSIGNMENT
-                            // Ensure carrierId is always set to prevent "carrier_id is required" error
-                            if (!selectedCarrierId) {
-                                selectedCarrierId = 'se-287927'; // Primary USPS as ultimate fallback
-                                console.log(`   🚨 Using fallback carrier: ${selectedCarrierId} (Primary USPS)`);
-                                console.log(`   💡 Reason: Intelligent selection failed or unavailable`);
-                            }
+                                // 📅 DELIVERY PROMISE - the date the order has to arrive by
+                                let promise = null;
+                                if (deliveryPromise) {
+                                    try {
+                                        promise = await deliveryPromise.resolve(order, shipFromAddress);
+                                        if (promise) {
+                                            logger.info(`   📅 Deliver by ${promise.deliverBy} (${promise.source})`);
+                                        }
+                                    } catch (promiseError) {
+                                        logger.error(`   ❌ Delivery promise lookup failed: ${promiseError.message}`);
+                                    }
+                                }
+                            
+                                // 💲 RATE SHOPPING - cheapest compliant quote replaces the scored carrier and service
+                                let rateQuote = null;
+                                if (carrierSelector && shipstationConfig.rateShopping.enabled) {
+                                    try {
+                                        rateQuote = await carrierSelector.shopRates(orderWithShipFrom, order, {
+                                            baselineCarrierId: selectedCarrierId,
+                                            promise
+                                        });
+                                    } catch (rateError) {
+                                        logger.error(`   ❌ Rate shopping failed: ${rateError.message} - keeping selected carrier`);
+                                    }
+                                    if (rateQuote) {
+                                        selectedCarrierId = rateQuote.carrierId;
+                                        if (rateQuote.serviceCode !== orderWithShipFrom.serviceCode) {
+                                            // The mapped package code belongs to the mapped service
+                                            orderWithShipFrom.serviceCode = rateQuote.serviceCode;
+                                            orderWithShipFrom.packageCode = rateQuote.packageType || 'package';
+                                        }
+                                    }
+                                }
                             
-                            // Always assign the carrier ID
-                            orderWithShipFrom.carrierId = selectedCarrierId;
+                                // 🛡️ FALLBACK CARRIER ASSIGNMENT
+                                // Ensure carrierId is always set to prevent "carrier_id is required" error
+                                if (!selectedCarrierId) {
+                                    selectedCarrierId = CarrierMappings.load().fallbackCarrierId; // Ultimate fallback from carrier-mappings.json
+                                    logger.info(`   🚨 Using fallback carrier: ${selectedCarrierId}`);
+                                    logger.info(`   💡 Reason: Intelligent selection failed or unavailable`);
+                                }
                             
-                            const createdOrder = await shipstationClient.createOrder(orderWithShipFrom);
+                                // ⬆️ SERVICE UPGRADE - rate shopping already filters on the promise; otherwise check the mapped service
+                                let promiseCheck = null;
+                                if (promise && carrierSelector && !rateQuote) {
+                                    try {
+                                        promiseCheck = await carrierSelector.checkDeliveryPromise(orderWithShipFrom, promise, {
+                                            carrierId: selectedCarrierId
+                                        });
+                                    } catch (checkError) {
+                                        logger.error(`   ❌ Delivery promise check failed: ${checkError.message} - keeping mapped service`);
+                                    }
+                                    if (promiseCheck?.status === 'upgraded') {
+                                        selectedCarrierId = promiseCheck.carrierId;
+                                        orderWithShipFrom.serviceCode = promiseCheck.serviceCode;
+                                        orderWithShipFrom.packageCode = promiseCheck.packageType || 'package';
+                                    } else if (promiseCheck?.status === 'at_risk') {
+                                        orderWithShipFrom.tags = [...(orderWithShipFrom.tags || []), shipstationConfig.deliveryPromise.atRiskTag];
+                                        await ledger.record(LEDGER_EVENTS.DELIVERY_PROMISE_AT_RISK, ledgerRefs, promiseCheck);
+                                    }
+                                }
                             
-                            let createdShipFrom = createdOrder.ship_from || null;
-                            let createdWarehouseId = createdOrder.warehouse_id || null;
+                                // Always assign the carrier ID
+                                orderWithShipFrom.carrierId = selectedCarrierId;
                             
-                            if (!createdShipFrom && !createdWarehouseId && createdOrder.sent_ship_from) {
-                                createdShipFrom = createdOrder.sent_ship_from;
-                            }
+                                const createdOrder = await shipstationClient.createOrder(orderWithShipFrom);
                             
-                            if (!createdShipFrom && !createdWarehouseId && createdOrder.shipment_id) {
-                                try {
-                                    const shipmentResponse = await shipstationClient.client.get(`/v2/shipments/${createdOrder.shipment_id}`);
-                                    const shipment = shipmentResponse.data;
-                                    if (shipment.ship_from) {
-                                        createdShipFrom = shipment.ship_from;
-                                    }
-                                    if (shipment.warehouse_id) {
-                                        createdWarehouseId = shipment.warehouse_id;
+                                let createdShipFrom = createdOrder.ship_from || null;
+                                let createdWarehouseId = createdOrder.warehouse_id || null;
+                            
+                                if (!createdShipFrom && !createdWarehouseId && createdOrder.sent_ship_from) {
+                                    createdShipFrom = createdOrder.sent_ship_from;
+                                }
+                            
+                                if (!createdShipFrom && !createdWarehouseId && createdOrder.shipment_id) {
+                                    try {
+                                        const shipmentResponse = await shipstationClient.client.get(`/v2/shipments/${createdOrder.shipment_id}`);
+                                        const shipment = shipmentResponse.data;
+                                        if (shipment.ship_from) {
+                                            createdShipFrom = shipment.ship_from;
+                                        }
+                                        if (shipment.warehouse_id) {
+                                            createdWarehouseId = shipment.warehouse_id;
+                                        }
+                                    } catch (detailError) {
+                                        logger.info(`   ⚠️  Could not retrieve shipment details: ${detailError.message}`);
                                     }
-                                } catch (detailError) {
-                                    console.log(`   ⚠️  Could not retrieve shipment details: ${detailError.message}`);
                                 }
-                            }
                             
-                            if (!createdShipFrom && shipFromAddress) {
-                                createdShipFrom = shipFromAddress;
-                            }
-                            if (!createdWarehouseId && warehouseId) {
-                                createdWarehouseId = warehouseId;
-                            }
+                                if (!createdShipFrom && shipFromAddress) {
+                                    createdShipFrom = shipFromAddress;
+                                }
+                                if (!createdWarehouseId && warehouseId) {
+                                    createdWarehouseId = warehouseId;
+                                }
                             
-                            results.summary.created++;
-                            mappedOrderData.shipstationCreated = true;
-                            mappedOrderData.shipstationOrderId = createdOrder.sales_order_id || createdOrder.order_id || createdOrder.shipment_id || 'N/A';
-                            mappedOrderData.shipstationOrderNumber = createdOrder.order_number || createdOrder.shipment_number || mappingResult.mappedOrder.orderNumber;
-                            mappedOrderData.shipstationShipmentId = createdOrder.shipment_id || 'N/A';
-                            mappedOrderData.shipFromAddress = createdShipFrom;
-                            mappedOrderData.warehouseId = createdWarehouseId;
-                            mappedOrderData.createdAt = new Date().toISOString();
-                            results.createdOrders.push(mappedOrderData);
+                                results.summary.created++;
+                                mappedOrderData.shipstationCreated = true;
+                                mappedOrderData.shipstationOrderId = createdOrder.sales_order_id || createdOrder.order_id || createdOrder.shipment_id || 'N/A';
+                                mappedOrderData.shipstationOrderNumber = createdOrder.order_number || createdOrder.shipment_number || mappingResult.mappedOrder.orderNumber;
+                                mappedOrderData.shipstationShipmentId = createdOrder.shipment_id || 'N/A';
+                                mappedOrderData.shipFromAddress = createdShipFrom;
+                                mappedOrderData.warehouseId = createdWarehouseId;
+                                mappedOrderData.createdAt = new Date().toISOString();
+                                mappedOrderData.rateQuote = rateQuote;
+                                mappedOrderData.deliveryPromise = promiseCheck;
+                                results.createdOrders.push(mappedOrderData);
+                                METRICS.ordersCreated.inc();
+                                await ledger.record(LEDGER_EVENTS.SHIPSTATION_CREATED, {
+                                    ...ledgerRefs,
+                                    shipmentId: createdOrder.shipment_id
+                                }, {
+                                    salesOrderId: createdOrder.sales_order_id || null,
+                                    orderNumber: mappedOrderData.shipstationOrderNumber,
+                                    carrierId: selectedCarrierId,
+                                    serviceCode: orderWithShipFrom.serviceCode || null,
+                                    warehouseId: createdWarehouseId || null,
+                                    rateQuote,
+                                    deliveryPromise: promiseCheck
+                                });
                             
-                        } catch (createError) {
-                            results.summary.creationFailed++;
-                            mappedOrderData.shipstationCreated = false;
-                            mappedOrderData.creationError = {
-                                message: createError.message,
-                                status: createError.response?.status,
-                                data: createError.response?.data
-                            };
+                                // 🏷️ AUTO-LABEL - buy the label now and report its tracking through the label_created path
+                                if (autoLabeler && createdOrder.shipment_id) {
+                                    const ineligibleReason = autoLabeler.getIneligibleReason(orderWithShipFrom);
+                                    if (ineligibleReason) {
+                                        logger.info(`   ⏭️  Auto-label skipped: ${ineligibleReason}`);
+                                    } else {
+                                        try {
+                                            mappedOrderData.autoLabel = await autoLabeler.purchaseLabel(
+                                                createdOrder.shipment_id,
+                                                mappedOrderData.shipstationOrderNumber
+                                            );
+                                        } catch (labelError) {
+                                            logger.error(`   ❌ Auto-label failed: ${labelError.message} - label must be bought manually`);
+                                            await ledger.record(LEDGER_EVENTS.LABEL_PURCHASE_FAILED, {
+                                                ...ledgerRefs,
+                                                shipmentId: createdOrder.shipment_id
+                                            }, {}, labelError);
+                                        }
+                                        if (mappedOrderData.autoLabel) {
+                                            try {
+                                                const labelResult = await processWebhookEvent({
+                                                    resource_type: 'LABEL_CREATED_V2',
+                                                    shipment: { shipment_id: createdOrder.shipment_id }
+                                                }, shipstationClient, rithumClient);
+                                                mappedOrderData.autoLabel.rithumUpdated = labelResult.results
+                                                    .some(result => result.trackedOrder?.rithumUpdated);
+                                            } catch (updateError) {
+                                                logger.error(`   ❌ Could not report auto-label tracking to Rithum: ${updateError.message}`);
+                                            }
+                                        }
+                                    }
+                                }
                             
-                            results.errors.push({
-                                orderId,
-                                poNumber: order.poNumber || 'N/A',
-                                error: 'Failed to create order in ShipStation',
-                                creationError: mappedOrderData.creationError,
-                                timestamp: new Date().toISOString()
-                            });
+                            } catch (createError) {
+                                results.summary.creationFailed++;
+                                mappedOrderData.shipstationCreated = false;
+                                mappedOrderData.creationError = {
+                                    message: createError.message,
+                                    status: createError.response?.status,
+                                    data: createError.response?.data
+                                };
                             
-                            console.log(`   ❌ Failed to create order in ShipStation: ${createError.message}`);
-                            if (createError.response?.data) {
-                                console.log(`   Error details:`, JSON.stringify(createError.response.data, null, 2));
-                                // Check if it's the old endpoint error
-                                if (createError.response.data.errors && 
-                                    createError.response.data.errors.some(e => e.path && e.path.includes('/v2/orders/createorder'))) {
-                                    console.log(`   ⚠️  This error suggests the old /v2/orders/createorder endpoint was used.`);
+                                results.errors.push({
+                                    orderId,
+                                    poNumber: order.poNumber || 'N/A',
+                                    error: 'Failed to create order in ShipStation',
+                                    creationError: mappedOrderData.creationError,
+                                    timestamp: new Date().toISOString()
+                                });
+                                await ledger.record(LEDGER_EVENTS.SHIPSTATION_FAILED, ledgerRefs, {}, createError);
+                            
+                                logger.error('   ❌ Failed to create order in ShipStation', { error: createError });
+                                if (createError.response?.data) {
+                                    // Check if it's the old endpoint error
+                                    if (createError.response.data.errors && 
+                                        createError.response.data.errors.some(e => e.path && e.path.includes('/v2/orders/createorder'))) {
+                                        logger.info(`   ⚠️  This error suggests the old /v2/orders/createorder endpoint was used.`);
+                                    }
                                 }
                             }
+                        } else {
+                            logger.info(`   ⚠️  Skipping ShipStation creation (client not initialized)`);
                         }
+
+                        results.mappedOrders.push(mappedOrderData);
                     } else {
-                        console.log(`   ⚠️  Skipping ShipStation creation (client not initialized)`);
+                        results.summary.failed++;
+                        results.errors.push({
+                            orderId,
+                            poNumber: order.poNumber || 'N/A',
+                            errors: mappingResult.errors,
+                            validationErrors: mappingResult.validation?.errors || [],
+                            timestamp: new Date().toISOString()
+                        });
+                        logger.info(`❌ Order ${i + 1}/${orders.length} (${orderId}): Failed to map`);
+                        logger.info(`   Errors: ${mappingResult.errors.join(', ')}`);
+                        await ledger.record(LEDGER_EVENTS.MAPPING_FAILED, ledgerRefs, {
+                            validationErrors: mappingResult.validation?.errors || []
+                        }, mappingResult.errors.join(', '));
                     }
-
-                    results.mappedOrders.push(mappedOrderData);
-                } else {
-                    results.summary.failed++;
-                    results.errors.push({
-                        orderId,
-                        poNumber: order.poNumber || 'N/A',
-                        errors: mappingResult.errors,
-                        validationErrors: mappingResult.validation?.errors || [],
-                        timestamp: new Date().toISOString()
-                    });
-                    console.log(`❌ Order ${i + 1}/${orders.length} (${orderId}): Failed to map`);
-                    console.log(`   Errors: ${mappingResult.errors.join(', ')}`);
-                }
+                });
             }
 
             // Add processing metadata
@@ -368,96 +621,259 @@ async function fetchAndMapOrders() {
             results.processingTimeMs = processingTime;
         }
 
+        // Cancellations are applied after creation so an order created and cancelled
+        // within the same batch of events still ends up cancelled in ShipStation
+        results.cancellations = await propagateCancellations(rithumResponse.allEvents, shipstationClient, ledger);
+
         // Print Step 1 summary
-        console.log('\n' + '='.repeat(80));
-        console.log('\n📊 Step 1 Summary:');
-        console.log(`   Total Orders Processed: ${results.totalOrders}`);
-        console.log(`   ✅ Successfully Mapped: ${results.summary.mapped}`);
+        logger.info('\n' + '='.repeat(80));
+        logger.info('\n📊 Step 1 Summary:');
+        logger.info(`   Total Orders Processed: ${results.totalOrders}`);
+        if (autoAcknowledge) {
+            logger.info(`   ✍️  Acknowledged in Rithum: ${results.summary.acknowledged}`);
+        }
+        logger.info(`   ✅ Successfully Mapped: ${results.summary.mapped}`);
         
         if (shipstationClient) {
-            console.log(`   🚀 Created in ShipStation (via /v2/shipments): ${results.summary.created}`);
+            logger.info(`   🚀 Created in ShipStation (via /v2/shipments): ${results.summary.created}`);
+            const rateQuotes = (results.createdOrders || []).map(created => created.rateQuote).filter(Boolean);
+            if (rateQuotes.length > 0) {
+                const savings = rateQuotes.reduce((total, quote) => total + (quote.savings || 0), 0);
+                logger.info(`   💲 Rate-shopped: ${rateQuotes.length} (savings vs scored carrier: $${savings.toFixed(2)})`);
+            }
+            const autoLabels = (results.createdOrders || []).map(created => created.autoLabel).filter(Boolean);
+            if (autoLabels.length > 0) {
+                const reported = autoLabels.filter(label => label.rithumUpdated).length;
+                logger.info(`   🏷️  Auto-labelled: ${autoLabels.length} (${reported} reported to Rithum)`);
+            }
+            const promiseChecks = (results.createdOrders || []).map(created => created.deliveryPromise).filter(Boolean);
+            const upgraded = promiseChecks.filter(check => check.status === 'upgraded').length;
+            const atRisk = promiseChecks.filter(check => check.status === 'at_risk').length;
+            if (upgraded > 0 || atRisk > 0) {
+                logger.info(`   📅 Delivery promise: ${upgraded} service upgrade(s), ${atRisk} at risk ` +
+                    `(tagged "${shipstationConfig.deliveryPromise.atRiskTag}")`);
+            }
             if (results.summary.creationFailed > 0) {
-                console.log(`   ❌ Creation Failed: ${results.summary.creationFailed}`);
+                logger.info(`   ❌ Creation Failed: ${results.summary.creationFailed}`);
             }
         } else {
-            console.log(`   ⚠️  ShipStation creation skipped (client not initialized)`);
+            logger.info(`   ⚠️  ShipStation creation skipped (client not initialized)`);
         }
         
         const duplicateCount = results.mappedOrders.filter(o => o.shipstationSkipped === true).length;
         if (duplicateCount > 0) {
-            console.log(`   🔄 Duplicates Found (already exist in ShipStation): ${duplicateCount}`);
+            logger.info(`   🔄 Duplicates Found (already exist in ShipStation): ${duplicateCount}`);
+        }
+        
+        if (results.cancellations && results.cancellations.detected > 0) {
+            const c = results.cancellations;
+            logger.info(`   🛑 Cancellations: ${c.cancelled} cancelled, ${c.itemsRemoved} trimmed, ${c.skipped} skipped, ${c.failed} failed`);
         }
         
         if (results.processingTimeMs) {
-            console.log(`   ⏱️  Processing Time: ${results.processingTimeMs}ms`);
+            logger.info(`   ⏱️  Processing Time: ${results.processingTimeMs}ms`);
         }
         
         if (results.lastPosition) {
-            console.log(`\n   📍 Stream Position: ${results.lastPosition}`);
-            console.log(`   📡 Stream ID: ${results.streamId}`);
-            console.log(`\n   ℹ️  Note: Stream position is updated by rithumClient.checkForNewOrders().`);
-            console.log(`      Position advances based on events retrieved from stream.`);
-            console.log(`      Next run will fetch orders after position: ${results.lastPosition}`);
+            logger.info(`\n   📍 Stream Position: ${results.lastPosition}`);
+            logger.info(`   📡 Stream ID: ${results.streamId}`);
+            logger.info(`\n   ℹ️  Note: Stream position is updated by rithumClient.checkForNewOrders().`);
+            logger.info(`      Position advances based on events retrieved from stream.`);
+            logger.info(`      Next run will fetch orders after position: ${results.lastPosition}`);
         }
         
         // Warn about position tracking safety (per Project.md)
         if (results.summary.creationFailed > 0) {
-            console.log(`\n   ⚠️  WARNING: ${results.summary.creationFailed} order(s) failed to create in ShipStation.`);
-            console.log(`      Stream position may have advanced even though some orders failed.`);
-            console.log(`      Review failed orders and consider manual reprocessing if needed.`);
-            console.log(`      See Project.md "Stream Position Safety" section for details.`);
+            logger.info(`\n   ⚠️  WARNING: ${results.summary.creationFailed} order(s) failed to create in ShipStation.`);
+            logger.info(`      Stream position may have advanced even though some orders failed.`);
+            logger.info(`      Review failed orders and consider manual reprocessing if needed.`);
+            logger.info(`      See Project.md "Stream Position Safety" section for details.`);
         }
         
-        console.log('\n💡 Step 2 (shipped orders) is handled by WEBHOOKS, not this script.');
-        console.log('   Webhook endpoint: POST /api/shipstation/webhooks/v2');
-        console.log('   Register webhook for "fulfillment_shipped_v2" event in ShipStation.');
-        console.log('   Webhooks are more reliable and don\'t require position tracking.\n');
+        logger.info('\n💡 Step 2 (shipped orders) is handled by WEBHOOKS, not this script.');
+        logger.info('   Webhook endpoint: POST /api/shipstation/webhooks/v2');
+        logger.info('   Register webhook for "fulfillment_shipped_v2" event in ShipStation.');
+        logger.info('   Webhooks are more reliable and don\'t require position tracking.\n');
 
-        // Save to output.json
-        await saveOutput(results);
+        // Record run summary in the order ledger
+        await saveRunSummary(ledger, results);
+        await checkStreamPosition(ledger, notifier);
 
         if (results.errors.length > 0) {
-            console.log('⚠️  Errors encountered:');
+            logger.info('⚠️  Errors encountered:');
             results.errors.forEach((error, index) => {
-                console.log(`\n   ${index + 1}. Order ${error.poNumber || error.orderId || 'Unknown'}:`);
+                logger.info(`\n   ${index + 1}. Order ${error.poNumber || error.orderId || 'Unknown'}:`);
                 if (error.error) {
-                    console.log(`      - ${error.error}`);
+                    logger.info(`      - ${error.error}`);
                 }
                 if (error.errors) {
-                    error.errors.forEach(err => console.log(`      - ${err}`));
+                    error.errors.forEach(err => logger.info(`      - ${err}`));
                 }
                 if (error.validationErrors && error.validationErrors.length > 0) {
-                    error.validationErrors.forEach(err => console.log(`      - Validation: ${err}`));
+                    error.validationErrors.forEach(err => logger.info(`      - Validation: ${err}`));
                 }
             });
+            await alertFailedOrders(results.errors, notifier);
         }
+        await flushAlerts();
 
     } catch (error) {
-        console.error('\n❌ Error:');
-        if (error.response) {
-            console.error('Status:', error.response.status);
-            console.error('Data:', JSON.stringify(error.response.data, null, 2));
-        } else if (error.request) {
-            console.error('No response received. Is the server running?');
-        } else {
-            console.error('Error:', error.message);
+        logger.error('\n❌ Order intake failed', { error });
+        if (!error.response && error.request) {
+            logger.error('No response received. Is the server running?');
         }
+        await notifier.notify({
+            event: ALERT_EVENTS.INTAKE_FAILED,
+            severity: 'critical',
+            title: 'Order intake run failed',
+            message: error.response
+                ? `${error.message}\nStatus: ${error.response.status}\n${JSON.stringify(error.response.data, null, 2)}`
+                : error.message
+        });
+        await flushAlerts();
         process.exit(1);
     }
 }
 
-async function saveOutput(data) {
+/**
+ * Alert about the orders this run could not map or create in ShipStation
+ * @param {Array} errors - results.errors of the run
+ * @param {Notifier} notifier - Where the alert is sent
+ */
+async function alertFailedOrders(errors, notifier) {
+    const lines = errors.map(error => {
+        const reasons = [error.error, error.creationError?.message, ...(error.errors || []), ...(error.validationErrors || [])]
+            .filter(Boolean);
+        return `PO ${error.poNumber || '-'} (order ${error.orderId || '-'}): ${reasons.join('; ') || 'unknown error'}`;
+    });
+
+    await notifier.notify({
+        event: ALERT_EVENTS.SHIPSTATION_CREATION_FAILED,
+        severity: 'critical',
+        title: `${errors.length} order(s) could not be created in ShipStation`,
+        message: lines.join('\n'),
+        details: {
+            orders: errors.map(error => ({
+                dscoOrderId: error.orderId || null,
+                poNumber: error.poNumber || null,
+                errors: [error.error, ...(error.errors || [])].filter(Boolean),
+                validationErrors: error.validationErrors || [],
+                creationError: error.creationError || null
+            }))
+        }
+    });
+}
+
+/**
+ * Set the stream lag gauges from the events of this run
+ * Stream events carry no timestamp of their own, so the lag is the age of the newest order's last
+ * update in Rithum. A run that gets no events has caught up with the stream.
+ * @param {Array} events - Every event read from the stream (rithumResponse.allEvents)
+ */
+function recordStreamLag(events = []) {
+    METRICS.streamLastRead.set({}, Math.floor(Date.now() / 1000));
+    if (events.length === 0) {
+        METRICS.streamLag.set({}, 0);
+        return;
+    }
+
+    const payload = events[events.length - 1].payload || {};
+    const updatedAt = Date.parse(payload.dscoLastUpdate || payload.dscoCreateDate);
+    if (!Number.isNaN(updatedAt)) {
+        METRICS.streamLag.set({}, Math.max(0, Math.round((Date.now() - updatedAt) / 1000)));
+    }
+}
+
+/**
+ * Alert when the stream keeps handing back events without its position moving forward
+ * Runs are read from the ledger; the alert is raised once, on the run that reaches NOTIFY_STREAM_STUCK_RUNS
+ * @param {OrderLedger} ledger - Order ledger holding the run summaries
+ * @param {Notifier} notifier - Where the alert is sent
+ */
+async function checkStreamPosition(ledger, notifier) {
+    const threshold = notificationConfig.streamStuckRuns;
+    if (!(threshold > 0)) {
+        return;
+    }
+
+    const runs = await ledger.getRuns();
+
+    let stuckRuns = 0;
+    for (let i = runs.length - 1; i > 0; i--) {
+        const run = runs[i];
+        const previous = runs[i - 1];
+        if (!run.lastPosition || !(run.eventCount > 0) ||
+            run.streamId !== previous.streamId || run.lastPosition !== previous.lastPosition) {
+            break;
+        }
+        stuckRuns++;
+    }
+    if (stuckRuns !== threshold) {
+        return;
+    }
+
+    const latest = runs[runs.length - 1];
+    await notifier.notify({
+        event: ALERT_EVENTS.STREAM_POSITION_STUCK,
+        severity: 'critical',
+        title: `Rithum stream position stuck at ${latest.lastPosition} for ${stuckRuns} runs`,
+        message: `Stream ${latest.streamId} returned ${latest.eventCount} event(s) on each of the last ${stuckRuns} runs ` +
+            'without the position advancing - the same events are being fetched again.',
+        details: { streamId: latest.streamId, lastPosition: latest.lastPosition, stuckRuns, eventCount: latest.eventCount }
+    });
+}
+
+/**
+ * Apply retailer cancellations found in this batch of stream events to ShipStation
+ * @returns {Promise<Object|null>} Cancellation summary, or null if ShipStation is unavailable
+ */
+async function propagateCancellations(events, shipstationClient, ledger) {
+    if (!shipstationClient) {
+        return null;
+    }
+
     try {
-        await fs.writeFile(OUTPUT_FILE, JSON.stringify(data, null, 2), 'utf8');
-        console.log(`\n💾 Results saved to: ${OUTPUT_FILE}\n`);
+        const handler = new CancellationHandler(shipstationClient, ledger);
+        return await handler.processEvents(events || []);
     } catch (error) {
-        console.error(`\n❌ Failed to save output file: ${error.message}`);
+        logger.error(`❌ Failed to process cancellations: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Record the run summary in the order ledger
+ * Per-order details are already journaled as they happen, so only counts and errors are kept here
+ */
+async function saveRunSummary(ledger, results) {
+    const entry = await ledger.recordRun({
+        totalOrders: results.totalOrders,
+        summary: results.summary,
+        errors: results.errors,
+        createdShipmentIds: results.createdOrders.map(o => o.shipstationShipmentId),
+        lastPosition: results.lastPosition,
+        streamId: results.streamId,
+        eventCount: results.eventCount,
+        processingTimeMs: results.processingTimeMs || null,
+        cancellations: results.cancellations ? {
+            detected: results.cancellations.detected,
+            cancelled: results.cancellations.cancelled,
+            itemsRemoved: results.cancellations.itemsRemoved,
+            skipped: results.cancellations.skipped,
+            failed: results.cancellations.failed
+        } : null
+    });
+    if (entry) {
+        logger.info(`\n💾 Run recorded in order ledger: ${ledger.filePath}\n`);
     }
 }
 
 module.exports = { fetchAndMapOrders };
 
 if (require.main === module) {
-    fetchAndMapOrders();
+    // --auto-ack turns auto-acknowledge on for this run regardless of AUTO_ACKNOWLEDGE
+    fetchAndMapOrders({
+        autoAcknowledge: process.argv.includes('--auto-ack') ? true : undefined
+    });
 }
 
@@ -0,0 +1,82 @@
+/**
+ * Lint Carrier Mappings
+ *
+ * Validates carrier-mappings.json against its schema, then checks it against the carriers
+ * connected to the ShipStation account (GET /v2/carriers):
+ *   - every mapped carrier ID (and the fallback carrier) is connected and active
+ *   - every ShipStation service code is offered by that carrier's accounts
+ *   - connected carriers that no mapping uses are reported as warnings
+ *
+ * Usage:
+ *   node lint-carrier-mappings.js                       # Lint ./carrier-mappings.json (or CARRIER_MAPPINGS_FILE)
+ *   node lint-carrier-mappings.js path/to/mappings.json # Lint another file, e.g. a tenant's copy
+ *   node lint-carrier-mappings.js --offline             # Schema check only, no ShipStation call
+ *
+ * Exits with status 1 if any errors are found.
+ */
+
+require('dotenv').config();
+const CarrierMappings = require('./src/services/carrierMappings');
+const ShipStationClient = require('./src/services/shipstationClient');
+const Logger = require('./src/services/logger');
+const { shipstationConfig, validateConfig } = require('./src/config/shipstationConfig');
+
+const logger = Logger.child({ module: 'lintCarrierMappings' });
+
+async function lintCarrierMappings(filePath, options = {}) {
+    logger.info('\n🔎 Linting carrier mappings...\n');
+
+    let mappings;
+    try {
+        mappings = CarrierMappings.load(filePath);
+    } catch (error) {
+        logger.error(`❌ ${error.message}`);
+        return { errors: [error.message], warnings: [] };
+    }
+    logger.info(`✅ Schema OK: ${mappings.filePath} (version ${mappings.version}, ` +
+        `${Object.keys(mappings.carriers).length} carriers)`);
+
+    if (options.offline) {
+        return { errors: [], warnings: [] };
+    }
+
+    validateConfig();
+    const client = new ShipStationClient(
+        shipstationConfig.apiKey,
+        shipstationConfig.baseUrl,
+        shipstationConfig.warehouseId,
+        shipstationConfig.shipFrom
+    );
+    const carriers = await client.getCarriers();
+    const result = mappings.lint(carriers);
+
+    logger.info('');
+    result.errors.forEach(error => logger.error(`❌ ${error}`));
+    result.warnings.forEach(warning => logger.warn(`⚠️  ${warning}`));
+    logger.info(`\n${result.errors.length} error(s), ${result.warnings.length} warning(s)`);
+
+    return result;
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const offline = args.includes('--offline');
+    const filePath = args.find(arg => !arg.startsWith('--'));
+
+    try {
+        const result = await lintCarrierMappings(filePath, { offline });
+        if (result.errors.length > 0) {
+            process.exit(1);
+        }
+    } catch (error) {
+        logger.error('\n❌ Lint failed', { error });
+        process.exit(1);
+    }
+}
+
+// Run the script
+if (require.main === module) {
+    main();
+}
+
+module.exports = { lintCarrierMappings };
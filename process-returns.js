@@ -0,0 +1,108 @@
+/**
+ * Process Returns
+ *
+ * Works Rithum return authorizations (RMAs): for every open return a ShipStation return label is bought
+ * against the outbound label that shipped the returned items, saved to RETURN_LABEL_DIR (default
+ * ./return-labels) and posted to the return in Rithum. Once the return labels show as delivered, the
+ * returned lines are accepted in Rithum, which completes the return (RETURNS_COMPLETE_ON_DELIVERY=false
+ * only records the receipt). Progress is journalled in returns.jsonl (RETURNS_FILE).
+ *
+ * The cron worker runs this every RETURNS_SYNC_INTERVAL_MINUTES when RETURNS_SYNC=true. Returns created
+ * in the last RETURNS_LOOKBACK_DAYS days are picked up; returns the retailer already sent its own
+ * label for are left alone.
+ *
+ * Usage:
+ *   node process-returns.js                   # Label new returns and receive delivered ones
+ *   node process-returns.js --return 123456   # Only this Rithum return (dscoReturnId)
+ *   node process-returns.js --dry-run         # Show what would be done
+ *
+ * Exits with status 1 if any return could not be processed.
+ */
+
+require('dotenv').config();
+const ShipStationClient = require('./src/services/shipstationClient');
+const RithumClient = require('./src/services/rithumClient');
+const ReturnsProcessor = require('./src/services/returnsProcessor');
+const Logger = require('./src/services/logger');
+const { shipstationConfig, validateConfig: validateShipStationConfig } = require('./src/config/shipstationConfig');
+const { rithumConfig, validateConfig: validateRithumConfig } = require('./src/config/rithumConfig');
+
+const logger = Logger.child({ module: 'processReturns' });
+
+/**
+ * Process open Rithum returns and print the report
+ * @param {Object} [options] - dscoReturnId, dryRun (see ReturnsProcessor.run)
+ * @returns {Promise<Object>} Run report
+ */
+async function processReturns(options = {}) {
+    validateShipStationConfig();
+    validateRithumConfig();
+
+    const shipstationClient = new ShipStationClient(
+        shipstationConfig.apiKey,
+        shipstationConfig.baseUrl,
+        shipstationConfig.warehouseId,
+        shipstationConfig.shipFrom
+    );
+    const rithumClient = new RithumClient(
+        rithumConfig.apiUrl,
+        rithumConfig.clientId,
+        rithumConfig.clientSecret
+    );
+    const processor = new ReturnsProcessor(shipstationClient, rithumClient, rithumConfig.returns);
+
+    logger.info(`\n↩️  Processing Rithum returns${options.dryRun ? ' - DRY RUN' : ''}...\n`);
+    const report = await processor.run(options);
+
+    logger.info('\n' + '='.repeat(80));
+    logger.info(`📊 Returns: ${report.labelled.length} labelled, ${report.received.length} received, ` +
+        `${report.skipped.length} skipped, ${report.errors.length} failed${report.dryRun ? ' - dry run' : ''}`);
+    logger.info('='.repeat(80));
+    report.labelled.forEach(result => {
+        logger.info(`   🏷️  Return ${result.returnNumber || result.dscoReturnId}${result.poNumber ? ` (PO ${result.poNumber})` : ''}:`);
+        result.labels.forEach(label => {
+            const lines = label.lineItems.map(line => `${line.sku || line.itemId} x${line.quantity}`).join(', ');
+            logger.info(label.labelId
+                ? `      ${label.trackingNumber} (return of ${label.outboundTrackingNumber}) - ${lines}` +
+                    `\n      ${label.labelFile || label.labelUrl || 'label not saved'}`
+                : `      would return ${label.outboundTrackingNumber} - ${lines}`);
+        });
+    });
+    report.received.forEach(dscoReturnId => {
+        logger.info(`   📬 Return ${dscoReturnId}: ${report.dryRun ? 'delivered, would be received' : 'received'}`);
+    });
+    report.skipped.forEach(skip => logger.info(`   ⏭️  Return ${skip.dscoReturnId}: ${skip.reason}`));
+    report.errors.forEach(error => logger.error(`   ❌ Return ${error.dscoReturnId}: ${error.error}`));
+    logger.info('');
+
+    return report;
+}
+
+function getArgValue(args, name) {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+
+    try {
+        const report = await processReturns({
+            dscoReturnId: getArgValue(args, '--return'),
+            dryRun: args.includes('--dry-run')
+        });
+        if (report.errors.length > 0) {
+            process.exit(1);
+        }
+    } catch (error) {
+        logger.error('\n❌ Returns processing failed', { error });
+        process.exit(1);
+    }
+}
+
+// Run the script
+if (require.main === module) {
+    main();
+}
+
+module.exports = { processReturns };
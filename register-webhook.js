@@ -9,6 +9,11 @@
  *   WEBHOOK_URL=https://your-domain.com/api/shipstation/webhooks/v2 node register-webhook.js
  *   node register-webhook.js --list                             # List existing webhooks
  *   node register-webhook.js --delete <webhook_id>              # Delete a webhook
+ *   WEBHOOK_EVENT=track node register-webhook.js                 # Carrier tracking updates (delivery status)
+ * 
+ * Deliveries are checked against ShipStation's RSA-SHA256 webhook signature. Where that is not
+ * possible, set SHIPSTATION_WEBHOOK_SECRET and register the URL with the secret appended:
+ *   WEBHOOK_URL=https://your-domain.com/api/shipstation/webhooks/v2/<secret> node register-webhook.js
  * 
  * Prerequisites:
  *   1. Your webhook endpoint must be publicly accessible (use ngrok for local testing)
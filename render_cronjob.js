@@ -1,6 +1,20 @@
 
 require('dotenv').config();
 const { fetchAndMapOrders } = require('./get_Aknowledge_Orders_Rithum_send_Shipstation');
+const { closeOutDay } = require('./end-of-day');
+const { syncInventory } = require('./sync-inventory');
+const { processReturns } = require('./process-returns');
+const { monitorSla } = require('./sla-monitor');
+const { createNotifier } = require('./webhook_shipstation_update_Rithum');
+const { shipstationConfig } = require('./src/config/shipstationConfig');
+const { rithumConfig } = require('./src/config/rithumConfig');
+const { notificationConfig } = require('./src/config/notificationConfig');
+const { metricsConfig, validateConfig: validateMetricsConfig } = require('./src/config/metricsConfig');
+const Logger = require('./src/services/logger');
+const Metrics = require('./src/services/metrics');
+const ManifestCreator = require('./src/services/manifestCreator');
+
+const logger = Logger.child({ module: 'cron' });
 
 const CRON_SCHEDULE = process.env.CRON_SCHEDULE || '*/5 * * * *';
 const INTERVAL_MS = process.env.INTERVAL_MS 
@@ -11,45 +25,48 @@ const INTERVAL_MS = process.env.INTERVAL_MS
 
 let isRunning = false;
 
-console.log('📦 Step 1 Cron Job - Render Version\n');
-console.log('='.repeat(80) + '\n');
-console.log('🔄 Running continuously with internal scheduling');
-console.log(`📅 Schedule pattern: ${CRON_SCHEDULE}`);
-console.log(`⏱️  Interval: ${INTERVAL_MS / 1000} seconds (${INTERVAL_MS / 60000} minutes)\n`);
-console.log('='.repeat(80) + '\n');
+// One notifier for every job, so digest events from all of them are batched together
+const notifier = createNotifier();
+
+logger.info('📦 Step 1 Cron Job - Render Version\n');
+logger.info('='.repeat(80) + '\n');
+logger.info('🔄 Running continuously with internal scheduling');
+logger.info(`📅 Schedule pattern: ${CRON_SCHEDULE}`);
+logger.info(`⏱️  Interval: ${INTERVAL_MS / 1000} seconds (${INTERVAL_MS / 60000} minutes)\n`);
+logger.info('='.repeat(80) + '\n');
 
 // Wrapper function to prevent overlapping executions and add logging
 async function runJobSafely(label = 'Execution') {
     if (isRunning) {
-        console.log(`⏭️  [${new Date().toISOString()}] ${label}: Previous execution still running, skipping...`);
+        logger.info(`⏭️  [${new Date().toISOString()}] ${label}: Previous execution still running, skipping...`);
         return;
     }
     
     isRunning = true;
     const startTime = Date.now();
-    console.log(`🚀 [${new Date().toISOString()}] ${label}: Starting...`);
+    logger.info(`🚀 [${new Date().toISOString()}] ${label}: Starting...`);
     
     try {
-        await fetchAndMapOrders();
+        await fetchAndMapOrders({ notifier });
         const duration = ((Date.now() - startTime) / 1000).toFixed(2);
-        console.log(`✅ [${new Date().toISOString()}] ${label}: Completed in ${duration} seconds\n`);
+        logger.info(`✅ [${new Date().toISOString()}] ${label}: Completed in ${duration} seconds\n`);
     } catch (error) {
         const duration = ((Date.now() - startTime) / 1000).toFixed(2);
-        console.error(`❌ [${new Date().toISOString()}] ${label}: Failed after ${duration} seconds:`, error.message);
+        logger.error(`❌ [${new Date().toISOString()}] ${label}: Failed after ${duration} seconds`, { error });
     } finally {
         isRunning = false;
     }
 }
 
 // Run immediately on startup
-console.log('🚀 Running initial execution...\n');
+logger.info('🚀 Running initial execution...\n');
 runJobSafely('Initial').catch(error => {
-    console.error('❌ Initial execution failed:', error.message);
+    logger.error('❌ Initial execution failed', { error });
     isRunning = false;
 });
 
 // Schedule the job using setInterval (more reliable than node-cron)
-console.log(`\n⏰ Scheduling job to run every ${INTERVAL_MS / 1000} seconds (${INTERVAL_MS / 60000} minutes)...\n`);
+logger.info(`\n⏰ Scheduling job to run every ${INTERVAL_MS / 1000} seconds (${INTERVAL_MS / 60000} minutes)...\n`);
 
 // Track next execution time
 let nextExecutionTime = new Date(Date.now() + INTERVAL_MS);
@@ -64,51 +81,188 @@ const scheduledInterval = setInterval(async () => {
     const executionStartTime = new Date();
     nextExecutionTime = new Date(executionStartTime.getTime() + INTERVAL_MS);
     
-    console.log('\n' + '='.repeat(80));
-    console.log(`⏰⏰⏰ SCHEDULED EXECUTION TRIGGERED ⏰⏰⏰`);
-    console.log(`⏰ Time: ${executionStartTime.toISOString()}`);
-    console.log(`⏰ Calling fetchAndMapOrders() now...`);
-    console.log('='.repeat(80) + '\n');
+    logger.info('\n' + '='.repeat(80));
+    logger.info(`⏰⏰⏰ SCHEDULED EXECUTION TRIGGERED ⏰⏰⏰`);
+    logger.info(`⏰ Time: ${executionStartTime.toISOString()}`);
+    logger.info(`⏰ Calling fetchAndMapOrders() now...`);
+    logger.info('='.repeat(80) + '\n');
     
     try {
         await runJobSafely('Scheduled');
         
-        console.log('\n' + '='.repeat(80));
-        console.log(`✅ Scheduled execution finished at ${new Date().toISOString()}`);
-        console.log(`📅 Next execution: ${nextExecutionTime.toISOString()}`);
-        console.log('='.repeat(80) + '\n');
+        logger.info('\n' + '='.repeat(80));
+        logger.info(`✅ Scheduled execution finished at ${new Date().toISOString()}`);
+        logger.info(`📅 Next execution: ${nextExecutionTime.toISOString()}`);
+        logger.info('='.repeat(80) + '\n');
     } catch (error) {
-        console.error('\n' + '='.repeat(80));
-        console.error(`❌ Scheduled execution error: ${error.message}`);
-        console.error('='.repeat(80) + '\n');
+        logger.error('\n' + '='.repeat(80));
+        logger.error(`❌ Scheduled execution error: ${error.message}`);
+        logger.error('='.repeat(80) + '\n');
     }
 }, INTERVAL_MS);
 
-console.log(`✅ Job scheduled successfully`);
-console.log(`📅 Next scheduled execution: ${nextExecutionTime.toISOString()}\n`);
+logger.info(`✅ Job scheduled successfully`);
+logger.info(`📅 Next scheduled execution: ${nextExecutionTime.toISOString()}\n`);
+
+logger.info('✅ Cron job scheduled. Process will keep running...\n');
+logger.info('💡 To stop, press Ctrl+C or kill the process\n');
+
+// End-of-day manifests: once a day, after MANIFEST_RUN_AT (server local time)
+let lastCloseOutDay = null;
+let isClosingOut = false;
+const endOfDayInterval = shipstationConfig.manifests.scheduled ? setInterval(async () => {
+    const now = new Date();
+    // The day and the run time both in server local time, the clock ManifestCreator closes days in
+    const today = ManifestCreator.localDay(now);
+    const [hours, minutes] = shipstationConfig.manifests.runAt.split(':').map(Number);
+    const due = now.getHours() > hours || (now.getHours() === hours && now.getMinutes() >= minutes);
+    if (!due || isClosingOut || lastCloseOutDay === today) {
+        return;
+    }
+
+    isClosingOut = true;
+    logger.info(`\n📋 [${now.toISOString()}] Running end-of-day close-out...`);
+    try {
+        await closeOutDay({ day: today });
+        lastCloseOutDay = today;
+    } catch (error) {
+        logger.error(`❌ [${new Date().toISOString()}] End-of-day close-out failed`, { error });
+    } finally {
+        isClosingOut = false;
+    }
+}, 60000) : null;
+if (endOfDayInterval) {
+    logger.info(`📋 End-of-day manifests scheduled daily at ${shipstationConfig.manifests.runAt}\n`);
+}
+
+// Inventory sync: changed ShipStation quantities pushed to Rithum every INVENTORY_SYNC_INTERVAL_MINUTES
+let isSyncingInventory = false;
+const inventorySyncInterval = rithumConfig.inventorySync.scheduled && rithumConfig.inventorySync.intervalMinutes > 0
+    ? setInterval(async () => {
+        if (isSyncingInventory) {
+            return;
+        }
 
-console.log('✅ Cron job scheduled. Process will keep running...\n');
-console.log('💡 To stop, press Ctrl+C or kill the process\n');
+        isSyncingInventory = true;
+        logger.info(`\n📦 [${new Date().toISOString()}] Running inventory sync...`);
+        try {
+            await syncInventory();
+        } catch (error) {
+            logger.error(`❌ [${new Date().toISOString()}] Inventory sync failed`, { error });
+        } finally {
+            isSyncingInventory = false;
+        }
+    }, rithumConfig.inventorySync.intervalMinutes * 60 * 1000)
+    : null;
+if (inventorySyncInterval) {
+    logger.info(`📦 Inventory sync scheduled every ${rithumConfig.inventorySync.intervalMinutes} minute(s)\n`);
+}
+
+// Returns: labels for new Rithum returns, delivered ones received, every RETURNS_SYNC_INTERVAL_MINUTES
+let isProcessingReturns = false;
+const returnsInterval = rithumConfig.returns.scheduled && rithumConfig.returns.intervalMinutes > 0
+    ? setInterval(async () => {
+        if (isProcessingReturns) {
+            return;
+        }
+
+        isProcessingReturns = true;
+        logger.info(`\n↩️  [${new Date().toISOString()}] Processing returns...`);
+        try {
+            await processReturns();
+        } catch (error) {
+            logger.error(`❌ [${new Date().toISOString()}] Returns processing failed`, { error });
+        } finally {
+            isProcessingReturns = false;
+        }
+    }, rithumConfig.returns.intervalMinutes * 60 * 1000)
+    : null;
+if (returnsInterval) {
+    logger.info(`↩️  Returns processing scheduled every ${rithumConfig.returns.intervalMinutes} minute(s)\n`);
+}
+
+// SLA monitor: alerts for orders close to or past their ship-by date, every SLA_MONITOR_INTERVAL_MINUTES
+let isMonitoringSla = false;
+const slaMonitorInterval = rithumConfig.slaMonitor.scheduled && rithumConfig.slaMonitor.intervalMinutes > 0
+    ? setInterval(async () => {
+        if (isMonitoringSla) {
+            return;
+        }
+
+        isMonitoringSla = true;
+        logger.info(`\n⏰ [${new Date().toISOString()}] Checking ship-by dates...`);
+        try {
+            await monitorSla({ notifier });
+        } catch (error) {
+            logger.error(`❌ [${new Date().toISOString()}] SLA check failed`, { error });
+        } finally {
+            isMonitoringSla = false;
+        }
+    }, rithumConfig.slaMonitor.intervalMinutes * 60 * 1000)
+    : null;
+if (slaMonitorInterval) {
+    logger.info(`⏰ SLA monitor scheduled every ${rithumConfig.slaMonitor.intervalMinutes} minute(s)\n`);
+}
+
+// Alert digest: held alerts are sent every NOTIFY_DIGEST_MINUTES
+const digestInterval = notifier.digestEvents.length > 0 && notificationConfig.digest.minutes > 0
+    ? setInterval(() => {
+        notifier.flush().catch(error => {
+            logger.error(`❌ [${new Date().toISOString()}] Alert digest failed`, { error });
+        });
+    }, notificationConfig.digest.minutes * 60 * 1000)
+    : null;
+if (digestInterval) {
+    logger.info(`📣 Alert digest (${notifier.digestEvents.join(', ')}) sent every ${notificationConfig.digest.minutes} minute(s)\n`);
+}
+
+// Prometheus metrics: the worker has no web server, so /metrics gets a listener of its own
+let metricsServer = null;
+try {
+    validateMetricsConfig();
+    if (metricsConfig.enabled && metricsConfig.port > 0) {
+        metricsServer = Metrics.registry.listen(metricsConfig.port);
+        logger.info(`📈 Metrics served at http://localhost:${metricsConfig.port}/metrics\n`);
+    }
+} catch (error) {
+    logger.warn(`⚠️  Metrics listener not started: ${error.message}`);
+}
 
 // Add a heartbeat log every minute to show the process is alive
 const heartbeatInterval = setInterval(() => {
     const now = new Date();
     const nextExec = getNextExecutionTime();
     const timeUntilNext = Math.round((nextExec.getTime() - now.getTime()) / 1000);
-    console.log(`💓 [${now.toISOString()}] Process alive. Next execution in ${timeUntilNext} seconds (at ${nextExec.toISOString()})`);
+    logger.info(`💓 [${now.toISOString()}] Process alive. Next execution in ${timeUntilNext} seconds (at ${nextExec.toISOString()})`);
 }, 60000); // Every minute
 
 // Keep the process alive and cleanup on shutdown
 process.on('SIGINT', () => {
-    console.log('\n\n🛑 Received SIGINT, shutting down gracefully...');
+    logger.info('\n\n🛑 Received SIGINT, shutting down gracefully...');
     clearInterval(scheduledInterval);
     clearInterval(heartbeatInterval);
+    clearInterval(endOfDayInterval);
+    clearInterval(inventorySyncInterval);
+    clearInterval(returnsInterval);
+    clearInterval(slaMonitorInterval);
+    clearInterval(digestInterval);
+    if (metricsServer) {
+        metricsServer.close();
+    }
     process.exit(0);
 });
 
 process.on('SIGTERM', () => {
-    console.log('\n\n🛑 Received SIGTERM, shutting down gracefully...');
+    logger.info('\n\n🛑 Received SIGTERM, shutting down gracefully...');
     clearInterval(scheduledInterval);
     clearInterval(heartbeatInterval);
+    clearInterval(endOfDayInterval);
+    clearInterval(inventorySyncInterval);
+    clearInterval(returnsInterval);
+    clearInterval(slaMonitorInterval);
+    clearInterval(digestInterval);
+    if (metricsServer) {
+        metricsServer.close();
+    }
     process.exit(0);
 });
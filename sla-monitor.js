@@ -0,0 +1,106 @@
+/**
+ * SLA Monitor
+ *
+ * Checks acknowledged Rithum orders against their shipByDate and the state of their ShipStation
+ * shipment. Orders without a label are on track, at risk (due within SLA_AT_RISK_HOURS, default 24)
+ * or late. Orders that newly became at risk or late are alerted once through the channels in
+ * NOTIFY_CHANNELS:
+ *   console  - the process log (default)
+ *   smtp     - email to NOTIFY_EMAIL_TO via NOTIFY_SMTP_HOST:NOTIFY_SMTP_PORT (default localhost:1025,
+ *              a local mail catcher such as MailHog or Mailpit)
+ *   webhook  - JSON POSTed to NOTIFY_WEBHOOK_URL
+ *
+ * Alerts sent are journalled in sla-alerts.jsonl (SLA_ALERTS_FILE). The cron worker runs this every
+ * SLA_MONITOR_INTERVAL_MINUTES when SLA_MONITOR=true.
+ *
+ * Usage:
+ *   node sla-monitor.js             # Classify open orders and send alerts
+ *   node sla-monitor.js --dry-run   # Classify only, send nothing
+ *
+ * Exits with status 1 if any order could not be checked.
+ */
+
+require('dotenv').config();
+const ShipStationClient = require('./src/services/shipstationClient');
+const RithumClient = require('./src/services/rithumClient');
+const Notifier = require('./src/services/notifier');
+const SlaMonitor = require('./src/services/slaMonitor');
+const Logger = require('./src/services/logger');
+const { shipstationConfig, validateConfig: validateShipStationConfig } = require('./src/config/shipstationConfig');
+const { rithumConfig, validateConfig: validateRithumConfig } = require('./src/config/rithumConfig');
+const { notificationConfig, validateConfig: validateNotificationConfig } = require('./src/config/notificationConfig');
+
+const logger = Logger.child({ module: 'slaCheck' });
+
+/**
+ * Check open orders against their ship-by dates and print the report
+ * @param {Object} [options] - dryRun (see SlaMonitor.run)
+ * @param {Notifier} [options.notifier] - Shared notifier that flushes its own digest (default: one built from the config)
+ * @returns {Promise<Object>} Run report
+ */
+async function monitorSla(options = {}) {
+    validateShipStationConfig();
+    validateRithumConfig();
+    if (!options.notifier) {
+        validateNotificationConfig();
+    }
+
+    const shipstationClient = new ShipStationClient(
+        shipstationConfig.apiKey,
+        shipstationConfig.baseUrl,
+        shipstationConfig.warehouseId,
+        shipstationConfig.shipFrom
+    );
+    const rithumClient = new RithumClient(
+        rithumConfig.apiUrl,
+        rithumConfig.clientId,
+        rithumConfig.clientSecret
+    );
+    const notifier = options.notifier || Notifier.fromConfig(notificationConfig);
+    const monitor = new SlaMonitor(shipstationClient, rithumClient, notifier, rithumConfig.slaMonitor);
+
+    logger.info(`\n⏰ Checking ship-by dates${options.dryRun ? ' - DRY RUN' : ''}...\n`);
+    const report = await monitor.run(options);
+    if (!options.notifier) {
+        await notifier.flush();
+    }
+
+    logger.info('\n' + '='.repeat(80));
+    logger.info(`📊 SLA: ${report.checked} open order(s) - ${report.onTrack} on track, ` +
+        `${report.atRisk.length} at risk, ${report.late.length} late`);
+    logger.info('='.repeat(80));
+    [...report.late, ...report.atRisk].forEach(entry => {
+        const late = entry.hoursLeft < 0;
+        logger.info(`   ${late ? '🚨' : '⚠️ '} PO ${entry.poNumber || '-'} (${entry.dscoOrderId}): ship by ${entry.shipByDate} ` +
+            `(${late ? `${Math.abs(entry.hoursLeft)}h late` : `${entry.hoursLeft}h left`}), ${entry.shipmentStatus}` +
+            `${entry.isNew ? ' - new' : ''}`);
+    });
+    if (report.alerted.length > 0) {
+        logger.info(`\n   📣 Alerted: ${report.alerted.length} order(s)`);
+    }
+    report.errors.forEach(error => logger.error(`   ❌ ${error.dscoOrderId}: ${error.error}`));
+    logger.info('');
+
+    return report;
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+
+    try {
+        const report = await monitorSla({ dryRun: args.includes('--dry-run') });
+        if (report.errors.length > 0) {
+            process.exit(1);
+        }
+    } catch (error) {
+        logger.error('\n❌ SLA check failed', { error });
+        process.exit(1);
+    }
+}
+
+// Run the script
+if (require.main === module) {
+    main();
+}
+
+module.exports = { monitorSla };
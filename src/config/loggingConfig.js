@@ -0,0 +1,40 @@
+require('dotenv').config();
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+const FORMATS = ['json', 'text'];
+
+const loggingConfig = {
+    // Lowest level written: debug, info, warn, error
+    level: (process.env.LOG_LEVEL || 'info').toLowerCase(),
+
+    // json: one JSON object per line, for Render and log drains; text: readable lines for local runs
+    // Defaults to json on Render (RENDER is set there) and text elsewhere
+    format: (process.env.LOG_FORMAT || (process.env.RENDER ? 'json' : 'text')).toLowerCase(),
+
+    // Blank out names, street addresses, phone numbers and emails in logged objects
+    redactPii: process.env.LOG_REDACT_PII !== 'false'
+};
+
+// Validation
+const validateConfig = () => {
+    const errors = [];
+
+    if (!LEVELS.includes(loggingConfig.level)) {
+        errors.push(`LOG_LEVEL must be one of ${LEVELS.join(', ')}`);
+    }
+
+    if (!FORMATS.includes(loggingConfig.format)) {
+        errors.push(`LOG_FORMAT must be one of ${FORMATS.join(', ')}`);
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Logging configuration errors: ${errors.join(', ')}`);
+    }
+
+    return true;
+};
+
+module.exports = {
+    loggingConfig,
+    validateConfig
+};
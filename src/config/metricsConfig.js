@@ -0,0 +1,29 @@
+require('dotenv').config();
+
+const metricsConfig = {
+    // Prometheus metrics at GET /metrics (webhook server and cron worker)
+    enabled: process.env.METRICS_ENABLED !== 'false',
+
+    // The cron worker has no web server - it serves /metrics on this port (0 = no listener)
+    port: parseInt(process.env.METRICS_PORT || '9464', 10)
+};
+
+// Validation
+const validateConfig = () => {
+    const errors = [];
+
+    if (!Number.isInteger(metricsConfig.port) || metricsConfig.port < 0 || metricsConfig.port > 65535) {
+        errors.push('METRICS_PORT must be a port number (0 to disable the cron worker listener)');
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Metrics configuration errors: ${errors.join(', ')}`);
+    }
+
+    return true;
+};
+
+module.exports = {
+    metricsConfig,
+    validateConfig
+};
@@ -0,0 +1,86 @@
+require('dotenv').config();
+
+const notificationConfig = {
+    // Channels alerts are sent to: console, smtp, slack, webhook (comma-separated)
+    channels: (process.env.NOTIFY_CHANNELS || 'console')
+        .split(',')
+        .map(channel => channel.trim().toLowerCase())
+        .filter(Boolean),
+
+    // Plain SMTP without authentication - a local mail catcher (MailHog/Mailpit listen on 1025) or internal relay
+    smtp: {
+        host: process.env.NOTIFY_SMTP_HOST || 'localhost',
+        port: parseInt(process.env.NOTIFY_SMTP_PORT || '1025', 10),
+        from: process.env.NOTIFY_EMAIL_FROM || '',
+        to: (process.env.NOTIFY_EMAIL_TO || '').split(',').map(address => address.trim()).filter(Boolean)
+    },
+
+    // Slack-compatible incoming webhook (Slack, Mattermost, Rocket.Chat)
+    slack: {
+        url: process.env.NOTIFY_SLACK_WEBHOOK_URL || ''
+    },
+
+    // Alerts POSTed as JSON
+    webhook: {
+        url: process.env.NOTIFY_WEBHOOK_URL || ''
+    },
+
+    // Event -> channels, e.g. "shipstation_creation_failed=slack+smtp,stream_position_stuck=slack,*=console"
+    // Events without a route (and no "*" route) go to every channel
+    routes: parseRoutes(process.env.NOTIFY_ROUTES || ''),
+
+    // Events held back and sent as one alert per event every digest interval ("*" for all)
+    digest: {
+        events: (process.env.NOTIFY_DIGEST_EVENTS || '').split(',').map(event => event.trim()).filter(Boolean),
+        minutes: parseInt(process.env.NOTIFY_DIGEST_MINUTES || '15', 10)
+    },
+
+    // Intake runs in a row that get stream events back without the stream position moving
+    // before stream_position_stuck is raised (0 = never)
+    streamStuckRuns: parseInt(process.env.NOTIFY_STREAM_STUCK_RUNS || '3', 10)
+};
+
+// Validation
+const validateConfig = () => {
+    const errors = [];
+
+    if (notificationConfig.channels.includes('smtp') && notificationConfig.smtp.to.length === 0) {
+        errors.push('NOTIFY_EMAIL_TO is required when the smtp channel is enabled');
+    }
+
+    if (notificationConfig.channels.includes('webhook') && !notificationConfig.webhook.url) {
+        errors.push('NOTIFY_WEBHOOK_URL is required when the webhook channel is enabled');
+    }
+
+    if (notificationConfig.channels.includes('slack') && !notificationConfig.slack.url) {
+        errors.push('NOTIFY_SLACK_WEBHOOK_URL is required when the slack channel is enabled');
+    }
+
+    Object.entries(notificationConfig.routes).forEach(([event, channels]) => {
+        const unknown = channels.filter(channel => !notificationConfig.channels.includes(channel));
+        if (unknown.length > 0) {
+            errors.push(`NOTIFY_ROUTES sends "${event}" to ${unknown.join(', ')}, which is not in NOTIFY_CHANNELS`);
+        }
+    });
+
+    if (errors.length > 0) {
+        throw new Error(`Notification configuration errors: ${errors.join(', ')}`);
+    }
+
+    return true;
+};
+
+// "event=channel+channel,..." -> { event: [channel, ...] }
+function parseRoutes(value) {
+    const routes = {};
+    value.split(',').map(rule => rule.trim()).filter(Boolean).forEach(rule => {
+        const [event, channels = ''] = rule.split('=').map(part => part.trim());
+        routes[event] = channels.split('+').map(channel => channel.trim().toLowerCase()).filter(Boolean);
+    });
+    return routes;
+}
+
+module.exports = {
+    notificationConfig,
+    validateConfig
+};
@@ -4,6 +4,108 @@ const rithumConfig = {
     apiUrl: process.env.RITHUM_API_URL || 'https://api.dsco.io/api/v3',
     clientId: process.env.RITHUM_CLIENT_ID || '',
     clientSecret: process.env.RITHUM_CLIENT_SECRET || '',
+
+    // Supplier-initiated cancellations (ShipStation -> Rithum)
+    // Cancel codes are account-specific - see Rithum mapping settings > cancel code mapping
+    cancelTag: process.env.RITHUM_CANCEL_TAG || 'cancel-to-rithum',
+    cancelCode: process.env.RITHUM_CANCEL_CODE || 'OOS',
+    cancelReason: process.env.RITHUM_CANCEL_REASON || 'Cancelled by supplier',
+    cancelSyncIntervalMinutes: parseInt(process.env.RITHUM_CANCEL_SYNC_INTERVAL_MINUTES || '10', 10),
+
+    // Follow-up on asynchronous shipment validation via the OrderChangeLog
+    changeLogPollMinutes: parseInt(process.env.RITHUM_CHANGELOG_POLL_MINUTES || '5', 10),
+    // Times a rejected shipment is corrected and resubmitted before it is left for manual review
+    changeLogMaxResubmits: parseInt(process.env.RITHUM_CHANGELOG_MAX_RESUBMITS || '2', 10),
+
+    // Voided labels whose tracking was already reported (ShipStation sends no void webhook)
+    labelVoidSweepMinutes: parseInt(process.env.LABEL_VOID_SWEEP_MINUTES || '30', 10),
+    // Shipments reported longer ago than this are no longer checked
+    labelVoidMaxAgeDays: parseInt(process.env.LABEL_VOID_MAX_AGE_DAYS || '30', 10),
+
+    // Delivery tracking - carrier status of posted tracking numbers (see DeliveryTracker)
+    deliveryTracking: {
+        // Poll /v2/labels/{label_id}/track every pollMinutes (0 = track webhooks only)
+        pollMinutes: parseInt(process.env.DELIVERY_TRACKING_POLL_MINUTES || '60', 10),
+        // Tracking posted longer ago than this is no longer polled
+        maxAgeDays: parseInt(process.env.DELIVERY_TRACKING_MAX_AGE_DAYS || '21', 10),
+        // Send delivered packages to /monitoredshipments/batch/small
+        monitorInRithum: process.env.DELIVERY_MONITOR_RITHUM === 'true'
+    },
+
+    // Invoices - created in Rithum once a shipment has been posted (see InvoiceGenerator)
+    invoices: {
+        enabled: process.env.AUTO_INVOICE === 'true',
+        // Prefixed to the PO number to form our invoice ID
+        invoicePrefix: process.env.INVOICE_PREFIX || 'INV-',
+        // Order-level shipping surcharge and sales tax are billed on the order's first invoice
+        includeShipping: process.env.INVOICE_INCLUDE_SHIPPING !== 'false',
+        includeTax: process.env.INVOICE_INCLUDE_TAX !== 'false'
+    },
+
+    // Inventory sync - ShipStation available quantities pushed to Rithum (see InventorySync)
+    inventorySync: {
+        // Run automatically from the cron worker every intervalMinutes
+        scheduled: process.env.INVENTORY_SYNC === 'true',
+        intervalMinutes: parseInt(process.env.INVENTORY_SYNC_INTERVAL_MINUTES || '60', 10),
+        // ShipStation inventory warehouse ID -> Rithum warehouse code, e.g. "se-123=WH01,se-456=WH02"
+        // Unmapped warehouses are sent under their ShipStation name
+        warehouseCodes: process.env.INVENTORY_WAREHOUSE_CODES || '',
+        // Units per SKU and warehouse held back from what retailers can sell
+        stockBuffer: parseInt(process.env.INVENTORY_STOCK_BUFFER || '0', 10),
+        // Up to this many changed SKUs are sent one by one through /inventory/singleItem
+        singleItemMax: parseInt(process.env.INVENTORY_SINGLE_ITEM_MAX || '5', 10),
+        skipItemsThatDontExist: process.env.INVENTORY_SKIP_UNKNOWN_SKUS !== 'false',
+        stateFile: process.env.INVENTORY_SYNC_FILE || null,
+        // SKU holds for SKUs that run out while acknowledged orders still need them (see SkuHoldManager)
+        skuHolds: {
+            enabled: process.env.SKU_HOLD === 'true',
+            // Account that owns the SKUs - one of the two is required by /inventory/skuHold
+            partnerAccountId: process.env.RITHUM_ACCOUNT_ID || '',
+            tradingPartnerId: process.env.RITHUM_TRADING_PARTNER_ID || '',
+            // Open orders updated this many days back are checked for unfilled lines
+            lookbackDays: parseInt(process.env.SKU_HOLD_LOOKBACK_DAYS || '60', 10),
+            stateFile: process.env.SKU_HOLD_FILE || null
+        }
+    },
+
+    // Returns - return labels for Rithum return authorizations, received on delivery (see ReturnsProcessor)
+    returns: {
+        // Run automatically from the cron worker every intervalMinutes
+        scheduled: process.env.RETURNS_SYNC === 'true',
+        intervalMinutes: parseInt(process.env.RETURNS_SYNC_INTERVAL_MINUTES || '30', 10),
+        // Returns created this many days back are picked up
+        lookbackDays: parseInt(process.env.RETURNS_LOOKBACK_DAYS || '14', 10),
+        labelDir: process.env.RETURN_LABEL_DIR || null,
+        labelLayout: process.env.RETURN_LABEL_LAYOUT || '4x6',
+        // Accept the returned lines in Rithum once the return label is delivered back to us
+        completeOnDelivery: process.env.RETURNS_COMPLETE_ON_DELIVERY !== 'false',
+        stateFile: process.env.RETURNS_FILE || null
+    },
+
+    // SLA monitor - alerts for open orders close to or past their shipByDate (see SlaMonitor)
+    slaMonitor: {
+        // Run automatically from the cron worker every intervalMinutes
+        scheduled: process.env.SLA_MONITOR === 'true',
+        intervalMinutes: parseInt(process.env.SLA_MONITOR_INTERVAL_MINUTES || '30', 10),
+        // Orders due to ship within this many hours are at risk
+        atRiskHours: parseFloat(process.env.SLA_AT_RISK_HOURS || '24'),
+        // Open orders updated this many days back are checked
+        lookbackDays: parseInt(process.env.SLA_LOOKBACK_DAYS || '30', 10),
+        stateFile: process.env.SLA_ALERTS_FILE || null
+    },
+
+    // Automatic acknowledgement of "created" orders by the intake job
+    autoAcknowledge: {
+        enabled: process.env.AUTO_ACKNOWLEDGE === 'true',
+        // Require ShipStation inventory to cover each line before acknowledging
+        checkStock: process.env.AUTO_ACK_CHECK_STOCK !== 'false',
+        // Units per SKU held back from auto-acknowledgement
+        stockBuffer: parseInt(process.env.AUTO_ACK_STOCK_BUFFER || '0', 10),
+        // Accept what is in stock and cancel the rest, instead of leaving the order for manual review
+        allowPartial: process.env.AUTO_ACK_ALLOW_PARTIAL === 'true',
+        partialCancelCode: process.env.AUTO_ACK_CANCEL_CODE || 'OOS',
+        partialCancelReason: process.env.AUTO_ACK_CANCEL_REASON || 'Out of stock'
+    }
 };
 
 // Validation
@@ -18,6 +120,11 @@ const validateConfig = () => {
         errors.push('RITHUM_CLIENT_SECRET is required');
     }
     
+    const skuHolds = rithumConfig.inventorySync.skuHolds;
+    if (skuHolds.enabled && !skuHolds.partnerAccountId && !skuHolds.tradingPartnerId) {
+        errors.push('RITHUM_ACCOUNT_ID or RITHUM_TRADING_PARTNER_ID is required when SKU_HOLD is enabled');
+    }
+    
     if (errors.length > 0) {
         throw new Error(`Rithum configuration errors: ${errors.join(', ')}`);
     }
@@ -32,7 +32,72 @@ const shipstationConfig = {
     baseUrl: baseUrl,
     warehouseId: process.env.SHIPSTATION_WAREHOUSE_ID || null,
     shipFrom: shipFromAddress,
-    syncSchedule: process.env.ORDER_SYNC_SCHEDULE || '*/5 * * * *'
+    syncSchedule: process.env.ORDER_SYNC_SCHEDULE || '*/5 * * * *',
+    // Rate shopping - choose the cheapest compliant /v2/rates quote instead of scoring carriers
+    rateShopping: {
+        enabled: process.env.SHIPSTATION_RATE_SHOPPING === 'true',
+        // Days of slack kept between the estimated delivery date and the Rithum deliver-by date
+        deliveryBufferDays: parseInt(process.env.SHIPSTATION_RATE_SHOPPING_BUFFER_DAYS || '0', 10)
+    },
+    // Delivery promise - upgrade the service when the selected one would arrive after the deliver-by date
+    deliveryPromise: {
+        enabled: process.env.DELIVERY_PROMISE_CHECK === 'true',
+        // Ask Rithum's /deliverypromise for orders without a required or expected delivery date
+        useRithumPromise: process.env.DELIVERY_PROMISE_USE_RITHUM !== 'false',
+        atRiskTag: process.env.DELIVERY_PROMISE_AT_RISK_TAG || 'promise-at-risk'
+    },
+    // Auto-label - buy labels for single-SKU orders under the weight threshold (see AutoLabeler)
+    autoLabel: {
+        enabled: process.env.AUTO_LABEL === 'true',
+        maxWeightOz: parseFloat(process.env.AUTO_LABEL_MAX_WEIGHT_OZ || '16'),
+        skuPattern: process.env.AUTO_LABEL_SKU_PATTERN || null,
+        labelDir: process.env.AUTO_LABEL_DIR || null,
+        labelLayout: process.env.AUTO_LABEL_LAYOUT || '4x6'
+    },
+    // Label batches - waves of unlabelled shipments processed together (see BatchLabeler)
+    batches: {
+        groupBy: process.env.BATCH_GROUP_BY || 'service',
+        maxSize: parseInt(process.env.BATCH_MAX_SIZE || '500', 10),
+        pollIntervalSeconds: parseInt(process.env.BATCH_POLL_INTERVAL_SECONDS || '5', 10),
+        pollTimeoutMinutes: parseInt(process.env.BATCH_POLL_TIMEOUT_MINUTES || '10', 10)
+    },
+    // End-of-day manifests and pickups (see ManifestCreator)
+    manifests: {
+        // Run automatically from the cron worker once the server local time passes runAt (HH:MM); days are local days too
+        scheduled: process.env.MANIFEST_SCHEDULE === 'true',
+        runAt: process.env.MANIFEST_RUN_AT || '17:00',
+        manifestDir: process.env.MANIFEST_DIR || null,
+        pickup: {
+            enabled: process.env.PICKUP_SCHEDULE === 'true',
+            windowStart: process.env.PICKUP_WINDOW_START || '15:00',
+            windowEnd: process.env.PICKUP_WINDOW_END || '18:00',
+            contactName: process.env.PICKUP_CONTACT_NAME || '',
+            contactEmail: process.env.PICKUP_CONTACT_EMAIL || '',
+            contactPhone: process.env.PICKUP_CONTACT_PHONE || '',
+            notes: process.env.PICKUP_NOTES || null
+        }
+    },
+    // Webhook authentication and replay protection (see WebhookVerifier)
+    webhook: {
+        verifySignature: process.env.SHIPSTATION_WEBHOOK_VERIFY !== 'false',
+        jwksUrl: process.env.SHIPSTATION_WEBHOOK_JWKS_URL || `${baseUrl}/jwks`,
+        publicKeyFile: process.env.SHIPSTATION_WEBHOOK_PUBLIC_KEY_FILE || null,
+        pathSecret: process.env.SHIPSTATION_WEBHOOK_SECRET || null,
+        timestampToleranceSeconds: parseInt(process.env.SHIPSTATION_WEBHOOK_TOLERANCE_SECONDS || '300', 10),
+        replayWindowMinutes: parseInt(process.env.SHIPSTATION_WEBHOOK_REPLAY_WINDOW_MINUTES || '1440', 10),
+        // Sent in the X-Admin-Token header to call the admin routes (cancellations, webhook queue, polls, label voids, tracking lookups, summary)
+        // Those routes are disabled (503) while it is not set
+        adminToken: process.env.ADMIN_API_TOKEN || null,
+        // Durable processing queue (see WebhookQueue)
+        queue: {
+            filePath: process.env.WEBHOOK_QUEUE_FILE || null,
+            maxAttempts: parseInt(process.env.WEBHOOK_QUEUE_MAX_ATTEMPTS || '8', 10),
+            retryBaseSeconds: parseInt(process.env.WEBHOOK_QUEUE_RETRY_BASE_SECONDS || '30', 10),
+            retryMaxMinutes: parseInt(process.env.WEBHOOK_QUEUE_RETRY_MAX_MINUTES || '60', 10),
+            // Completed jobs kept in the journal before it is rewritten without them
+            compactAfter: parseInt(process.env.WEBHOOK_QUEUE_COMPACT_AFTER || '500', 10)
+        }
+    }
 };
 
 // Validation
@@ -42,6 +107,11 @@ const validateConfig = () => {
     if (!shipstationConfig.apiKey) {
         errors.push('SHIPSTATION_API_KEY is required');
     }
+
+    const pickup = shipstationConfig.manifests.pickup;
+    if (pickup.enabled && (!pickup.contactName || !pickup.contactEmail || !pickup.contactPhone)) {
+        errors.push('PICKUP_CONTACT_NAME, PICKUP_CONTACT_EMAIL and PICKUP_CONTACT_PHONE are required when PICKUP_SCHEDULE is enabled');
+    }
     
     if (errors.length > 0) {
         throw new Error(`ShipStation configuration errors: ${errors.join(', ')}`);
@@ -0,0 +1,138 @@
+/**
+ * Auto Labeler
+ * Buys labels for orders that match the auto-label rule - a single SKU under the weight threshold -
+ * right after their shipment is created, so nobody has to buy them by hand in ShipStation.
+ * The label is purchased with the shipment's own carrier_id and service_code, and the PDF is kept
+ * locally for printing.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const Logger = require('./logger');
+
+const logger = Logger.child({ module: 'autoLabeler' });
+
+const OUNCES_PER_UNIT = {
+    ounce: 1,
+    ounces: 1,
+    oz: 1,
+    pound: 16,
+    pounds: 16,
+    lb: 16,
+    lbs: 16,
+    gram: 0.035274,
+    grams: 0.035274,
+    g: 0.035274,
+    kilogram: 35.274,
+    kilograms: 35.274,
+    kg: 35.274
+};
+
+class AutoLabeler {
+    /**
+     * @param {ShipStationClient} shipstationClient - ShipStation API client
+     * @param {Object} [options]
+     * @param {number} [options.maxWeightOz] - Heaviest order (in ounces) labelled automatically (default: 16)
+     * @param {string} [options.skuPattern] - Only SKUs matching this regex are labelled (default: any)
+     * @param {string} [options.labelDir] - Directory the label PDFs are written to (default: ./labels)
+     * @param {string} [options.labelLayout] - Label layout: 4x6 or letter (default: 4x6)
+     */
+    constructor(shipstationClient, options = {}) {
+        this.shipstationClient = shipstationClient;
+        this.maxWeightOz = options.maxWeightOz || 16;
+        this.skuPattern = options.skuPattern ? new RegExp(options.skuPattern, 'i') : null;
+        this.labelDir = path.resolve(options.labelDir || path.join(__dirname, '../../labels'));
+        this.labelLayout = options.labelLayout || '4x6';
+    }
+
+    /**
+     * Why an order is not labelled automatically
+     * @param {Object} orderData - Mapped ShipStation order (items, weight, carrierId, serviceCode)
+     * @returns {string|null} Reason, or null if the order qualifies
+     */
+    getIneligibleReason(orderData) {
+        const skus = new Set((orderData.items || []).map(item => item.sku));
+        if (skus.size !== 1) {
+            return `${skus.size} SKUs (single SKU required)`;
+        }
+        const [sku] = skus;
+        if (this.skuPattern && !this.skuPattern.test(sku || '')) {
+            return `SKU ${sku} does not match ${this.skuPattern}`;
+        }
+
+        const weightOz = toOunces(orderData.weight);
+        if (!weightOz) {
+            return 'no weight';
+        }
+        if (weightOz > this.maxWeightOz) {
+            return `weight ${weightOz} oz over ${this.maxWeightOz} oz`;
+        }
+
+        if (!orderData.carrierId || !orderData.serviceCode) {
+            return 'no carrier or service selected';
+        }
+        return null;
+    }
+
+    /**
+     * Purchase the label for a created shipment and save its PDF
+     * A label that was bought but could not be saved is still returned - it can be reprinted from ShipStation.
+     * @param {string} shipmentId - ShipStation shipment ID
+     * @param {string} [orderNumber] - Used to name the PDF file
+     * @returns {Promise<Object>} { labelId, trackingNumber, carrierId, carrierCode, serviceCode, shipmentCost, labelFile }
+     */
+    async purchaseLabel(shipmentId, orderNumber = null) {
+        const label = await this.shipstationClient.createLabelFromShipment(shipmentId, {
+            label_format: 'pdf',
+            label_layout: this.labelLayout
+        });
+
+        const result = {
+            labelId: label.label_id,
+            trackingNumber: label.tracking_number || null,
+            carrierId: label.carrier_id || null,
+            carrierCode: label.carrier_code || null,
+            serviceCode: label.service_code || null,
+            shipmentCost: label.shipment_cost?.amount ?? null,
+            labelFile: null
+        };
+        logger.info(`   🏷️  Label ${result.labelId} purchased: ${result.carrierCode} ${result.serviceCode} ` +
+            `${result.trackingNumber || '(no tracking yet)'}`);
+
+        const downloadUrl = label.label_download?.pdf || label.label_download?.href;
+        if (!downloadUrl) {
+            logger.warn(`   ⚠️  Label ${result.labelId} has no PDF download link`);
+            return result;
+        }
+
+        try {
+            const pdf = await this.shipstationClient.downloadFile(downloadUrl);
+            const fileName = `${String(orderNumber || shipmentId).replace(/[^\w.-]+/g, '_')}_${result.labelId}.pdf`;
+            await fs.mkdir(this.labelDir, { recursive: true });
+            result.labelFile = path.join(this.labelDir, fileName);
+            await fs.writeFile(result.labelFile, pdf);
+            logger.info(`   💾 Label saved to ${result.labelFile}`);
+        } catch (error) {
+            result.labelFile = null;
+            logger.warn(`   ⚠️  Could not save label ${result.labelId}: ${error.message}`);
+        }
+
+        return result;
+    }
+}
+
+/**
+ * Weight in ounces from a ShipStation weight object
+ * @param {Object} weight - { value, unit }
+ * @returns {number|null}
+ */
+function toOunces(weight) {
+    const value = parseFloat(weight?.value);
+    const factor = OUNCES_PER_UNIT[String(weight?.unit || 'ounce').toLowerCase()];
+    if (!value || value <= 0 || !factor) {
+        return null;
+    }
+    return Math.round(value * factor * 100) / 100;
+}
+
+module.exports = AutoLabeler;
@@ -0,0 +1,223 @@
+/**
+ * Batch Labeler
+ * Prints labels in waves: the Rithum shipments created in ShipStation on a given day that still
+ * have no label are grouped (by carrier/service or by ship-by date) into ShipStation batches,
+ * and each batch is processed so all its labels are bought in one go.
+ *
+ * Batch processing is asynchronous, so each batch is polled until it finishes and its per-shipment
+ * errors are collected for the run report. Tracking for the labels that were bought reaches Rithum
+ * through the label_created_v2 webhook, which already handles batches.
+ */
+
+const OrderLedger = require('./orderLedger');
+const Logger = require('./logger');
+
+const logger = Logger.child({ module: 'batchLabeler' });
+
+const LEDGER_EVENTS = OrderLedger.EVENTS;
+
+const GROUP_BY = Object.freeze({
+    SERVICE: 'service',
+    SHIP_BY: 'ship-by'
+});
+
+// Batch statuses that mean ShipStation is still buying labels
+const IN_PROGRESS_STATUSES = ['open', 'queued', 'processing', 'notifying'];
+
+class BatchLabeler {
+    /**
+     * @param {ShipStationClient} shipstationClient - ShipStation API client
+     * @param {Object} [options]
+     * @param {OrderLedger} [options.ledger] - Order ledger listing the shipments we created (default: shared ledger file)
+     * @param {number} [options.maxSize] - Most shipments per batch (default: 500)
+     * @param {number} [options.pollIntervalSeconds] - Seconds between batch status checks (default: 5)
+     * @param {number} [options.pollTimeoutMinutes] - Stop waiting for a batch after this long (default: 10)
+     */
+    constructor(shipstationClient, options = {}) {
+        this.shipstationClient = shipstationClient;
+        this.ledger = options.ledger || new OrderLedger();
+        this.maxSize = options.maxSize || 500;
+        this.pollIntervalMs = (options.pollIntervalSeconds || 5) * 1000;
+        this.pollTimeoutMs = (options.pollTimeoutMinutes || 10) * 60 * 1000;
+    }
+
+    /**
+     * Rithum shipments created in ShipStation on a day that are still waiting for a label
+     * @param {string} day - YYYY-MM-DD (UTC)
+     * @returns {Promise<Array>} [{ shipment, refs }] - refs are the ledger identifiers of the order
+     */
+    async findUnlabelledShipments(day) {
+        const orders = await this.ledger.listOrders();
+        const candidates = [];
+
+        orders.forEach(order => {
+            const labelled = new Set(order.history
+                .filter(entry => entry.event === LEDGER_EVENTS.LABEL_PURCHASED)
+                .map(entry => entry.shipmentId));
+            order.history
+                .filter(entry => entry.event === LEDGER_EVENTS.SHIPSTATION_CREATED &&
+                    entry.shipmentId &&
+                    entry.timestamp.startsWith(day) &&
+                    !labelled.has(entry.shipmentId))
+                .forEach(entry => candidates.push({
+                    shipmentId: entry.shipmentId,
+                    refs: { dscoOrderId: order.dscoOrderId, poNumber: order.poNumber, shipmentId: entry.shipmentId }
+                }));
+        });
+
+        // The ledger only knows what we created - ShipStation knows whether a label was bought since
+        const unlabelled = [];
+        for (const candidate of candidates) {
+            try {
+                const shipment = await this.shipstationClient.getShipmentById(candidate.shipmentId);
+                if (shipment.shipment_status === 'pending') {
+                    unlabelled.push({ shipment, refs: candidate.refs });
+                }
+            } catch (error) {
+                logger.warn(`⚠️  Could not check shipment ${candidate.shipmentId}: ${error.message}`);
+            }
+        }
+        return unlabelled;
+    }
+
+    /**
+     * Split shipments into batches
+     * @param {Array} shipments - From findUnlabelledShipments()
+     * @param {string} groupBy - 'service' (carrier + service code) or 'ship-by' (ship date)
+     * @returns {Array} [{ key, shipments }], each no larger than maxSize
+     */
+    groupShipments(shipments, groupBy = GROUP_BY.SERVICE) {
+        const groups = new Map();
+        shipments.forEach(item => {
+            const key = groupBy === GROUP_BY.SHIP_BY
+                ? `ship-by ${String(item.shipment.ship_date || '').slice(0, 10) || 'unscheduled'}`
+                : `${item.shipment.carrier_id || 'no-carrier'} ${item.shipment.service_code || 'no-service'}`;
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            groups.get(key).push(item);
+        });
+
+        const batches = [];
+        [...groups.keys()].sort().forEach(key => {
+            const members = groups.get(key);
+            for (let start = 0; start < members.length; start += this.maxSize) {
+                batches.push({ key, shipments: members.slice(start, start + this.maxSize) });
+            }
+        });
+        return batches;
+    }
+
+    /**
+     * Create, process and wait for one batch
+     * @param {Object} group - { key, shipments } from groupShipments()
+     * @param {Object} [options]
+     * @param {string} [options.labelLayout] - 4x6 or letter (default: 4x6)
+     * @returns {Promise<Object>} { key, batchId, batchNumber, status, count, labelDownload, errors: [{ shipmentId, refs, error }] }
+     */
+    async processGroup(group, options = {}) {
+        const shipmentIds = group.shipments.map(item => item.shipment.shipment_id);
+        const batch = await this.shipstationClient.createBatch(shipmentIds, {
+            batchNotes: `Rithum wave ${new Date().toISOString().slice(0, 10)} - ${group.key}`
+        });
+        logger.info(`📦 Batch ${batch.batch_number || batch.batch_id} created for ${group.key} (${shipmentIds.length} shipment(s))`);
+
+        await this.shipstationClient.processBatchLabels(batch.batch_id, {
+            label_layout: options.labelLayout || '4x6'
+        });
+        const finished = await this.waitForBatch(batch.batch_id);
+
+        const byShipmentId = new Map(group.shipments.map(item => [item.shipment.shipment_id, item]));
+        const batchErrors = await this.shipstationClient.getBatchErrors(batch.batch_id);
+        const errors = batchErrors.map(batchError => ({
+            shipmentId: batchError.shipment_id || null,
+            externalShipmentId: batchError.external_shipment_id || null,
+            refs: byShipmentId.get(batchError.shipment_id)?.refs || { shipmentId: batchError.shipment_id },
+            error: batchError.error
+        }));
+
+        for (const shipmentError of errors) {
+            await this.ledger.record(LEDGER_EVENTS.LABEL_PURCHASE_FAILED, shipmentError.refs, {
+                batchId: batch.batch_id,
+                batchNumber: batch.batch_number || null
+            }, { message: shipmentError.error });
+        }
+
+        return {
+            key: group.key,
+            batchId: batch.batch_id,
+            batchNumber: batch.batch_number || null,
+            status: finished.status,
+            count: shipmentIds.length,
+            labelDownload: finished.label_download?.pdf || finished.label_download?.href || null,
+            errors
+        };
+    }
+
+    /**
+     * Poll a batch until ShipStation has finished buying its labels
+     * @param {string} batchId - ShipStation batch ID
+     * @returns {Promise<Object>} Final batch (status is left as-is if the wait times out)
+     */
+    async waitForBatch(batchId) {
+        const deadline = Date.now() + this.pollTimeoutMs;
+        let batch = await this.shipstationClient.getBatch(batchId);
+        while (IN_PROGRESS_STATUSES.includes(batch.status) && Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, this.pollIntervalMs));
+            batch = await this.shipstationClient.getBatch(batchId);
+        }
+        if (IN_PROGRESS_STATUSES.includes(batch.status)) {
+            logger.warn(`⚠️  Batch ${batchId} still ${batch.status} after ${this.pollTimeoutMs / 60000} minute(s)`);
+        }
+        return batch;
+    }
+
+    /**
+     * Batch and process every unlabelled Rithum shipment from a day
+     * @param {Object} [options]
+     * @param {string} [options.day] - YYYY-MM-DD (default: today, UTC)
+     * @param {string} [options.groupBy] - 'service' or 'ship-by' (default: service)
+     * @param {string} [options.labelLayout] - 4x6 or letter
+     * @param {boolean} [options.dryRun] - Only report the batches that would be created
+     * @returns {Promise<Object>} { day, groupBy, shipments, batches: [...], failed }
+     */
+    async run(options = {}) {
+        const day = options.day || new Date().toISOString().slice(0, 10);
+        const groupBy = options.groupBy || GROUP_BY.SERVICE;
+        if (!Object.values(GROUP_BY).includes(groupBy)) {
+            throw new Error(`Unknown grouping "${groupBy}" (use ${Object.values(GROUP_BY).join(' or ')})`);
+        }
+
+        const shipments = await this.findUnlabelledShipments(day);
+        const groups = this.groupShipments(shipments, groupBy);
+        const report = { day, groupBy, shipments: shipments.length, batches: [], failed: 0 };
+
+        for (const group of groups) {
+            if (options.dryRun) {
+                report.batches.push({ key: group.key, count: group.shipments.length, dryRun: true, errors: [] });
+                continue;
+            }
+            try {
+                const result = await this.processGroup(group, options);
+                report.failed += result.errors.length;
+                report.batches.push(result);
+            } catch (error) {
+                logger.error(`❌ Batch for ${group.key} failed: ${error.message}`);
+                report.failed += group.shipments.length;
+                report.batches.push({
+                    key: group.key,
+                    count: group.shipments.length,
+                    status: 'failed',
+                    error: error.message,
+                    errors: []
+                });
+            }
+        }
+
+        return report;
+    }
+}
+
+BatchLabeler.GROUP_BY = GROUP_BY;
+
+module.exports = BatchLabeler;
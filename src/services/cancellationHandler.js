@@ -0,0 +1,332 @@
+/**
+ * Cancellation Handler
+ * Propagates retailer cancellations from the Rithum order stream to ShipStation.
+ * A fully cancelled order has its labels voided and its shipment cancelled; a partially
+ * cancelled order has the cancelled line items removed from the shipment.
+ */
+
+const OrderLedger = require('./orderLedger');
+const Logger = require('./logger');
+
+const logger = Logger.child({ module: 'cancellationHandler' });
+
+const LEDGER_EVENTS = OrderLedger.EVENTS;
+
+// Shipment statuses that can no longer be changed in ShipStation
+const FINAL_SHIPMENT_STATUSES = ['cancelled'];
+
+class CancellationHandler {
+    /**
+     * @param {ShipStationClient} shipstationClient - ShipStation API client
+     * @param {OrderLedger} [ledger] - Order ledger used to find shipments and record outcomes
+     */
+    constructor(shipstationClient, ledger = null) {
+        this.shipstationClient = shipstationClient;
+        this.ledger = ledger || new OrderLedger();
+    }
+
+    /**
+     * Determine whether (and how much of) a Rithum order has been cancelled
+     * @param {Object} order - Rithum order (stream event payload)
+     * @returns {Object|null} { fullOrder, items: [{ dscoItemId, sku, cancelledQuantity, reason }] } or null
+     */
+    detectCancellation(order) {
+        if (!order) {
+            return null;
+        }
+
+        const lineItems = Array.isArray(order.lineItems) ? order.lineItems : [];
+        const cancelledItems = lineItems
+            .map(item => {
+                const quantity = Number(item.quantity) || 0;
+                let cancelledQuantity = Number(item.cancelledQuantity) || 0;
+
+                // A cancelled or cancel-requested line without a quantity is cancelled in full
+                if (!cancelledQuantity && (item.status === 'cancelled' || item.cancelRequested === true)) {
+                    cancelledQuantity = quantity;
+                }
+                if (cancelledQuantity <= 0) {
+                    return null;
+                }
+
+                return {
+                    dscoItemId: item.dscoItemId ? String(item.dscoItemId) : null,
+                    sku: item.sku || item.partnerSku || null,
+                    quantity,
+                    cancelledQuantity: Math.min(cancelledQuantity, quantity || cancelledQuantity),
+                    reason: item.cancelledReason || item.cancelCode || item.cancelRequestedCode || null
+                };
+            })
+            .filter(Boolean);
+
+        const orderCancelled = order.dscoLifecycle === 'cancelled' || order.dscoStatus === 'cancelled';
+        const allItemsCancelled = lineItems.length > 0 &&
+            cancelledItems.length === lineItems.length &&
+            cancelledItems.every(item => item.cancelledQuantity >= item.quantity);
+
+        if (!orderCancelled && cancelledItems.length === 0) {
+            return null;
+        }
+
+        return {
+            fullOrder: orderCancelled || allItemsCancelled,
+            items: cancelledItems
+        };
+    }
+
+    /**
+     * Find cancelled orders in a batch of stream events
+     * Only the latest event per order is considered, so an order cancelled and
+     * re-processed within the same batch is evaluated on its final state.
+     * @param {Array} events - Formatted stream events ({ eventReason, objectId, payload })
+     * @returns {Array} [{ order, cancellation }]
+     */
+    extractCancellations(events = []) {
+        const latestByOrder = new Map();
+        events.forEach(event => {
+            const orderId = event.payload?.dscoOrderId || event.objectId;
+            if (orderId && event.payload) {
+                latestByOrder.set(String(orderId), event.payload);
+            }
+        });
+
+        const cancellations = [];
+        latestByOrder.forEach(order => {
+            const cancellation = this.detectCancellation(order);
+            if (cancellation) {
+                cancellations.push({ order, cancellation });
+            }
+        });
+        return cancellations;
+    }
+
+    /**
+     * Apply every cancellation found in a batch of stream events
+     * @param {Array} events - Formatted stream events from RithumClient.checkForNewOrders()
+     * @returns {Promise<Object>} Summary: { detected, cancelled, itemsRemoved, skipped, failed, results }
+     */
+    async processEvents(events = []) {
+        const cancellations = this.extractCancellations(events);
+        const summary = {
+            detected: cancellations.length,
+            cancelled: 0,
+            itemsRemoved: 0,
+            skipped: 0,
+            failed: 0,
+            results: []
+        };
+
+        if (cancellations.length === 0) {
+            return summary;
+        }
+
+        logger.info(`\n🛑 Found ${cancellations.length} cancelled order(s) in stream events`);
+
+        for (const { order, cancellation } of cancellations) {
+            let result;
+            try {
+                result = await this.handleCancellation(order, cancellation);
+            } catch (error) {
+                result = {
+                    dscoOrderId: order.dscoOrderId,
+                    poNumber: order.poNumber,
+                    status: 'failed',
+                    error: error.message
+                };
+            }
+
+            summary.results.push(result);
+            if (result.status === 'cancelled') summary.cancelled++;
+            else if (result.status === 'items_removed') summary.itemsRemoved++;
+            else if (result.status === 'failed') summary.failed++;
+            else summary.skipped++;
+        }
+
+        return summary;
+    }
+
+    /**
+     * Cancel (or trim) the ShipStation shipment for one cancelled Rithum order
+     * @param {Object} order - Rithum order payload
+     * @param {Object} cancellation - Result of detectCancellation()
+     * @returns {Promise<Object>} { dscoOrderId, poNumber, shipmentId, status, reason? }
+     */
+    async handleCancellation(order, cancellation) {
+        const refs = { dscoOrderId: order.dscoOrderId, poNumber: order.poNumber };
+        const scope = cancellation.fullOrder ? 'order' : `${cancellation.items.length} line item(s)`;
+
+        logger.info(`\n🛑 Cancellation for order ${order.dscoOrderId} (PO: ${order.poNumber || 'N/A'}) - ${scope}`);
+
+        const { shipment, known } = await this.findShipment(order);
+
+        if (!shipment) {
+            logger.info(`   ⏭️  No ShipStation shipment found - nothing to cancel`);
+            const result = { ...refs, status: 'skipped', reason: 'No ShipStation shipment' };
+            // Orders we never touched are not worth a ledger record
+            if (known) {
+                await this.ledger.record(LEDGER_EVENTS.CANCELLATION_SKIPPED, refs, { reason: result.reason });
+            }
+            return result;
+        }
+
+        refs.shipmentId = shipment.shipment_id;
+
+        if (FINAL_SHIPMENT_STATUSES.includes(shipment.shipment_status)) {
+            logger.info(`   ⏭️  Shipment ${shipment.shipment_id} is already ${shipment.shipment_status}`);
+            return { ...refs, status: 'skipped', reason: `Shipment already ${shipment.shipment_status}` };
+        }
+
+        const { items: remainingItems, changed } = cancellation.fullOrder
+            ? { items: [], changed: true }
+            : this.removeCancelledItems(shipment.items || [], cancellation.items);
+
+        // Stream payloads keep reporting a cancelled line, so a trim already applied is not repeated
+        if (!changed) {
+            logger.info(`   ⏭️  Cancelled items already removed from shipment ${shipment.shipment_id}`);
+            return { ...refs, status: 'skipped', reason: 'Cancellation already applied' };
+        }
+
+        try {
+            // Any purchased label no longer matches what should ship, so it is voided either way
+            const labelsVoided = await this.voidLabels(shipment, refs);
+            if (labelsVoided === false) {
+                const reason = 'Label could not be voided - shipment may already be in transit';
+                logger.error(`   ❌ ${reason}`);
+                await this.ledger.record(LEDGER_EVENTS.CANCELLATION_FAILED, refs, { scope }, reason);
+                return { ...refs, status: 'failed', reason };
+            }
+
+            if (remainingItems.length === 0) {
+                await this.shipstationClient.cancelShipment(shipment.shipment_id);
+                logger.info(`   ✅ Shipment ${shipment.shipment_id} cancelled in ShipStation`);
+                await this.ledger.record(LEDGER_EVENTS.SHIPSTATION_CANCELLED, refs, {
+                    reason: cancellation.items[0]?.reason || order.dscoStatus || null,
+                    labelsVoided
+                });
+                return { ...refs, status: 'cancelled', labelsVoided };
+            }
+
+            await this.shipstationClient.updateShipment(shipment.shipment_id, {
+                ...shipment,
+                items: remainingItems
+            });
+            logger.info(`   ✅ Removed cancelled items from shipment ${shipment.shipment_id} (${remainingItems.length} item(s) remain)`);
+            await this.ledger.record(LEDGER_EVENTS.SHIPSTATION_ITEMS_REMOVED, refs, {
+                cancelledItems: cancellation.items,
+                remainingItems: remainingItems.map(item => ({ sku: item.sku, quantity: item.quantity })),
+                labelsVoided
+            });
+            return { ...refs, status: 'items_removed', labelsVoided, remainingItemCount: remainingItems.length };
+        } catch (error) {
+            logger.error(`   ❌ Failed to apply cancellation to shipment ${shipment.shipment_id}`, { error });
+            await this.ledger.record(LEDGER_EVENTS.CANCELLATION_FAILED, refs, { scope }, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Locate the ShipStation shipment for a Rithum order
+     * The ledger is checked first; shipments created by the intake job use dscoOrderId as external_shipment_id.
+     * @param {Object} order - Rithum order
+     * @returns {Promise<Object>} { shipment, known } - known is true if the ledger has the order
+     */
+    async findShipment(order) {
+        const ledgerOrder = await this.ledger.getOrder({
+            dscoOrderId: order.dscoOrderId,
+            poNumber: order.poNumber
+        });
+
+        const shipmentIds = ledgerOrder ? [...ledgerOrder.shipmentIds].reverse() : [];
+        for (const shipmentId of shipmentIds) {
+            try {
+                const shipment = await this.shipstationClient.getShipmentById(shipmentId);
+                if (shipment && shipment.shipment_id) {
+                    return { shipment, known: true };
+                }
+            } catch (error) {
+                logger.warn(`   ⚠️  Ledger shipment ${shipmentId} could not be fetched: ${error.message}`);
+            }
+        }
+
+        if (order.dscoOrderId) {
+            try {
+                const shipment = await this.shipstationClient.getShipmentByExternalId(order.dscoOrderId);
+                if (shipment && shipment.shipment_id) {
+                    return { shipment, known: true };
+                }
+            } catch (error) {
+                if (error.response?.status !== 404) {
+                    logger.warn(`   ⚠️  Error searching by external_shipment_id: ${error.message}`);
+                }
+            }
+        }
+
+        return { shipment: null, known: !!ledgerOrder };
+    }
+
+    /**
+     * Void every active label on a shipment
+     * @param {Object} shipment - ShipStation shipment
+     * @param {Object} refs - Ledger identifiers for the order
+     * @returns {Promise<number|false>} Number of labels voided, or false if a void was refused
+     */
+    async voidLabels(shipment, refs) {
+        if (shipment.shipment_status !== 'label_purchased') {
+            return 0;
+        }
+
+        const labels = await this.shipstationClient.getLabelsByShipmentId(shipment.shipment_id);
+        const activeLabels = labels.filter(label => label.status !== 'voided' && !label.voided);
+
+        let voided = 0;
+        for (const label of activeLabels) {
+            const result = await this.shipstationClient.voidLabel(label.label_id);
+            if (!result.approved) {
+                return false;
+            }
+            voided++;
+            await this.ledger.record(LEDGER_EVENTS.LABEL_VOIDED, refs, {
+                labelId: label.label_id,
+                trackingNumber: label.tracking_number || null,
+                message: result.message || null
+            });
+        }
+        return voided;
+    }
+
+    /**
+     * Reduce ShipStation shipment items to the quantities Rithum still expects to ship
+     * Items are matched on external_order_item_id (dscoItemId), falling back to SKU.
+     * Quantities are capped rather than decremented, so applying the same cancellation twice is a no-op.
+     * @param {Array} shipmentItems - ShipStation shipment items
+     * @param {Array} cancelledItems - Cancelled items from detectCancellation()
+     * @returns {Object} { items: items that should still ship, changed: whether any quantity changed }
+     */
+    removeCancelledItems(shipmentItems, cancelledItems) {
+        const remaining = shipmentItems.map(item => ({ ...item }));
+        let changed = false;
+
+        cancelledItems.forEach(cancelled => {
+            const match = remaining.find(item =>
+                (cancelled.dscoItemId && String(item.external_order_item_id) === cancelled.dscoItemId) ||
+                (cancelled.sku && item.sku === cancelled.sku)
+            );
+            if (!match) {
+                logger.warn(`   ⚠️  Cancelled item ${cancelled.dscoItemId || cancelled.sku} not found on shipment`);
+                return;
+            }
+            const expectedQuantity = Math.max(0, cancelled.quantity - cancelled.cancelledQuantity);
+            if ((Number(match.quantity) || 0) > expectedQuantity) {
+                match.quantity = expectedQuantity;
+                changed = true;
+            }
+        });
+
+        return {
+            items: remaining.filter(item => item.quantity > 0),
+            changed
+        };
+    }
+}
+
+module.exports = CancellationHandler;
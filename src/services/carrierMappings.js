@@ -0,0 +1,412 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Carrier Mappings
+ * Loads carrier-mappings.json, the single table that drives carrier and service translation in both directions:
+ *   - Rithum order (carrier, service level, ship method) -> ShipStation carrier IDs and service code
+ *   - ShipStation label (carrier, service) -> Rithum shippingServiceLevelCode and carrierManifestId
+ *
+ * The file is validated when it is loaded, so a bad edit fails at startup rather than mid-shipment.
+ * Use lint-carrier-mappings.js to also check it against the carriers connected in ShipStation.
+ */
+
+const SUPPORTED_VERSIONS = [1];
+const DEFAULT_FILE = path.join(__dirname, '../../carrier-mappings.json');
+
+// Loaded files, shared by every service in the process
+const loaded = new Map();  // resolved path -> CarrierMappings
+
+class CarrierMappings {
+    /**
+     * @param {Object} data - Parsed mapping file
+     * @param {string} [filePath] - Where the data came from (for error messages)
+     */
+    constructor(data, filePath = null) {
+        const errors = CarrierMappings.validate(data);
+        if (errors.length > 0) {
+            throw new Error(`Invalid carrier mappings${filePath ? ` in ${filePath}` : ''}: ${errors.join('; ')}`);
+        }
+
+        this.filePath = filePath;
+        this.version = data.version;
+        this.defaultCarrier = data.defaultCarrier;
+        this.fallbackCarrierId = data.fallbackCarrierId;
+        this.carriers = data.carriers;
+        this.serviceLevelCarriers = data.rithumServiceLevelCarriers || {};
+        this.shipMethodCarriers = data.shipMethodCarriers || [];
+        this.rithumShipmentCodes = data.rithumShipmentCodes;
+        this.defaultRithumShipmentCode = data.defaultRithumShipmentCode;
+        this.defaultShipMethodName = data.defaultShipMethodName;
+    }
+
+    /**
+     * Load (once per process) and validate a mapping file
+     * @param {string} [filePath] - Mapping file (default: CARRIER_MAPPINGS_FILE or ./carrier-mappings.json)
+     * @returns {CarrierMappings}
+     */
+    static load(filePath) {
+        const resolvedPath = path.resolve(filePath || process.env.CARRIER_MAPPINGS_FILE || DEFAULT_FILE);
+        if (loaded.has(resolvedPath)) {
+            return loaded.get(resolvedPath);
+        }
+
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Could not read carrier mappings from ${resolvedPath}: ${error.message}`);
+        }
+
+        const mappings = new CarrierMappings(data, resolvedPath);
+        loaded.set(resolvedPath, mappings);
+        return mappings;
+    }
+
+    /**
+     * Check a parsed mapping file against the schema
+     * @param {Object} data - Parsed mapping file
+     * @returns {Array<string>} Problems found (empty if valid)
+     */
+    static validate(data) {
+        const errors = [];
+        if (!isObject(data)) {
+            return ['file must contain a JSON object'];
+        }
+
+        if (!SUPPORTED_VERSIONS.includes(data.version)) {
+            errors.push(`version: must be one of ${SUPPORTED_VERSIONS.join(', ')} (got ${JSON.stringify(data.version)})`);
+        }
+
+        if (!isObject(data.carriers) || Object.keys(data.carriers).length === 0) {
+            errors.push('carriers: must be an object with at least one carrier');
+            return errors;
+        }
+
+        const carrierKeys = Object.keys(data.carriers);
+        const shipmentCodes = isObject(data.rithumShipmentCodes) ? Object.keys(data.rithumShipmentCodes) : [];
+
+        if (shipmentCodes.length === 0) {
+            errors.push('rithumShipmentCodes: must be an object with at least one code');
+        }
+        shipmentCodes.forEach(code => {
+            const name = data.rithumShipmentCodes[code];
+            if (!/^[A-Z0-9]{4}$/.test(code)) {
+                errors.push(`rithumShipmentCodes.${code}: codes are 4 upper-case characters`);
+            }
+            if (name !== null && typeof name !== 'string') {
+                errors.push(`rithumShipmentCodes.${code}: must be a ship method name or null`);
+            }
+        });
+
+        carrierKeys.forEach(key => {
+            const carrier = data.carriers[key];
+            const at = `carriers.${key}`;
+            if (!isObject(carrier)) {
+                errors.push(`${at}: must be an object`);
+                return;
+            }
+            if (!isStringArray(carrier.aliases) || carrier.aliases.length === 0) {
+                errors.push(`${at}.aliases: must be a non-empty array of strings`);
+            }
+            if (!isStringArray(carrier.carrierIds)) {
+                errors.push(`${at}.carrierIds: must be an array of ShipStation carrier IDs`);
+            }
+            if (!carrier.manifestId || typeof carrier.manifestId !== 'string') {
+                errors.push(`${at}.manifestId: must be a non-empty string`);
+            }
+
+            checkRules(carrier.shipstationServices, `${at}.shipstationServices`, errors, (rule, ruleAt) => {
+                if (!rule.serviceCode || typeof rule.serviceCode !== 'string') {
+                    errors.push(`${ruleAt}.serviceCode: must be a non-empty string`);
+                }
+                if (rule.flatRate !== undefined && typeof rule.flatRate !== 'boolean') {
+                    errors.push(`${ruleAt}.flatRate: must be true or false`);
+                }
+                checkPattern(rule.serviceLevel, `${ruleAt}.serviceLevel`, errors);
+                checkPattern(rule.method, `${ruleAt}.method`, errors);
+            });
+
+            checkRules(carrier.rithumServiceLevels, `${at}.rithumServiceLevels`, errors, (rule, ruleAt) => {
+                if (!shipmentCodes.includes(rule.code)) {
+                    errors.push(`${ruleAt}.code: "${rule.code}" is not listed in rithumShipmentCodes`);
+                }
+                checkPattern(rule.service, `${ruleAt}.service`, errors);
+            });
+        });
+
+        if (!carrierKeys.includes(data.defaultCarrier)) {
+            errors.push(`defaultCarrier: must be one of ${carrierKeys.join(', ')}`);
+        }
+        if (!data.fallbackCarrierId || typeof data.fallbackCarrierId !== 'string') {
+            errors.push('fallbackCarrierId: must be a ShipStation carrier ID');
+        }
+        if (!shipmentCodes.includes(data.defaultRithumShipmentCode)) {
+            errors.push('defaultRithumShipmentCode: must be listed in rithumShipmentCodes');
+        }
+        if (!data.defaultShipMethodName || typeof data.defaultShipMethodName !== 'string') {
+            errors.push('defaultShipMethodName: must be a non-empty string');
+        }
+
+        if (data.rithumServiceLevelCarriers !== undefined) {
+            if (!isObject(data.rithumServiceLevelCarriers)) {
+                errors.push('rithumServiceLevelCarriers: must be an object');
+            } else {
+                Object.entries(data.rithumServiceLevelCarriers).forEach(([serviceLevel, key]) => {
+                    if (!carrierKeys.includes(key)) {
+                        errors.push(`rithumServiceLevelCarriers.${serviceLevel}: unknown carrier "${key}"`);
+                    }
+                });
+            }
+        }
+
+        if (data.shipMethodCarriers !== undefined) {
+            checkRules(data.shipMethodCarriers, 'shipMethodCarriers', errors, (rule, ruleAt) => {
+                if (!rule.method) {
+                    errors.push(`${ruleAt}.method: is required`);
+                }
+                checkPattern(rule.method, `${ruleAt}.method`, errors);
+                if (!isStringArray(rule.carriers) || rule.carriers.some(key => !carrierKeys.includes(key))) {
+                    errors.push(`${ruleAt}.carriers: must list carriers defined in "carriers"`);
+                }
+                if (!['first', 'last'].includes(rule.position)) {
+                    errors.push(`${ruleAt}.position: must be "first" or "last"`);
+                }
+            });
+        }
+
+        return errors;
+    }
+
+    /**
+     * Find the carrier entry a carrier name or code belongs to
+     * @param {string} name - Carrier name or code from either system (e.g. "Generic", "stamps_com", "FedEx")
+     * @returns {string|null} Carrier key, or null if no alias matches
+     */
+    resolveCarrier(name) {
+        const normalized = String(name || '').toLowerCase().trim();
+        if (!normalized) {
+            return null;
+        }
+
+        return Object.keys(this.carriers).find(key =>
+            key === normalized ||
+            this.carriers[key].aliases.some(alias => normalized.includes(alias.toLowerCase()))
+        ) || null;
+    }
+
+    /**
+     * ShipStation carrier IDs for a carrier, in preference order
+     * @param {string} carrierKey - Carrier key
+     * @returns {Array<string>} Carrier IDs
+     */
+    getCarrierIds(carrierKey) {
+        return this.carriers[carrierKey]?.carrierIds || [];
+    }
+
+    /**
+     * ShipStation carrier IDs for a service level code requested on a Rithum order
+     * @param {string} serviceLevel - e.g. "GCG", "UPS_GROUND"
+     * @returns {Array<string>} Carrier IDs (empty if the code is not mapped)
+     */
+    getServiceLevelCarrierIds(serviceLevel) {
+        const carrierKey = this.serviceLevelCarriers[String(serviceLevel || '').toUpperCase()];
+        return carrierKey ? this.getCarrierIds(carrierKey) : [];
+    }
+
+    /**
+     * Carriers a ship method pulls into the preference list (e.g. express -> FedEx, UPS first)
+     * @param {string} shipMethod - Ship method requested on the Rithum order
+     * @returns {Object|null} { carrierGroups: carrier IDs per listed carrier, position } from the first matching rule
+     */
+    getShipMethodCarriers(shipMethod) {
+        if (!shipMethod) {
+            return null;
+        }
+        const rule = this.shipMethodCarriers.find(candidate => matches(candidate.method, shipMethod));
+        if (!rule) {
+            return null;
+        }
+        return {
+            carrierGroups: rule.carriers.map(key => this.getCarrierIds(key)),
+            position: rule.position
+        };
+    }
+
+    /**
+     * ShipStation service code for a Rithum order
+     * @param {Object} request
+     * @param {string} [request.carrier] - Requested carrier (empty means defaultCarrier)
+     * @param {string} [request.serviceLevel] - Requested service level code
+     * @param {string} [request.method] - Requested ship method
+     * @param {boolean} [request.flatRate] - Whether a flat rate package was chosen
+     * @returns {string|null} Service code, or null to let ShipStation choose
+     */
+    getShipStationServiceCode({ carrier, serviceLevel, method, flatRate } = {}) {
+        const carrierKey = carrier ? this.resolveCarrier(carrier) : this.defaultCarrier;
+        if (!carrierKey) {
+            return null;
+        }
+
+        const rule = this.carriers[carrierKey].shipstationServices.find(candidate => {
+            if (candidate.flatRate !== undefined && candidate.flatRate !== !!flatRate) {
+                return false;
+            }
+            if (!candidate.serviceLevel && !candidate.method) {
+                return true;
+            }
+            return matches(candidate.serviceLevel, serviceLevel) || matches(candidate.method, method);
+        });
+        return rule ? rule.serviceCode : null;
+    }
+
+    /**
+     * Rithum shippingServiceLevelCode for a ShipStation carrier and service
+     * @param {string} carrierCode - ShipStation carrier code or name
+     * @param {string} serviceCode - ShipStation service code (or an existing Rithum code)
+     * @returns {string} Rithum shipment code (defaultRithumShipmentCode if nothing matches)
+     */
+    getRithumShipmentCode(carrierCode, serviceCode) {
+        const upperService = String(serviceCode || '').toUpperCase().trim();
+        if (this.isRithumShipmentCode(upperService)) {
+            return upperService;
+        }
+
+        const service = String(serviceCode || '').toLowerCase().trim();
+        const carrierKey = this.resolveCarrier(carrierCode) || this.resolveCarrier(service);
+        const rule = (this.carriers[carrierKey]?.rithumServiceLevels || [])
+            .find(candidate => !candidate.service || matches(candidate.service, service));
+
+        return rule ? rule.code : this.defaultRithumShipmentCode;
+    }
+
+    /**
+     * Whether Rithum accepts a code as a shipment shippingServiceLevelCode
+     * @param {string} code - Candidate code
+     * @returns {boolean}
+     */
+    isRithumShipmentCode(code) {
+        return Object.prototype.hasOwnProperty.call(this.rithumShipmentCodes, code);
+    }
+
+    /**
+     * Ship method name sent alongside a Rithum shipment code
+     * @param {string} code - Rithum shipment code
+     * @returns {string} Method name
+     */
+    getShipMethodName(code) {
+        return this.rithumShipmentCodes[code] || this.defaultShipMethodName;
+    }
+
+    /**
+     * Rithum carrierManifestId for a ShipStation carrier
+     * @param {string} carrier - ShipStation carrier code or name
+     * @returns {string} Manifest ID (the upper-cased carrier if it is not mapped)
+     */
+    getCarrierManifestId(carrier) {
+        const carrierKey = carrier ? this.resolveCarrier(carrier) : this.defaultCarrier;
+        if (carrierKey) {
+            return this.carriers[carrierKey].manifestId;
+        }
+        return String(carrier).toUpperCase();
+    }
+
+    /**
+     * Check the mappings against the carriers connected in ShipStation
+     * @param {Array} shipstationCarriers - Output of ShipStationClient.getCarriers()
+     * @returns {Object} { errors, warnings }
+     */
+    lint(shipstationCarriers) {
+        const errors = [];
+        const warnings = [];
+        const byId = new Map((shipstationCarriers || []).map(carrier => [carrier.carrier_id, carrier]));
+        const mappedIds = new Set();
+
+        Object.entries(this.carriers).forEach(([key, carrier]) => {
+            const accounts = [];
+            carrier.carrierIds.forEach(carrierId => {
+                mappedIds.add(carrierId);
+                const account = byId.get(carrierId);
+                if (!account) {
+                    errors.push(`carriers.${key}: carrier ID ${carrierId} is not connected in ShipStation`);
+                    return;
+                }
+                if (account.is_active === false || account.disabled_by_billing_plan) {
+                    warnings.push(`carriers.${key}: carrier ID ${carrierId} (${account.carrier_code}) is not active`);
+                }
+                accounts.push(account);
+            });
+
+            if (carrier.shipstationServices.length > 0 && accounts.length === 0) {
+                warnings.push(`carriers.${key}: no connected carrier accounts - service codes not checked`);
+                return;
+            }
+
+            const offered = new Set(accounts.flatMap(account =>
+                (account.services || []).map(service => service.service_code)));
+            new Set(carrier.shipstationServices.map(rule => rule.serviceCode)).forEach(serviceCode => {
+                if (!offered.has(serviceCode)) {
+                    errors.push(`carriers.${key}: service code "${serviceCode}" is not offered by ` +
+                        `${carrier.carrierIds.join(', ')}`);
+                }
+            });
+        });
+
+        if (!byId.has(this.fallbackCarrierId)) {
+            errors.push(`fallbackCarrierId: ${this.fallbackCarrierId} is not connected in ShipStation`);
+        }
+
+        byId.forEach((account, carrierId) => {
+            if (!mappedIds.has(carrierId) && carrierId !== this.fallbackCarrierId) {
+                warnings.push(`ShipStation carrier ${carrierId} (${account.carrier_code}) is not used by any mapping`);
+            }
+        });
+
+        return { errors, warnings };
+    }
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isStringArray(value) {
+    return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+/**
+ * Validate an ordered rule list, calling checkRule for each entry
+ */
+function checkRules(rules, at, errors, checkRule) {
+    if (!Array.isArray(rules)) {
+        errors.push(`${at}: must be an array`);
+        return;
+    }
+    rules.forEach((rule, index) => {
+        if (!isObject(rule)) {
+            errors.push(`${at}[${index}]: must be an object`);
+            return;
+        }
+        checkRule(rule, `${at}[${index}]`);
+    });
+}
+
+function checkPattern(pattern, at, errors) {
+    if (pattern === undefined) {
+        return;
+    }
+    try {
+        new RegExp(pattern, 'i');
+    } catch (error) {
+        errors.push(`${at}: invalid pattern (${error.message})`);
+    }
+}
+
+/**
+ * Case-insensitive pattern test; a missing pattern or value never matches
+ */
+function matches(pattern, value) {
+    return !!pattern && !!value && new RegExp(pattern, 'i').test(value);
+}
+
+module.exports = CarrierMappings;
@@ -5,10 +5,22 @@
  */
 
 const RithumCarrierMapper = require('./rithumCarrierMapper');
+const DeliveryPromise = require('./deliveryPromise');
+const Logger = require('./logger');
+
+const logger = Logger.child({ module: 'carrierSelector' });
+
+const toDay = DeliveryPromise.toDay;
 
 class CarrierSelector {
-    constructor(shipstationClient) {
+    /**
+     * @param {ShipStationClient} shipstationClient - ShipStation API client
+     * @param {Object} [options]
+     * @param {number} [options.deliveryBufferDays] - Rate shopping: days of slack before the deliver-by date (default: 0)
+     */
+    constructor(shipstationClient, options = {}) {
         this.shipstationClient = shipstationClient;
+        this.deliveryBufferDays = options.deliveryBufferDays || 0;
         this.carriersCache = null;
         this.cacheExpiry = null;
         this.CACHE_DURATION_MS = 5 * 60 * 1000; // 5 minutes
@@ -25,17 +37,17 @@ class CarrierSelector {
         }
 
         try {
-            console.log('🔍 Fetching available carriers from ShipStation...');
+            logger.info('🔍 Fetching available carriers from ShipStation...');
             const carriers = await this.shipstationClient.getCarriers();
             
             // Cache the results
             this.carriersCache = carriers;
             this.cacheExpiry = Date.now() + this.CACHE_DURATION_MS;
             
-            console.log(`✅ Found ${carriers ? carriers.length : 0} available carriers`);
+            logger.info(`✅ Found ${carriers ? carriers.length : 0} available carriers`);
             return carriers;
         } catch (error) {
-            console.error('❌ Failed to fetch carriers:', error.message);
+            logger.error('❌ Failed to fetch carriers', { error });
             throw error;
         }
     }
@@ -52,46 +64,46 @@ class CarrierSelector {
             const carriers = await this.getAvailableCarriers();
             
             if (!carriers || carriers.length === 0) {
-                console.warn('⚠️  No carriers available');
+                logger.warn('⚠️  No carriers available');
                 return null;
             }
 
-            console.log(`🔍 Evaluating ${carriers.length} available carriers...`);
+            logger.info(`🔍 Evaluating ${carriers.length} available carriers...`);
 
             // 1. Check Rithum carrier requirements first
             let rithumRequirements = null;
             let preferredCarrierIds = [];
             
             if (rithumOrderData) {
-                console.log('\n📋 Processing Rithum carrier requirements...');
+                logger.info('\n📋 Processing Rithum carrier requirements...');
                 rithumRequirements = this.rithumMapper.extractCarrierRequirements(rithumOrderData);
                 preferredCarrierIds = this.rithumMapper.getPreferredCarrierIds(rithumRequirements);
                 
                 if (preferredCarrierIds.length > 0) {
-                    console.log(`🎯 Rithum prefers carriers: ${preferredCarrierIds.join(', ')}`);
+                    logger.info(`🎯 Rithum prefers carriers: ${preferredCarrierIds.join(', ')}`);
                     
                     // Try preferred carriers first
                     for (const carrierId of preferredCarrierIds) {
                         const validation = this.rithumMapper.validateCarrierChoice(carrierId, rithumRequirements, carriers);
                         if (validation.isValid && validation.satisfiesRequirement) {
-                            console.log(`✅ Selected Rithum-preferred carrier: ${carrierId}`);
-                            console.log(`   Reason: ${validation.reason}`);
-                            console.log(`   Carrier: ${validation.carrierInfo.carrier_code} - ${validation.carrierInfo.name || 'N/A'}`);
+                            logger.info(`✅ Selected Rithum-preferred carrier: ${carrierId}`);
+                            logger.info(`   Reason: ${validation.reason}`);
+                            logger.info(`   Carrier: ${validation.carrierInfo.carrier_code} - ${validation.carrierInfo.name || 'N/A'}`);
                             return carrierId;
                         } else if (!validation.isValid) {
-                            console.log(`❌ Rithum-preferred carrier ${carrierId} is not available: ${validation.reason}`);
+                            logger.info(`❌ Rithum-preferred carrier ${carrierId} is not available: ${validation.reason}`);
                         }
                     }
                     
                     // If we have strict requirements and no preferred carriers work, log warning
                     if (rithumRequirements.isRequired) {
-                        console.log(`⚠️  None of Rithum's required carriers are available. Falling back to intelligent selection.`);
+                        logger.info(`⚠️  None of Rithum's required carriers are available. Falling back to intelligent selection.`);
                     }
                 }
             }
 
             // 2. Fall back to intelligent selection based on order characteristics
-            console.log('\n🧠 Falling back to intelligent carrier selection...');
+            logger.info('\n🧠 Falling back to intelligent carrier selection...');
             
             // Filter active carriers
             const activeCarriers = carriers.filter(carrier => 
@@ -100,7 +112,7 @@ class CarrierSelector {
                 carrier.carrier_code
             );
 
-            console.log(`🔍 Evaluating ${activeCarriers.length} active carriers...`);
+            logger.info(`🔍 Evaluating ${activeCarriers.length} active carriers...`);
 
             // Define carrier preferences based on various factors
             const carrierPreferences = this.getCarrierPreferences(orderData, shipToAddress, rithumRequirements);
@@ -109,30 +121,293 @@ class CarrierSelector {
             const selectedCarrier = this.findBestCarrier(activeCarriers, carrierPreferences);
             
             if (selectedCarrier) {
-                console.log(`🚚 Selected carrier: ${selectedCarrier.carrier_id} (${selectedCarrier.carrier_code} - ${selectedCarrier.name || 'N/A'})`);
+                logger.info(`🚚 Selected carrier: ${selectedCarrier.carrier_id} (${selectedCarrier.carrier_code} - ${selectedCarrier.name || 'N/A'})`);
                 
                 // Validate against Rithum requirements if any
                 if (rithumRequirements) {
                     const validation = this.rithumMapper.validateCarrierChoice(selectedCarrier.carrier_id, rithumRequirements, carriers);
                     if (!validation.satisfiesRequirement && rithumRequirements.isRequired) {
-                        console.log(`⚠️  Selected carrier may not fully satisfy Rithum requirements: ${validation.reason}`);
+                        logger.info(`⚠️  Selected carrier may not fully satisfy Rithum requirements: ${validation.reason}`);
                     } else if (!validation.satisfiesRequirement) {
-                        console.log(`ℹ️  Selected carrier differs from Rithum preference but is acceptable: ${validation.reason}`);
+                        logger.info(`ℹ️  Selected carrier differs from Rithum preference but is acceptable: ${validation.reason}`);
                     }
                 }
                 
                 return selectedCarrier.carrier_id;
             } else {
-                console.warn('⚠️  No suitable carrier found');
+                logger.warn('⚠️  No suitable carrier found');
                 return null;
             }
         } catch (error) {
-            console.error('❌ Error selecting carrier:', error.message);
+            logger.error('❌ Error selecting carrier', { error });
             // Return fallback carrier as last resort
             return this.getFallbackCarrier();
         }
     }
 
+    /**
+     * Rate shopping: quote the shipment across carriers and pick the cheapest compliant rate
+     * A rate is compliant when ShipStation marks it valid, it respects a strict Rithum carrier/service
+     * requirement, and it leaves by the order's ship-by date and arrives by its required delivery date.
+     * @param {Object} orderData - Mapped ShipStation order (shipTo, shipFrom, weight, serviceCode, ...)
+     * @param {Object} [rithumOrderData] - Original Rithum order (carrier requirements and dates)
+     * @param {Object} [options]
+     * @param {string} [options.baselineCarrierId] - Carrier chosen by selectCarrier(), quoted to measure savings
+     * @param {Object} [options.promise] - Delivery promise from DeliveryPromise.resolve(), overrides the order's dates
+     * @returns {Promise<Object|null>} Selected rate with audit details, or null if no compliant rate was quoted
+     */
+    async shopRates(orderData, rithumOrderData = null, options = {}) {
+        const carriers = await this.getAvailableCarriers();
+        const activeIds = (carriers || [])
+            .filter(carrier => carrier.is_active !== false && carrier.carrier_id)
+            .map(carrier => carrier.carrier_id);
+
+        let carrierIds = activeIds;
+        let requiredServiceCode = null;
+        if (rithumOrderData) {
+            const requirements = this.rithumMapper.extractCarrierRequirements(rithumOrderData);
+            if (requirements.isRequired) {
+                const preferredIds = this.rithumMapper.getPreferredCarrierIds(requirements)
+                    .filter(carrierId => activeIds.includes(carrierId));
+                if (preferredIds.length > 0) {
+                    carrierIds = preferredIds;
+                }
+                // A requested service level pins the mapped service; a requested carrier alone allows any of its services
+                if (requirements.serviceCode && orderData.serviceCode) {
+                    requiredServiceCode = orderData.serviceCode;
+                }
+            }
+        }
+
+        if (carrierIds.length === 0) {
+            logger.warn('⚠️  Rate shopping skipped - no active carriers');
+            return null;
+        }
+
+        logger.info(`\n💲 Rate shopping across ${carrierIds.length} carrier account(s)` +
+            `${requiredServiceCode ? ` (service required: ${requiredServiceCode})` : ''}...`);
+        const rateResponse = await this.shipstationClient.getRates(this.buildRateShipment(orderData), {
+            carrier_ids: carrierIds
+        });
+        const rates = rateResponse.rates || [];
+        const deadlines = this.getDeadlines(rithumOrderData, options.promise);
+
+        const rejected = {};
+        const compliantRates = rates.filter(rate => {
+            const reason = this.getRateRejection(rate, requiredServiceCode, deadlines);
+            if (reason) {
+                rejected[reason] = (rejected[reason] || 0) + 1;
+            }
+            return !reason;
+        });
+        compliantRates.sort((a, b) =>
+            getRateAmount(a) - getRateAmount(b) || (a.delivery_days || 99) - (b.delivery_days || 99));
+
+        Object.entries(rejected).forEach(([reason, count]) => {
+            logger.info(`   ⏭️  ${count} rate(s) excluded: ${reason}`);
+        });
+
+        const best = compliantRates[0];
+        if (!best) {
+            logger.warn(`⚠️  No compliant rate among ${rates.length} quote(s)`);
+            return null;
+        }
+
+        // What the scoring selection would have paid, for auditing savings
+        const baseline = rates
+            .filter(rate => rate.carrier_id === options.baselineCarrierId &&
+                (!orderData.serviceCode || rate.service_code === orderData.serviceCode))
+            .sort((a, b) => getRateAmount(a) - getRateAmount(b))[0] || null;
+
+        const amount = getRateAmount(best);
+        const selection = {
+            carrierId: best.carrier_id,
+            carrierCode: best.carrier_code,
+            serviceCode: best.service_code,
+            serviceType: best.service_type,
+            packageType: best.package_type || null,
+            rateId: best.rate_id,
+            rateRequestId: rateResponse.rate_request_id || null,
+            amount,
+            currency: best.shipping_amount?.currency || 'usd',
+            deliveryDays: best.delivery_days || null,
+            estimatedDeliveryDate: best.estimated_delivery_date || null,
+            shipDate: best.ship_date || null,
+            ratesQuoted: rates.length,
+            compliantRates: compliantRates.length,
+            baseline: baseline ? {
+                carrierId: baseline.carrier_id,
+                serviceCode: baseline.service_code,
+                amount: getRateAmount(baseline)
+            } : null,
+            savings: baseline ? Math.round((getRateAmount(baseline) - amount) * 100) / 100 : null,
+            quotedAt: new Date().toISOString()
+        };
+
+        logger.info(`✅ Cheapest compliant rate: ${selection.carrierCode} ${selection.serviceCode} ` +
+            `$${amount.toFixed(2)}${selection.deliveryDays ? ` (${selection.deliveryDays} day(s))` : ''}` +
+            `${selection.savings !== null ? ` - saves $${selection.savings.toFixed(2)} vs ${selection.baseline.serviceCode}` : ''}`);
+        return selection;
+    }
+
+    /**
+     * Check the selected carrier's service against the order's delivery promise
+     * Quotes every service of the selected carrier. If the mapped service would arrive after the
+     * deliver-by date, the cheapest service that arrives in time is returned as an upgrade (e.g. Ground
+     * Advantage to Priority Mail). If no service can make it, the order is flagged as at risk and the
+     * mapped service is kept.
+     * @param {Object} orderData - Mapped ShipStation order (serviceCode is the mapped service)
+     * @param {Object} promise - Delivery promise from DeliveryPromise.resolve()
+     * @param {Object} options
+     * @param {string} options.carrierId - Carrier chosen for the order
+     * @returns {Promise<Object|null>} { status, serviceCode, ... } - status is on_time, upgraded, at_risk or no_estimate;
+     *          null if there is nothing to check
+     */
+    async checkDeliveryPromise(orderData, promise, options = {}) {
+        if (!promise?.deliverBy || !options.carrierId) {
+            return null;
+        }
+
+        // Quote all connected accounts of the selected carrier so an upgrade can use any of them
+        const carriers = await this.getAvailableCarriers();
+        const activeCarriers = (carriers || []).filter(carrier => carrier.is_active !== false && carrier.carrier_id);
+        const selected = activeCarriers.find(carrier => carrier.carrier_id === options.carrierId);
+        const carrierKey = selected ? this.rithumMapper.mappings.resolveCarrier(selected.carrier_code) : null;
+        const groupIds = carrierKey
+            ? this.rithumMapper.mappings.getCarrierIds(carrierKey)
+                .filter(carrierId => activeCarriers.some(carrier => carrier.carrier_id === carrierId))
+            : [];
+        const carrierIds = groupIds.includes(options.carrierId) ? groupIds : [options.carrierId];
+
+        const deadlines = this.getDeadlines(null, promise);
+        logger.info(`\n📅 Checking delivery promise: deliver by ${deadlines.deliverBy} (${promise.source})`);
+
+        const rateResponse = await this.shipstationClient.getRates(this.buildRateShipment(orderData), {
+            carrier_ids: carrierIds
+        });
+        const validRates = (rateResponse.rates || [])
+            .filter(rate => !this.getRateRejection(rate, null, { shipBy: null, deliverBy: null }));
+        validRates.sort((a, b) => getRateAmount(a) - getRateAmount(b));
+
+        const current = validRates.find(rate => rate.service_code === orderData.serviceCode) || null;
+        const onTime = validRates.filter(rate => !this.getRateRejection(rate, null, deadlines));
+        const describe = rate => rate ? {
+            carrierId: rate.carrier_id,
+            serviceCode: rate.service_code,
+            packageType: rate.package_type || null,
+            amount: getRateAmount(rate),
+            estimatedDeliveryDate: getRateDeliveryDay(rate)
+        } : null;
+
+        const result = {
+            deliverBy: deadlines.deliverBy,
+            source: promise.source,
+            carrierId: options.carrierId,
+            serviceCode: orderData.serviceCode || null,
+            original: describe(current),
+            checkedAt: new Date().toISOString()
+        };
+
+        if (current && onTime.includes(current)) {
+            logger.info(`✅ ${current.service_code} arrives ${getRateDeliveryDay(current)} - promise met`);
+            return { ...result, status: 'on_time' };
+        }
+
+        if (onTime.length > 0) {
+            const upgrade = onTime[0];
+            logger.info(`⬆️  Upgrading ${orderData.serviceCode || 'unmapped service'} to ${upgrade.service_code} ` +
+                `(arrives ${getRateDeliveryDay(upgrade)}, $${getRateAmount(upgrade).toFixed(2)})`);
+            return {
+                ...result,
+                status: 'upgraded',
+                carrierId: upgrade.carrier_id,
+                serviceCode: upgrade.service_code,
+                packageType: upgrade.package_type || null,
+                upgrade: describe(upgrade),
+                extraCost: current ? Math.round((getRateAmount(upgrade) - getRateAmount(current)) * 100) / 100 : null
+            };
+        }
+
+        // Nothing arrives in time - keep the mapped service and report the fastest option for review
+        const estimated = validRates.filter(rate => getRateDeliveryDay(rate));
+        if (estimated.length === 0) {
+            logger.warn(`⚠️  No delivery estimates quoted - cannot check the ${deadlines.deliverBy} promise`);
+            return { ...result, status: 'no_estimate' };
+        }
+        const fastest = estimated
+            .sort((a, b) => getRateDeliveryDay(a).localeCompare(getRateDeliveryDay(b)) || getRateAmount(a) - getRateAmount(b))[0];
+        logger.warn(`🚨 No service can deliver by ${deadlines.deliverBy} - fastest is ${fastest.service_code} ` +
+            `arriving ${getRateDeliveryDay(fastest)}`);
+        return { ...result, status: 'at_risk', fastest: describe(fastest) };
+    }
+
+    /**
+     * Build the minimal v2 shipment /v2/rates needs from a mapped order
+     * Package codes are dropped so every carrier can quote its own packaging.
+     */
+    buildRateShipment(orderData) {
+        const fullShipment = this.shipstationClient.convertOrderToShipment(orderData);
+        const shipment = {
+            ship_to: fullShipment.ship_to,
+            ship_date: new Date().toISOString(),
+            packages: (fullShipment.packages || []).map(({ package_code, ...packageData }) => packageData)
+        };
+        if (fullShipment.ship_from) {
+            shipment.ship_from = fullShipment.ship_from;
+        } else if (fullShipment.warehouse_id) {
+            shipment.warehouse_id = fullShipment.warehouse_id;
+        }
+        return shipment;
+    }
+
+    /**
+     * Ship-by and deliver-by dates (YYYY-MM-DD) a rate must meet
+     * A ship-by date already in the past is ignored - the order is late whichever rate is chosen.
+     * @param {Object} [rithumOrderData] - Rithum order
+     * @param {Object} [promise] - Delivery promise from DeliveryPromise.resolve(), used in place of the order's dates
+     */
+    getDeadlines(rithumOrderData, promise = null) {
+        const today = new Date().toISOString().slice(0, 10);
+        const shipBy = promise ? promise.shipBy : toDay(rithumOrderData?.shipByDate);
+        let deliverBy = promise ? promise.deliverBy : toDay(rithumOrderData?.requiredDeliveryDate);
+        if (deliverBy && this.deliveryBufferDays > 0) {
+            deliverBy = addDays(deliverBy, -this.deliveryBufferDays);
+        }
+        return {
+            shipBy: shipBy && shipBy >= today ? shipBy : null,
+            deliverBy
+        };
+    }
+
+    /**
+     * Why a rate cannot be used, or null if it is compliant
+     * @returns {string|null} Rejection reason
+     */
+    getRateRejection(rate, requiredServiceCode, deadlines) {
+        if (rate.validation_status === 'invalid' || (rate.error_messages || []).length > 0) {
+            return 'invalid rate';
+        }
+        if (requiredServiceCode && rate.service_code !== requiredServiceCode) {
+            return `service other than required ${requiredServiceCode}`;
+        }
+
+        const shipDay = toDay(rate.ship_date);
+        if (deadlines.shipBy && shipDay && shipDay > deadlines.shipBy) {
+            return `ships after ship-by date ${deadlines.shipBy}`;
+        }
+
+        if (deadlines.deliverBy) {
+            const deliveryDay = getRateDeliveryDay(rate);
+            if (!deliveryDay) {
+                return 'no delivery estimate for a deliver-by order';
+            }
+            if (deliveryDay > deadlines.deliverBy) {
+                return `arrives after deliver-by date ${deadlines.deliverBy}`;
+            }
+        }
+        return null;
+    }
+
     /**
      * Get carrier preferences based on order characteristics
      */
@@ -159,7 +434,7 @@ class CarrierSelector {
                 preferences.preferredCodes = ['fedex', 'ups', 'usps'];
             }
             
-            console.log(`   📋 Rithum carrier preference: ${rithumCarrier} -> preferredCodes: ${preferences.preferredCodes.join(', ')}`);
+            logger.info(`   📋 Rithum carrier preference: ${rithumCarrier} -> preferredCodes: ${preferences.preferredCodes.join(', ')}`);
         }
 
         // 2. Adjust based on Rithum service requirements
@@ -178,7 +453,7 @@ class CarrierSelector {
                 }
             }
             
-            console.log(`   🎯 Rithum service code: ${serviceCode} -> preferredServices: ${preferences.preferredServices.join(', ')}`);
+            logger.info(`   🎯 Rithum service code: ${serviceCode} -> preferredServices: ${preferences.preferredServices.join(', ')}`);
         }
 
         // 3. Adjust preferences based on destination country
@@ -251,9 +526,9 @@ class CarrierSelector {
         scoredCarriers.sort((a, b) => b.score - a.score);
         
         // Log top 3 candidates for debugging
-        console.log('🏆 Top carrier candidates:');
+        logger.info('🏆 Top carrier candidates:');
         scoredCarriers.slice(0, 3).forEach((carrier, index) => {
-            console.log(`   ${index + 1}. ${carrier.carrier_id} (${carrier.carrier_code}) - Score: ${carrier.score} - ${carrier.name || 'N/A'}`);
+            logger.info(`   ${index + 1}. ${carrier.carrier_id} (${carrier.carrier_code}) - Score: ${carrier.score} - ${carrier.name || 'N/A'}`);
         });
 
         return scoredCarriers.length > 0 ? scoredCarriers[0] : null;
@@ -263,8 +538,9 @@ class CarrierSelector {
      * Get fallback carrier ID as last resort
      */
     getFallbackCarrier() {
-        console.warn('🚨 Using fallback carrier (se-287927) - consider reviewing carrier selection logic');
-        return 'se-287927'; // Primary USPS account as fallback
+        const fallbackCarrierId = this.rithumMapper.mappings.fallbackCarrierId;
+        logger.warn(`🚨 Using fallback carrier (${fallbackCarrierId}) - consider reviewing carrier selection logic`);
+        return fallbackCarrierId;
     }
 
     /**
@@ -276,19 +552,19 @@ class CarrierSelector {
             const carrier = carriers.find(c => c.carrier_id === carrierId);
             
             if (!carrier) {
-                console.warn(`⚠️  Carrier ${carrierId} not found`);
+                logger.warn(`⚠️  Carrier ${carrierId} not found`);
                 return false;
             }
 
             if (carrier.is_active === false) {
-                console.warn(`⚠️  Carrier ${carrierId} is not active`);
+                logger.warn(`⚠️  Carrier ${carrierId} is not active`);
                 return false;
             }
 
-            console.log(`✅ Carrier ${carrierId} is valid and active`);
+            logger.info(`✅ Carrier ${carrierId} is valid and active`);
             return true;
         } catch (error) {
-            console.error(`❌ Error validating carrier ${carrierId}:`, error.message);
+            logger.error(`❌ Error validating carrier ${carrierId}`, { error });
             return false;
         }
     }
@@ -302,7 +578,7 @@ class CarrierSelector {
             const carrier = carriers.find(c => c.carrier_id === carrierId);
             return carrier || null;
         } catch (error) {
-            console.error(`❌ Error getting carrier info for ${carrierId}:`, error.message);
+            logger.error(`❌ Error getting carrier info for ${carrierId}`, { error });
             return null;
         }
     }
@@ -313,8 +589,31 @@ class CarrierSelector {
     clearCache() {
         this.carriersCache = null;
         this.cacheExpiry = null;
-        console.log('🗑️ Carrier cache cleared');
+        logger.info('🗑️ Carrier cache cleared');
     }
 }
 
+/**
+ * Total purchase price of a rate (shipping + insurance + confirmation + other)
+ */
+function getRateAmount(rate) {
+    return ['shipping_amount', 'insurance_amount', 'confirmation_amount', 'other_amount']
+        .reduce((total, field) => total + (parseFloat(rate[field]?.amount) || 0), 0);
+}
+
+/**
+ * Day (YYYY-MM-DD) a rate is expected to deliver, from its estimate or its transit days
+ */
+function getRateDeliveryDay(rate) {
+    const shipDay = toDay(rate.ship_date) || new Date().toISOString().slice(0, 10);
+    return toDay(rate.estimated_delivery_date) ||
+        (rate.delivery_days ? addDays(shipDay, rate.delivery_days) : null);
+}
+
+function addDays(day, days) {
+    const date = new Date(`${day}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+}
+
 module.exports = CarrierSelector;
\ No newline at end of file
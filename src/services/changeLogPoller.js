@@ -0,0 +1,305 @@
+/**
+ * Change Log Poller
+ * Shipments posted through /order/shipment/batch/small are validated by Rithum after the call
+ * returns, so a 202 only means "received". This poller looks up every shipment requestId the
+ * ledger still has pending in the OrderChangeLog (GET /order/log), records whether Rithum accepted
+ * or rejected it, and resubmits rejected shipments when a known fix applies.
+ */
+
+const OrderLedger = require('./orderLedger');
+const Notifier = require('./notifier');
+const Logger = require('./logger');
+
+const logger = Logger.child({ module: 'changeLogPoller' });
+
+const LEDGER_EVENTS = OrderLedger.EVENTS;
+const ALERT_EVENTS = Notifier.EVENTS;
+
+// Rithum keeps change logs for about two weeks
+const DEFAULT_MAX_AGE_DAYS = 14;
+
+/**
+ * Fixes for rejections we know how to correct
+ * Each fixer inspects the rejection text and mutates one ShipmentForUpdate, returning true if it changed it.
+ */
+const KNOWN_FIXES = [
+    {
+        name: 'shippingServiceLevelCode',
+        matches: text => /shippingServiceLevelCode|service ?level/i.test(text),
+        apply: (shipment, context) => {
+            let remapped = context.mapShippingMethod(shipment.shipCarrier, shipment.shipMethod);
+            if (remapped === shipment.shippingServiceLevelCode) {
+                // The method name came from the rejected code itself - fall back to the carrier's default
+                remapped = context.mapShippingMethod(shipment.shipCarrier, null);
+            }
+            if (!remapped || remapped === shipment.shippingServiceLevelCode) {
+                return false;
+            }
+            shipment.shippingServiceLevelCode = remapped;
+            return true;
+        }
+    },
+    {
+        name: 'shipDate',
+        matches: text => /shipDate/i.test(text),
+        apply: shipment => {
+            if (shipment.shipDate && new Date(shipment.shipDate) <= new Date()) {
+                return false;
+            }
+            shipment.shipDate = new Date().toISOString();
+            return true;
+        }
+    },
+    {
+        name: 'shipWeight',
+        matches: text => /shipWeight/i.test(text),
+        apply: shipment => {
+            if (Number(shipment.shipWeight) > 0 && ['OZ', 'LB', 'G', 'KG'].includes(shipment.shipWeightUnits)) {
+                return false;
+            }
+            shipment.shipWeight = Number(shipment.shipWeight) > 0 ? Number(shipment.shipWeight) : 1;
+            shipment.shipWeightUnits = ['OZ', 'LB', 'G', 'KG'].includes(shipment.shipWeightUnits) ? shipment.shipWeightUnits : 'OZ';
+            return true;
+        }
+    }
+];
+
+class ChangeLogPoller {
+    /**
+     * @param {RithumClient} rithumClient - Rithum API client
+     * @param {Object} [options]
+     * @param {OrderLedger} [options.ledger] - Order ledger holding posted requestIds (default: shared ledger file)
+     * @param {Function} [options.mapShippingMethod] - (carrier, shipMethod) => Rithum service level code
+     * @param {number} [options.maxResubmits] - Resubmissions allowed per order (default: 2)
+     * @param {number} [options.maxAgeDays] - Requests older than this are no longer polled (default: 14)
+     * @param {Notifier} [options.notifier] - Alerted about rejections left for manual review
+     */
+    constructor(rithumClient, options = {}) {
+        this.rithumClient = rithumClient;
+        this.notifier = options.notifier || null;
+        this.ledger = options.ledger || new OrderLedger();
+        this.mapShippingMethod = options.mapShippingMethod || (() => null);
+        this.maxResubmits = options.maxResubmits ?? 2;
+        this.maxAgeMs = (options.maxAgeDays || DEFAULT_MAX_AGE_DAYS) * 24 * 60 * 60 * 1000;
+    }
+
+    /**
+     * Shipment requestIds the ledger has posted but not yet resolved
+     * @returns {Promise<Array>} [{ requestId, refs, postedAt, details, order }]
+     */
+    async findPendingRequests() {
+        const orders = await this.ledger.listOrders();
+        const cutoff = new Date(Date.now() - this.maxAgeMs).toISOString();
+        const pending = [];
+
+        orders.forEach(order => {
+            const resolved = new Set(order.history
+                .filter(entry => entry.event === LEDGER_EVENTS.RITHUM_SHIPMENT_ACCEPTED ||
+                    entry.event === LEDGER_EVENTS.RITHUM_SHIPMENT_REJECTED)
+                .map(entry => entry.details?.requestId));
+
+            order.history
+                .filter(entry => entry.event === LEDGER_EVENTS.RITHUM_SHIPMENT_POSTED &&
+                    entry.details?.requestId &&
+                    !resolved.has(entry.details.requestId) &&
+                    entry.timestamp >= cutoff)
+                .forEach(entry => pending.push({
+                    requestId: entry.details.requestId,
+                    refs: {
+                        dscoOrderId: order.dscoOrderId,
+                        poNumber: order.poNumber,
+                        shipmentId: entry.shipmentId
+                    },
+                    postedAt: entry.timestamp,
+                    details: entry.details,
+                    order
+                }));
+        });
+
+        return pending;
+    }
+
+    /**
+     * Fetch every change log entry for a request
+     * @param {string} requestId - requestId returned by the batch API
+     * @returns {Promise<Object>} { status, logs } - status is PROCESSING or COMPLETED
+     */
+    async fetchLogs(requestId) {
+        const logs = [];
+        let response = await this.rithumClient.getOrderChangeLog({ requestId });
+        const status = response?.status || null;
+
+        while (response?.logs?.length > 0) {
+            logs.push(...response.logs);
+            if (!response.scrollId) {
+                break;
+            }
+            response = await this.rithumClient.getOrderChangeLog({ scrollId: response.scrollId });
+        }
+
+        return { status, logs };
+    }
+
+    /**
+     * Resolve all pending shipment requests
+     * @returns {Promise<Object>} Summary: { checked, accepted, rejected, resubmitted, pending, errors }
+     */
+    async poll() {
+        const requests = await this.findPendingRequests();
+        const summary = {
+            checked: requests.length,
+            accepted: 0,
+            rejected: 0,
+            resubmitted: 0,
+            pending: 0,
+            errors: 0
+        };
+
+        if (requests.length === 0) {
+            return summary;
+        }
+
+        logger.info(`\n🔎 Checking ${requests.length} pending Rithum shipment request(s) in the change log...`);
+
+        for (const request of requests) {
+            try {
+                const outcome = await this.resolveRequest(request);
+                summary[outcome]++;
+                if (outcome === 'rejected' && request.resubmitted) {
+                    summary.resubmitted++;
+                }
+            } catch (error) {
+                summary.errors++;
+                logger.error(`   ❌ Could not check request ${request.requestId}`, { error });
+            }
+        }
+
+        logger.info(`✅ Change log check: ${summary.accepted} accepted, ${summary.rejected} rejected ` +
+            `(${summary.resubmitted} resubmitted), ${summary.pending} still pending`);
+        return summary;
+    }
+
+    /**
+     * Look up one request and record the outcome
+     * @param {Object} request - From findPendingRequests()
+     * @returns {Promise<string>} 'accepted', 'rejected' or 'pending'
+     */
+    async resolveRequest(request) {
+        const { status, logs } = await this.fetchLogs(request.requestId);
+
+        if (status === 'PROCESSING' || logs.length === 0 || logs.some(log => log.status === 'pending')) {
+            return 'pending';
+        }
+
+        const failures = logs.filter(log => log.status === 'failure');
+        if (failures.length === 0) {
+            logger.info(`   ✅ Request ${request.requestId} (order ${request.refs.dscoOrderId}) accepted by Rithum`);
+            await this.ledger.record(LEDGER_EVENTS.RITHUM_SHIPMENT_ACCEPTED, request.refs, {
+                requestId: request.requestId,
+                trackingNumbers: request.details.trackingNumbers || []
+            });
+            return 'accepted';
+        }
+
+        const messages = failures.flatMap(log => log.results || []);
+        logger.warn(`   ❌ Request ${request.requestId} (order ${request.refs.dscoOrderId}) rejected by Rithum: ` +
+            messages.map(formatMessage).join('; '));
+        await this.ledger.record(LEDGER_EVENTS.RITHUM_SHIPMENT_REJECTED, request.refs, {
+            requestId: request.requestId,
+            trackingNumbers: request.details.trackingNumbers || [],
+            messages
+        }, { message: 'Shipment rejected by Rithum', data: messages });
+
+        request.resubmitted = await this.resubmit(request, failures, messages);
+        if (!request.resubmitted && this.notifier) {
+            await this.notifier.notify({
+                event: ALERT_EVENTS.RITHUM_SHIPMENT_REJECTED,
+                severity: 'critical',
+                title: `Rithum rejected the shipment for PO ${request.refs.poNumber || '-'} (order ${request.refs.dscoOrderId})`,
+                message: [
+                    `Request ${request.requestId} needs manual review:`,
+                    ...messages.map(message => `- ${formatMessage(message)}`)
+                ].join('\n'),
+                details: { ...request.refs, requestId: request.requestId, messages }
+            });
+        }
+        return 'rejected';
+    }
+
+    /**
+     * Apply known fixes to a rejected shipment payload and post it again
+     * @param {Object} request - Rejected request
+     * @param {Array} failures - Failed change log entries
+     * @param {Array} messages - Rejection messages
+     * @returns {Promise<boolean>} Whether the shipment was resubmitted
+     */
+    async resubmit(request, failures, messages) {
+        const previousResubmits = request.order.history
+            .filter(entry => entry.event === LEDGER_EVENTS.RITHUM_SHIPMENT_POSTED && entry.details?.retryOf)
+            .length;
+        if (previousResubmits >= this.maxResubmits) {
+            logger.warn(`      Resubmission limit (${this.maxResubmits}) reached - leaving for manual review`);
+            return false;
+        }
+
+        const payload = failures[0].payload;
+        if (!payload || !Array.isArray(payload.shipments)) {
+            return false;
+        }
+
+        const { payload: fixedPayload, fixes } = this.applyKnownFixes(payload, messages);
+        if (fixes.length === 0) {
+            logger.warn(`      No known fix for this rejection - leaving for manual review`);
+            return false;
+        }
+
+        logger.info(`      🔧 Applied fixes (${fixes.join(', ')}) - resubmitting`);
+        const response = await this.rithumClient.createShipments(fixedPayload);
+        await this.ledger.record(LEDGER_EVENTS.RITHUM_SHIPMENT_POSTED, request.refs, {
+            trackingNumbers: fixedPayload.shipments.map(shipment => shipment.trackingNumber),
+            requestId: response?.requestId || null,
+            retryOf: request.requestId,
+            fixes
+        });
+        return true;
+    }
+
+    /**
+     * Correct the fields named in the rejection messages
+     * @param {Object} payload - ShipmentsForUpdate that was rejected
+     * @param {Array} messages - ApiResponseMessage list from the change log
+     * @returns {Object} { payload: corrected copy, fixes: names of the fixes applied }
+     */
+    applyKnownFixes(payload, messages) {
+        const text = messages.map(formatMessage).join(' ');
+        const fixed = JSON.parse(JSON.stringify(payload));
+        const fixes = [];
+
+        KNOWN_FIXES
+            .filter(fix => fix.matches(text))
+            .forEach(fix => {
+                const changed = fixed.shipments
+                    .map(shipment => fix.apply(shipment, { mapShippingMethod: this.mapShippingMethod }))
+                    .some(Boolean);
+                if (changed) {
+                    fixes.push(fix.name);
+                }
+            });
+
+        return { payload: fixed, fixes };
+    }
+}
+
+/**
+ * Render an ApiResponseMessage as text
+ * @param {Object} message - { code, severity, description }
+ * @returns {string}
+ */
+function formatMessage(message) {
+    const description = typeof message.description === 'string'
+        ? message.description
+        : JSON.stringify(message.description || '');
+    return `${message.code || 'UNKNOWN'}: ${description}`;
+}
+
+module.exports = ChangeLogPoller;
@@ -0,0 +1,99 @@
+/**
+ * Delivery Promise
+ * Works out the date a Rithum order has to be delivered by, so service selection can check
+ * carrier transit estimates against it.
+ *
+ * The retailer's own dates win: requiredDeliveryDate, then expectedDeliveryDate. Orders without
+ * either are priced through Rithum's Delivery Promise API (POST /deliverypromise) using the
+ * requested ship method, ready for pickup on the ship-by date.
+ */
+
+const Logger = require('./logger');
+
+const logger = Logger.child({ module: 'deliveryPromise' });
+
+class DeliveryPromise {
+    /**
+     * @param {RithumClient} [rithumClient] - Rithum API client (omit to use order dates only)
+     * @param {Object} [options]
+     * @param {boolean} [options.useRithumPromise] - Call /deliverypromise for orders without dates (default: true)
+     */
+    constructor(rithumClient = null, options = {}) {
+        this.rithumClient = rithumClient;
+        this.useRithumPromise = options.useRithumPromise !== false;
+    }
+
+    /**
+     * Determine an order's delivery promise
+     * @param {Object} rithumOrder - Rithum order
+     * @param {Object} [shipFrom] - ShipStation ship_from address (postal_code, country_code)
+     * @returns {Promise<Object|null>} { deliverBy, shipBy, source } with YYYY-MM-DD dates, or null if no promise applies
+     */
+    async resolve(rithumOrder, shipFrom = null) {
+        const shipBy = toDay(rithumOrder.shipByDate);
+
+        if (rithumOrder.requiredDeliveryDate) {
+            return { deliverBy: toDay(rithumOrder.requiredDeliveryDate), shipBy, source: 'requiredDeliveryDate' };
+        }
+        if (rithumOrder.expectedDeliveryDate) {
+            return { deliverBy: toDay(rithumOrder.expectedDeliveryDate), shipBy, source: 'expectedDeliveryDate' };
+        }
+
+        if (!this.rithumClient || !this.useRithumPromise) {
+            return null;
+        }
+
+        const shipMethod = rithumOrder.requestedShippingServiceLevelCode || rithumOrder.shippingServiceLevelCode;
+        const shipping = rithumOrder.shipping || {};
+        if (!shipMethod || !shipping.postal || !shipFrom?.postal_code) {
+            return null;
+        }
+
+        const today = new Date().toISOString().slice(0, 10);
+        const response = await this.rithumClient.getDeliveryPromise({
+            fulfillmentModel: 'direct',
+            shipMethods: [shipMethod],
+            shipToAddress: {
+                countryCode: shipping.country || 'US',
+                postalCode: String(shipping.postal).slice(0, 5)
+            },
+            shipFromAddress: {
+                countryCode: shipFrom.country_code || 'US',
+                postalCode: String(shipFrom.postal_code).slice(0, 5)
+            },
+            readyForPickupDate: shipBy && shipBy > today ? shipBy : today
+        });
+
+        const result = (response?.results || []).find(candidate =>
+            String(candidate.status || '').startsWith('200') && candidate.estimatedDeliveryDate);
+        if (!result) {
+            const failure = (response?.results || [])[0];
+            logger.warn(`⚠️  Rithum returned no delivery promise for ${shipMethod}` +
+                `${failure?.description ? `: ${failure.description}` : ''}`);
+            return null;
+        }
+
+        return {
+            deliverBy: toDay(result.estimatedDeliveryDate),
+            shipBy: shipBy || toDay(result.estimatedShipDate),
+            source: 'rithumDeliveryPromise'
+        };
+    }
+}
+
+/**
+ * Calendar day (YYYY-MM-DD, UTC) of a date or timestamp
+ * @param {string|Date} value
+ * @returns {string|null} null when the value is missing or not a date
+ */
+function toDay(value) {
+    if (!value) {
+        return null;
+    }
+    const date = new Date(value);
+    return isNaN(date) ? null : date.toISOString().slice(0, 10);
+}
+
+DeliveryPromise.toDay = toDay;
+
+module.exports = DeliveryPromise;
@@ -0,0 +1,313 @@
+/**
+ * Delivery Tracker
+ * Follows shipments after their tracking was posted to Rithum, so delivery can be confirmed to retailers.
+ *
+ * Carrier status reaches us two ways: ShipStation track webhooks, and a poller that calls
+ * /v2/labels/{label_id}/track for every recently posted tracking number not yet delivered. Each change
+ * to in transit, delivery exception or delivered is written to the order ledger against the tracking
+ * number, which is also where the poller reads the last known status from.
+ *
+ * When monitorInRithum is on, delivered packages are sent to /monitoredshipments/batch/small with the
+ * order's addresses. That endpoint takes shipment details rather than a status; Rithum then confirms
+ * delivery to the retailer from carrier tracking (through Active Delivery Management where it is set up).
+ */
+
+const OrderLedger = require('./orderLedger');
+const OrderMapper = require('./orderMapper');
+const OrderResolver = require('./orderResolver');
+const Logger = require('./logger');
+
+const logger = Logger.child({ module: 'deliveryTracker' });
+
+const LEDGER_EVENTS = OrderLedger.EVENTS;
+
+// ShipStation tracking status codes -> ledger event; other codes (UN, NY) are not recorded
+const STATUS_EVENTS = {
+    AC: LEDGER_EVENTS.SHIPMENT_IN_TRANSIT,
+    IT: LEDGER_EVENTS.SHIPMENT_IN_TRANSIT,
+    AT: LEDGER_EVENTS.SHIPMENT_IN_TRANSIT,
+    EX: LEDGER_EVENTS.SHIPMENT_EXCEPTION,
+    DE: LEDGER_EVENTS.SHIPMENT_DELIVERED,
+    SP: LEDGER_EVENTS.SHIPMENT_DELIVERED
+};
+
+const TRACKING_EVENTS = new Set(Object.values(STATUS_EVENTS));
+
+// Failed /monitoredshipments calls for a delivered package before the poller stops retrying it
+const MAX_REPORT_ATTEMPTS = 5;
+
+class DeliveryTracker {
+    /**
+     * @param {ShipStationClient} shipstationClient - ShipStation API client
+     * @param {RithumClient} rithumClient - Rithum API client
+     * @param {Object} [options]
+     * @param {OrderLedger} [options.ledger] - Order ledger (default: shared ledger file)
+     * @param {number} [options.maxAgeDays] - Tracking posted longer ago than this is no longer polled (default: 21)
+     * @param {boolean} [options.monitorInRithum] - Send delivered packages to /monitoredshipments (default: false)
+     * @param {Object} [options.shipFrom] - Ship-from address in ShipStation format (required by /monitoredshipments)
+     */
+    constructor(shipstationClient, rithumClient, options = {}) {
+        this.shipstationClient = shipstationClient;
+        this.rithumClient = rithumClient;
+        this.ledger = options.ledger || new OrderLedger();
+        this.orderMapper = new OrderMapper();
+        this.maxAgeMs = (options.maxAgeDays || 21) * 24 * 60 * 60 * 1000;
+        this.monitorInRithum = !!options.monitorInRithum;
+        this.shipFrom = options.shipFrom || null;
+    }
+
+    /**
+     * Delivery state of every tracking number posted to Rithum for an order
+     * @param {Object} order - Ledger order record
+     * @returns {Map} trackingNumber -> { postedAt, shipmentId, labelId, event, statusCode, voided, reported, reportFailures }
+     */
+    getTrackingState(order) {
+        const state = new Map();
+        const get = trackingNumber => {
+            if (!state.has(trackingNumber)) {
+                state.set(trackingNumber, {
+                    trackingNumber,
+                    postedAt: null,
+                    shipmentId: null,
+                    labelId: null,
+                    event: null,
+                    statusCode: null,
+                    voided: false,
+                    reported: false,
+                    reportFailures: 0
+                });
+            }
+            return state.get(trackingNumber);
+        };
+
+        (order?.history || []).forEach(entry => {
+            if (entry.event === LEDGER_EVENTS.RITHUM_SHIPMENT_POSTED) {
+                (entry.details?.trackingNumbers || [entry.details?.trackingNumber]).filter(Boolean).forEach(trackingNumber => {
+                    const tracking = get(trackingNumber);
+                    tracking.postedAt = tracking.postedAt || entry.timestamp;
+                    tracking.shipmentId = entry.shipmentId || tracking.shipmentId;
+                });
+            } else if (entry.event === LEDGER_EVENTS.RITHUM_TRACKING_VOIDED && entry.details?.trackingNumber) {
+                get(entry.details.trackingNumber).voided = true;
+            } else if (TRACKING_EVENTS.has(entry.event) && entry.details?.trackingNumber) {
+                const tracking = get(entry.details.trackingNumber);
+                tracking.event = entry.event;
+                tracking.statusCode = entry.details.statusCode || null;
+                tracking.labelId = entry.details.labelId || tracking.labelId;
+            } else if (entry.event === LEDGER_EVENTS.RITHUM_DELIVERY_REPORTED && entry.details?.trackingNumber) {
+                get(entry.details.trackingNumber).reported = true;
+            } else if (entry.event === LEDGER_EVENTS.RITHUM_DELIVERY_REPORT_FAILED && entry.details?.trackingNumber) {
+                get(entry.details.trackingNumber).reportFailures++;
+            }
+        });
+        return state;
+    }
+
+    /**
+     * Find the ledger order a tracking number was posted for
+     * @param {string} trackingNumber - Carrier tracking number
+     * @returns {Promise<Object|null>} Ledger order record
+     */
+    async findOrderByTracking(trackingNumber) {
+        const orders = await this.ledger.listOrders();
+        return orders.find(order => order.trackingNumbers.includes(trackingNumber)) || null;
+    }
+
+    /**
+     * Record a carrier status for a tracking number if it changed
+     * @param {Object} order - Ledger order record
+     * @param {Object} tracking - ShipStation tracking information (tracking_number, status_code, ...)
+     * @param {Object} [context] - { labelId, source: 'webhook'|'poll' }
+     * @returns {Promise<string|null>} Ledger event recorded, or null if nothing changed
+     */
+    async recordStatus(order, tracking, context = {}) {
+        const trackingNumber = tracking.tracking_number;
+        const event = STATUS_EVENTS[tracking.status_code];
+        const previous = this.getTrackingState(order).get(trackingNumber);
+        if (!event || (previous?.event === event && previous?.statusCode === tracking.status_code)) {
+            return null;
+        }
+
+        const refs = { dscoOrderId: order.dscoOrderId, poNumber: order.poNumber, shipmentId: previous?.shipmentId || null };
+        await this.ledger.record(event, refs, {
+            trackingNumber,
+            labelId: context.labelId || previous?.labelId || null,
+            statusCode: tracking.status_code,
+            description: tracking.status_description || tracking.carrier_status_description || null,
+            exception: tracking.exception_description || null,
+            estimatedDeliveryDate: tracking.estimated_delivery_date || null,
+            deliveredAt: tracking.actual_delivery_date || null,
+            source: context.source || null
+        });
+
+        if (event === LEDGER_EVENTS.SHIPMENT_DELIVERED) {
+            logger.info(`📬 ${trackingNumber} delivered (order ${order.poNumber || order.dscoOrderId})`);
+        } else if (event === LEDGER_EVENTS.SHIPMENT_EXCEPTION) {
+            logger.warn(`⚠️  ${trackingNumber} delivery exception (order ${order.poNumber || order.dscoOrderId}): ` +
+                `${tracking.exception_description || tracking.status_description || 'no details'}`);
+        }
+
+        if (event === LEDGER_EVENTS.SHIPMENT_DELIVERED && this.monitorInRithum && !previous?.reported) {
+            await this.reportDelivery(order, trackingNumber);
+        }
+        return event;
+    }
+
+    /**
+     * Handle a ShipStation track webhook
+     * @param {Object} webhookData - Webhook payload ({ resource_url, resource_type, data: tracking information })
+     * @returns {Promise<Object>} { success, message, trackingNumber, event }
+     */
+    async handleTrackWebhook(webhookData) {
+        const tracking = webhookData.data || webhookData;
+        const trackingNumber = tracking.tracking_number;
+        if (!trackingNumber) {
+            return { success: true, message: 'Track event without a tracking number', trackingNumber: null, event: null };
+        }
+
+        const order = await this.findOrderByTracking(trackingNumber);
+        if (!order) {
+            return { success: true, message: `Tracking number ${trackingNumber} was not posted to Rithum`, trackingNumber, event: null };
+        }
+
+        const event = await this.recordStatus(order, tracking, { source: 'webhook' });
+        return {
+            success: true,
+            message: event ? `Recorded ${event}` : `No status change (${tracking.status_code || 'unknown'})`,
+            trackingNumber,
+            event
+        };
+    }
+
+    /**
+     * Send a delivered package to Rithum's monitored shipments
+     * A failure is recorded in the ledger and retried by the next poll.
+     * @param {Object} order - Ledger order record
+     * @param {string} trackingNumber - Delivered tracking number
+     * @returns {Promise<boolean>} Whether Rithum accepted the request
+     */
+    async reportDelivery(order, trackingNumber) {
+        const refs = { dscoOrderId: order.dscoOrderId, poNumber: order.poNumber };
+        try {
+            const rithumOrder = await new OrderResolver(this.rithumClient).resolve(refs);
+            if (!rithumOrder) {
+                throw new Error(`Rithum order ${order.dscoOrderId || order.poNumber} not found`);
+            }
+            if (!this.shipFrom) {
+                throw new Error('No ship-from address configured (SHIPSTATION_SHIP_FROM_*)');
+            }
+
+            const rithumPackage = (rithumOrder.packages || []).find(pkg => pkg.trackingNumber === trackingNumber);
+            const posted = order.history.find(entry => entry.event === LEDGER_EVENTS.RITHUM_SHIPMENT_POSTED &&
+                (entry.details?.trackingNumbers || [entry.details?.trackingNumber]).includes(trackingNumber));
+            const shipment = {
+                shipCarrier: rithumPackage?.shipCarrier || posted?.details?.carrier,
+                trackingNumber
+            };
+            const shipMethod = rithumPackage?.shipMethod || posted?.details?.shipMethod;
+            if (shipMethod) {
+                shipment.shipMethod = shipMethod;
+            }
+
+            const response = await this.rithumClient.createMonitoredShipments([{
+                consumerOrderNumber: rithumOrder.consumerOrderNumber || rithumOrder.poNumber,
+                consumerOrderDate: this.orderMapper.mapOrderDate(rithumOrder),
+                poNumber: rithumOrder.poNumber,
+                shipFrom: toMonitoredAddress(this.shipFrom),
+                shipTo: toMonitoredAddress(this.orderMapper.mapShippingAddress(rithumOrder.shipping || rithumOrder.shipTo)),
+                shipments: [shipment],
+                fulfillmentModel: 'dropship',
+                direction: 'forward'
+            }]);
+            await this.ledger.record(LEDGER_EVENTS.RITHUM_DELIVERY_REPORTED, refs, {
+                trackingNumber,
+                requestId: response?.requestId || null
+            });
+            return true;
+        } catch (error) {
+            logger.error(`❌ Could not send delivered ${trackingNumber} to Rithum`, { error });
+            await this.ledger.record(LEDGER_EVENTS.RITHUM_DELIVERY_REPORT_FAILED, refs, { trackingNumber }, error);
+            return false;
+        }
+    }
+
+    /**
+     * Poll carrier tracking for every recently posted tracking number that is not delivered yet
+     * Delivered packages Rithum was not told about (monitorInRithum) are sent again, until the tracking is
+     * older than maxAgeDays or MAX_REPORT_ATTEMPTS calls have failed.
+     * @returns {Promise<Object>} Summary: { checked, inTransit, exceptions, delivered, reported, errors }
+     */
+    async poll() {
+        const cutoff = new Date(Date.now() - this.maxAgeMs).toISOString();
+        const summary = { checked: 0, inTransit: 0, exceptions: 0, delivered: 0, reported: 0, errors: 0 };
+
+        const orders = await this.ledger.listOrders();
+        for (const order of orders) {
+            for (const tracking of this.getTrackingState(order).values()) {
+                if (!tracking.postedAt || tracking.voided || tracking.postedAt < cutoff) {
+                    continue;
+                }
+                if (tracking.event === LEDGER_EVENTS.SHIPMENT_DELIVERED) {
+                    if (this.monitorInRithum && !tracking.reported && tracking.reportFailures < MAX_REPORT_ATTEMPTS &&
+                        await this.reportDelivery(order, tracking.trackingNumber)) {
+                        summary.reported++;
+                    }
+                    continue;
+                }
+
+                try {
+                    let labelId = tracking.labelId;
+                    if (!labelId) {
+                        const label = await this.shipstationClient.getLabelByTrackingNumber(tracking.trackingNumber);
+                        if (!label) {
+                            throw new Error('no ShipStation label');
+                        }
+                        labelId = label.label_id;
+                    }
+                    const carrierTracking = await this.shipstationClient.getLabelTracking(labelId);
+                    summary.checked++;
+                    const event = await this.recordStatus(order, {
+                        ...carrierTracking,
+                        tracking_number: tracking.trackingNumber
+                    }, { labelId, source: 'poll' });
+                    const current = event || tracking.event;
+                    if (current === LEDGER_EVENTS.SHIPMENT_DELIVERED) {
+                        summary.delivered++;
+                    } else if (current === LEDGER_EVENTS.SHIPMENT_EXCEPTION) {
+                        summary.exceptions++;
+                    } else if (current === LEDGER_EVENTS.SHIPMENT_IN_TRANSIT) {
+                        summary.inTransit++;
+                    }
+                } catch (error) {
+                    summary.errors++;
+                    logger.error(`❌ Could not check tracking ${tracking.trackingNumber}`, { error });
+                }
+            }
+        }
+
+        if (summary.checked > 0) {
+            logger.info(`🚚 Tracking poll: ${summary.checked} checked - ${summary.delivered} delivered, ` +
+                `${summary.exceptions} exception(s), ${summary.inTransit} in transit`);
+        }
+        return summary;
+    }
+}
+
+/**
+ * Convert a ShipStation address to the address format of /monitoredshipments
+ */
+function toMonitoredAddress(address) {
+    const monitored = {
+        name: address.company_name || address.name,
+        address: [address.address_line1, address.address_line2].filter(Boolean),
+        region: address.state_province,
+        postal: address.postal_code,
+        country: address.country_code || 'US'
+    };
+    if (address.email) monitored.email = address.email;
+    // OrderMapper fills in a placeholder phone for ShipStation, which is not worth passing on
+    if (address.phone && address.phone !== '000-000-0000') monitored.phone = address.phone;
+    return monitored;
+}
+
+module.exports = DeliveryTracker;
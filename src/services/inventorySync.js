@@ -0,0 +1,275 @@
+/**
+ * Inventory Sync
+ * Pushes ShipStation inventory to Rithum so retailers stop selling SKUs we no longer have.
+ *
+ * Available quantities are read from /v2/inventory per SKU and inventory warehouse and sent as
+ * Rithum ItemInventory objects (quantityAvailable, status and one entry per warehouse code). Only SKUs
+ * whose quantities changed since they were last sent go out: a handful are sent one by one through
+ * /inventory/singleItem, larger runs through /inventory/batch/small. What was sent is kept in an
+ * append-only journal (inventory-sync.jsonl), so the comparison survives restarts.
+ */
+
+const path = require('path');
+const JournalFile = require('./journalFile');
+const Logger = require('./logger');
+
+const logger = Logger.child({ module: 'inventorySync' });
+
+// /inventory/batch/small accepts up to 5 MB per call - far more than this many items
+const BATCH_SIZE = 1000;
+
+class InventorySync {
+    /**
+     * @param {ShipStationClient} shipstationClient - ShipStation API client
+     * @param {RithumClient} rithumClient - Rithum API client
+     * @param {Object} [options]
+     * @param {string} [options.stateFile] - Journal of quantities sent (default: ./inventory-sync.jsonl)
+     * @param {Object|string} [options.warehouseCodes] - ShipStation inventory warehouse ID -> Rithum warehouse code
+     *        (object, or "id=code,id=code"); unmapped warehouses are sent under their ShipStation name
+     * @param {number} [options.stockBuffer] - Units per SKU and warehouse held back (default: 0)
+     * @param {number} [options.singleItemMax] - Most changed SKUs sent through /inventory/singleItem (default: 5)
+     * @param {boolean} [options.skipItemsThatDontExist] - Let Rithum drop SKUs it has no catalog item for (default: true)
+     */
+    constructor(shipstationClient, rithumClient, options = {}) {
+        this.shipstationClient = shipstationClient;
+        this.rithumClient = rithumClient;
+        this.filePath = options.stateFile || path.join(__dirname, '../../inventory-sync.jsonl');
+        this.journal = new JournalFile(this.filePath);
+        this.warehouseCodes = typeof options.warehouseCodes === 'string'
+            ? parseWarehouseCodes(options.warehouseCodes)
+            : options.warehouseCodes || {};
+        this.stockBuffer = Math.max(options.stockBuffer || 0, 0);
+        this.singleItemMax = options.singleItemMax ?? 5;
+        this.skipItemsThatDontExist = options.skipItemsThatDontExist !== false;
+
+        this.sent = new Map(); // sku -> last ItemInventory sent
+    }
+
+    /**
+     * Replay the journal of quantities already sent to Rithum
+     */
+    async load() {
+        const entries = await this.journal.readNew();
+        entries.forEach(entry => this.sent.set(entry.sku, entry.item));
+    }
+
+    /**
+     * Rithum warehouse code for each ShipStation inventory warehouse
+     * @returns {Promise<Map>} inventory_warehouse_id -> code
+     */
+    async getWarehouseCodes() {
+        const warehouses = await this.shipstationClient.getInventoryWarehouses();
+        const codes = new Map();
+        warehouses.forEach(warehouse => {
+            const code = this.warehouseCodes[warehouse.inventory_warehouse_id];
+            if (!code) {
+                logger.warn(`⚠️  No Rithum warehouse code for ShipStation warehouse ${warehouse.inventory_warehouse_id} ` +
+                    `- using its name "${warehouse.name}" (set INVENTORY_WAREHOUSE_CODES)`);
+            }
+            codes.set(warehouse.inventory_warehouse_id, code || warehouse.name);
+        });
+        return codes;
+    }
+
+    /**
+     * Current ShipStation inventory as Rithum ItemInventory objects
+     * @param {Array<string>} [skus] - Only these SKUs (default: all)
+     * @returns {Promise<Array>} [{ sku, quantityAvailable, status, warehouses: [{ code, quantity }] }]
+     */
+    async buildItems(skus = []) {
+        const codes = await this.getWarehouseCodes();
+        const params = { group_by: 'warehouse' };
+        if (skus.length > 0) {
+            params.sku = skus.join(',');
+        }
+        const levels = await this.shipstationClient.listInventory(params);
+
+        const bySku = new Map();
+        levels.forEach(level => {
+            if (!level.sku) {
+                return;
+            }
+            const code = codes.get(level.inventory_warehouse_id) || level.inventory_warehouse_id;
+            const quantity = Math.max((level.available || 0) - this.stockBuffer, 0);
+            if (!bySku.has(level.sku)) {
+                bySku.set(level.sku, new Map());
+            }
+            const warehouses = bySku.get(level.sku);
+            warehouses.set(code, (warehouses.get(code) || 0) + quantity);
+        });
+
+        return [...bySku.entries()].map(([sku, warehouses]) => toItem(sku, [...warehouses.entries()]
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([code, quantity]) => ({ code, quantity }))));
+    }
+
+    /**
+     * Items whose quantities differ from what was last sent
+     * SKUs we sent stock for that ShipStation no longer lists are zeroed, so they cannot be oversold.
+     * @param {Array} items - From buildItems()
+     * @param {Object} [options]
+     * @param {boolean} [options.full] - Treat every item as changed
+     * @param {Array<string>} [options.skus] - The run was limited to these SKUs (nothing is zeroed outside them)
+     * @returns {Array} Changed items
+     */
+    getChangedItems(items, options = {}) {
+        const changed = items
+            .map(item => this.withDroppedWarehouses(item))
+            .filter(item => options.full || !sameQuantities(this.sent.get(item.sku), item));
+
+        const listed = new Set(items.map(item => item.sku));
+        const scope = options.skus?.length ? new Set(options.skus) : null;
+        this.sent.forEach((item, sku) => {
+            if (!listed.has(sku) && (!scope || scope.has(sku)) && item.quantityAvailable > 0) {
+                changed.push(toItem(sku, item.warehouses.map(warehouse => ({ code: warehouse.code, quantity: 0 }))));
+            }
+        });
+        return changed;
+    }
+
+    /**
+     * Add warehouses the SKU was last sent with but is no longer stocked in, at zero
+     * Rithum keeps a warehouse's quantity until it is told otherwise.
+     */
+    withDroppedWarehouses(item) {
+        const previous = this.sent.get(item.sku);
+        const codes = new Set(item.warehouses.map(warehouse => warehouse.code));
+        const dropped = (previous?.warehouses || []).filter(warehouse => !codes.has(warehouse.code) && warehouse.quantity > 0);
+        if (dropped.length === 0) {
+            return item;
+        }
+        return toItem(item.sku, [...item.warehouses, ...dropped.map(warehouse => ({ code: warehouse.code, quantity: 0 }))]
+            .sort((a, b) => a.code.localeCompare(b.code)));
+    }
+
+    /**
+     * Send items to Rithum and journal what was sent
+     * @param {Array} items - ItemInventory objects
+     * @returns {Promise<Object>} { sent, failed, requestIds, errors: [{ sku, error }] }
+     */
+    async send(items) {
+        const result = { sent: 0, failed: 0, requestIds: [], errors: [] };
+
+        if (items.length <= this.singleItemMax) {
+            for (const item of items) {
+                try {
+                    const response = await this.rithumClient.updateInventoryItem(item);
+                    await this.remember(item, response?.requestId || null);
+                    result.sent++;
+                } catch (error) {
+                    result.failed++;
+                    result.errors.push({ sku: item.sku, error: error.response?.data?.message || error.message });
+                }
+            }
+            return result;
+        }
+
+        for (let start = 0; start < items.length; start += BATCH_SIZE) {
+            const chunk = items.slice(start, start + BATCH_SIZE);
+            try {
+                const response = await this.rithumClient.updateInventoryBatch(chunk, {
+                    skipItemsThatDontExist: this.skipItemsThatDontExist
+                });
+                const requestId = response?.requestId || null;
+                for (const item of chunk) {
+                    await this.remember(item, requestId);
+                }
+                if (requestId) {
+                    result.requestIds.push(requestId);
+                }
+                result.sent += chunk.length;
+            } catch (error) {
+                result.failed += chunk.length;
+                result.errors.push({
+                    sku: `${chunk[0].sku}..${chunk[chunk.length - 1].sku}`,
+                    error: error.response?.data?.message || error.message
+                });
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Journal an item as sent, so the next run only sends it again if it changes
+     */
+    async remember(item, requestId) {
+        this.sent.set(item.sku, item);
+        try {
+            await this.journal.append({ sku: item.sku, item, requestId, sentAt: new Date().toISOString() });
+        } catch (error) {
+            logger.warn(`⚠️  Could not journal inventory for SKU ${item.sku}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Send every SKU whose available quantity changed since the last run
+     * @param {Object} [options]
+     * @param {Array<string>} [options.skus] - Only these SKUs
+     * @param {boolean} [options.full] - Resend every SKU, changed or not
+     * @param {boolean} [options.dryRun] - Only report the changes
+     * @returns {Promise<Object>} { skus, changed: [...items], sent, failed, requestIds, errors, dryRun }
+     */
+    async run(options = {}) {
+        await this.load();
+        const items = await this.buildItems(options.skus || []);
+        const changed = this.getChangedItems(items, options);
+        const report = {
+            skus: items.length,
+            changed,
+            sent: 0,
+            failed: 0,
+            requestIds: [],
+            errors: [],
+            dryRun: !!options.dryRun
+        };
+
+        if (options.dryRun || changed.length === 0) {
+            return report;
+        }
+        return { ...report, ...(await this.send(changed)) };
+    }
+}
+
+/**
+ * Build a Rithum ItemInventory from per-warehouse quantities
+ */
+function toItem(sku, warehouses) {
+    const quantityAvailable = warehouses.reduce((sum, warehouse) => sum + warehouse.quantity, 0);
+    return {
+        sku,
+        quantityAvailable,
+        status: quantityAvailable > 0 ? 'in-stock' : 'out-of-stock',
+        warehouses
+    };
+}
+
+// A warehouse missing on one side counts as zero
+function sameQuantities(previous, item) {
+    if (!previous || previous.quantityAvailable !== item.quantityAvailable) {
+        return false;
+    }
+    const quantities = new Map(previous.warehouses.map(warehouse => [warehouse.code, warehouse.quantity]));
+    item.warehouses.forEach(warehouse => {
+        if (!quantities.has(warehouse.code)) {
+            quantities.set(warehouse.code, 0);
+        }
+    });
+    return [...quantities.entries()].every(([code, quantity]) =>
+        (item.warehouses.find(warehouse => warehouse.code === code)?.quantity || 0) === quantity);
+}
+
+/**
+ * Parse "id=code,id=code" into { id: code }
+ */
+function parseWarehouseCodes(value) {
+    const codes = {};
+    String(value || '').split(',').forEach(pair => {
+        const [id, code] = pair.split('=').map(part => part && part.trim());
+        if (id && code) {
+            codes[id] = code;
+        }
+    });
+    return codes;
+}
+
+module.exports = InventorySync;
@@ -0,0 +1,404 @@
+/**
+ * Invoice Generator
+ * Bills the retailer in Rithum for what was shipped, so invoices no longer have to be keyed in by hand.
+ *
+ * One invoice is created per posted shipment: each shipped line is billed at its expectedCost (the
+ * price OrderMapper reads, with the same fallbacks), and the order-level shippingSurcharge and
+ * amountOfSalesTaxCollected are added to the order's first invoice only, so split shipments never
+ * bill them twice. Invoices go through /invoice/batch/small, which Rithum validates after the call
+ * returns; checkStatus() looks the requestIds up in the InvoiceChangeLog (/invoice/log) and records
+ * whether each invoice was accepted or rejected.
+ */
+
+const OrderLedger = require('./orderLedger');
+const OrderMapper = require('./orderMapper');
+const OrderResolver = require('./orderResolver');
+const Logger = require('./logger');
+
+const logger = Logger.child({ module: 'invoiceGenerator' });
+
+const LEDGER_EVENTS = OrderLedger.EVENTS;
+
+// Rithum keeps change logs for about two weeks
+const DEFAULT_MAX_AGE_DAYS = 14;
+
+class InvoiceGenerator {
+    /**
+     * @param {RithumClient} rithumClient - Rithum API client
+     * @param {Object} [options]
+     * @param {OrderLedger} [options.ledger] - Order ledger (default: shared ledger file)
+     * @param {string} [options.invoicePrefix] - Prefixed to the PO number to form the invoice ID (default: INV-)
+     * @param {boolean} [options.includeShipping] - Bill the order's shippingSurcharge (default: true)
+     * @param {boolean} [options.includeTax] - Bill the order's amountOfSalesTaxCollected (default: true)
+     * @param {number} [options.maxAgeDays] - Invoice requests older than this are no longer checked (default: 14)
+     */
+    constructor(rithumClient, options = {}) {
+        this.rithumClient = rithumClient;
+        this.ledger = options.ledger || new OrderLedger();
+        this.orderMapper = new OrderMapper();
+        this.invoicePrefix = options.invoicePrefix ?? 'INV-';
+        this.includeShipping = options.includeShipping !== false;
+        this.includeTax = options.includeTax !== false;
+        this.maxAgeMs = (options.maxAgeDays || DEFAULT_MAX_AGE_DAYS) * 24 * 60 * 60 * 1000;
+    }
+
+    /**
+     * What has already been invoiced for an order
+     * Invoices Rithum rejected do not count - their shipments are invoiced again.
+     * @param {Object} order - Ledger order record
+     * @returns {Object} { invoiceIds: Set, trackingNumbers: Set, shipmentKeys: Set, chargesBilled }
+     */
+    getInvoiceState(order) {
+        const history = order?.history || [];
+        const rejected = new Set(history
+            .filter(entry => entry.event === LEDGER_EVENTS.INVOICE_REJECTED)
+            .map(entry => entry.details?.requestId));
+        const state = { invoiceIds: new Set(), trackingNumbers: new Set(), shipmentKeys: new Set(), chargesBilled: false };
+
+        history.forEach(entry => {
+            if (entry.event !== LEDGER_EVENTS.INVOICE_SUBMITTED) {
+                return;
+            }
+            state.invoiceIds.add(entry.details?.invoiceId);
+            if (entry.details?.requestId && rejected.has(entry.details.requestId)) {
+                return;
+            }
+            (entry.details?.trackingNumbers || []).forEach(trackingNumber => state.trackingNumbers.add(trackingNumber));
+            if (entry.details?.shipmentKey) {
+                state.shipmentKeys.add(entry.details.shipmentKey);
+            }
+            if (entry.details?.freightAmount || entry.details?.salesTaxAmount) {
+                state.chargesBilled = true;
+            }
+        });
+        return state;
+    }
+
+    /**
+     * Key a shipment is recognised by when it has no tracking number to dedupe on
+     * The ShipStation shipment ID when there is one, otherwise the line items it shipped.
+     * @param {Object} refs - { shipmentId }
+     * @param {Object} shipment - See buildInvoice()
+     * @returns {string|null} null when the shipment's tracking numbers identify it
+     */
+    getShipmentKey(refs, shipment) {
+        if (shipment.key) {
+            return shipment.key;
+        }
+        if (refs.shipmentId) {
+            return `shipment:${refs.shipmentId}`;
+        }
+        if ((shipment.trackingNumbers || []).length > 0) {
+            return null;
+        }
+        return `items:${lineItemsSignature(shipment.lineItems)}`;
+    }
+
+    /**
+     * Build the invoice for one shipment
+     * @param {Object} rithumOrder - Rithum order
+     * @param {Object} shipment - { trackingNumbers, lineItems: [{ dscoItemId, sku, partnerSku, quantity }], shipDate, carrier, shipMethod, serviceLevelCode }
+     * @param {Object} [options]
+     * @param {string} [options.invoiceId] - Invoice ID (default: prefix + PO number)
+     * @param {boolean} [options.includeCharges] - Add the order's shipping surcharge and tax (default: true)
+     * @returns {Object} Rithum Invoice
+     */
+    buildInvoice(rithumOrder, shipment, options = {}) {
+        const orderLines = rithumOrder.lineItems || [];
+        const lineItems = shipment.lineItems.map(shipped => {
+            const orderLine = orderLines.find(line =>
+                (shipped.dscoItemId && String(line.dscoItemId) === String(shipped.dscoItemId)) ||
+                (shipped.sku && line.sku === shipped.sku) ||
+                (shipped.partnerSku && line.partnerSku === shipped.partnerSku)) || {};
+            const unitPrice = roundAmount(this.orderMapper.getItemPrice(orderLine));
+
+            const invoiceLine = {
+                quantity: shipped.quantity,
+                unitPrice,
+                extendedAmount: roundAmount(unitPrice * shipped.quantity)
+            };
+            const dscoItemId = shipped.dscoItemId || orderLine.dscoItemId;
+            if (dscoItemId) invoiceLine.dscoItemId = String(dscoItemId);
+            if (shipped.sku || orderLine.sku) invoiceLine.sku = shipped.sku || orderLine.sku;
+            if (shipped.partnerSku || orderLine.partnerSku) invoiceLine.partnerSku = shipped.partnerSku || orderLine.partnerSku;
+            if (orderLine.lineNumber) invoiceLine.lineNumber = orderLine.lineNumber;
+            if (shipment.trackingNumbers?.[0]) invoiceLine.trackingNumber = shipment.trackingNumbers[0];
+            if (shipment.shipDate) invoiceLine.shipDate = shipment.shipDate;
+            return invoiceLine;
+        });
+
+        const includeCharges = options.includeCharges !== false;
+        const freightAmount = includeCharges && this.includeShipping
+            ? roundAmount(parseFloat(rithumOrder.shippingSurcharge) || 0)
+            : 0;
+        const salesTaxAmount = includeCharges && this.includeTax
+            ? roundAmount(parseFloat(rithumOrder.amountOfSalesTaxCollected) || 0)
+            : 0;
+        const lineItemsSubtotal = roundAmount(lineItems.reduce((sum, line) => sum + line.extendedAmount, 0));
+
+        const invoice = {
+            invoiceId: options.invoiceId || `${this.invoicePrefix}${rithumOrder.poNumber || rithumOrder.dscoOrderId}`,
+            dscoOrderId: String(rithumOrder.dscoOrderId),
+            poNumber: rithumOrder.poNumber,
+            invoiceDate: new Date().toISOString(),
+            currencyCode: this.orderMapper.getCurrencyCode(rithumOrder),
+            numberOfLineItems: lineItems.length,
+            lineItemsSubtotal,
+            freightAmount,
+            salesTaxAmount,
+            totalAmount: roundAmount(lineItemsSubtotal + freightAmount + salesTaxAmount),
+            lineItems
+        };
+        if (rithumOrder.consumerOrderNumber) {
+            invoice.consumerOrderNumber = rithumOrder.consumerOrderNumber;
+        }
+        if (shipment.trackingNumbers?.length > 0) {
+            invoice.ship = {
+                trackingNumber: shipment.trackingNumbers[0],
+                date: shipment.shipDate || undefined,
+                carrier: shipment.carrier || undefined,
+                method: shipment.shipMethod || undefined,
+                serviceLevelCode: shipment.serviceLevelCode || undefined,
+                numberOfUnitsShipped: lineItems.reduce((sum, line) => sum + line.quantity, 0)
+            };
+        }
+        return invoice;
+    }
+
+    /**
+     * Invoice one posted shipment unless it has been invoiced already
+     * @param {Object} refs - { dscoOrderId, poNumber, shipmentId }
+     * @param {Object} shipment - See buildInvoice(); key overrides getShipmentKey()
+     * @param {Object} [options]
+     * @param {Object} [options.rithumOrder] - Rithum order, if the caller already has a fresh copy
+     * @param {boolean} [options.dryRun] - Build the invoice without sending it
+     * @param {Object} [options.previewed] - Invoices built earlier in the same dry run: { count, chargesBilled }
+     * @returns {Promise<Object>} { status: 'submitted'|'dry_run'|'already_invoiced', invoice, requestId }
+     */
+    async invoiceShipment(refs, shipment, options = {}) {
+        const order = await this.ledger.getOrder(refs);
+        const state = this.getInvoiceState(order);
+        const shipmentKey = this.getShipmentKey(refs, shipment);
+        if ((shipment.trackingNumbers || []).some(trackingNumber => state.trackingNumbers.has(trackingNumber)) ||
+            (shipmentKey && state.shipmentKeys.has(shipmentKey))) {
+            return { status: 'already_invoiced', invoice: null, requestId: null };
+        }
+
+        const rithumOrder = options.rithumOrder || await new OrderResolver(this.rithumClient).resolve(
+            { dscoOrderId: refs.dscoOrderId, poNumber: refs.poNumber },
+            { refresh: true }
+        );
+        if (!rithumOrder) {
+            throw new Error(`Rithum order ${refs.dscoOrderId || refs.poNumber} not found`);
+        }
+
+        const baseId = `${this.invoicePrefix}${rithumOrder.poNumber || rithumOrder.dscoOrderId}`;
+        const invoiceCount = state.invoiceIds.size + (options.previewed?.count || 0);
+        const invoice = this.buildInvoice(rithumOrder, shipment, {
+            invoiceId: invoiceCount === 0 ? baseId : `${baseId}-${invoiceCount + 1}`,
+            includeCharges: !state.chargesBilled && !options.previewed?.chargesBilled
+        });
+        if (options.dryRun) {
+            return { status: 'dry_run', invoice, requestId: null };
+        }
+
+        const ledgerRefs = { ...refs, dscoOrderId: String(rithumOrder.dscoOrderId), poNumber: rithumOrder.poNumber };
+        let response;
+        try {
+            response = await this.rithumClient.createInvoicesBatch([invoice]);
+        } catch (error) {
+            await this.ledger.record(LEDGER_EVENTS.INVOICE_FAILED, ledgerRefs, {
+                invoiceId: invoice.invoiceId,
+                trackingNumbers: shipment.trackingNumbers || [],
+                shipmentKey
+            }, error);
+            throw error;
+        }
+
+        logger.info(`🧾 Invoice ${invoice.invoiceId} submitted for order ${invoice.dscoOrderId}: ` +
+            `${invoice.currencyCode} ${invoice.totalAmount.toFixed(2)}`);
+        await this.ledger.record(LEDGER_EVENTS.INVOICE_SUBMITTED, ledgerRefs, {
+            invoiceId: invoice.invoiceId,
+            trackingNumbers: shipment.trackingNumbers || [],
+            shipmentKey,
+            totalAmount: invoice.totalAmount,
+            freightAmount: invoice.freightAmount,
+            salesTaxAmount: invoice.salesTaxAmount,
+            requestId: response?.requestId || null
+        });
+        return { status: 'submitted', invoice, requestId: response?.requestId || null };
+    }
+
+    /**
+     * Invoice every package of an order that has not been invoiced yet
+     * Used to catch up on orders that shipped before invoicing was switched on.
+     * @param {Object} refs - { dscoOrderId } or { poNumber }
+     * @param {Object} [options]
+     * @param {boolean} [options.dryRun] - Build the invoices without sending them
+     * @returns {Promise<Array>} Results of invoiceShipment(), one per package
+     */
+    async invoiceOrder(refs, options = {}) {
+        const rithumOrder = await new OrderResolver(this.rithumClient).resolve(refs, { refresh: true });
+        if (!rithumOrder) {
+            throw new Error(`Rithum order ${refs.dscoOrderId || refs.poNumber} not found`);
+        }
+
+        const orderRefs = { dscoOrderId: String(rithumOrder.dscoOrderId), poNumber: rithumOrder.poNumber };
+        const results = [];
+        const previewed = { count: 0, chargesBilled: false };
+        const untracked = new Map(); // line items signature -> packages seen with it
+        for (const pkg of (rithumOrder.packages || []).filter(candidate => (candidate.items || []).length > 0)) {
+            const lineItems = pkg.items.map(item => ({
+                dscoItemId: item.dscoItemId,
+                sku: item.sku,
+                partnerSku: item.partnerSku,
+                quantity: item.quantity
+            }));
+
+            // Packages without tracking are told apart by their items, numbered so identical boxes each get invoiced
+            let key = null;
+            if (!pkg.trackingNumber) {
+                const signature = lineItemsSignature(lineItems);
+                untracked.set(signature, (untracked.get(signature) || 0) + 1);
+                key = `items:${signature}#${untracked.get(signature)}`;
+            }
+
+            const result = await this.invoiceShipment(orderRefs, {
+                key,
+                trackingNumbers: pkg.trackingNumber ? [pkg.trackingNumber] : [],
+                lineItems,
+                shipDate: pkg.shipDate,
+                carrier: pkg.shipCarrier,
+                shipMethod: pkg.shipMethod,
+                serviceLevelCode: pkg.shippingServiceLevelCode
+            }, { ...options, rithumOrder, previewed });
+            results.push(result);
+
+            // A dry run records nothing in the ledger, so later packages must be told about this invoice
+            if (result.status === 'dry_run') {
+                previewed.count++;
+                previewed.chargesBilled = previewed.chargesBilled ||
+                    !!(result.invoice.freightAmount || result.invoice.salesTaxAmount);
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Invoice requestIds the ledger has submitted but not yet resolved
+     * @returns {Promise<Array>} [{ requestId, refs, details }]
+     */
+    async findPendingRequests() {
+        const orders = await this.ledger.listOrders();
+        const cutoff = new Date(Date.now() - this.maxAgeMs).toISOString();
+        const pending = [];
+
+        orders.forEach(order => {
+            const resolved = new Set(order.history
+                .filter(entry => entry.event === LEDGER_EVENTS.INVOICE_ACCEPTED ||
+                    entry.event === LEDGER_EVENTS.INVOICE_REJECTED)
+                .map(entry => entry.details?.requestId));
+
+            order.history
+                .filter(entry => entry.event === LEDGER_EVENTS.INVOICE_SUBMITTED &&
+                    entry.details?.requestId &&
+                    !resolved.has(entry.details.requestId) &&
+                    entry.timestamp >= cutoff)
+                .forEach(entry => pending.push({
+                    requestId: entry.details.requestId,
+                    refs: { dscoOrderId: order.dscoOrderId, poNumber: order.poNumber, shipmentId: entry.shipmentId },
+                    details: entry.details
+                }));
+        });
+        return pending;
+    }
+
+    /**
+     * Record whether Rithum accepted each pending invoice request
+     * @returns {Promise<Object>} Summary: { checked, accepted, rejected, pending, errors }
+     */
+    async checkStatus() {
+        const requests = await this.findPendingRequests();
+        const summary = { checked: requests.length, accepted: 0, rejected: 0, pending: 0, errors: 0 };
+        if (requests.length === 0) {
+            return summary;
+        }
+
+        logger.info(`\n🔎 Checking ${requests.length} pending Rithum invoice request(s) in the change log...`);
+        for (const request of requests) {
+            try {
+                summary[await this.resolveRequest(request)]++;
+            } catch (error) {
+                summary.errors++;
+                logger.error(`   ❌ Could not check invoice request ${request.requestId}`, { error });
+            }
+        }
+
+        logger.info(`✅ Invoice check: ${summary.accepted} accepted, ${summary.rejected} rejected, ${summary.pending} still pending`);
+        return summary;
+    }
+
+    /**
+     * Look up one invoice request and record the outcome
+     * @returns {Promise<string>} 'accepted', 'rejected' or 'pending'
+     */
+    async resolveRequest(request) {
+        const logs = [];
+        let response = await this.rithumClient.getInvoiceChangeLog({ requestId: request.requestId });
+        const status = response?.status || null;
+        while (response?.logs?.length > 0) {
+            logs.push(...response.logs);
+            if (!response.scrollId) {
+                break;
+            }
+            response = await this.rithumClient.getInvoiceChangeLog({ scrollId: response.scrollId });
+        }
+
+        if (status === 'PROCESSING' || logs.length === 0 || logs.some(log => log.status === 'pending')) {
+            return 'pending';
+        }
+
+        const failures = logs.filter(log => log.status === 'failure');
+        if (failures.length === 0) {
+            logger.info(`   ✅ Invoice ${request.details.invoiceId} (order ${request.refs.dscoOrderId}) accepted by Rithum`);
+            await this.ledger.record(LEDGER_EVENTS.INVOICE_ACCEPTED, request.refs, {
+                requestId: request.requestId,
+                invoiceId: request.details.invoiceId
+            });
+            return 'accepted';
+        }
+
+        const messages = failures.flatMap(log => log.results || []).map(formatMessage);
+        logger.warn(`   ❌ Invoice ${request.details.invoiceId} (order ${request.refs.dscoOrderId}) rejected by Rithum: ` +
+            messages.join('; '));
+        await this.ledger.record(LEDGER_EVENTS.INVOICE_REJECTED, request.refs, {
+            requestId: request.requestId,
+            invoiceId: request.details.invoiceId,
+            messages
+        });
+        return 'rejected';
+    }
+}
+
+/**
+ * Order-independent description of shipped line items, e.g. "sku:A*2|sku:B*1"
+ */
+function lineItemsSignature(lineItems) {
+    return (lineItems || [])
+        .map(item => `${item.dscoItemId ? `item:${item.dscoItemId}` : `sku:${item.sku || item.partnerSku}`}*${item.quantity}`)
+        .sort()
+        .join('|');
+}
+
+function roundAmount(value) {
+    return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+function formatMessage(message) {
+    const description = typeof message.description === 'string'
+        ? message.description
+        : JSON.stringify(message.description || '');
+    return `${message.code || 'UNKNOWN'}: ${description}`;
+}
+
+module.exports = InvoiceGenerator;
@@ -0,0 +1,240 @@
+const fs = require('fs').promises;
+const path = require('path');
+const Logger = require('./logger');
+
+const logger = Logger.child({ module: 'journalFile' });
+
+// Appends are chained per file path so concurrent writers in one process never interleave lines
+const writeChains = new Map();
+
+const NEWLINE = 0x0a;
+
+// Shared journals serialize writers across processes with a lock file next to the journal
+const LOCK_RETRY_MS = 25;
+const LOCK_TIMEOUT_MS = 60 * 1000;
+// A lock this old was left behind by a process that died holding it
+const STALE_LOCK_MS = 30 * 1000;
+
+/**
+ * Append-only JSON Lines journal
+ * Every entry is written as a single line with O_APPEND, so history is never rewritten - except by
+ * rewrite(), which drops entries the owner no longer needs. Journals written by several processes
+ * must be opened as shared, so appends and rewrites take a lock file and cannot interleave.
+ * Readers replay the file incrementally from the last byte offset they consumed, and from the start
+ * once the file has been replaced.
+ */
+class JournalFile {
+    /**
+     * @param {string} filePath - Absolute path of the .jsonl file
+     * @param {Object} [options]
+     * @param {boolean} [options.shared] - Other processes write the journal too (default: false)
+     * @param {Function} [options.onReplace] - Called before a replaced journal is replayed from the start
+     */
+    constructor(filePath, options = {}) {
+        this.filePath = filePath;
+        this.shared = Boolean(options.shared);
+        this.onReplace = options.onReplace || null;
+        this.offset = 0;
+        this.pending = Buffer.alloc(0);
+        this.inode = null; // inode of the file the offset belongs to
+    }
+
+    /**
+     * Append one entry to the journal
+     * @param {Object} entry - JSON-serializable entry
+     * @returns {Promise<void>}
+     */
+    async append(entry) {
+        const line = JSON.stringify(entry) + '\n';
+        const previous = writeChains.get(this.filePath) || Promise.resolve();
+
+        const next = previous
+            .catch(() => {}) // A failed append must not block the ones queued behind it
+            .then(async () => {
+                await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+                await this.withLock(() => fs.appendFile(this.filePath, line, 'utf8'));
+            });
+
+        writeChains.set(this.filePath, next);
+        return next;
+    }
+
+    /**
+     * Read entries appended since the previous call
+     * @returns {Promise<Array>} Parsed entries in file order
+     */
+    async readNew() {
+        let handle;
+        try {
+            handle = await fs.open(this.filePath, 'r');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        try {
+            const { size, ino } = await handle.stat();
+
+            // File was truncated or replaced - replay it from the start
+            if (size < this.offset || (this.inode !== null && ino !== this.inode)) {
+                this.offset = 0;
+                this.pending = Buffer.alloc(0);
+                if (this.onReplace) {
+                    this.onReplace();
+                }
+            }
+            this.inode = ino;
+
+            if (size === this.offset) {
+                return [];
+            }
+
+            const chunk = Buffer.alloc(size - this.offset);
+            await handle.read(chunk, 0, chunk.length, this.offset);
+            this.offset = size;
+
+            // Only decode up to the last complete line; keep the remainder for the next read
+            const data = Buffer.concat([this.pending, chunk]);
+            const lastNewline = data.lastIndexOf(NEWLINE);
+            if (lastNewline === -1) {
+                this.pending = data;
+                return [];
+            }
+            this.pending = data.subarray(lastNewline + 1);
+
+            return this.parseLines(data.subarray(0, lastNewline).toString('utf8'));
+        } finally {
+            await handle.close();
+        }
+    }
+
+    parseLines(text) {
+        const entries = [];
+        for (const line of text.split('\n')) {
+            if (!line.trim()) {
+                continue;
+            }
+            try {
+                entries.push(JSON.parse(line));
+            } catch (error) {
+                logger.warn(`⚠️  Skipping corrupt journal line in ${path.basename(this.filePath)}: ${error.message}`);
+            }
+        }
+        return entries;
+    }
+
+    /**
+     * Replace the journal with the entries transform() keeps
+     * Runs in the append chain, so appends from this process land either before the file is read or
+     * after it is replaced. The new copy is written beside the journal and renamed over it, so a crash
+     * leaves the old or the new file, never half of one. Appends from another process during the
+     * rewrite would be lost unless the journal is shared, which holds the lock for the whole rewrite.
+     * @param {Function} transform - (entries) => entries to keep
+     * @returns {Promise<number>} Number of entries written
+     */
+    async rewrite(transform) {
+        const previous = writeChains.get(this.filePath) || Promise.resolve();
+
+        const next = previous
+            .catch(() => {})
+            .then(() => this.withLock(async () => {
+                let text = '';
+                try {
+                    text = await fs.readFile(this.filePath, 'utf8');
+                } catch (error) {
+                    if (error.code !== 'ENOENT') {
+                        throw error;
+                    }
+                }
+
+                const kept = transform(this.parseLines(text));
+                const content = kept.map(entry => JSON.stringify(entry) + '\n').join('');
+                const tempPath = `${this.filePath}.${process.pid}.tmp`;
+                await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+                await fs.writeFile(tempPath, content, 'utf8');
+                await fs.rename(tempPath, this.filePath);
+
+                // A shared journal may hold entries this reader has not seen yet, so it is left to
+                // readNew() to notice the new file and replay it. Otherwise everything in it has been read.
+                if (!this.shared) {
+                    this.offset = Buffer.byteLength(content);
+                    this.pending = Buffer.alloc(0);
+                    this.inode = (await fs.stat(this.filePath)).ino;
+                }
+                return kept.length;
+            }));
+
+        writeChains.set(this.filePath, next);
+        return next;
+    }
+
+    /**
+     * Run fn while holding the journal's lock file (shared journals only)
+     * @param {Function} fn - Async work to do under the lock
+     * @returns {Promise<*>} Whatever fn returns
+     */
+    async withLock(fn) {
+        if (!this.shared) {
+            return fn();
+        }
+
+        const lockPath = `${this.filePath}.lock`;
+        const deadline = Date.now() + LOCK_TIMEOUT_MS;
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+        for (;;) {
+            try {
+                await (await fs.open(lockPath, 'wx')).close();
+                break;
+            } catch (error) {
+                if (error.code !== 'EEXIST') {
+                    throw error;
+                }
+            }
+
+            if (await this.removeStaleLock(lockPath)) {
+                continue;
+            }
+            if (Date.now() > deadline) {
+                throw new Error(`Timed out waiting for journal lock ${lockPath}`);
+            }
+            await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+        }
+
+        try {
+            return await fn();
+        } finally {
+            await fs.unlink(lockPath).catch(() => {});
+        }
+    }
+
+    async removeStaleLock(lockPath) {
+        try {
+            const { mtimeMs } = await fs.stat(lockPath);
+            if (Date.now() - mtimeMs < STALE_LOCK_MS) {
+                return false;
+            }
+            logger.warn(`⚠️  Removing stale journal lock ${path.basename(lockPath)}`);
+            await fs.unlink(lockPath);
+            return true;
+        } catch (error) {
+            // Released between the failed open and the stat - just try again
+            return error.code === 'ENOENT';
+        }
+    }
+
+    /**
+     * Re-read the whole journal from the beginning
+     * @returns {Promise<Array>} All parsed entries
+     */
+    async readAll() {
+        this.offset = 0;
+        this.pending = Buffer.alloc(0);
+        this.inode = null;
+        return await this.readNew();
+    }
+}
+
+module.exports = JournalFile;
@@ -0,0 +1,278 @@
+/**
+ * Label Void Handler
+ * When a label is voided after its tracking number was posted to Rithum, the Rithum order is left
+ * with a package that will never move. ShipStation sends no webhook for voids, so voided labels are
+ * found by checking the shipments whose tracking we reported (on a timer, on label_created_v2, or
+ * when a label is voided through this service).
+ *
+ * Rithum has no API to remove a package, so a voided tracking number is corrected by posting the
+ * shipment's replacement label as a new package with the same line items. Until a replacement label
+ * is bought the void is recorded as awaiting replacement. Every step is written to the order ledger.
+ */
+
+const OrderLedger = require('./orderLedger');
+const OrderResolver = require('./orderResolver');
+const CarrierMappings = require('./carrierMappings');
+const Logger = require('./logger');
+
+const logger = Logger.child({ module: 'labelVoidHandler' });
+
+const LEDGER_EVENTS = OrderLedger.EVENTS;
+
+class LabelVoidHandler {
+    /**
+     * @param {ShipStationClient} shipstationClient - ShipStation API client
+     * @param {RithumClient} rithumClient - Rithum API client
+     * @param {Object} [options]
+     * @param {OrderLedger} [options.ledger] - Order ledger (default: shared ledger file)
+     * @param {CarrierMappings} [options.mappings] - Carrier mappings (default: carrier-mappings.json)
+     * @param {number} [options.maxAgeDays] - Only shipments reported this recently are swept (default: 30)
+     */
+    constructor(shipstationClient, rithumClient, options = {}) {
+        this.shipstationClient = shipstationClient;
+        this.rithumClient = rithumClient;
+        this.ledger = options.ledger || new OrderLedger();
+        this.mappings = options.mappings || CarrierMappings.load();
+        this.maxAgeMs = (options.maxAgeDays || 30) * 24 * 60 * 60 * 1000;
+    }
+
+    /**
+     * Void a label in ShipStation and correct Rithum if its tracking was already reported
+     * @param {string} labelId - ShipStation label ID
+     * @returns {Promise<Object>} { approved, message, correction }
+     */
+    async voidLabel(labelId) {
+        const label = await this.shipstationClient.getLabelById(labelId);
+        const result = await this.shipstationClient.voidLabel(labelId);
+        if (!result.approved) {
+            return { approved: false, message: result.message || null, correction: null };
+        }
+
+        const labels = await this.shipstationClient.getLabelsByShipmentId(label.shipment_id);
+        const correction = await this.handleVoidedLabel({ ...label, voided: true }, labels);
+        return { approved: true, message: result.message || null, correction };
+    }
+
+    /**
+     * Tracking numbers posted to Rithum for a shipment, and which of them are already dealt with
+     * @param {Object} order - Ledger order record
+     * @param {string} shipmentId - ShipStation shipment ID
+     * @returns {Object} { posted: Set, voided: Set, replaced: Set }
+     */
+    getTrackingState(order, shipmentId) {
+        const state = { posted: new Set(), voided: new Set(), replaced: new Set() };
+        (order?.history || []).forEach(entry => {
+            if (entry.event === LEDGER_EVENTS.RITHUM_SHIPMENT_POSTED && entry.shipmentId === shipmentId) {
+                (entry.details?.trackingNumbers || [entry.details?.trackingNumber])
+                    .filter(Boolean)
+                    .forEach(trackingNumber => state.posted.add(trackingNumber));
+            } else if (entry.event === LEDGER_EVENTS.RITHUM_TRACKING_VOIDED) {
+                state.voided.add(entry.details?.trackingNumber);
+            } else if (entry.event === LEDGER_EVENTS.RITHUM_TRACKING_REPLACED) {
+                state.replaced.add(entry.details?.voidedTrackingNumber);
+            }
+        });
+        return state;
+    }
+
+    /**
+     * Look for voided labels on one shipment whose tracking we reported
+     * Makes no ShipStation call unless the ledger shows tracking was posted for the shipment.
+     * @param {string} shipmentId - ShipStation shipment ID
+     * @returns {Promise<Array>} Corrections made or recorded (see handleVoidedLabel)
+     */
+    async checkShipment(shipmentId) {
+        const order = await this.ledger.getOrder({ shipmentId });
+        const state = this.getTrackingState(order, shipmentId);
+        const open = [...state.posted].filter(trackingNumber => !state.replaced.has(trackingNumber));
+        if (open.length === 0) {
+            return [];
+        }
+
+        const labels = await this.shipstationClient.getLabelsByShipmentId(shipmentId);
+        const corrections = [];
+        for (const label of labels.filter(candidate => candidate.voided && open.includes(candidate.tracking_number))) {
+            corrections.push(await this.handleVoidedLabel(label, labels));
+        }
+        return corrections;
+    }
+
+    /**
+     * Correct Rithum for a voided label
+     * @param {Object} label - The voided ShipStation label
+     * @param {Array} labels - All labels of the label's shipment (to find a replacement)
+     * @returns {Promise<Object>} { status, trackingNumber, replacementTrackingNumber } - status is
+     *          not_reported, replaced, already_replaced or awaiting_replacement
+     */
+    async handleVoidedLabel(label, labels) {
+        const trackingNumber = label.tracking_number;
+        const order = await this.ledger.getOrder({ shipmentId: label.shipment_id });
+        const state = this.getTrackingState(order, label.shipment_id);
+        const refs = {
+            dscoOrderId: order?.dscoOrderId,
+            poNumber: order?.poNumber,
+            shipmentId: label.shipment_id
+        };
+
+        const voidRecorded = (order?.history || []).some(entry =>
+            entry.event === LEDGER_EVENTS.LABEL_VOIDED && entry.details?.labelId === label.label_id);
+        if (order && !voidRecorded) {
+            await this.ledger.record(LEDGER_EVENTS.LABEL_VOIDED, refs, {
+                labelId: label.label_id,
+                trackingNumber,
+                voidedAt: label.voided_at || null
+            });
+        }
+
+        if (!order || !state.posted.has(trackingNumber)) {
+            return { status: 'not_reported', trackingNumber, replacementTrackingNumber: null };
+        }
+        if (state.replaced.has(trackingNumber)) {
+            return { status: 'already_replaced', trackingNumber, replacementTrackingNumber: null };
+        }
+
+        const replacement = (labels || []).find(candidate => !candidate.voided &&
+            candidate.status === 'completed' &&
+            candidate.tracking_number &&
+            candidate.tracking_number !== trackingNumber);
+
+        if (!replacement) {
+            if (!state.voided.has(trackingNumber)) {
+                logger.warn(`⚠️  Tracking ${trackingNumber} on Rithum order ${refs.dscoOrderId} was voided - ` +
+                    'it will be replaced when a new label is bought');
+                await this.ledger.record(LEDGER_EVENTS.RITHUM_TRACKING_VOIDED, refs, {
+                    labelId: label.label_id,
+                    trackingNumber
+                });
+            }
+            return { status: 'awaiting_replacement', trackingNumber, replacementTrackingNumber: null };
+        }
+
+        await this.replaceTracking(refs, trackingNumber, replacement);
+        return { status: 'replaced', trackingNumber, replacementTrackingNumber: replacement.tracking_number };
+    }
+
+    /**
+     * Post the replacement label to Rithum as a package with the voided package's line items
+     * @param {Object} refs - Ledger refs of the order
+     * @param {string} voidedTrackingNumber - Tracking number of the voided label
+     * @param {Object} label - Replacement ShipStation label
+     */
+    async replaceTracking(refs, voidedTrackingNumber, label) {
+        const resolver = new OrderResolver(this.rithumClient);
+        const rithumOrder = await resolver.resolve(
+            { dscoOrderId: refs.dscoOrderId, poNumber: refs.poNumber },
+            { refresh: true }
+        );
+        if (!rithumOrder) {
+            throw new Error(`Rithum order ${refs.dscoOrderId} not found`);
+        }
+
+        const packages = rithumOrder.packages || [];
+        if (packages.some(pkg => pkg.trackingNumber === label.tracking_number)) {
+            // Already reported, e.g. by the label_created_v2 webhook of a partial shipment
+            await this.recordReplacement(refs, voidedTrackingNumber, label, null);
+            return;
+        }
+
+        const voidedPackage = packages.find(pkg => pkg.trackingNumber === voidedTrackingNumber);
+        const lineItems = (voidedPackage?.items || []).map(item => {
+            const lineItem = { quantity: item.quantity };
+            if (item.dscoItemId) lineItem.dscoItemId = String(item.dscoItemId);
+            if (item.sku) lineItem.sku = item.sku;
+            if (item.partnerSku) lineItem.partnerSku = item.partnerSku;
+            if (item.upc) lineItem.upc = item.upc;
+            return lineItem;
+        }).filter(lineItem => lineItem.quantity > 0);
+        if (lineItems.length === 0) {
+            throw new Error(`Package ${voidedTrackingNumber} not found on Rithum order ${rithumOrder.dscoOrderId}`);
+        }
+
+        const requestedCode = rithumOrder.requestedShippingServiceLevelCode;
+        const serviceLevelCode = requestedCode && this.mappings.isRithumShipmentCode(requestedCode)
+            ? requestedCode
+            : this.mappings.getRithumShipmentCode(label.carrier_code, label.service_code);
+        const carrierManifestId = this.mappings.getCarrierManifestId(label.carrier_code);
+        const shipDate = label.ship_date && new Date(label.ship_date) <= new Date()
+            ? label.ship_date
+            : new Date().toISOString();
+
+        const shipmentData = {
+            dscoOrderId: String(rithumOrder.dscoOrderId),
+            poNumber: rithumOrder.poNumber,
+            shipments: [{
+                trackingNumber: label.tracking_number,
+                lineItems,
+                shipDate,
+                shipCost: label.shipment_cost?.amount ?? voidedPackage.shipCost ?? 0,
+                shipWeight: voidedPackage.shipWeight || 1,
+                shipWeightUnits: voidedPackage.shipWeightUnits || 'OZ',
+                carrierManifestId,
+                shipCarrier: carrierManifestId,
+                shippingServiceLevelCode: serviceLevelCode,
+                shipMethod: this.mappings.getShipMethodName(serviceLevelCode)
+            }]
+        };
+
+        logger.info(`🔁 Replacing voided tracking ${voidedTrackingNumber} with ${label.tracking_number} ` +
+            `on Rithum order ${rithumOrder.dscoOrderId}`);
+        const response = await this.rithumClient.createSingleShipment(shipmentData);
+        resolver.invalidate({ dscoOrderId: rithumOrder.dscoOrderId });
+
+        await this.ledger.record(LEDGER_EVENTS.RITHUM_SHIPMENT_POSTED, refs, {
+            trackingNumber: label.tracking_number,
+            trackingNumbers: [label.tracking_number],
+            carrier: label.carrier_code,
+            shipMethod: label.service_code,
+            lineItemCount: lineItems.length,
+            requestId: response?.requestId || null,
+            replaces: voidedTrackingNumber
+        });
+        await this.recordReplacement(refs, voidedTrackingNumber, label, response?.requestId || null);
+    }
+
+    async recordReplacement(refs, voidedTrackingNumber, label, requestId) {
+        await this.ledger.record(LEDGER_EVENTS.RITHUM_TRACKING_REPLACED, refs, {
+            voidedTrackingNumber,
+            trackingNumber: label.tracking_number,
+            labelId: label.label_id,
+            requestId
+        });
+    }
+
+    /**
+     * Check every recently reported shipment for voided labels
+     * @returns {Promise<Object>} Summary: { checked, replaced, awaiting, errors }
+     */
+    async sweep() {
+        const cutoff = new Date(Date.now() - this.maxAgeMs).toISOString();
+        const orders = await this.ledger.listOrders();
+        const shipmentIds = new Set();
+        orders.forEach(order => order.history
+            .filter(entry => entry.event === LEDGER_EVENTS.RITHUM_SHIPMENT_POSTED &&
+                entry.shipmentId &&
+                entry.timestamp >= cutoff)
+            .forEach(entry => shipmentIds.add(entry.shipmentId)));
+
+        const summary = { checked: 0, replaced: 0, awaiting: 0, errors: 0 };
+        for (const shipmentId of shipmentIds) {
+            try {
+                const corrections = await this.checkShipment(shipmentId);
+                summary.checked++;
+                summary.replaced += corrections.filter(correction => correction.status === 'replaced').length;
+                summary.awaiting += corrections.filter(correction => correction.status === 'awaiting_replacement').length;
+            } catch (error) {
+                summary.errors++;
+                logger.error(`❌ Could not check shipment ${shipmentId} for voided labels`, { error });
+            }
+        }
+
+        if (summary.replaced > 0 || summary.awaiting > 0) {
+            logger.info(`✅ Void sweep: ${summary.replaced} tracking number(s) replaced in Rithum, ` +
+                `${summary.awaiting} awaiting a new label`);
+        }
+        return summary;
+    }
+}
+
+module.exports = LabelVoidHandler;
@@ -0,0 +1,243 @@
+/**
+ * Logger
+ * Leveled, structured logging for the services and the long-running jobs. Every line carries its level,
+ * time, the module that wrote it, a message and optional fields. LOG_FORMAT picks one JSON object per
+ * line (Render, log drains) or readable text (local runs, where the console output looks as it always did).
+ *
+ * Context - the order being worked on and its correlation ID - is kept per async call chain with
+ * AsyncLocalStorage, so everything logged while one order is handled carries the same fields without
+ * them being passed down. The correlation ID is assigned when the order is pulled from the Rithum stream
+ * and kept in the order ledger, so the webhook that later reports its shipment logs under the same ID.
+ *
+ * Logged fields are redacted before they are written: customer addresses keep only what carriers route
+ * by (city, state, postal code, country), and phone numbers and emails are blanked wherever they appear.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+const { loggingConfig, validateConfig } = require('../config/loggingConfig');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Objects under these keys are customer addresses
+const ADDRESS_KEYS = new Set(['shipping', 'shipTo', 'ship_to', 'billTo', 'bill_to', 'billing', 'soldTo', 'sold_to']);
+// Address fields that are kept
+const ADDRESS_FIELDS_KEPT = new Set([
+    'city', 'city_locality', 'state', 'state_province', 'region', 'postal', 'postal_code',
+    'country', 'country_code', 'addressResidentialIndicator', 'address_residential_indicator'
+]);
+// Redacted wherever they appear
+const PII_KEYS = new Set(['email', 'phone', 'shipEmail', 'shipPhone', 'billEmail', 'billPhone']);
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 8;
+
+// Leading emoji of messages written for the console - dropped from JSON lines
+const EMOJI_PREFIX = /^[\s\p{Extended_Pictographic}\p{Emoji_Modifier}\uFE0F\u200D]+/u;
+// Rules and blank lines that only lay out console output
+const DECORATION = /^[\s=\-─]*$/;
+
+const contextStorage = new AsyncLocalStorage();
+
+let defaultOptions = loggingConfig;
+try {
+    validateConfig();
+} catch (error) {
+    defaultOptions = { ...loggingConfig, level: 'info', format: 'text' };
+    process.stderr.write(`⚠️  ${error.message} - logging at info level as text\n`);
+}
+
+class Logger {
+    /**
+     * @param {Object} [bindings] - Fields written on every line, e.g. { module: 'orderMapper' }
+     * @param {Object} [options] - level, format and redactPii (default: loggingConfig)
+     */
+    constructor(bindings = {}, options = defaultOptions) {
+        this.bindings = bindings;
+        this.options = options;
+        this.threshold = LEVELS[options.level] ?? LEVELS.info;
+    }
+
+    /**
+     * Logger for one module
+     * @param {Object} bindings - Fields written on every line, e.g. { module: 'orderMapper' }
+     * @returns {Logger}
+     */
+    static child(bindings) {
+        return new Logger(bindings);
+    }
+
+    /**
+     * Run fn with fields added to the context of everything it logs, including across awaits
+     * Nested contexts add to (and override) the enclosing one.
+     * @param {Object} fields - e.g. { correlationId, dscoOrderId, poNumber }
+     * @param {Function} fn - Sync or async function
+     * @returns {*} What fn returns
+     */
+    static withContext(fields, fn) {
+        const context = { ...Logger.getContext() };
+        Object.entries(fields).forEach(([key, value]) => {
+            if (value !== undefined && value !== null) {
+                context[key] = value;
+            }
+        });
+        return contextStorage.run(context, fn);
+    }
+
+    /**
+     * The context fields of the current call chain
+     * @returns {Object} e.g. { correlationId, dscoOrderId }
+     */
+    static getContext() {
+        return contextStorage.getStore() || {};
+    }
+
+    /**
+     * @returns {string} A new correlation ID
+     */
+    static newCorrelationId() {
+        return crypto.randomUUID();
+    }
+
+    /**
+     * Copy of a value with customer PII blanked out
+     * @param {*} value - Anything JSON-serializable
+     * @returns {*} Redacted copy
+     */
+    static redact(value) {
+        return redactValue(value, false, 0, new WeakSet());
+    }
+
+    /**
+     * Logger with more fields bound
+     * @param {Object} bindings
+     * @returns {Logger}
+     */
+    child(bindings) {
+        return new Logger({ ...this.bindings, ...bindings }, this.options);
+    }
+
+    debug(message, fields) {
+        this.write('debug', message, fields);
+    }
+
+    info(message, fields) {
+        this.write('info', message, fields);
+    }
+
+    warn(message, fields) {
+        this.write('warn', message, fields);
+    }
+
+    error(message, fields) {
+        this.write('error', message, fields);
+    }
+
+    /**
+     * Write one line if the level is enabled
+     * @param {string} level - debug, info, warn or error
+     * @param {string} message - What happened
+     * @param {Object} [fields] - Structured data; an Error under "error" is serialized
+     */
+    write(level, message, fields = {}) {
+        if (LEVELS[level] < this.threshold) {
+            return;
+        }
+
+        const data = serializeFields(fields || {});
+        const safeData = this.options.redactPii ? Logger.redact(data) : data;
+        const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+
+        if (this.options.format === 'json') {
+            const text = String(message ?? '').replace(EMOJI_PREFIX, '').trim();
+            if (DECORATION.test(text) && Object.keys(safeData).length === 0) {
+                return;
+            }
+            stream.write(JSON.stringify({
+                level,
+                time: new Date().toISOString(),
+                ...this.bindings,
+                ...Logger.getContext(),
+                msg: text,
+                ...safeData
+            }) + '\n');
+            return;
+        }
+
+        const suffix = Object.entries(safeData)
+            .map(([key, value]) => ` ${key}=${formatTextValue(value)}`)
+            .join('');
+        stream.write(`${message ?? ''}${suffix}\n`);
+    }
+}
+
+// Text lines show errors by message, with the HTTP status and response - stacks are left to JSON lines
+function formatTextValue(value) {
+    if (typeof value === 'string') {
+        return value;
+    }
+    if (value && typeof value === 'object' && typeof value.message === 'string' && (value.stack || 'status' in value)) {
+        return value.status
+            ? `${value.message} (HTTP ${value.status})${value.data !== undefined ? ` ${JSON.stringify(value.data)}` : ''}`
+            : value.message;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Errors are not JSON-serializable - keep their message and, for HTTP errors, the response
+ */
+function serializeFields(fields) {
+    const serialized = {};
+    Object.entries(fields).forEach(([key, value]) => {
+        if (value === undefined) {
+            return;
+        }
+        serialized[key] = value instanceof Error ? serializeError(value) : value;
+    });
+    return serialized;
+}
+
+function serializeError(error) {
+    const serialized = { message: error.message };
+    if (error.code) {
+        serialized.code = error.code;
+    }
+    if (error.response) {
+        serialized.status = error.response.status;
+        serialized.data = error.response.data;
+    } else if (error.stack) {
+        serialized.stack = error.stack;
+    }
+    return serialized;
+}
+
+function redactValue(value, inAddress, depth, seen) {
+    if (value === null || typeof value !== 'object') {
+        return value;
+    }
+    if (seen.has(value)) {
+        return '[Circular]';
+    }
+    if (depth >= MAX_DEPTH) {
+        return '[Truncated]';
+    }
+    seen.add(value);
+
+    let copy;
+    if (Array.isArray(value)) {
+        copy = value.map(item => redactValue(item, inAddress, depth + 1, seen));
+    } else {
+        copy = {};
+        Object.entries(value).forEach(([key, item]) => {
+            if (PII_KEYS.has(key) || (inAddress && !ADDRESS_FIELDS_KEPT.has(key))) {
+                copy[key] = item === null || item === undefined || item === '' ? item : REDACTED;
+            } else {
+                copy[key] = redactValue(item, ADDRESS_KEYS.has(key), depth + 1, seen);
+            }
+        });
+    }
+    seen.delete(value);
+    return copy;
+}
+
+module.exports = Logger;
@@ -0,0 +1,329 @@
+/**
+ * Manifest Creator
+ * End-of-day close-out: every label bought on a day is put on a carrier manifest (a USPS SCAN form,
+ * for example) - one per carrier and warehouse - and, optionally, a pickup is booked for the same labels.
+ *
+ * Manifest PDFs are saved locally with a <day>.json index of manifest and pickup IDs, and each
+ * shipment the order ledger knows about gets a manifest_created (and pickup_scheduled) entry so the
+ * forms can be traced back from the order. The index is also how a re-run of a day (after a failed
+ * manifest) knows a pickup was already booked.
+ *
+ * Days are calendar days in server local time - the labels picked up, the pickup window and the
+ * time the cron worker runs the close-out all use the same clock.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const OrderLedger = require('./orderLedger');
+const Logger = require('./logger');
+
+const logger = Logger.child({ module: 'manifestCreator' });
+
+const LEDGER_EVENTS = OrderLedger.EVENTS;
+
+class ManifestCreator {
+    /**
+     * @param {ShipStationClient} shipstationClient - ShipStation API client
+     * @param {Object} [options]
+     * @param {OrderLedger} [options.ledger] - Order ledger (default: shared ledger file)
+     * @param {string} [options.warehouseId] - Warehouse for labels whose shipment has only a ship_from address
+     * @param {string} [options.manifestDir] - Directory manifest PDFs and indexes are written to (default: ./manifests)
+     * @param {Object} [options.pickup] - Pickup settings: { enabled, windowStart, windowEnd, contactName, contactEmail, contactPhone, notes }
+     */
+    constructor(shipstationClient, options = {}) {
+        this.shipstationClient = shipstationClient;
+        this.ledger = options.ledger || new OrderLedger();
+        this.warehouseId = options.warehouseId || null;
+        this.manifestDir = path.resolve(options.manifestDir || path.join(__dirname, '../../manifests'));
+        this.pickup = options.pickup || { enabled: false };
+    }
+
+    /**
+     * Today's date in server local time
+     * @param {Date} [date] - Default: now
+     * @returns {string} YYYY-MM-DD
+     */
+    static localDay(date = new Date()) {
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * Labels bought on a day that are not on a manifest yet, grouped by carrier and warehouse
+     * @param {string} day - YYYY-MM-DD (server local time)
+     * @returns {Promise<Array>} [{ carrierId, warehouseId, labels }]
+     */
+    async findUnmanifestedLabels(day) {
+        const start = new Date(`${day}T00:00:00`);
+        const end = new Date(start);
+        end.setDate(end.getDate() + 1);
+        const range = {
+            created_at_start: start.toISOString(),
+            created_at_end: new Date(end.getTime() - 1).toISOString()
+        };
+        const labels = (await this.shipstationClient.listLabels({ label_status: 'completed', ...range }))
+            .filter(label => !label.voided && !label.is_return_label);
+
+        const manifests = await this.shipstationClient.listManifests({ created_at_start: range.created_at_start });
+        const manifested = new Set(manifests.flatMap(manifest => manifest.label_ids || []));
+
+        const groups = new Map();
+        for (const label of labels.filter(candidate => !manifested.has(candidate.label_id))) {
+            const warehouseId = await this.getWarehouseId(label);
+            const key = `${label.carrier_id}|${warehouseId}`;
+            if (!groups.has(key)) {
+                groups.set(key, { carrierId: label.carrier_id, warehouseId, labels: [] });
+            }
+            groups.get(key).labels.push(label);
+        }
+        return [...groups.values()];
+    }
+
+    /**
+     * Warehouse a label ships from
+     * Shipments created with a ship_from address have no warehouse_id, so the configured warehouse is used.
+     */
+    async getWarehouseId(label) {
+        if (label.shipment?.warehouse_id) {
+            return label.shipment.warehouse_id;
+        }
+        try {
+            const shipment = await this.shipstationClient.getShipmentById(label.shipment_id);
+            return shipment.warehouse_id || this.warehouseId;
+        } catch (error) {
+            logger.warn(`⚠️  Could not look up shipment ${label.shipment_id}: ${error.message}`);
+            return this.warehouseId;
+        }
+    }
+
+    /**
+     * Manifest one carrier/warehouse group and book its pickup
+     * @param {Object} group - { carrierId, warehouseId, labels } from findUnmanifestedLabels()
+     * @param {string} day - YYYY-MM-DD
+     * @param {Object} [options]
+     * @param {boolean} [options.schedulePickup] - Book a pickup (default: pickup.enabled)
+     * @param {Map} [options.bookedPickups] - Pickups already booked for the day, from getBookedPickups()
+     * @returns {Promise<Object>} { carrierId, warehouseId, labelCount, manifests: [...], pickup, errors }
+     */
+    async closeGroup(group, day, options = {}) {
+        const labelIds = group.labels.map(label => label.label_id);
+        const result = {
+            carrierId: group.carrierId,
+            warehouseId: group.warehouseId,
+            labelCount: labelIds.length,
+            manifests: [],
+            pickup: null,
+            errors: []
+        };
+
+        if (!group.warehouseId) {
+            result.errors.push('No warehouse for these labels - set SHIPSTATION_WAREHOUSE_ID to manifest them');
+            return result;
+        }
+
+        try {
+            const manifests = await this.shipstationClient.createManifest({
+                carrierId: group.carrierId,
+                warehouseId: group.warehouseId,
+                shipDate: `${day}T00:00:00.000Z`,
+                labelIds
+            });
+            for (const manifest of manifests) {
+                result.manifests.push({
+                    manifestId: manifest.manifest_id,
+                    formId: manifest.form_id || null,
+                    shipments: manifest.shipments || (manifest.label_ids || []).length,
+                    labelIds: manifest.label_ids || labelIds,
+                    manifestFile: await this.saveManifest(manifest, day)
+                });
+            }
+            logger.info(`📋 ${group.carrierId}: ${result.manifests.length} manifest(s) for ${labelIds.length} label(s)`);
+        } catch (error) {
+            result.errors.push(`Manifest failed: ${error.response?.data?.errors?.[0]?.message || error.message}`);
+        }
+
+        const schedulePickup = options.schedulePickup ?? this.pickup.enabled;
+        const bookedPickup = options.bookedPickups?.get(`${group.carrierId}|${group.warehouseId}`);
+        if (schedulePickup && bookedPickup) {
+            // A re-run of the day - the carrier is already coming for this group
+            result.pickup = { ...bookedPickup, bookedEarlier: true };
+            logger.info(`🚚 ${group.carrierId}: pickup ${bookedPickup.pickupId} already booked for ${day}`);
+        } else if (schedulePickup) {
+            try {
+                const pickup = await this.shipstationClient.schedulePickup({
+                    labelIds,
+                    contactDetails: {
+                        name: this.pickup.contactName,
+                        email: this.pickup.contactEmail,
+                        phone: this.pickup.contactPhone
+                    },
+                    pickupWindow: this.getPickupWindow(day),
+                    pickupNotes: this.pickup.notes
+                });
+                result.pickup = {
+                    pickupId: pickup.pickup_id,
+                    confirmationNumber: pickup.confirmation_number || null,
+                    pickupWindows: pickup.pickup_windows || []
+                };
+                logger.info(`🚚 ${group.carrierId}: pickup ${result.pickup.pickupId} booked` +
+                    `${result.pickup.confirmationNumber ? ` (confirmation ${result.pickup.confirmationNumber})` : ''}`);
+            } catch (error) {
+                result.errors.push(`Pickup failed: ${error.response?.data?.errors?.[0]?.message || error.message}`);
+            }
+        }
+
+        await this.recordShipments(group, result);
+        return result;
+    }
+
+    /**
+     * Pickups booked by earlier runs of a day, from its index
+     * @param {string} day - YYYY-MM-DD
+     * @returns {Promise<Map>} 'carrierId|warehouseId' -> { pickupId, confirmationNumber, pickupWindows }
+     */
+    async getBookedPickups(day) {
+        const booked = new Map();
+        (await this.readIndex(day)).forEach(run => (run.groups || []).forEach(group => {
+            if (group.pickup?.pickupId) {
+                const { pickupId, confirmationNumber, pickupWindows } = group.pickup;
+                booked.set(`${group.carrierId}|${group.warehouseId}`, { pickupId, confirmationNumber, pickupWindows });
+            }
+        }));
+        return booked;
+    }
+
+    /**
+     * Pickup window for a day from the configured HH:MM times (server local time)
+     * @returns {Object} { start_at, end_at }
+     */
+    getPickupWindow(day) {
+        return {
+            start_at: new Date(`${day}T${this.pickup.windowStart || '15:00'}:00`).toISOString(),
+            end_at: new Date(`${day}T${this.pickup.windowEnd || '18:00'}:00`).toISOString()
+        };
+    }
+
+    /**
+     * Save a manifest's PDF
+     * @returns {Promise<string|null>} File path, or null if there was nothing to save
+     */
+    async saveManifest(manifest, day) {
+        const url = manifest.manifest_download?.href;
+        if (!url) {
+            return null;
+        }
+        try {
+            const pdf = await this.shipstationClient.downloadFile(url);
+            await fs.mkdir(this.manifestDir, { recursive: true });
+            const filePath = path.join(this.manifestDir, `${day}_${manifest.carrier_id || 'carrier'}_${manifest.manifest_id}.pdf`);
+            await fs.writeFile(filePath, pdf);
+            return filePath;
+        } catch (error) {
+            logger.warn(`⚠️  Could not save manifest ${manifest.manifest_id}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Attach manifest and pickup IDs to the ledger history of the group's shipments
+     */
+    async recordShipments(group, result) {
+        for (const label of group.labels) {
+            const order = await this.ledger.getOrder({ shipmentId: label.shipment_id });
+            if (!order) {
+                continue; // Not an order we created
+            }
+            const refs = { dscoOrderId: order.dscoOrderId, poNumber: order.poNumber, shipmentId: label.shipment_id };
+            const manifest = result.manifests.find(candidate => candidate.labelIds.includes(label.label_id));
+            if (manifest) {
+                await this.ledger.record(LEDGER_EVENTS.MANIFEST_CREATED, refs, {
+                    labelId: label.label_id,
+                    trackingNumber: label.tracking_number || null,
+                    carrierId: group.carrierId,
+                    warehouseId: group.warehouseId,
+                    manifestId: manifest.manifestId,
+                    formId: manifest.formId,
+                    manifestFile: manifest.manifestFile
+                });
+            }
+            if (result.pickup && !result.pickup.bookedEarlier) {
+                await this.ledger.record(LEDGER_EVENTS.PICKUP_SCHEDULED, refs, {
+                    labelId: label.label_id,
+                    pickupId: result.pickup.pickupId,
+                    confirmationNumber: result.pickup.confirmationNumber
+                });
+            }
+        }
+    }
+
+    /**
+     * Close out a day: manifest every unmanifested label and book pickups
+     * @param {Object} [options]
+     * @param {string} [options.day] - YYYY-MM-DD (default: today, server local time)
+     * @param {boolean} [options.schedulePickup] - Book pickups (default: pickup.enabled)
+     * @param {boolean} [options.dryRun] - Only report the groups that would be manifested
+     * @returns {Promise<Object>} { day, groups: [...], failed }
+     */
+    async run(options = {}) {
+        const day = options.day || ManifestCreator.localDay();
+        const groups = await this.findUnmanifestedLabels(day);
+        const report = { day, groups: [], failed: 0 };
+        const bookedPickups = options.dryRun ? new Map() : await this.getBookedPickups(day);
+
+        for (const group of groups) {
+            if (options.dryRun) {
+                report.groups.push({
+                    carrierId: group.carrierId,
+                    warehouseId: group.warehouseId,
+                    labelCount: group.labels.length,
+                    dryRun: true,
+                    manifests: [],
+                    errors: []
+                });
+                continue;
+            }
+            const result = await this.closeGroup(group, day, { ...options, bookedPickups });
+            if (result.errors.length > 0) {
+                report.failed++;
+            }
+            report.groups.push(result);
+        }
+
+        if (!options.dryRun && report.groups.length > 0) {
+            await this.saveIndex(report);
+        }
+        return report;
+    }
+
+    /**
+     * Append a run to the day's <day>.json index of manifest and pickup IDs
+     */
+    async saveIndex(report) {
+        const filePath = path.join(this.manifestDir, `${report.day}.json`);
+        try {
+            await fs.mkdir(this.manifestDir, { recursive: true });
+            const runs = await this.readIndex(report.day);
+            runs.push({ ranAt: new Date().toISOString(), groups: report.groups });
+            await fs.writeFile(filePath, JSON.stringify(runs, null, 2));
+        } catch (error) {
+            logger.warn(`⚠️  Could not write manifest index ${filePath}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Runs recorded in a day's index
+     * @returns {Promise<Array>} [{ ranAt, groups }] - empty if the day has not been closed out
+     */
+    async readIndex(day) {
+        try {
+            return JSON.parse(await fs.readFile(path.join(this.manifestDir, `${day}.json`), 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+            return [];
+        }
+    }
+}
+
+module.exports = ManifestCreator;
@@ -0,0 +1,270 @@
+/**
+ * Metrics
+ * Counters, gauges and histograms served at GET /metrics in the Prometheus text exposition format.
+ * The webhook server adds the route to its Express app; the cron worker, which has no web server,
+ * opens a small HTTP listener for it (METRICS_PORT).
+ *
+ * Every metric the middleware records is declared once in METRICS, so both processes expose the same
+ * set - each only moves the ones for the work it does (the cron worker pulls and creates orders, the
+ * webhook server posts shipments to Rithum, both call the APIs). Values live in memory and start at
+ * zero when the process restarts, which Prometheus counters expect.
+ */
+
+const http = require('http');
+const Logger = require('./logger');
+
+const logger = Logger.child({ module: 'metrics' });
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds - API calls range from tens of milliseconds to the 30 second client timeouts
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const METRIC_TYPES = ['counter', 'gauge', 'histogram'];
+
+class Metrics {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.prefix] - Prepended to every metric name (default: 'middleware_')
+     */
+    constructor(options = {}) {
+        this.prefix = options.prefix ?? 'middleware_';
+        this.metrics = new Map(); // name -> metric
+    }
+
+    /**
+     * Count of something that only goes up
+     * @param {string} name - e.g. orders_created_total
+     * @param {string} help - What is counted
+     * @param {Array<string>} [labelNames]
+     * @returns {Object} { inc(labels, value) }
+     */
+    counter(name, help, labelNames = []) {
+        return this.register('counter', name, help, labelNames);
+    }
+
+    /**
+     * Value that goes up and down
+     * @returns {Object} { set(labels, value), inc(labels, value) }
+     */
+    gauge(name, help, labelNames = []) {
+        return this.register('gauge', name, help, labelNames);
+    }
+
+    /**
+     * Distribution of observed values (durations) in cumulative buckets
+     * @param {Array<number>} [buckets] - Upper bounds, ascending (default: DEFAULT_BUCKETS)
+     * @returns {Object} { observe(labels, value), startTimer(labels) }
+     */
+    histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+        return this.register('histogram', name, help, labelNames, buckets);
+    }
+
+    /**
+     * Add a metric, or return the one already registered under the name
+     */
+    register(type, name, help, labelNames, buckets = null) {
+        if (!METRIC_TYPES.includes(type)) {
+            throw new Error(`Unknown metric type "${type}" (expected: ${METRIC_TYPES.join(', ')})`);
+        }
+        const existing = this.metrics.get(name);
+        if (existing) {
+            if (existing.type !== type) {
+                throw new Error(`Metric ${name} is already registered as a ${existing.type}`);
+            }
+            return existing;
+        }
+
+        const metric = createMetric(type, name, help, labelNames, buckets);
+        this.metrics.set(name, metric);
+        return metric;
+    }
+
+    /**
+     * All metrics in the Prometheus text exposition format
+     * @returns {string}
+     */
+    render() {
+        const lines = [];
+        for (const metric of this.metrics.values()) {
+            const name = `${this.prefix}${metric.name}`;
+            lines.push(`# HELP ${name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+            lines.push(`# TYPE ${name} ${metric.type}`);
+
+            // An unlabelled counter is reported as 0 before it first moves; gauges only once they are set,
+            // so the webhook server does not report a stream lag it never measured
+            if (metric.values.size === 0 && metric.labelNames.length === 0 && metric.type === 'counter') {
+                lines.push(`${name} 0`);
+            }
+
+            for (const sample of metric.values.values()) {
+                if (metric.type !== 'histogram') {
+                    lines.push(`${name}${formatLabels(sample.labels)} ${formatNumber(sample.value)}`);
+                    continue;
+                }
+                metric.buckets.forEach((bound, index) => {
+                    lines.push(`${name}_bucket${formatLabels({ ...sample.labels, le: formatNumber(bound) })} ${sample.counts[index]}`);
+                });
+                lines.push(`${name}_bucket${formatLabels({ ...sample.labels, le: '+Inf' })} ${sample.count}`);
+                lines.push(`${name}_sum${formatLabels(sample.labels)} ${formatNumber(sample.sum)}`);
+                lines.push(`${name}_count${formatLabels(sample.labels)} ${sample.count}`);
+            }
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Serve GET /metrics on its own port, for processes without a web server
+     * @param {number} port
+     * @returns {http.Server}
+     */
+    listen(port) {
+        const server = http.createServer((req, res) => {
+            const { pathname } = new URL(req.url, 'http://localhost');
+            if (req.method !== 'GET' || !['/metrics', '/health'].includes(pathname)) {
+                res.writeHead(404, { 'Content-Type': 'text/plain' });
+                res.end('Not found\n');
+                return;
+            }
+            if (pathname === '/health') {
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ status: 'ok', timestamp: new Date().toISOString() }));
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': CONTENT_TYPE });
+            res.end(this.render());
+        });
+        server.on('error', error => {
+            logger.error(`❌ Metrics listener on port ${port} failed`, { error });
+        });
+        server.listen(port);
+        return server;
+    }
+
+    /**
+     * Endpoint label for an API URL - IDs, positions and query strings are replaced so the
+     * number of label values stays bounded
+     * @param {string} url - e.g. /v2/shipments/se-123?x=1
+     * @returns {string} e.g. /v2/shipments/:id
+     */
+    static endpointLabel(url) {
+        const pathname = String(url || '').replace(/^https?:\/\/[^/]+/, '').split('?')[0];
+        return pathname
+            .split('/')
+            .map(segment => (isIdSegment(segment) ? ':id' : segment))
+            .join('/') || '/';
+    }
+}
+
+/**
+ * A metric and its samples, one per combination of label values
+ */
+function createMetric(type, name, help, labelNames, buckets) {
+    const metric = {
+        type,
+        name,
+        help,
+        labelNames,
+        buckets: type === 'histogram' ? [...buckets].sort((a, b) => a - b) : null,
+        values: new Map() // label key -> sample
+    };
+
+    const getSample = labels => {
+        const picked = {};
+        labelNames.forEach(labelName => {
+            picked[labelName] = labels[labelName] === undefined || labels[labelName] === null
+                ? ''
+                : String(labels[labelName]);
+        });
+        const key = JSON.stringify(picked);
+        if (!metric.values.has(key)) {
+            metric.values.set(key, type === 'histogram'
+                ? { labels: picked, counts: metric.buckets.map(() => 0), sum: 0, count: 0 }
+                : { labels: picked, value: 0 });
+        }
+        return metric.values.get(key);
+    };
+
+    if (type === 'histogram') {
+        metric.observe = (labels = {}, value) => {
+            const sample = getSample(labels);
+            metric.buckets.forEach((bound, index) => {
+                if (value <= bound) {
+                    sample.counts[index]++;
+                }
+            });
+            sample.sum += value;
+            sample.count++;
+        };
+        // Returns a function that observes the seconds elapsed, with any labels only known at the end
+        metric.startTimer = (labels = {}) => {
+            const startedAt = process.hrtime.bigint();
+            return (endLabels = {}) => {
+                metric.observe({ ...labels, ...endLabels }, Number(process.hrtime.bigint() - startedAt) / 1e9);
+            };
+        };
+        return metric;
+    }
+
+    metric.inc = (labels = {}, value = 1) => {
+        getSample(labels).value += value;
+    };
+    if (type === 'gauge') {
+        metric.set = (labels = {}, value) => {
+            getSample(labels).value = value;
+        };
+    }
+    return metric;
+}
+
+/**
+ * Whether a path segment is an ID - anything with a digit (se-123, PO numbers) or long (UUIDs,
+ * stream positions), except API version segments like v2
+ */
+function isIdSegment(segment) {
+    if (/^v\d+$/.test(segment)) {
+        return false;
+    }
+    return /\d/.test(segment) || segment.length > 24;
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([key, value]) =>
+        `${key}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatNumber(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+// The process-wide registry every module records into
+const registry = new Metrics();
+
+/**
+ * What the middleware measures
+ */
+const METRICS = Object.freeze({
+    ordersPulled: registry.counter('orders_pulled_total', 'Orders pulled from the Rithum order stream'),
+    ordersMapped: registry.counter('orders_mapped_total', 'Rithum orders mapped to ShipStation shipments'),
+    ordersCreated: registry.counter('orders_created_total', 'Shipments created in ShipStation'),
+    ordersDuplicate: registry.counter('orders_duplicate_total', 'Orders skipped because they are already in ShipStation'),
+    rithumShipmentPosts: registry.counter('rithum_shipment_posts_total',
+        'Shipments posted to Rithum, by result (success, failure, skipped)', ['result']),
+    apiRequestDuration: registry.histogram('api_request_duration_seconds',
+        'Rithum and ShipStation API request latency, per attempt', ['api', 'method', 'endpoint', 'status']),
+    apiRequestRetries: registry.counter('api_request_retries_total',
+        'API requests retried after a failed attempt (the Rithum client retries, ShipStation does not)', ['api', 'method', 'endpoint']),
+    streamLag: registry.gauge('rithum_stream_lag_seconds',
+        'Age of the newest order event read from the Rithum stream by the last intake run (0 when caught up)'),
+    streamLastRead: registry.gauge('rithum_stream_last_read_timestamp_seconds',
+        'Unix time the intake job last read the Rithum stream')
+});
+
+Metrics.CONTENT_TYPE = CONTENT_TYPE;
+Metrics.registry = registry;
+Metrics.METRICS = METRICS;
+
+module.exports = Metrics;
@@ -0,0 +1,345 @@
+/**
+ * Notifier
+ * Sends operational alerts (failed order creation, rejected shipments, SLA breaches and the like) to the
+ * channels configured in NOTIFY_CHANNELS:
+ *
+ * - console: written to the process log
+ * - smtp: a plain-text email through an SMTP relay without authentication, e.g. a local mail catcher
+ *   (MailHog, Mailpit) or an internal relay
+ * - slack: a message POSTed to a Slack-compatible incoming webhook (Slack, Mattermost, Rocket.Chat)
+ * - webhook: the alert as JSON, POSTed to a URL
+ *
+ * Routes send an event to some of the channels only; events without a route go to all of them.
+ * Digest events are held until flush() and then sent as one alert per event, so a burst of failures
+ * produces one message instead of dozens. Long-running processes flush on a timer, scripts before they exit.
+ *
+ * A channel that fails is logged and does not stop the others. New channels are added to CHANNELS.
+ */
+
+const net = require('net');
+const os = require('os');
+const axios = require('axios');
+const Logger = require('./logger');
+
+const logger = Logger.child({ module: 'notifier' });
+
+const SEVERITY_ICONS = {
+    info: 'ℹ️ ',
+    warning: '⚠️ ',
+    critical: '🚨'
+};
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+const SMTP_TIMEOUT_MS = 15000;
+
+/**
+ * Events alerts are raised for - the keys routes and digests are configured by
+ */
+const ALERT_EVENTS = Object.freeze({
+    RITHUM_FETCH_FAILED: 'rithum_fetch_failed',
+    SHIPSTATION_CREATION_FAILED: 'shipstation_creation_failed',
+    STREAM_POSITION_STUCK: 'stream_position_stuck',
+    INTAKE_FAILED: 'intake_failed',
+    RITHUM_SHIPMENT_REJECTED: 'rithum_shipment_rejected',
+    WEBHOOK_DEAD_LETTERED: 'webhook_dead_lettered',
+    ORDER_SYNC_FAILED: 'order_sync_failed',
+    SLA_AT_RISK: 'sla_at_risk',
+    SLA_LATE: 'sla_late'
+});
+
+// Channel type -> function(channelOptions, alert) sending one alert
+const CHANNELS = {
+    console: sendToConsole,
+    smtp: sendEmail,
+    slack: sendToSlack,
+    webhook: sendToWebhook
+};
+
+class Notifier {
+    /**
+     * @param {Array<Object>} [channels] - [{ type: 'console'|'smtp'|'slack'|'webhook', ...channel options }]
+     * @param {Object} [options]
+     * @param {Object} [options.routes] - Event -> channel types it is sent to; other events go to every channel
+     * @param {Array<string>} [options.digestEvents] - Events held for flush() ('*' for all)
+     */
+    constructor(channels = [{ type: 'console' }], options = {}) {
+        channels.forEach(channel => {
+            if (!CHANNELS[channel.type]) {
+                throw new Error(`Unknown notification channel "${channel.type}" (expected: ${Object.keys(CHANNELS).join(', ')})`);
+            }
+        });
+        this.channels = channels;
+        this.routes = options.routes || {};
+        this.digestEvents = options.digestEvents || [];
+        this.pending = []; // alerts held for the next digest
+    }
+
+    /**
+     * Build a notifier from the notification config
+     * @param {Object} config - notificationConfig (channels, smtp, slack, webhook, routes, digest)
+     * @returns {Notifier}
+     */
+    static fromConfig(config) {
+        return new Notifier(config.channels.map(type => ({ type, ...(config[type] || {}) })), {
+            routes: config.routes,
+            digestEvents: config.digest?.events
+        });
+    }
+
+    /**
+     * Send an alert to every channel
+     * @param {Object} alert
+     * @param {string} alert.event - What happened, e.g. sla_at_risk
+     * @param {string} [alert.severity] - info, warning or critical (default: warning)
+     * @param {string} alert.title - One-line summary (email subject)
+     * @param {string} [alert.message] - Plain-text body
+     * @param {Object} [alert.details] - Structured data for webhook consumers
+     * @returns {Promise<Object>} { sent: [type], failed: [{ type, error }], queued } - queued alerts wait for flush()
+     */
+    async notify(alert) {
+        const payload = {
+            severity: 'warning',
+            message: '',
+            details: {},
+            ...alert,
+            host: os.hostname(),
+            timestamp: new Date().toISOString()
+        };
+
+        if (this.digestEvents.includes(payload.event) || this.digestEvents.includes('*')) {
+            this.pending.push(payload);
+            return { sent: [], failed: [], queued: true };
+        }
+        return this.send(payload);
+    }
+
+    /**
+     * Send the alerts held for the digest, one alert per event
+     * @returns {Promise<Array>} [{ event, alerts, sent, failed }] for each event sent
+     */
+    async flush() {
+        const pending = this.pending;
+        this.pending = [];
+
+        const byEvent = new Map();
+        pending.forEach(alert => byEvent.set(alert.event, [...(byEvent.get(alert.event) || []), alert]));
+
+        const results = [];
+        for (const [event, alerts] of byEvent) {
+            const result = await this.send(alerts.length === 1 ? alerts[0] : toDigest(event, alerts));
+            results.push({ event, alerts: alerts.length, ...result });
+        }
+        return results;
+    }
+
+    /**
+     * Channels an event is routed to
+     * @param {string} event - Alert event
+     * @returns {Array<Object>} Channels
+     */
+    getChannels(event) {
+        const route = this.routes[event] || this.routes['*'];
+        return route ? this.channels.filter(channel => route.includes(channel.type)) : this.channels;
+    }
+
+    /**
+     * Send one alert to the channels its event is routed to
+     */
+    async send(payload) {
+        const result = { sent: [], failed: [] };
+        for (const channel of this.getChannels(payload.event)) {
+            try {
+                await CHANNELS[channel.type](channel, payload);
+                result.sent.push(channel.type);
+            } catch (error) {
+                logger.error(`❌ Could not send "${payload.title}" via ${channel.type}`, { error });
+                result.failed.push({ type: channel.type, error: error.message });
+            }
+        }
+        return result;
+    }
+}
+
+/**
+ * Combine the alerts of one event into a single alert, as severe as the worst of them
+ */
+function toDigest(event, alerts) {
+    const severity = alerts.reduce((worst, alert) =>
+        (SEVERITIES.indexOf(alert.severity) > SEVERITIES.indexOf(worst) ? alert.severity : worst), 'info');
+    const message = alerts.map(alert => [
+        `[${alert.timestamp}] ${alert.title}`,
+        ...(alert.message ? alert.message.split('\n').map(line => `   ${line}`) : [])
+    ].join('\n')).join('\n\n');
+
+    return {
+        event,
+        severity,
+        title: `${alerts.length} "${event}" alerts since ${alerts[0].timestamp}`,
+        message,
+        details: {
+            digest: true,
+            alerts: alerts.map(({ severity: alertSeverity, title, message: text, details, timestamp }) =>
+                ({ severity: alertSeverity, title, message: text, details, timestamp }))
+        },
+        host: os.hostname(),
+        timestamp: new Date().toISOString()
+    };
+}
+
+async function sendToConsole(channel, alert) {
+    const level = alert.severity === 'info' ? 'info' : 'warn';
+    logger.write(level, `${SEVERITY_ICONS[alert.severity] || SEVERITY_ICONS.warning} ${alert.title}`, {
+        event: alert.event,
+        severity: alert.severity
+    });
+    if (alert.message) {
+        logger.write(level, alert.message.split('\n').map(line => `   ${line}`).join('\n'));
+    }
+}
+
+async function sendToWebhook(channel, alert) {
+    if (!channel.url) {
+        throw new Error('No webhook URL configured');
+    }
+    await axios.post(channel.url, alert, {
+        headers: { 'Content-Type': 'application/json', ...(channel.headers || {}) },
+        timeout: 10000
+    });
+}
+
+/**
+ * Post the alert to a Slack-compatible incoming webhook, which takes a { text } body
+ */
+async function sendToSlack(channel, alert) {
+    if (!channel.url) {
+        throw new Error('No Slack webhook URL configured');
+    }
+    const lines = [`${SEVERITY_ICONS[alert.severity] || SEVERITY_ICONS.warning} *${alert.title}*`];
+    if (alert.message) {
+        lines.push('```' + alert.message + '```');
+    }
+    lines.push(`_${alert.host} - ${alert.timestamp}_`);
+
+    await axios.post(channel.url, { text: lines.join('\n') }, {
+        headers: { 'Content-Type': 'application/json' },
+        timeout: 10000
+    });
+}
+
+/**
+ * Send the alert as a plain-text email over SMTP (no TLS or authentication)
+ */
+async function sendEmail(channel, alert) {
+    const recipients = [].concat(channel.to || []).filter(Boolean);
+    if (recipients.length === 0) {
+        throw new Error('No email recipients configured');
+    }
+    const from = channel.from || `rithum-shipstation@${os.hostname()}`;
+
+    const body = [alert.message, '', `Host: ${alert.host}`, `Time: ${alert.timestamp}`].join('\n');
+    const message = [
+        `From: ${from}`,
+        `To: ${recipients.join(', ')}`,
+        `Subject: ${`[${alert.severity}] ${alert.title}`.replace(/[\r\n]+/g, ' ')}`,
+        `Date: ${new Date(alert.timestamp).toUTCString()}`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: 8bit',
+        '',
+        // Lines starting with a dot are doubled so they cannot end the DATA section
+        body.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..')
+    ].join('\r\n');
+
+    const session = await openSmtpSession(channel.host || 'localhost', channel.port || 25);
+    try {
+        await session.expect(220);
+        await session.command(`EHLO ${os.hostname()}`, 250);
+        await session.command(`MAIL FROM:<${extractAddress(from)}>`, 250);
+        for (const recipient of recipients) {
+            await session.command(`RCPT TO:<${extractAddress(recipient)}>`, [250, 251]);
+        }
+        await session.command('DATA', 354);
+        await session.command(`${message}\r\n.`, 250);
+        await session.command('QUIT', 221).catch(() => {});
+    } finally {
+        session.close();
+    }
+}
+
+/**
+ * Open an SMTP connection that reads one (possibly multi-line) reply at a time
+ */
+function openSmtpSession(host, port) {
+    return new Promise((resolve, reject) => {
+        const socket = net.createConnection({ host, port });
+        let buffer = '';
+        let waiting = null;
+
+        const takeReply = () => {
+            // A reply ends with a line of "<code> <text>"; "<code>-<text>" lines continue it
+            const match = buffer.match(/^(?:\d{3}-[^\n]*\n)*(\d{3})(?: [^\n]*)?\r?\n/);
+            if (!match || !waiting) {
+                return;
+            }
+            buffer = buffer.slice(match[0].length);
+            const { resolve: done } = waiting;
+            waiting = null;
+            done({ code: parseInt(match[1], 10), text: match[0].trim() });
+        };
+
+        const fail = error => {
+            if (waiting) {
+                waiting.reject(error);
+                waiting = null;
+            }
+        };
+
+        const session = {
+            expect(expected) {
+                return new Promise((done, failed) => {
+                    waiting = {
+                        resolve: reply => ([].concat(expected).includes(reply.code)
+                            ? done(reply)
+                            : failed(new Error(`SMTP ${host}:${port} replied ${reply.text}`))),
+                        reject: failed
+                    };
+                    takeReply();
+                });
+            },
+            command(line, expected) {
+                socket.write(`${line}\r\n`);
+                return session.expect(expected);
+            },
+            close() {
+                socket.destroy();
+            }
+        };
+
+        socket.setEncoding('utf8');
+        socket.setTimeout(SMTP_TIMEOUT_MS, () => {
+            fail(new Error(`SMTP ${host}:${port} timed out`));
+            socket.destroy();
+        });
+        socket.on('data', chunk => {
+            buffer += chunk;
+            takeReply();
+        });
+        socket.on('error', error => {
+            fail(error);
+            reject(error);
+        });
+        socket.on('close', () => fail(new Error(`SMTP ${host}:${port} closed the connection`)));
+        socket.on('connect', () => resolve(session));
+    });
+}
+
+// "Name <user@example.com>" -> "user@example.com"
+function extractAddress(value) {
+    const match = String(value).match(/<([^>]+)>/);
+    return (match ? match[1] : String(value)).trim();
+}
+
+Notifier.EVENTS = ALERT_EVENTS;
+
+module.exports = Notifier;
@@ -0,0 +1,177 @@
+/**
+ * Order Acknowledger Service
+ * Acknowledges Rithum orders still in the "created" lifecycle so the intake job can send them
+ * to ShipStation without someone acknowledging each one in the Rithum portal first.
+ *
+ * Rules (see rithumConfig.autoAcknowledge):
+ * - The order must pass OrderMapper.validate
+ * - With checkStock, every line must be covered by ShipStation inventory (minus stockBuffer)
+ * - With allowPartial, short lines are accepted up to the stock available and the rest cancelled;
+ *   otherwise a short order is left unacknowledged for manual review
+ */
+
+const OrderMapper = require('./orderMapper');
+
+class OrderAcknowledger {
+    /**
+     * @param {RithumClient} rithumClient - Rithum API client
+     * @param {ShipStationClient} shipstationClient - ShipStation API client (for inventory)
+     * @param {Object} [rules] - Acknowledgement rules (rithumConfig.autoAcknowledge)
+     */
+    constructor(rithumClient, shipstationClient, rules = {}) {
+        this.rithumClient = rithumClient;
+        this.shipstationClient = shipstationClient;
+        this.rules = {
+            checkStock: true,
+            stockBuffer: 0,
+            allowPartial: false,
+            partialCancelCode: 'OOS',
+            partialCancelReason: 'Out of stock',
+            ...rules
+        };
+        this.mapper = new OrderMapper();
+    }
+
+    /**
+     * Whether an order is waiting for supplier acknowledgement
+     * @param {Object} order - Rithum order
+     * @returns {boolean}
+     */
+    needsAcknowledgement(order) {
+        return !!order && (order.dscoLifecycle === 'created' ||
+            (!order.dscoLifecycle && order.dscoStatus === 'created'));
+    }
+
+    /**
+     * Get available units per SKU from ShipStation inventory, summed across warehouses
+     * @param {Array<string>} skus - SKUs to look up
+     * @returns {Promise<Map>} sku -> available units
+     */
+    async getAvailableStock(skus) {
+        const available = new Map(skus.map(sku => [sku, 0]));
+        const levels = await this.shipstationClient.getInventoryLevels(skus);
+
+        levels.forEach(level => {
+            if (available.has(level.sku)) {
+                available.set(level.sku, available.get(level.sku) + (Number(level.available) || 0));
+            }
+        });
+        return available;
+    }
+
+    /**
+     * Decide how much of each line to accept
+     * @param {Object} order - Rithum order
+     * @param {Map|null} stock - sku -> available units, or null to skip the stock check
+     * @returns {Array} [{ item, sku, quantity, acceptedQuantity }]
+     */
+    allocateLines(order, stock) {
+        const remaining = stock ? new Map(stock) : null;
+
+        return order.lineItems.map((item, index) => {
+            const sku = this.mapper.getItemSku(item, index);
+            const quantity = Number(item.quantity) || 0;
+            let acceptedQuantity = quantity;
+
+            if (remaining) {
+                const available = Math.max(0, (remaining.get(sku) || 0) - this.rules.stockBuffer);
+                acceptedQuantity = Math.min(quantity, available);
+                // Lines sharing a SKU draw from the same stock
+                remaining.set(sku, (remaining.get(sku) || 0) - acceptedQuantity);
+            }
+
+            return { item, sku, quantity, acceptedQuantity };
+        });
+    }
+
+    /**
+     * Validate, stock-check and acknowledge one order
+     * @param {Object} order - Rithum order in the "created" lifecycle
+     * @returns {Promise<Object>} { acknowledged, partial, reason, requestId, order }
+     *   order is the order as it should be sent to ShipStation (accepted lines only)
+     */
+    async acknowledge(order) {
+        const validation = this.mapper.validate(order);
+        if (!validation.isValid) {
+            return {
+                acknowledged: false,
+                reason: `Validation failed: ${validation.errors.join(', ')}`,
+                validationErrors: validation.errors
+            };
+        }
+
+        let stock = null;
+        if (this.rules.checkStock) {
+            const skus = [...new Set(order.lineItems.map((item, index) => this.mapper.getItemSku(item, index)))];
+            try {
+                stock = await this.getAvailableStock(skus);
+            } catch (error) {
+                // Without stock figures the order is left for manual review rather than over-promised
+                return { acknowledged: false, reason: `Stock check failed: ${error.message}` };
+            }
+        }
+
+        const lines = this.allocateLines(order, stock);
+        const shortLines = lines.filter(line => line.acceptedQuantity < line.quantity);
+        const acceptedLines = lines.filter(line => line.acceptedQuantity > 0);
+
+        if (shortLines.length > 0 && (!this.rules.allowPartial || acceptedLines.length === 0)) {
+            const detail = shortLines.map(line => `${line.sku} (${line.acceptedQuantity}/${line.quantity})`).join(', ');
+            return { acknowledged: false, reason: `Insufficient stock: ${detail}` };
+        }
+
+        const orderId = { id: String(order.dscoOrderId), type: 'DSCO_ORDER_ID' };
+        let response;
+        if (shortLines.length === 0) {
+            response = await this.rithumClient.acknowledgeOrders([orderId]);
+        } else {
+            response = await this.rithumClient.acknowledgeOrderItems([{
+                ...orderId,
+                lineItems: lines.map(line => this.buildLineItemAck(line))
+            }]);
+        }
+
+        return {
+            acknowledged: true,
+            partial: shortLines.length > 0,
+            requestId: response?.requestId || null,
+            order: {
+                ...order,
+                dscoLifecycle: 'acknowledged',
+                lineItems: acceptedLines.map(line => ({ ...line.item, acceptedQuantity: line.acceptedQuantity }))
+            }
+        };
+    }
+
+    /**
+     * Build the OrderLineItemAck for a partially accepted order
+     * @param {Object} line - Allocated line from allocateLines()
+     * @returns {Object} OrderLineItemAck
+     */
+    buildLineItemAck(line) {
+        const lineItemAck = {
+            acknowledged: true,
+            acceptedQuantity: line.acceptedQuantity
+        };
+
+        if (line.item.dscoItemId) {
+            lineItemAck.dscoItemId = String(line.item.dscoItemId);
+        } else {
+            lineItemAck.sku = line.sku;
+        }
+        if (line.item.lineNumber !== undefined && line.item.lineNumber !== null) {
+            lineItemAck.lineNumber = line.item.lineNumber;
+        }
+
+        const cancelledQuantity = line.quantity - line.acceptedQuantity;
+        if (cancelledQuantity > 0) {
+            lineItemAck.cancelledQuantity = cancelledQuantity;
+            lineItemAck.cancelCode = this.rules.partialCancelCode;
+            lineItemAck.cancelledReason = this.rules.partialCancelReason;
+        }
+
+        return lineItemAck;
+    }
+}
+
+module.exports = OrderAcknowledger;
@@ -0,0 +1,472 @@
+const path = require('path');
+const JournalFile = require('./journalFile');
+const Logger = require('./logger');
+
+const logger = Logger.child({ module: 'orderLedger' });
+
+/**
+ * State transitions recorded in the ledger, in the order an order normally moves through them
+ */
+const LEDGER_EVENTS = Object.freeze({
+    PULLED: 'pulled_from_stream',
+    ACKNOWLEDGED: 'acknowledged_in_rithum',
+    ACKNOWLEDGE_DECLINED: 'acknowledgement_declined',
+    ACKNOWLEDGE_FAILED: 'acknowledgement_failed',
+    MAPPED: 'mapped',
+    MAPPING_FAILED: 'mapping_failed',
+    SKIPPED: 'skipped',
+    DUPLICATE: 'duplicate_in_shipstation',
+    SHIPSTATION_CREATED: 'shipstation_created',
+    SHIPSTATION_FAILED: 'shipstation_creation_failed',
+    DELIVERY_PROMISE_AT_RISK: 'delivery_promise_at_risk',
+    LABEL_PURCHASED: 'label_purchased',
+    LABEL_PURCHASE_FAILED: 'label_purchase_failed',
+    FULFILLMENT_SHIPPED: 'fulfillment_shipped',
+    RITHUM_SHIPMENT_POSTED: 'rithum_shipment_posted',
+    RITHUM_SHIPMENT_SKIPPED: 'rithum_shipment_skipped',
+    RITHUM_SHIPMENT_FAILED: 'rithum_shipment_failed',
+    RITHUM_SHIPMENT_ACCEPTED: 'rithum_shipment_accepted',
+    RITHUM_SHIPMENT_REJECTED: 'rithum_shipment_rejected',
+    SHIPMENT_IN_TRANSIT: 'shipment_in_transit',
+    SHIPMENT_EXCEPTION: 'shipment_delivery_exception',
+    SHIPMENT_DELIVERED: 'shipment_delivered',
+    RITHUM_DELIVERY_REPORTED: 'rithum_delivery_reported',
+    RITHUM_DELIVERY_REPORT_FAILED: 'rithum_delivery_report_failed',
+    LABEL_VOIDED: 'label_voided',
+    RITHUM_TRACKING_VOIDED: 'rithum_tracking_voided',
+    RITHUM_TRACKING_REPLACED: 'rithum_tracking_replaced',
+    INVOICE_SUBMITTED: 'invoice_submitted',
+    INVOICE_FAILED: 'invoice_failed',
+    INVOICE_ACCEPTED: 'invoice_accepted',
+    INVOICE_REJECTED: 'invoice_rejected',
+    RETURN_LABEL_CREATED: 'return_label_created',
+    RETURN_LABEL_FAILED: 'return_label_failed',
+    RETURN_RECEIVED: 'return_received',
+    MANIFEST_CREATED: 'manifest_created',
+    PICKUP_SCHEDULED: 'pickup_scheduled',
+    SHIPSTATION_CANCELLED: 'shipstation_cancelled',
+    SHIPSTATION_ITEMS_REMOVED: 'shipstation_items_removed',
+    CANCELLATION_SKIPPED: 'cancellation_skipped',
+    CANCELLATION_FAILED: 'cancellation_failed',
+    RITHUM_CANCEL_POSTED: 'rithum_cancellation_posted',
+    RITHUM_CANCEL_FAILED: 'rithum_cancellation_failed',
+    RUN_COMPLETED: 'run_completed'
+});
+
+const MAX_RUNS_KEPT = 20;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Orders past the retention window are looked for at most this often
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Order Sync Ledger
+ * Durable, file-backed history of every order moving from the Rithum stream through ShipStation and back.
+ * Entries are appended to a shared JSON Lines journal, so concurrent writers (cron job, webhook
+ * server, manual scripts) hold its lock file and cannot clobber each other.
+ *
+ * Orders are keyed by dscoOrderId; poNumber and ShipStation shipment_id are kept as aliases
+ * so any of the three identifiers resolves to the same record.
+ *
+ * Orders with no new entry for retentionDays are dropped from memory, and the journal is then
+ * compacted without their entries, so neither grows with the life of the integration.
+ */
+class OrderLedger {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.filePath] - Journal path (default: ORDER_LEDGER_FILE or ./order-ledger.jsonl)
+     * @param {string} [options.source] - Name of the process writing entries (default: running script name)
+     * @param {number} [options.retentionDays] - Days an order is kept after its last entry, 0 keeps every order
+     *     (default: ORDER_LEDGER_RETENTION_DAYS or 90)
+     */
+    constructor(options = {}) {
+        const filePath = options.filePath ||
+            process.env.ORDER_LEDGER_FILE ||
+            path.join(__dirname, '../../order-ledger.jsonl');
+
+        this.filePath = filePath;
+        // Default to the running script's name so entries show which process wrote them
+        this.source = options.source ||
+            (require.main ? path.basename(require.main.filename, '.js') : null);
+        this.retentionDays = options.retentionDays ??
+            parseInt(process.env.ORDER_LEDGER_RETENTION_DAYS || '90', 10);
+        // Another process compacting the journal makes this one replay it from the start
+        this.journal = new JournalFile(filePath, { shared: true, onReplace: () => this.reset() });
+
+        this.orders = new Map();   // key -> order record
+        this.aliases = new Map();  // 'po:<poNumber>' / 'shipment:<shipmentId>' -> key
+        this.runs = [];
+        this.lastUpdated = null;
+        this.prunedAt = 0;
+    }
+
+    reset() {
+        this.orders.clear();
+        this.aliases.clear();
+        this.runs = [];
+        this.lastUpdated = null;
+    }
+
+    /**
+     * Record a state transition for an order
+     * Ledger failures are logged but never thrown - a disk hiccup must not make callers
+     * believe an API call failed and retry it.
+     * @param {string} event - One of LEDGER_EVENTS
+     * @param {Object} refs - Order identifiers: { dscoOrderId, poNumber, shipmentId }
+     * @param {Object} [details] - Event-specific data (tracking number, requestId, ...)
+     * @param {Error|Object|string} [error] - Error that caused this transition, if any
+     * @returns {Promise<Object|null>} The written entry, or null if it could not be written
+     */
+    async record(event, refs = {}, details = {}, error = null) {
+        const entry = {
+            timestamp: new Date().toISOString(),
+            event,
+            dscoOrderId: refs.dscoOrderId ? String(refs.dscoOrderId) : null,
+            poNumber: refs.poNumber ? String(refs.poNumber) : null,
+            shipmentId: refs.shipmentId && refs.shipmentId !== 'N/A' ? String(refs.shipmentId) : null,
+            source: this.source,
+            // Ties the entry to the log lines written while the order was handled (see Logger)
+            correlationId: Logger.getContext().correlationId || null,
+            details: details || {},
+            error: error ? serializeError(error) : null
+        };
+
+        if (!entry.dscoOrderId && !entry.poNumber && !entry.shipmentId) {
+            logger.warn(`⚠️  Ledger entry "${event}" has no order identifiers - not recorded`);
+            return null;
+        }
+
+        try {
+            await this.journal.append(entry);
+            await this.refresh();
+            return entry;
+        } catch (writeError) {
+            logger.error(`❌ Failed to write ledger entry "${event}" to ${this.filePath}: ${writeError.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Record the summary of a completed intake run
+     * @param {Object} summary - Run summary (counts, stream position, errors)
+     * @returns {Promise<Object|null>} The written entry, or null if it could not be written
+     */
+    async recordRun(summary) {
+        const entry = {
+            timestamp: new Date().toISOString(),
+            event: LEDGER_EVENTS.RUN_COMPLETED,
+            source: this.source,
+            details: summary
+        };
+
+        try {
+            await this.journal.append(entry);
+            await this.refresh();
+            return entry;
+        } catch (writeError) {
+            logger.error(`❌ Failed to write run summary to ${this.filePath}: ${writeError.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Replay journal entries written since the last refresh (by this or any other process)
+     */
+    async refresh() {
+        const entries = await this.journal.readNew();
+        entries.forEach(entry => this.apply(entry));
+        await this.pruneIfDue();
+    }
+
+    /**
+     * Drop orders past the retention window, then compact the journal if any were dropped
+     * A failed compaction is logged; the journal keeps the entries until the next attempt.
+     */
+    async pruneIfDue() {
+        if (!(this.retentionDays > 0) || Date.now() - this.prunedAt < PRUNE_INTERVAL_MS) {
+            return;
+        }
+        this.prunedAt = Date.now();
+
+        if (this.prune() === 0) {
+            return;
+        }
+        try {
+            await this.compact();
+        } catch (error) {
+            logger.warn('⚠️  Could not compact the order ledger journal', { error });
+        }
+    }
+
+    /**
+     * Remove orders whose last entry is older than the retention window from memory
+     * @returns {number} Number of orders removed
+     */
+    prune() {
+        const cutoff = this.retentionCutoff();
+        const expired = new Set();
+        for (const [key, order] of this.orders) {
+            if (order.updatedAt < cutoff) {
+                expired.add(key);
+                this.orders.delete(key);
+            }
+        }
+        for (const [aliasKey, key] of this.aliases) {
+            if (expired.has(key)) this.aliases.delete(aliasKey);
+        }
+        return expired.size;
+    }
+
+    /**
+     * Rewrite the journal with only the entries of orders inside the retention window
+     * and of the last 20 runs. The whole journal is folded again under the lock, so entries
+     * other processes wrote since this one last read it are judged too.
+     */
+    async compact() {
+        const cutoff = this.retentionCutoff();
+        let dropped = 0;
+        const kept = await this.journal.rewrite(entries => {
+            const view = new OrderLedger({ filePath: this.filePath, retentionDays: 0 });
+            entries.forEach(entry => view.apply(entry));
+
+            const keep = new Set(entries
+                .filter(entry => entry.event === LEDGER_EVENTS.RUN_COMPLETED)
+                .slice(-MAX_RUNS_KEPT));
+            for (const order of view.orders.values()) {
+                if (order.updatedAt >= cutoff) {
+                    order.history.forEach(entry => keep.add(entry));
+                }
+            }
+
+            const live = entries.filter(entry => keep.has(entry));
+            dropped = entries.length - live.length;
+            return live;
+        });
+        logger.info(`🧹 Compacted order ledger journal: ${dropped} entries dropped, ${kept} kept`);
+    }
+
+    retentionCutoff() {
+        return new Date(Date.now() - this.retentionDays * DAY_MS).toISOString();
+    }
+
+    /**
+     * Fold a single journal entry into the in-memory view
+     * @param {Object} entry - Journal entry
+     */
+    apply(entry) {
+        this.lastUpdated = entry.timestamp;
+
+        if (entry.event === LEDGER_EVENTS.RUN_COMPLETED) {
+            this.runs.push({ timestamp: entry.timestamp, source: entry.source, ...entry.details });
+            if (this.runs.length > MAX_RUNS_KEPT) {
+                this.runs.shift();
+            }
+            return;
+        }
+
+        const key = this.resolveKey(entry);
+        if (!key) {
+            return;
+        }
+
+        let order = this.orders.get(key);
+        if (!order) {
+            order = {
+                key,
+                dscoOrderId: null,
+                poNumber: null,
+                correlationId: null,
+                shipmentIds: [],
+                trackingNumbers: [],
+                state: null,
+                lastError: null,
+                createdAt: entry.timestamp,
+                updatedAt: entry.timestamp,
+                history: []
+            };
+            this.orders.set(key, order);
+        }
+
+        // An order first seen only by shipment or PO is merged once its dscoOrderId is known
+        for (const aliasKey of this.aliasKeys(entry)) {
+            const previousKey = this.aliases.get(aliasKey);
+            if (previousKey && previousKey !== key && this.orders.has(previousKey)) {
+                this.mergeInto(order, this.orders.get(previousKey));
+            }
+            this.aliases.set(aliasKey, key);
+        }
+
+        if (entry.dscoOrderId) order.dscoOrderId = entry.dscoOrderId;
+        if (entry.poNumber) order.poNumber = entry.poNumber;
+        // The ID the order was first handled under is kept for everything that happens to it later
+        if (entry.correlationId && !order.correlationId) order.correlationId = entry.correlationId;
+        if (entry.shipmentId && !order.shipmentIds.includes(entry.shipmentId)) {
+            order.shipmentIds.push(entry.shipmentId);
+        }
+        // Multi-package shipments report every package's tracking number
+        const trackingNumbers = [entry.details?.trackingNumber, ...(entry.details?.trackingNumbers || [])];
+        trackingNumbers.forEach(trackingNumber => {
+            if (trackingNumber && !order.trackingNumbers.includes(trackingNumber)) {
+                order.trackingNumbers.push(trackingNumber);
+            }
+        });
+
+        order.state = entry.event;
+        order.updatedAt = entry.timestamp;
+        if (entry.error) {
+            order.lastError = { ...entry.error, event: entry.event, timestamp: entry.timestamp };
+        }
+        order.history.push(entry);
+    }
+
+    /**
+     * Determine the record key an entry belongs to
+     * @param {Object} refs - Object with dscoOrderId / poNumber / shipmentId
+     * @returns {string|null} Record key
+     */
+    resolveKey(refs) {
+        if (refs.dscoOrderId) {
+            return String(refs.dscoOrderId);
+        }
+        for (const aliasKey of this.aliasKeys(refs)) {
+            if (this.aliases.has(aliasKey)) {
+                return this.aliases.get(aliasKey);
+            }
+        }
+        if (refs.shipmentId) {
+            return `shipment:${refs.shipmentId}`;
+        }
+        if (refs.poNumber) {
+            return `po:${refs.poNumber}`;
+        }
+        return null;
+    }
+
+    aliasKeys(refs) {
+        const keys = [];
+        if (refs.poNumber) keys.push(`po:${refs.poNumber}`);
+        if (refs.shipmentId) keys.push(`shipment:${refs.shipmentId}`);
+        return keys;
+    }
+
+    mergeInto(target, source) {
+        target.history = [...source.history, ...target.history]
+            .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+        source.shipmentIds.forEach(id => {
+            if (!target.shipmentIds.includes(id)) target.shipmentIds.push(id);
+        });
+        source.trackingNumbers.forEach(number => {
+            if (!target.trackingNumbers.includes(number)) target.trackingNumbers.push(number);
+        });
+        target.poNumber = target.poNumber || source.poNumber;
+        target.correlationId = source.createdAt < target.createdAt
+            ? source.correlationId || target.correlationId
+            : target.correlationId || source.correlationId;
+        target.lastError = target.lastError || source.lastError;
+        if (source.createdAt < target.createdAt) {
+            target.createdAt = source.createdAt;
+        }
+        // Aliases only seen on the source record would otherwise point at a deleted key
+        for (const [aliasKey, key] of this.aliases) {
+            if (key === source.key) this.aliases.set(aliasKey, target.key);
+        }
+        this.orders.delete(source.key);
+    }
+
+    /**
+     * Look up an order by any of its identifiers
+     * @param {Object} refs - { dscoOrderId, poNumber, shipmentId } (any subset)
+     * @returns {Promise<Object|null>} Order record with full history, or null
+     */
+    async getOrder(refs = {}) {
+        await this.refresh();
+
+        const candidates = [];
+        if (refs.dscoOrderId) candidates.push(String(refs.dscoOrderId));
+        this.aliasKeys(refs).forEach(aliasKey => {
+            if (this.aliases.has(aliasKey)) candidates.push(this.aliases.get(aliasKey));
+        });
+
+        const key = candidates.find(candidate => this.orders.has(candidate));
+        return key ? this.orders.get(key) : null;
+    }
+
+    /**
+     * List orders, most recently updated first
+     * @param {Object} [filter]
+     * @param {string} [filter.state] - Only orders whose latest event matches
+     * @param {number} [filter.limit] - Maximum number of orders returned
+     * @returns {Promise<Array>} Order records
+     */
+    async listOrders(filter = {}) {
+        await this.refresh();
+
+        let orders = Array.from(this.orders.values());
+        if (filter.state) {
+            orders = orders.filter(order => order.state === filter.state);
+        }
+        orders.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+
+        return filter.limit ? orders.slice(0, filter.limit) : orders;
+    }
+
+    /**
+     * Get the most recent intake run summary
+     * @returns {Promise<Object|null>} Run summary
+     */
+    async getLastRun() {
+        await this.refresh();
+        return this.runs.length > 0 ? this.runs[this.runs.length - 1] : null;
+    }
+
+    /**
+     * Get the recent intake run summaries (the last 20), oldest first
+     * @returns {Promise<Array>} Run summaries
+     */
+    async getRuns() {
+        await this.refresh();
+        return [...this.runs];
+    }
+
+    /**
+     * Aggregate counts for dashboards and the /summary endpoint
+     * @returns {Promise<Object>} Ledger summary
+     */
+    async getSummary() {
+        const orders = await this.listOrders();
+
+        const byState = {};
+        orders.forEach(order => {
+            byState[order.state] = (byState[order.state] || 0) + 1;
+        });
+
+        return {
+            ledgerFile: this.filePath,
+            totalOrders: orders.length,
+            byState,
+            lastUpdated: this.lastUpdated,
+            lastRun: this.runs.length > 0 ? this.runs[this.runs.length - 1] : null,
+            recentOrders: orders.slice(0, 5)
+        };
+    }
+}
+
+/**
+ * Convert an error (axios or otherwise) into a plain object safe to serialize
+ * @param {Error|Object|string} error - Error to serialize
+ * @returns {Object} { message, status, data }
+ */
+function serializeError(error) {
+    if (typeof error === 'string') {
+        return { message: error };
+    }
+    return {
+        message: error.message || 'Unknown error',
+        status: error.response?.status || error.status,
+        data: error.response?.data || error.data
+    };
+}
+
+OrderLedger.EVENTS = LEDGER_EVENTS;
+
+module.exports = OrderLedger;
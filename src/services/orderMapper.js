@@ -1,5 +1,9 @@
 const fs = require('fs');
 const path = require('path');
+const CarrierMappings = require('./carrierMappings');
+const Logger = require('./logger');
+
+const logger = Logger.child({ module: 'orderMapper' });
 
 /**
  * Order Mapper Service
@@ -14,6 +18,8 @@ class OrderMapper {
     constructor() {
         // Load SKU weight catalog
         this.skuWeights = this.loadSkuWeights();
+        // Carrier/service rules shared with the carrier selector and the Rithum shipment update
+        this.carrierMappings = CarrierMappings.load();
     }
 
     /**
@@ -26,8 +32,8 @@ class OrderMapper {
             const catalogData = fs.readFileSync(catalogPath, 'utf8');
             return JSON.parse(catalogData);
         } catch (error) {
-            console.warn('⚠️  Warning: Could not load SKU weight catalog:', error.message);
-            console.warn('⚠️  Using default weights only');
+            logger.warn('⚠️  Warning: Could not load SKU weight catalog', { error });
+            logger.warn('⚠️  Using default weights only');
             return {
                 defaultWeight: { value: 2, unit: 'ounce' },
                 skus: {}
@@ -288,7 +294,7 @@ class OrderMapper {
             new Date(date).toISOString();
             return date;
         } catch (error) {
-            console.warn('Invalid date format, using current date:', date);
+            logger.warn('Invalid date format, using current date', { date });
             return new Date().toISOString();
         }
     }
@@ -487,7 +493,7 @@ class OrderMapper {
         if (item.productGroup) {
             return item.productGroup;
         }
-        console.warn(`No SKU found for item at index ${index}, using generated SKU`);
+        logger.warn(`No SKU found for item at index ${index}, using generated SKU`);
         return `ITEM-${index + 1}`;
     }
 
@@ -550,7 +556,7 @@ class OrderMapper {
                     totalWeightInPounds += weightInPounds * quantity;
                     hasWeight = true;
                     skuLookupCount++;
-                    console.log(`   📦 Using SKU catalog weight for ${sku}: ${skuWeight.value} ${skuWeight.unit}`);
+                    logger.info(`   📦 Using SKU catalog weight for ${sku}: ${skuWeight.value} ${skuWeight.unit}`);
                 }
             }
         }
@@ -573,13 +579,13 @@ class OrderMapper {
                 }
                 
                 totalWeightInPounds = defaultWeightInPounds * lineItems.length;
-                console.log(`   ⚠️  No weight data found, using default: ${defaultWeight} ${defaultUnit} per item`);
+                logger.info(`   ⚠️  No weight data found, using default: ${defaultWeight} ${defaultUnit} per item`);
                 hasWeight = true;
             }
         }
 
         if (!hasWeight || totalWeightInPounds <= 0) {
-            console.log('   ⚠️  No weight data available and no default weight configured');
+            logger.info('   ⚠️  No weight data available and no default weight configured');
             return null;
         }
 
@@ -591,7 +597,7 @@ class OrderMapper {
         };
         
         if (skuLookupCount > 0) {
-            console.log(`   ✅ Total weight calculated: ${finalWeight.value} ${finalWeight.unit} (${skuLookupCount} from SKU catalog)`);
+            logger.info(`   ✅ Total weight calculated: ${finalWeight.value} ${finalWeight.unit} (${skuLookupCount} from SKU catalog)`);
         }
         
         return finalWeight;
@@ -750,8 +756,7 @@ class OrderMapper {
 
     /**
      * Get service code from Rithum shipping information
-     * Maps Rithum shipping service to ShipStation service code
-     * Based on available services in your ShipStation account (see list-carriers-services.js)
+     * Maps Rithum shipping service to ShipStation service code using the rules in carrier-mappings.json
      * 
      * IMPORTANT: Flat rate packages require Priority Mail service, not Ground Advantage
      * 
@@ -759,120 +764,17 @@ class OrderMapper {
      * @returns {string|null} Service code (e.g., 'usps_ground_advantage', 'fedex_ground')
      */
     getServiceCode(rithumOrder) {
-        const carrier = (rithumOrder.requestedShipCarrier || rithumOrder.shipCarrier || '').toLowerCase();
-        const serviceCode = (rithumOrder.requestedShippingServiceLevelCode || rithumOrder.shippingServiceLevelCode || '').toLowerCase();
-        const method = (rithumOrder.requestedShipMethod || rithumOrder.shipMethod || '').toLowerCase();
-
         // Check if using flat rate package (requires Priority Mail)
         const packageCode = this.getPackageCode(rithumOrder);
-        const isFlatRate = packageCode && packageCode.includes('flat_rate');
-
-        // Map Rithum carrier + service to ShipStation service codes
-        // Note: Based on actual services available in your ShipStation account
-        
-        // USPS mappings (Available: usps_priority_mail, usps_ground_advantage)
-        if (carrier.includes('usps') || carrier.includes('postal') || carrier.includes('generic') || !carrier) {
-            // IMPORTANT: Flat rate packages MUST use Priority Mail service
-            if (isFlatRate) {
-                return 'usps_priority_mail';
-            }
-            
-            // Rithum service codes:
-            // - GCG = Ground Commercial Ground → usps_ground_advantage
-            // - PM = Priority Mail → usps_priority_mail
-            if (serviceCode === 'gcg' || method.includes('ground')) {
-                return 'usps_ground_advantage';
-            }
-            if (serviceCode === 'pm' || method.includes('priority')) {
-                return 'usps_priority_mail';
-            }
-            // Default USPS to ground advantage (most common/cheapest)
-            return 'usps_ground_advantage';
-        }
-
-        // FedEx mappings (32 services available - see list-carriers-services.js for full list)
-        if (carrier.includes('fedex') || carrier.includes('fed ex')) {
-            // Ground services
-            if (method.includes('ground') || serviceCode.includes('gnd') || serviceCode.includes('ground')) {
-                return 'fedex_ground';
-            }
-            if (method.includes('home delivery')) {
-                return 'fedex_home_delivery';
-            }
-            
-            // 2-day services
-            if (method.includes('2day') || method.includes('2 day')) {
-                if (method.includes('am')) {
-                    return 'fedex_2day_am';
-                }
-                return 'fedex_2day';
-            }
-            
-            // Overnight services
-            if (method.includes('overnight') || method.includes('next day')) {
-                if (method.includes('first') || method.includes('early')) {
-                    return 'fedex_first_overnight';
-                }
-                if (method.includes('priority')) {
-                    return 'fedex_priority_overnight';
-                }
-                return 'fedex_standard_overnight';
-            }
-            
-            // Express services
-            if (method.includes('express')) {
-                if (method.includes('saver')) {
-                    return 'fedex_express_saver';
-                }
-                return 'fedex_express_saver';
-            }
-            
-            // Default FedEx
-            return 'fedex_ground';
-        }
-
-        // UPS mappings (30 services available - see list-carriers-services.js for full list)
-        if (carrier.includes('ups')) {
-            // Ground services
-            if (method.includes('ground')) {
-                return 'ups_ground';
-            }
-            
-            // 3-day service
-            if (method.includes('3 day') || method.includes('3day') || method.includes('three day')) {
-                return 'ups_3_day_select';
-            }
-            
-            // 2-day services
-            if (method.includes('2nd day') || method.includes('2 day') || method.includes('two day')) {
-                if (method.includes('am')) {
-                    return 'ups_2nd_day_air_am';
-                }
-                return 'ups_2nd_day_air';
-            }
-            
-            // Next day / overnight services
-            if (method.includes('next day') || method.includes('overnight')) {
-                if (method.includes('early') || method.includes('am')) {
-                    return 'ups_next_day_air_early_am';
-                }
-                if (method.includes('saver')) {
-                    return 'ups_next_day_air_saver';
-                }
-                return 'ups_next_day_air';
-            }
-            
-            // Default UPS
-            return 'ups_ground';
-        }
-
-        // DHL Express
-        if (carrier.includes('dhl')) {
-            return 'dhl_express_worldwide';
-        }
-
-        // No matching service found - return null (ShipStation will use default)
-        return null;
+        const isFlatRate = !!(packageCode && packageCode.includes('flat_rate'));
+
+        // No matching service returns null (ShipStation will use default)
+        return this.carrierMappings.getShipStationServiceCode({
+            carrier: rithumOrder.requestedShipCarrier || rithumOrder.shipCarrier,
+            serviceLevel: rithumOrder.requestedShippingServiceLevelCode || rithumOrder.shippingServiceLevelCode,
+            method: rithumOrder.requestedShipMethod || rithumOrder.shipMethod,
+            flatRate: isFlatRate
+        });
     }
 
     /**
@@ -976,19 +878,19 @@ class OrderMapper {
 
         // Skip test orders if configured
         if (process.env.SKIP_TEST_ORDERS === 'true' && rithumOrder.testFlag) {
-            console.log(`Skipping test order: ${rithumOrder.dscoOrderId}`);
+            logger.info(`Skipping test order: ${rithumOrder.dscoOrderId}`);
             return false;
         }
 
         // Skip cancelled orders (check both legacy dscoStatus and new dscoLifecycle)
         if (rithumOrder.dscoStatus === 'cancelled' || rithumOrder.dscoLifecycle === 'cancelled') {
-            console.log(`Skipping cancelled order: ${rithumOrder.dscoOrderId}`);
+            logger.info(`Skipping cancelled order: ${rithumOrder.dscoOrderId}`);
             return false;
         }
 
         // Skip already shipped orders (for new order sync)
         if (rithumOrder.dscoStatus === 'shipped') {
-            console.log(`Skipping already shipped order: ${rithumOrder.dscoOrderId}`);
+            logger.info(`Skipping already shipped order: ${rithumOrder.dscoOrderId}`);
             return false;
         }
 
@@ -1000,14 +902,14 @@ class OrderMapper {
             // New lifecycle field takes priority
             // Only process acknowledged orders (not created)
             if (lifecycle !== 'acknowledged') {
-                console.log(`Skipping order with lifecycle ${lifecycle}: ${rithumOrder.dscoOrderId}`);
+                logger.info(`Skipping order with lifecycle ${lifecycle}: ${rithumOrder.dscoOrderId}`);
                 return false;
             }
         } else if (legacyStatus) {
             // Fallback to legacy status field for backward compatibility
             // For legacy status, only process 'shipment_pending' (equivalent to acknowledged)
             if (legacyStatus !== 'shipment_pending') {
-                console.log(`Skipping order with status ${legacyStatus}: ${rithumOrder.dscoOrderId}`);
+                logger.info(`Skipping order with status ${legacyStatus}: ${rithumOrder.dscoOrderId}`);
                 return false;
             }
         }
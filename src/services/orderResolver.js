@@ -0,0 +1,167 @@
+/**
+ * Order Resolver
+ * Single place to look up a Rithum order by any of its identifiers, backed by an in-memory
+ * TTL cache so the webhook and batch scripts don't repeat lookups within a run.
+ *
+ * dscoOrderId, poNumber and supplierOrderNumber use the Get Order Object API (GET /order/).
+ * The retailer's consumer order number is not an /order/ key, so it is searched with /order/page.
+ */
+
+// Order keys accepted by GET /order/, in the order they are tried
+const ORDER_KEYS = ['dscoOrderId', 'poNumber', 'supplierOrderNumber'];
+
+// Shared by every resolver in the process - clients are created per request in places
+const cache = new Map();  // '<orderKey>:<value>' -> { order, expiresAt }
+
+const DEFAULT_TTL_SECONDS = 300;
+const MAX_CACHE_ENTRIES = 2000;
+
+class OrderResolver {
+    /**
+     * @param {RithumClient} rithumClient - Rithum API client
+     * @param {Object} [options]
+     * @param {number} [options.ttlSeconds] - How long a fetched order is reused (default: 300)
+     */
+    constructor(rithumClient, options = {}) {
+        this.rithumClient = rithumClient;
+        this.ttlMs = (options.ttlSeconds ?? DEFAULT_TTL_SECONDS) * 1000;
+    }
+
+    /**
+     * Find an order using whichever identifiers are known
+     * Identifiers are tried in turn (dscoOrderId, poNumber, supplierOrderNumber, consumerOrderNumber)
+     * until one matches.
+     * @param {Object} refs - { dscoOrderId, poNumber, supplierOrderNumber, consumerOrderNumber } (any subset)
+     * @param {Object} [options]
+     * @param {boolean} [options.refresh] - Bypass the cache
+     * @returns {Promise<Object|null>} Rithum order, or null if no identifier matched
+     */
+    async resolve(refs = {}, options = {}) {
+        for (const orderKey of ORDER_KEYS) {
+            if (refs[orderKey]) {
+                const order = await this.getByKey(orderKey, refs[orderKey], options);
+                if (order) {
+                    return order;
+                }
+            }
+        }
+
+        if (refs.consumerOrderNumber) {
+            return await this.getByConsumerOrderNumber(refs.consumerOrderNumber, options);
+        }
+        return null;
+    }
+
+    /**
+     * Look an order up by one /order/ key
+     * @param {string} orderKey - dscoOrderId, poNumber or supplierOrderNumber
+     * @param {string} value - Identifier value
+     * @param {Object} [options]
+     * @param {boolean} [options.refresh] - Bypass the cache
+     * @returns {Promise<Object|null>} Rithum order, or null if not found
+     */
+    async getByKey(orderKey, value, options = {}) {
+        const cacheKey = `${orderKey}:${value}`;
+        if (!options.refresh) {
+            const cached = this.fromCache(cacheKey);
+            if (cached) {
+                return cached;
+            }
+        }
+
+        try {
+            const order = await this.rithumClient.getOrderById(String(value), { orderKey });
+            if (!order || !order.dscoOrderId) {
+                return null;
+            }
+            this.remember(order);
+            return order;
+        } catch (error) {
+            if (error.response?.status === 404 || /not found/i.test(error.message)) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Look an order up by the retailer's consumer order number
+     * @param {string} consumerOrderNumber - Retailer order number
+     * @param {Object} [options]
+     * @param {boolean} [options.refresh] - Bypass the cache
+     * @returns {Promise<Object|null>} Rithum order, or null if not found
+     */
+    async getByConsumerOrderNumber(consumerOrderNumber, options = {}) {
+        const cacheKey = `consumerOrderNumber:${consumerOrderNumber}`;
+        if (!options.refresh) {
+            const cached = this.fromCache(cacheKey);
+            if (cached) {
+                return cached;
+            }
+        }
+
+        const response = await this.rithumClient.fetchOrders({ consumerOrderNumber });
+        const order = (response?.orders || [])[0] || null;
+        if (order) {
+            this.remember(order);
+        }
+        return order;
+    }
+
+    /**
+     * Cache an order under every identifier it carries
+     * Callers that already hold a full order (e.g. from /order/page) can prime the cache with it.
+     * @param {Object} order - Rithum order
+     */
+    remember(order) {
+        const entry = { order, expiresAt: Date.now() + this.ttlMs };
+        [...ORDER_KEYS, 'consumerOrderNumber'].forEach(orderKey => {
+            if (order[orderKey]) {
+                cache.set(`${orderKey}:${order[orderKey]}`, entry);
+            }
+        });
+
+        // Map iteration follows insertion order, so the oldest entries are dropped first
+        for (const cacheKey of cache.keys()) {
+            if (cache.size <= MAX_CACHE_ENTRIES) {
+                break;
+            }
+            cache.delete(cacheKey);
+        }
+    }
+
+    /**
+     * Drop a cached order, e.g. after posting a shipment that changes it
+     * @param {Object} refs - Identifiers of the order (any subset)
+     */
+    invalidate(refs = {}) {
+        [...ORDER_KEYS, 'consumerOrderNumber'].forEach(orderKey => {
+            if (!refs[orderKey]) {
+                return;
+            }
+            const entry = cache.get(`${orderKey}:${refs[orderKey]}`);
+            if (entry) {
+                // Remove every alias of the same order
+                for (const [cacheKey, candidate] of cache) {
+                    if (candidate === entry) {
+                        cache.delete(cacheKey);
+                    }
+                }
+            }
+        });
+    }
+
+    fromCache(cacheKey) {
+        const entry = cache.get(cacheKey);
+        if (!entry) {
+            return null;
+        }
+        if (entry.expiresAt <= Date.now()) {
+            cache.delete(cacheKey);
+            return null;
+        }
+        return entry.order;
+    }
+}
+
+module.exports = OrderResolver;
@@ -0,0 +1,399 @@
+/**
+ * Returns Processor
+ * Handles Rithum return authorizations (RMAs) end to end, so returns no longer need a label bought by
+ * hand and a receipt keyed into the Rithum portal.
+ *
+ * New returns are read from /return/page. For each one, the outbound package that carried the returned
+ * items is found on the Rithum order. A ShipStation return label is then bought against that package's
+ * label (/v2/labels/{label_id}/return) and posted to the return as a package through /return/update.
+ * The label PDF is saved to the label directory and its download link is kept, so it can be sent on to
+ * the customer. Once every return label has been delivered back to us, the return's lines are accepted
+ * in Rithum (PUT /return/), which completes the return.
+ *
+ * Progress is kept in an append-only journal (returns.jsonl), so a label is never bought twice and a
+ * failed Rithum update is retried on the next run.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const JournalFile = require('./journalFile');
+const OrderLedger = require('./orderLedger');
+const OrderResolver = require('./orderResolver');
+const Logger = require('./logger');
+
+const logger = Logger.child({ module: 'returnsProcessor' });
+
+const LEDGER_EVENTS = OrderLedger.EVENTS;
+
+// ShipStation tracking status code of a delivered package
+const DELIVERED_STATUS = 'DE';
+
+class ReturnsProcessor {
+    /**
+     * @param {ShipStationClient} shipstationClient - ShipStation API client
+     * @param {RithumClient} rithumClient - Rithum API client
+     * @param {Object} [options]
+     * @param {OrderLedger} [options.ledger] - Order ledger (default: shared ledger file)
+     * @param {number} [options.lookbackDays] - Returns created this many days back are picked up (default: 14)
+     * @param {string} [options.labelDir] - Directory the return label PDFs are written to (default: ./return-labels)
+     * @param {string} [options.labelLayout] - Label layout: 4x6 or letter (default: 4x6)
+     * @param {boolean} [options.completeOnDelivery] - Accept the returned lines once delivered (default: true)
+     * @param {string} [options.stateFile] - Journal of labels bought and returns received (default: ./returns.jsonl)
+     */
+    constructor(shipstationClient, rithumClient, options = {}) {
+        this.shipstationClient = shipstationClient;
+        this.rithumClient = rithumClient;
+        this.ledger = options.ledger || new OrderLedger();
+        this.lookbackDays = options.lookbackDays || 14;
+        this.labelDir = path.resolve(options.labelDir || path.join(__dirname, '../../return-labels'));
+        this.labelLayout = options.labelLayout || '4x6';
+        this.completeOnDelivery = options.completeOnDelivery !== false;
+        this.filePath = options.stateFile || path.join(__dirname, '../../returns.jsonl');
+        this.journal = new JournalFile(this.filePath);
+
+        // dscoReturnId -> { dscoReturnId, dscoOrderId, poNumber, labels: [...], posted, received }
+        this.returns = new Map();
+    }
+
+    /**
+     * Replay the journal of return labels bought, posted and received
+     */
+    async load() {
+        const entries = await this.journal.readNew();
+        entries.forEach(entry => {
+            if (!this.returns.has(entry.dscoReturnId)) {
+                this.returns.set(entry.dscoReturnId, {
+                    dscoReturnId: entry.dscoReturnId,
+                    dscoOrderId: entry.dscoOrderId || null,
+                    poNumber: entry.poNumber || null,
+                    labels: [],
+                    posted: false,
+                    received: false
+                });
+            }
+            const state = this.returns.get(entry.dscoReturnId);
+            if (entry.action === 'label') {
+                state.labels.push(entry.label);
+            } else if (entry.action === 'posted') {
+                state.posted = true;
+            } else if (entry.action === 'received') {
+                state.received = true;
+            }
+        });
+    }
+
+    /**
+     * Open Rithum returns created within the lookback window
+     * @returns {Promise<Array>} Rithum returns (status created or acknowledged)
+     */
+    async getOpenReturns() {
+        const returns = [];
+        let params = {
+            returnsCreatedSince: new Date(Date.now() - this.lookbackDays * 24 * 60 * 60 * 1000).toISOString(),
+            // /return/page requires until to be at least 5 seconds in the past
+            until: new Date(Date.now() - 10 * 1000).toISOString()
+        };
+
+        for (let page = 1; page <= 50; page++) {
+            const response = await this.rithumClient.getReturns(params);
+            const pageReturns = response?.returns || [];
+            if (pageReturns.length === 0) {
+                break;
+            }
+            returns.push(...pageReturns);
+            if (!response.scrollId || response.scrollId === params.scrollId) {
+                break;
+            }
+            params = { scrollId: response.scrollId };
+        }
+        return returns.filter(rma => rma.status !== 'completed');
+    }
+
+    /**
+     * Look up a single return by its Rithum ID
+     * @param {string} dscoReturnId - Rithum return ID
+     * @returns {Promise<Object|null>} Rithum return, or null if not found
+     */
+    async getReturn(dscoReturnId) {
+        const response = await this.rithumClient.getReturns({ returnIdType: 'dscoReturnId', returnIdValue: dscoReturnId });
+        return response?.returns?.[0] || null;
+    }
+
+    /**
+     * Group the returned lines by the outbound package that shipped them
+     * Lines whose package cannot be told apart go back with the order's first package.
+     * @param {Object} rma - Rithum return
+     * @param {Object} rithumOrder - Rithum order with its packages
+     * @returns {Array} [{ trackingNumber, lineItems: [{ itemId, sku, lineNumber, quantity }] }]
+     */
+    getReturnPackages(rma, rithumOrder) {
+        const packages = (rithumOrder.packages || []).filter(pkg => pkg.trackingNumber);
+        if (packages.length === 0) {
+            return [];
+        }
+
+        const byTracking = new Map();
+        (rma.lineItems || []).forEach(line => {
+            const outbound = packages.find(pkg => (pkg.items || []).some(item =>
+                (line.itemId && String(item.dscoItemId) === String(line.itemId)) ||
+                (line.sku && item.sku === line.sku))) || packages[0];
+            if (!byTracking.has(outbound.trackingNumber)) {
+                byTracking.set(outbound.trackingNumber, []);
+            }
+            byTracking.get(outbound.trackingNumber).push(toReturnLine(line, { quantity: line.quantity }));
+        });
+        return [...byTracking.entries()].map(([trackingNumber, lineItems]) => ({ trackingNumber, lineItems }));
+    }
+
+    /**
+     * Buy the return labels for a return and post them to Rithum
+     * Labels already bought for the return are reused, so a failed run can simply be repeated.
+     * @param {Object} rma - Rithum return
+     * @param {Object} [options]
+     * @param {boolean} [options.dryRun] - Only report which labels would be bought
+     * @returns {Promise<Object>} { dscoReturnId, status: 'labelled'|'dry_run'|'has_tracking', labels: [...] }
+     */
+    async createReturnLabels(rma, options = {}) {
+        const state = this.returns.get(rma.dscoReturnId);
+        const ledgerRefs = { dscoOrderId: rma.dscoOrderId ? String(rma.dscoOrderId) : null, poNumber: rma.poNumber || null };
+
+        // The retailer already sent the customer a label of its own
+        const ownTracking = [rma.returnTrackingNumber, ...(rma.returnTrackingNumbers || [])].filter(Boolean);
+        if (!state && ownTracking.length > 0) {
+            return { dscoReturnId: rma.dscoReturnId, status: 'has_tracking', labels: [], trackingNumbers: ownTracking };
+        }
+
+        const rithumOrder = await new OrderResolver(this.rithumClient).resolve(ledgerRefs, { refresh: true });
+        if (!rithumOrder) {
+            throw new Error(`Rithum order ${rma.dscoOrderId || rma.poNumber} not found`);
+        }
+        const returnPackages = this.getReturnPackages(rma, rithumOrder);
+        if (returnPackages.length === 0) {
+            throw new Error(`Order ${rithumOrder.poNumber || rithumOrder.dscoOrderId} has no shipped packages to return`);
+        }
+        if (options.dryRun) {
+            return {
+                dscoReturnId: rma.dscoReturnId,
+                status: 'dry_run',
+                labels: returnPackages.map(pkg => ({ outboundTrackingNumber: pkg.trackingNumber, lineItems: pkg.lineItems }))
+            };
+        }
+
+        const labels = [...(state?.labels || [])];
+        for (const returnPackage of returnPackages) {
+            if (labels.some(label => label.outboundTrackingNumber === returnPackage.trackingNumber)) {
+                continue;
+            }
+            try {
+                const label = await this.purchaseLabel(rma, rithumOrder, returnPackage);
+                labels.push(label);
+            } catch (error) {
+                await this.ledger.record(LEDGER_EVENTS.RETURN_LABEL_FAILED, ledgerRefs, {
+                    dscoReturnId: rma.dscoReturnId,
+                    outboundTrackingNumber: returnPackage.trackingNumber
+                }, error);
+                throw error;
+            }
+        }
+
+        if (!this.returns.get(rma.dscoReturnId)?.posted) {
+            await this.rithumClient.updateReturn({
+                dscoReturnId: rma.dscoReturnId,
+                packages: labels.map(label => ({ trackingNumber: label.trackingNumber, lineItems: label.lineItems }))
+            });
+            await this.remember({ action: 'posted', dscoReturnId: rma.dscoReturnId });
+            this.returns.get(rma.dscoReturnId).posted = true;
+            logger.info(`↩️  Return ${rma.returnNumber || rma.dscoReturnId} (order ${rithumOrder.poNumber}): ` +
+                `${labels.length} return label(s) posted to Rithum`);
+        }
+        return { dscoReturnId: rma.dscoReturnId, status: 'labelled', labels };
+    }
+
+    /**
+     * Buy one return label against the outbound package's ShipStation label and save its PDF
+     * A label that was bought but could not be saved is still kept - it can be reprinted from ShipStation.
+     * @returns {Promise<Object>} { labelId, trackingNumber, outboundLabelId, outboundTrackingNumber, labelUrl, labelFile, lineItems }
+     */
+    async purchaseLabel(rma, rithumOrder, returnPackage) {
+        const outbound = await this.shipstationClient.getLabelByTrackingNumber(returnPackage.trackingNumber);
+        if (!outbound) {
+            throw new Error(`No ShipStation label found for tracking number ${returnPackage.trackingNumber}`);
+        }
+
+        const returnLabel = await this.shipstationClient.createReturnLabel(outbound.label_id, {
+            label_layout: this.labelLayout
+        });
+        const label = {
+            labelId: returnLabel.label_id,
+            trackingNumber: returnLabel.tracking_number,
+            outboundLabelId: outbound.label_id,
+            outboundTrackingNumber: returnPackage.trackingNumber,
+            labelUrl: returnLabel.label_download?.pdf || returnLabel.label_download?.href || null,
+            labelFile: null,
+            lineItems: returnPackage.lineItems
+        };
+
+        if (label.labelUrl) {
+            try {
+                const pdf = await this.shipstationClient.downloadFile(label.labelUrl);
+                const fileName = `${String(rma.returnNumber || rma.dscoReturnId).replace(/[^\w.-]+/g, '_')}_${label.labelId}.pdf`;
+                await fs.mkdir(this.labelDir, { recursive: true });
+                label.labelFile = path.join(this.labelDir, fileName);
+                await fs.writeFile(label.labelFile, pdf);
+                logger.info(`   💾 Return label saved to ${label.labelFile}`);
+            } catch (error) {
+                label.labelFile = null;
+                logger.warn(`   ⚠️  Could not save return label ${label.labelId}: ${error.message}`);
+            }
+        }
+
+        await this.remember({
+            action: 'label',
+            dscoReturnId: rma.dscoReturnId,
+            dscoOrderId: String(rithumOrder.dscoOrderId),
+            poNumber: rithumOrder.poNumber || null,
+            label
+        });
+        const state = this.returns.get(rma.dscoReturnId) || {
+            dscoReturnId: rma.dscoReturnId,
+            dscoOrderId: String(rithumOrder.dscoOrderId),
+            poNumber: rithumOrder.poNumber || null,
+            labels: [],
+            posted: false,
+            received: false
+        };
+        state.labels.push(label);
+        this.returns.set(rma.dscoReturnId, state);
+
+        await this.ledger.record(LEDGER_EVENTS.RETURN_LABEL_CREATED, {
+            dscoOrderId: String(rithumOrder.dscoOrderId),
+            poNumber: rithumOrder.poNumber
+        }, {
+            dscoReturnId: rma.dscoReturnId,
+            returnNumber: rma.returnNumber || null,
+            labelId: label.labelId,
+            returnTrackingNumber: label.trackingNumber,
+            outboundTrackingNumber: label.outboundTrackingNumber,
+            labelUrl: label.labelUrl
+        });
+        return label;
+    }
+
+    /**
+     * Mark a return received once all of its return labels have been delivered
+     * @param {Object} state - Journal state of the return
+     * @param {Object} [options]
+     * @param {boolean} [options.dryRun] - Only report whether the return would be received
+     * @returns {Promise<string>} 'received' | 'in_transit' | 'dry_run'
+     */
+    async checkDelivery(state, options = {}) {
+        for (const label of state.labels) {
+            const tracking = await this.shipstationClient.getLabelTracking(label.labelId);
+            if (tracking?.status_code !== DELIVERED_STATUS && !tracking?.actual_delivery_date) {
+                return 'in_transit';
+            }
+        }
+        if (options.dryRun) {
+            return 'dry_run';
+        }
+
+        if (this.completeOnDelivery) {
+            const rma = await this.getReturn(state.dscoReturnId);
+            const openLines = (rma?.lineItems || []).filter(line => !line.response);
+            if (rma && rma.status !== 'completed' && openLines.length > 0) {
+                await this.rithumClient.completeReturn({
+                    dscoReturnId: state.dscoReturnId,
+                    lineItems: openLines.map(line => toReturnLine(line, { response: 'accepted', reasonCode: line.reasonCode }))
+                });
+            }
+        }
+
+        const trackingNumbers = state.labels.map(label => label.trackingNumber);
+        await this.remember({ action: 'received', dscoReturnId: state.dscoReturnId, trackingNumbers });
+        state.received = true;
+        await this.ledger.record(LEDGER_EVENTS.RETURN_RECEIVED, {
+            dscoOrderId: state.dscoOrderId,
+            poNumber: state.poNumber
+        }, {
+            dscoReturnId: state.dscoReturnId,
+            returnTrackingNumbers: trackingNumbers,
+            completed: this.completeOnDelivery
+        });
+        logger.info(`📬 Return ${state.dscoReturnId} delivered${this.completeOnDelivery ? ' - lines accepted in Rithum' : ''}`);
+        return 'received';
+    }
+
+    /**
+     * Buy labels for new returns and receive returns whose labels were delivered
+     * @param {Object} [options]
+     * @param {string} [options.dscoReturnId] - Only this return
+     * @param {boolean} [options.dryRun] - Only report what would be done
+     * @returns {Promise<Object>} { labelled: [...], received: [dscoReturnId], skipped: [...], errors: [{ dscoReturnId, error }], dryRun }
+     */
+    async run(options = {}) {
+        await this.load();
+        const report = { labelled: [], received: [], skipped: [], errors: [], dryRun: !!options.dryRun };
+
+        let openReturns;
+        if (options.dscoReturnId) {
+            const rma = await this.getReturn(options.dscoReturnId);
+            if (!rma) {
+                throw new Error(`Rithum return ${options.dscoReturnId} not found`);
+            }
+            openReturns = rma.status === 'completed' ? [] : [rma];
+        } else {
+            openReturns = await this.getOpenReturns();
+        }
+
+        for (const rma of openReturns) {
+            if (this.returns.get(rma.dscoReturnId)?.posted) {
+                continue;
+            }
+            try {
+                const result = await this.createReturnLabels(rma, options);
+                if (result.status === 'has_tracking') {
+                    report.skipped.push({ dscoReturnId: rma.dscoReturnId, reason: `retailer label ${result.trackingNumbers.join(', ')}` });
+                } else {
+                    report.labelled.push({ ...result, returnNumber: rma.returnNumber || null, poNumber: rma.poNumber || null });
+                }
+            } catch (error) {
+                report.errors.push({ dscoReturnId: rma.dscoReturnId, error: error.response?.data?.message || error.message });
+            }
+        }
+
+        const awaiting = [...this.returns.values()].filter(state => state.posted && !state.received &&
+            (!options.dscoReturnId || state.dscoReturnId === options.dscoReturnId));
+        for (const state of awaiting) {
+            try {
+                const status = await this.checkDelivery(state, options);
+                if (status !== 'in_transit') {
+                    report.received.push(state.dscoReturnId);
+                }
+            } catch (error) {
+                report.errors.push({ dscoReturnId: state.dscoReturnId, error: error.response?.data?.message || error.message });
+            }
+        }
+        return report;
+    }
+
+    /**
+     * Journal a step of a return
+     */
+    async remember(entry) {
+        await this.journal.append({ ...entry, timestamp: new Date().toISOString() });
+    }
+}
+
+/**
+ * Identify a return line the way Rithum's return APIs expect, with the given fields added
+ */
+function toReturnLine(line, fields) {
+    const returnLine = { ...fields };
+    if (line.itemId) returnLine.itemId = String(line.itemId);
+    if (line.sku) returnLine.sku = line.sku;
+    if (!line.itemId && !line.sku && line.partnerSku) returnLine.partnerSku = line.partnerSku;
+    if (line.lineNumber) returnLine.lineNumber = line.lineNumber;
+    return returnLine;
+}
+
+module.exports = ReturnsProcessor;
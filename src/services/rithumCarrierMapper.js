@@ -1,38 +1,32 @@
 /**
  * Rithum to ShipStation Carrier Mapping Service
  * Maps Rithum carrier requests to actual ShipStation carrier IDs
+ * Carrier IDs and service preferences come from carrier-mappings.json (see CarrierMappings)
  */
 
-class RithumCarrierMapper {
-    constructor() {
-        // Map Rithum carrier names to ShipStation carrier preferences
-        this.carrierMapping = {
-            // Rithum carrier name -> Preferred ShipStation carriers (in order)
-            'generic': ['se-287927', 'se-1015030'], // USPS accounts
-            'usps': ['se-287927', 'se-1015030'],
-            'ups': ['se-733076'],
-            'fedex': ['se-283655'],
-            'dhl': ['se-782807'],
-            'stamps.com': ['se-287927', 'se-1015030'],
-            'stamps_com': ['se-287927', 'se-1015030']
-        };
+const CarrierMappings = require('./carrierMappings');
+const Logger = require('./logger');
 
-        // Map service level codes to carrier preferences
-        this.serviceMapping = {
-            // Service code -> Preferred carriers for that service
-            'GCG': ['se-287927', 'se-1015030'], // Generic Carrier Ground -> USPS
-            'GCP': ['se-287927', 'se-1015030'], // Generic Carrier Priority -> USPS
-            'GCE': ['se-287927', 'se-1015030'], // Generic Carrier Express -> USPS
-            'FEDEX_GROUND': ['se-283655'],
-            'FEDEX_2_DAY': ['se-283655'],
-            'FEDEX_OVERNIGHT': ['se-283655'],
-            'UPS_GROUND': ['se-733076'],
-            'UPS_2ND_DAY': ['se-733076'],
-            'UPS_NEXT_DAY': ['se-733076'],
-            'USPS_GROUND_ADVANTAGE': ['se-287927', 'se-1015030'],
-            'USPS_PRIORITY_MAIL': ['se-287927', 'se-1015030'],
-            'USPS_PRIORITY_MAIL_EXPRESS': ['se-287927', 'se-1015030']
-        };
+const logger = Logger.child({ module: 'rithumCarrierMapper' });
+
+class RithumCarrierMapper {
+    /**
+     * @param {CarrierMappings} [mappings] - Carrier mapping table (default: carrier-mappings.json)
+     */
+    constructor(mappings = CarrierMappings.load()) {
+        this.mappings = mappings;
+
+        // Carrier -> Preferred ShipStation carriers (in order)
+        this.carrierMapping = {};
+        Object.keys(mappings.carriers).forEach(carrierKey => {
+            this.carrierMapping[carrierKey] = mappings.getCarrierIds(carrierKey);
+        });
+
+        // Service code -> Preferred carriers for that service
+        this.serviceMapping = {};
+        Object.keys(mappings.serviceLevelCarriers).forEach(serviceCode => {
+            this.serviceMapping[serviceCode] = mappings.getServiceLevelCarrierIds(serviceCode);
+        });
     }
 
     /**
@@ -76,11 +70,11 @@ class RithumCarrierMapper {
             rithumOrder.requestedShippingServiceLevelCode
         );
 
-        console.log(`🔍 Rithum carrier requirements:`);
-        console.log(`   Requested Carrier: ${requirements.requestedCarrier || 'None'}`);
-        console.log(`   Service Code: ${requirements.serviceCode || 'None'}`);
-        console.log(`   Ship Method: ${requirements.shipMethod || 'None'}`);
-        console.log(`   Is Required: ${requirements.isRequired ? 'Yes' : 'No (fallback allowed)'}`);
+        logger.info(`🔍 Rithum carrier requirements:`);
+        logger.info(`   Requested Carrier: ${requirements.requestedCarrier || 'None'}`);
+        logger.info(`   Service Code: ${requirements.serviceCode || 'None'}`);
+        logger.info(`   Ship Method: ${requirements.shipMethod || 'None'}`);
+        logger.info(`   Is Required: ${requirements.isRequired ? 'Yes' : 'No (fallback allowed)'}`);
 
         return requirements;
     }
@@ -96,39 +90,42 @@ class RithumCarrierMapper {
         // 1. First try service code mapping (most specific)
         if (carrierRequirements.serviceCode && this.serviceMapping[carrierRequirements.serviceCode]) {
             preferredIds.push(...this.serviceMapping[carrierRequirements.serviceCode]);
-            console.log(`   🎯 Service code '${carrierRequirements.serviceCode}' maps to: ${preferredIds.join(', ')}`);
+            logger.info(`   🎯 Service code '${carrierRequirements.serviceCode}' maps to: ${preferredIds.join(', ')}`);
         }
 
-        // 2. Then try carrier name mapping
-        if (carrierRequirements.requestedCarrier && this.carrierMapping[carrierRequirements.requestedCarrier]) {
-            const carrierIds = this.carrierMapping[carrierRequirements.requestedCarrier];
+        // 2. Then try carrier name mapping (exact entries first, then the mapping file's aliases)
+        const carrierKey = carrierRequirements.requestedCarrier &&
+            (this.carrierMapping[carrierRequirements.requestedCarrier]
+                ? carrierRequirements.requestedCarrier
+                : this.mappings.resolveCarrier(carrierRequirements.requestedCarrier));
+        if (carrierKey && this.carrierMapping[carrierKey]) {
+            const carrierIds = this.carrierMapping[carrierKey];
             // Add to list if not already present
             carrierIds.forEach(id => {
                 if (!preferredIds.includes(id)) {
                     preferredIds.push(id);
                 }
             });
-            console.log(`   🚚 Carrier '${carrierRequirements.requestedCarrier}' adds: ${carrierIds.join(', ')}`);
+            logger.info(`   🚚 Carrier '${carrierRequirements.requestedCarrier}' adds: ${carrierIds.join(', ')}`);
         }
 
-        // 3. Handle special cases based on ship method
-        if (carrierRequirements.shipMethod) {
-            if (carrierRequirements.shipMethod.includes('ground') && !preferredIds.some(id => id.startsWith('se-287'))) {
-                if (!preferredIds.includes('se-287927')) {
-                    preferredIds.push('se-287927'); // USPS good for ground
+        // 3. Handle special cases based on ship method (e.g. ground -> USPS, express -> FedEx/UPS first)
+        const shipMethodCarriers = this.mappings.getShipMethodCarriers(carrierRequirements.shipMethod);
+        if (shipMethodCarriers) {
+            // Each listed carrier contributes its primary account unless one of its accounts is already preferred
+            shipMethodCarriers.carrierGroups.forEach((carrierIds, index) => {
+                if (carrierIds.length === 0 || carrierIds.some(id => preferredIds.includes(id))) {
+                    return;
                 }
-            } else if (carrierRequirements.shipMethod.includes('express') || carrierRequirements.shipMethod.includes('overnight')) {
-                // Express shipping - prioritize FedEx/UPS
-                if (!preferredIds.includes('se-283655')) {
-                    preferredIds.unshift('se-283655'); // FedEx for express
+                if (shipMethodCarriers.position === 'first') {
+                    preferredIds.splice(index, 0, carrierIds[0]);
+                } else {
+                    preferredIds.push(carrierIds[0]);
                 }
-                if (!preferredIds.includes('se-733076')) {
-                    preferredIds.splice(1, 0, 'se-733076'); // UPS for express
-                }
-            }
+            });
         }
 
-        console.log(`   ✅ Final preferred carriers: ${preferredIds.join(', ')}`);
+        logger.info(`   ✅ Final preferred carriers: ${preferredIds.join(', ')}`);
         return [...new Set(preferredIds)]; // Remove duplicates while preserving order
     }
 
@@ -187,7 +184,7 @@ class RithumCarrierMapper {
      */
     addServiceMapping(serviceCode, carrierIds) {
         this.serviceMapping[serviceCode.toUpperCase()] = carrierIds;
-        console.log(`➕ Added service mapping: ${serviceCode} -> ${carrierIds.join(', ')}`);
+        logger.info(`➕ Added service mapping: ${serviceCode} -> ${carrierIds.join(', ')}`);
     }
 
     /**
@@ -197,7 +194,7 @@ class RithumCarrierMapper {
      */
     addCarrierMapping(carrierName, carrierIds) {
         this.carrierMapping[carrierName.toLowerCase()] = carrierIds;
-        console.log(`➕ Added carrier mapping: ${carrierName} -> ${carrierIds.join(', ')}`);
+        logger.info(`➕ Added carrier mapping: ${carrierName} -> ${carrierIds.join(', ')}`);
     }
 
     /**
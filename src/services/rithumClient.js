@@ -1,6 +1,12 @@
 const axios = require('axios');
 const fs = require('fs').promises;
 const path = require('path');
+const Logger = require('./logger');
+const Metrics = require('./metrics');
+
+const logger = Logger.child({ module: 'rithumClient' });
+
+const METRICS = Metrics.METRICS;
 
 class RithumClient {
     constructor(apiUrl, clientId, clientSecret) {
@@ -55,7 +61,7 @@ class RithumClient {
                     }
                 }
 
-                console.error('Rithum API Error:', {
+                logger.error('Rithum API Error', {
                     status: error.response?.status,
                     statusText: error.response?.statusText,
                     data: error.response?.data,
@@ -82,7 +88,7 @@ class RithumClient {
         params.append('client_id', this.clientId);
         params.append('client_secret', this.clientSecret);
 
-        console.log('Getting access token from:', tokenUrl);
+        logger.info('Getting access token from', { tokenUrl });
 
         try {
             const response = await axios.post(tokenUrl, params.toString(), {
@@ -98,9 +104,9 @@ class RithumClient {
             const bufferSeconds = 60;
             this.accessToken = access_token;
             this.tokenExpiresAt = Date.now() + Math.max(0, (expires_in - bufferSeconds)) * 1000;
-            console.log('Access token obtained, expires in:', expires_in, 'seconds');
+            logger.info('Access token obtained', { expiresInSeconds: expires_in });
         } catch (error) {
-            console.log('Token request failed:', {
+            logger.error('Token request failed', {
                 status: error.response?.status,
                 statusText: error.response?.statusText,
                 data: error.response?.data,
@@ -118,8 +124,10 @@ class RithumClient {
 
     async makeRequest(method, endpoint, data = null, params = null) {
         let lastError;
+        const endpointLabel = Metrics.endpointLabel(endpoint);
         
         for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+            const endTimer = METRICS.apiRequestDuration.startTimer({ api: 'rithum', method, endpoint: endpointLabel });
             try {
                 const config = {
                     method,
@@ -128,7 +136,7 @@ class RithumClient {
                     params
                 };
 
-                console.log(`Rithum API Request (attempt ${attempt}):`, {
+                logger.debug(`Rithum API Request (attempt ${attempt})`, {
                     method,
                     endpoint,
                     hasData: !!data,
@@ -136,8 +144,9 @@ class RithumClient {
                 });
 
                 const response = await this.client(config);
+                endTimer({ status: response.status });
                 
-                console.log(`Rithum API Success (attempt ${attempt}):`, {
+                logger.debug(`Rithum API Success (attempt ${attempt})`, {
                     status: response.status,
                     endpoint
                 });
@@ -145,6 +154,7 @@ class RithumClient {
                 return response.data;
             } catch (error) {
                 lastError = error;
+                endTimer({ status: error.response?.status || 'error' });
                 
                 // Don't retry on client errors (4xx) except 429 (rate limit)
                 if (error.response?.status >= 400 && error.response?.status < 500 && error.response?.status !== 429) {
@@ -158,7 +168,8 @@ class RithumClient {
 
                 // Calculate delay with exponential backoff
                 const delay = this.retryDelay * Math.pow(2, attempt - 1);
-                console.log(`Rithum API Retry in ${delay}ms (attempt ${attempt}/${this.maxRetries})`);
+                logger.info(`Rithum API Retry in ${delay}ms (attempt ${attempt}/${this.maxRetries})`);
+                METRICS.apiRequestRetries.inc({ api: 'rithum', method, endpoint: endpointLabel });
                 
                 await this.sleep(delay);
             }
@@ -173,29 +184,66 @@ class RithumClient {
 
     async fetchOrders(params = {}) {
         try {
-            console.log('Fetching orders from Rithum API...');
+            logger.info('Fetching orders from Rithum API...');
             
             const response = await this.makeRequest('GET', '/order/page', null, params);
             
-            console.log(`Fetched orders page from Rithum, hasScrollId: ${!!response.scrollId}`);
+            logger.info(`Fetched orders page from Rithum, hasScrollId: ${!!response.scrollId}`);
             return response;
         } catch (error) {
-            console.error('Error fetching orders from Rithum:', error.message);
-            console.error('Response:', error.response?.data);
+            logger.error('Error fetching orders from Rithum', { error });
+            logger.error('Response', { data: error.response?.data });
             throw error;
         }
     }
 
+    /**
+     * Acknowledged orders that have not shipped yet, across all pages
+     * Stops after 50 pages of 100 orders; a truncated result is logged.
+     * @param {number} sinceDays - Only orders updated in the last sinceDays days
+     * @returns {Promise<Array>} Rithum orders
+     */
+    async fetchOpenOrders(sinceDays) {
+        const maxPages = 50;
+        const orders = [];
+        let params = {
+            ordersUpdatedSince: new Date(Date.now() - sinceDays * 24 * 60 * 60 * 1000).toISOString(),
+            // /order/page requires until to be at least 5 seconds in the past
+            until: new Date(Date.now() - 10 * 1000).toISOString(),
+            status: 'shipment_pending',
+            ordersPerPage: 100
+        };
+
+        for (let page = 1; ; page++) {
+            const response = await this.fetchOrders(params);
+            const pageOrders = response?.orders || [];
+            if (pageOrders.length === 0) {
+                break;
+            }
+            orders.push(...pageOrders);
+            if (!response.scrollId || response.scrollId === params.scrollId) {
+                break;
+            }
+            if (page === maxPages) {
+                logger.warn(`⚠️  Open orders truncated at ${maxPages} pages (${orders.length} orders) - ` +
+                    `orders updated in the last ${sinceDays} day(s) beyond these are not included`);
+                break;
+            }
+            params = { scrollId: response.scrollId };
+        }
+        return orders.filter(order => !['shipped', 'cancelled'].includes(order.dscoStatus));
+    }
+
     async updateOrder(orderId, updateData) {
         try {
-            console.log(`Updating Rithum order ${orderId}...`);
+            logger.info(`Updating Rithum order ${orderId}...`);
             
             const response = await this.makeRequest('PUT', `/orders/${orderId}`, updateData);
             
-            console.log(`Successfully updated Rithum order ${orderId}`);
+            logger.info(`Successfully updated Rithum order ${orderId}`);
             return response;
         } catch (error) {
-            console.error(`Error updating Rithum order ${orderId}:`, error.message);
+            logger.error(`Error updating Rithum order ${orderId}`, { error });
             throw error;
         }
     }
@@ -203,12 +251,76 @@ class RithumClient {
     async createShipments(orderShipments) {
         try {
             const payload = Array.isArray(orderShipments) ? orderShipments : [orderShipments];
-            console.log(`Submitting shipment batch to Rithum (orders: ${payload.length})...`);
+            logger.info(`Submitting shipment batch to Rithum (orders: ${payload.length})...`);
             const response = await this.makeRequest('POST', '/order/shipment/batch/small', payload);
-            console.log('Successfully submitted shipment batch to Rithum');
+            logger.info('Successfully submitted shipment batch to Rithum');
+            return response;
+        } catch (error) {
+            logger.error('Error submitting shipments to Rithum', { error });
+            throw error;
+        }
+    }
+
+    async createSingleShipment(orderShipment) {
+        const orderRef = orderShipment.dscoOrderId || orderShipment.poNumber || orderShipment.supplierOrderNumber;
+        try {
+            logger.info(`Submitting single shipment to Rithum order ${orderRef}...`);
+            const response = await this.makeRequest('POST', '/order/singleShipment', orderShipment);
+            logger.info(`Successfully created shipment on Rithum order ${orderRef}`);
+            return response;
+        } catch (error) {
+            logger.error(`Error creating shipment on Rithum order ${orderRef}`, { error });
+            throw error;
+        }
+    }
+
+    async acknowledgeOrders(orderIds) {
+        try {
+            const payload = Array.isArray(orderIds) ? orderIds : [orderIds];
+            logger.info(`Acknowledging ${payload.length} order(s) on Rithum...`);
+            const response = await this.makeRequest('POST', '/order/acknowledge', payload);
+            logger.info(`Successfully submitted order acknowledgement (requestId: ${response?.requestId || 'N/A'})`);
+            return response;
+        } catch (error) {
+            logger.error('Error acknowledging orders on Rithum', { error });
+            throw error;
+        }
+    }
+
+    async acknowledgeOrderItems(orderLineItems) {
+        try {
+            const payload = Array.isArray(orderLineItems) ? orderLineItems : [orderLineItems];
+            logger.info(`Acknowledging line items on ${payload.length} Rithum order(s)...`);
+            const response = await this.makeRequest('POST', '/order/acknowledge/items', payload);
+            logger.info(`Successfully submitted line item acknowledgement (requestId: ${response?.requestId || 'N/A'})`);
+            return response;
+        } catch (error) {
+            logger.error('Error acknowledging order items on Rithum', { error });
+            throw error;
+        }
+    }
+
+    async cancelOrderItems(orderForCancel) {
+        try {
+            logger.info(`Cancelling ${orderForCancel.lineItems?.length || 0} line item(s) on Rithum order ${orderForCancel.id}...`);
+            const response = await this.makeRequest('POST', '/order/item/cancel', orderForCancel);
+            logger.info(`Successfully cancelled line items on Rithum order ${orderForCancel.id} (status: ${response?.status || 'unknown'})`);
+            return response;
+        } catch (error) {
+            logger.error(`Error cancelling line items on Rithum order ${orderForCancel.id}`, { error });
+            throw error;
+        }
+    }
+
+    async cancelOrderItemsBatch(ordersForCancel) {
+        try {
+            const payload = Array.isArray(ordersForCancel) ? ordersForCancel : [ordersForCancel];
+            logger.info(`Submitting line item cancellation batch to Rithum (orders: ${payload.length})...`);
+            const response = await this.makeRequest('POST', '/order/item/cancel/batch/small', payload);
+            logger.info(`Successfully submitted cancellation batch to Rithum (requestId: ${response?.requestId || 'N/A'})`);
             return response;
         } catch (error) {
-            console.error('Error submitting shipments to Rithum:', error.message);
+            logger.error('Error submitting cancellation batch to Rithum', { error });
             throw error;
         }
     }
@@ -216,24 +328,24 @@ class RithumClient {
     async submitOrderUpdates(updates) {
         try {
             const payload = Array.isArray(updates) ? updates : [updates];
-            console.log(`Submitting order update batch to Rithum (updates: ${payload.length})...`);
+            logger.info(`Submitting order update batch to Rithum (updates: ${payload.length})...`);
             const response = await this.makeRequest('POST', '/orderupdate/batch/small', payload);
-            console.log('Successfully submitted order update batch to Rithum');
+            logger.info('Successfully submitted order update batch to Rithum');
             return response;
         } catch (error) {
-            console.error('Error submitting order updates to Rithum:', error.message);
+            logger.error('Error submitting order updates to Rithum', { error });
             throw error;
         }
     }
 
     async createOrder(order) {
         try {
-            console.log(`Creating single order on Rithum (poNumber: ${order.poNumber})...`);
+            logger.info(`Creating single order on Rithum (poNumber: ${order.poNumber})...`);
             const response = await this.makeRequest('POST', '/order/', order);
-            console.log(`Successfully created order (poNumber: ${order.poNumber})`);
+            logger.info(`Successfully created order (poNumber: ${order.poNumber})`);
             return response;
         } catch (error) {
-            console.error(`Error creating order (poNumber: ${order.poNumber}):`, error.message);
+            logger.error(`Error creating order (poNumber: ${order.poNumber})`, { error });
             throw error;
         }
     }
@@ -241,30 +353,30 @@ class RithumClient {
     async createOrdersBatch(orders) {
         try {
             const payload = Array.isArray(orders) ? orders : [orders];
-            console.log(`Creating order batch on Rithum (orders: ${payload.length})...`);
+            logger.info(`Creating order batch on Rithum (orders: ${payload.length})...`);
             const response = await this.makeRequest('POST', '/order/batch/small', payload);
             
             // Log response details for debugging
             if (response.requestId) {
-                console.log(`✅ Successfully submitted order batch to Rithum (requestId: ${response.requestId})`);
+                logger.info(`✅ Successfully submitted order batch to Rithum (requestId: ${response.requestId})`);
             } else {
-                console.log(`⚠️  Order batch response received but no requestId found`);
-                console.log(`   Response status: ${response.status || 'unknown'}`);
+                logger.info(`⚠️  Order batch response received but no requestId found`);
+                logger.info(`   Response status: ${response.status || 'unknown'}`);
             }
             
             // Log any messages or errors in the response
             if (response.messages && response.messages.length > 0) {
-                console.log(`   Response contains ${response.messages.length} message(s):`);
+                logger.info(`   Response contains ${response.messages.length} message(s):`);
                 response.messages.forEach((msg, index) => {
-                    console.log(`     ${index + 1}. [${msg.severity || 'info'}] ${msg.code || 'N/A'}: ${msg.description || 'N/A'}`);
+                    logger.info(`     ${index + 1}. [${msg.severity || 'info'}] ${msg.code || 'N/A'}: ${msg.description || 'N/A'}`);
                 });
             }
             
             return response;
         } catch (error) {
-            console.error('Error creating order batch on Rithum:', error.message);
+            logger.error('Error creating order batch on Rithum', { error });
             if (error.response && error.response.data) {
-                console.error('   Error response:', JSON.stringify(error.response.data, null, 2));
+                logger.error('   Error response', { data: error.response.data });
             }
             throw error;
         }
@@ -272,18 +384,155 @@ class RithumClient {
 
     async getOrderChangeLog(params = {}) {
         try {
-            console.log('Fetching Rithum order change log...', params);
-            const response = await this.makeRequest('GET', '/order/changelog', null, params);
+            logger.info('Fetching Rithum order change log...', { params });
+            const response = await this.makeRequest('GET', '/order/log', null, params);
+            return response;
+        } catch (error) {
+            logger.error('Error fetching order change log', { error });
+            throw error;
+        }
+    }
+
+    async createInvoice(invoice) {
+        try {
+            logger.info(`Creating Rithum invoice ${invoice.invoiceId}...`);
+            const response = await this.makeRequest('POST', '/invoice', invoice);
+            logger.info(`Successfully created invoice ${invoice.invoiceId}`);
+            return response;
+        } catch (error) {
+            logger.error(`Error creating invoice ${invoice.invoiceId}`, { error });
+            throw error;
+        }
+    }
+
+    async createInvoicesBatch(invoices) {
+        try {
+            const payload = Array.isArray(invoices) ? invoices : [invoices];
+            logger.info(`Submitting invoice batch to Rithum (invoices: ${payload.length})...`);
+            const response = await this.makeRequest('POST', '/invoice/batch/small', payload);
+            logger.info(`Successfully submitted invoice batch (requestId: ${response?.requestId || 'N/A'})`);
+            return response;
+        } catch (error) {
+            logger.error('Error submitting invoices to Rithum', { error });
+            throw error;
+        }
+    }
+
+    async getInvoices(key, value) {
+        try {
+            const response = await this.makeRequest('GET', '/invoice', null, { key, value });
+            return response?.invoices || [];
+        } catch (error) {
+            logger.error(`Error fetching invoices for ${key} ${value}`, { error });
+            throw error;
+        }
+    }
+
+    async getInvoiceChangeLog(params = {}) {
+        try {
+            logger.info('Fetching Rithum invoice change log...', { params });
+            const response = await this.makeRequest('GET', '/invoice/log', null, params);
+            return response;
+        } catch (error) {
+            logger.error('Error fetching invoice change log', { error });
+            throw error;
+        }
+    }
+
+    async getReturns(params = {}) {
+        try {
+            logger.info('Fetching Rithum returns...', { params });
+            const response = await this.makeRequest('GET', '/return/page', null, params);
+            return response;
+        } catch (error) {
+            logger.error('Error fetching returns from Rithum', { error });
+            throw error;
+        }
+    }
+
+    async updateReturn(returnUpdate) {
+        try {
+            logger.info(`Updating Rithum return ${returnUpdate.dscoReturnId} (packages: ${returnUpdate.packages?.length || 0})...`);
+            const response = await this.makeRequest('POST', '/return/update', returnUpdate);
+            return response;
+        } catch (error) {
+            logger.error(`Error updating return ${returnUpdate.dscoReturnId}`, { error });
+            throw error;
+        }
+    }
+
+    async completeReturn(returnComplete) {
+        try {
+            logger.info(`Completing Rithum return ${returnComplete.dscoReturnId} (lines: ${returnComplete.lineItems.length})...`);
+            const response = await this.makeRequest('PUT', '/return/', returnComplete);
+            return response;
+        } catch (error) {
+            logger.error(`Error completing return ${returnComplete.dscoReturnId}`, { error });
+            throw error;
+        }
+    }
+
+    async createMonitoredShipments(monitoredShipments) {
+        try {
+            logger.info(`Submitting monitored shipments to Rithum (orders: ${monitoredShipments.length})...`);
+            const response = await this.makeRequest('POST', '/monitoredshipments/batch/small', monitoredShipments);
+            logger.info(`Successfully submitted monitored shipments (requestId: ${response?.requestId || 'N/A'})`);
+            return response;
+        } catch (error) {
+            logger.error('Error submitting monitored shipments to Rithum', { error });
+            throw error;
+        }
+    }
+
+    async getDeliveryPromise(request) {
+        try {
+            logger.info(`Requesting Rithum delivery promise (ship methods: ${(request.shipMethods || []).join(', ')})...`);
+            const response = await this.makeRequest('POST', '/deliverypromise', request);
+            return response;
+        } catch (error) {
+            logger.error('Error requesting delivery promise', { error });
+            throw error;
+        }
+    }
+
+    async updateInventoryItem(item) {
+        try {
+            logger.info(`Updating Rithum inventory for SKU ${item.sku} (available: ${item.quantityAvailable})...`);
+            const response = await this.makeRequest('POST', '/inventory/singleItem', item);
+            return response;
+        } catch (error) {
+            logger.error(`Error updating Rithum inventory for SKU ${item.sku}`, { error });
+            throw error;
+        }
+    }
+
+    async updateInventoryBatch(items, options = {}) {
+        try {
+            logger.info(`Submitting inventory batch to Rithum (items: ${items.length})...`);
+            const params = options.skipItemsThatDontExist ? { skipItemsThatDontExist: true } : null;
+            const response = await this.makeRequest('POST', '/inventory/batch/small', items, params);
+            logger.info(`Successfully submitted inventory batch (requestId: ${response?.requestId || 'N/A'})`);
+            return response;
+        } catch (error) {
+            logger.error('Error submitting inventory batch to Rithum', { error });
+            throw error;
+        }
+    }
+
+    async updateSkuHolds(request) {
+        try {
+            logger.info(`Updating Rithum SKU holds (add: ${request.addHold?.length || 0}, remove: ${request.removeHold?.length || 0})...`);
+            const response = await this.makeRequest('POST', '/inventory/skuHold', request);
             return response;
         } catch (error) {
-            console.error('Error fetching order change log:', error.message);
+            logger.error('Error updating SKU holds on Rithum', { error });
             throw error;
         }
     }
 
     async createOrderStream(description = 'Order event stream for new orders') {
         try {
-            console.log('Creating order event stream...');
+            logger.info('Creating order event stream...');
             
             const streamData = {
                 objectType: 'order',
@@ -295,10 +544,10 @@ class RithumClient {
             
             const response = await this.makeRequest('POST', '/stream', streamData);
             
-            console.log('Order stream created:', response.id);
+            logger.info('Order stream created', { id: response.id });
             return response;
         } catch (error) {
-            console.error('Error creating order stream:', error.message);
+            logger.error('Error creating order stream', { error });
             throw error;
         }
     }
@@ -311,14 +560,14 @@ class RithumClient {
             }
             throw new Error(`Stream ${streamId} not found`);
         } catch (error) {
-            console.error(`Error getting stream ${streamId}:`, error.message);
+            logger.error(`Error getting stream ${streamId}`, { error });
             throw error;
         }
     }
 
     async getStreamEventsFromPosition(streamId, partitionId, position) {
         try {
-            console.log(`Getting stream events from position ${position}...`);
+            logger.info(`Getting stream events from position ${position}...`);
             await this.ensureAccessToken();
             const encodedPosition = encodeURIComponent(position);
             const endpoint = `/stream/${streamId}/${partitionId}/${encodedPosition}`;
@@ -326,7 +575,7 @@ class RithumClient {
             const response = await this.makeRequest('GET', endpoint);
             return response;
         } catch (error) {
-            console.error('Error getting stream events:', error.message);
+            logger.error('Error getting stream events', { error });
             throw error;
         }
     }
@@ -365,10 +614,10 @@ class RithumClient {
                 const stream = await this.getStream(existingConfig.streamId);
                 this.streamId = existingConfig.streamId;
                 this.lastPosition = existingConfig.lastPosition;
-                console.log('Using existing order stream:', this.streamId);
+                logger.info('Using existing order stream', { streamId: this.streamId });
                 return stream;
             } catch (error) {
-                console.warn('Existing stream not found, creating new one...');
+                logger.warn('Existing stream not found, creating new one...');
             }
         }
 
@@ -378,10 +627,10 @@ class RithumClient {
             this.streamId = stream.id;
             this.lastPosition = null; // Start from beginning
             await this.saveStreamConfig();
-            console.log('Created new order stream:', this.streamId);
+            logger.info('Created new order stream', { streamId: this.streamId });
             return stream;
         } catch (error) {
-            console.error('Failed to create order stream:', error.message);
+            logger.error('Failed to create order stream', { error });
             throw error;
         }
     }
@@ -404,7 +653,7 @@ class RithumClient {
         }
 
         try {
-            const response = await this.makeRequest('GET', '/orders', null, params);
+            const response = await this.makeRequest('GET', '/order/', null, params);
 
             if (Array.isArray(response)) {
                 if (response.length === 0) {
@@ -420,9 +669,9 @@ class RithumClient {
             return response;
         } catch (error) {
             if (error.response?.status === 404) {
-                console.error(`Order ${orderId} not found (404)`);
+                logger.error(`Order ${orderId} not found (404)`);
             } else {
-                console.error(`Error fetching order ${orderId}:`, error.message);
+                logger.error(`Error fetching order ${orderId}`, { error });
             }
             throw error;
         }
@@ -446,12 +695,12 @@ class RithumClient {
             const partitionId = partition.partitionId;
             const currentPosition = this.lastPosition || partition.position || '0';
 
-            console.log(`[checkForNewOrders] Using position: ${currentPosition}`);
+            logger.info(`[checkForNewOrders] Using position: ${currentPosition}`);
             if (dscoLifecycleFilter) {
-                console.log(`[checkForNewOrders] Filtering by dscoLifecycle: ${dscoLifecycleFilter}`);
+                logger.info(`[checkForNewOrders] Filtering by dscoLifecycle: ${[].concat(dscoLifecycleFilter).join(', ')}`);
             }
             if (eventReasonsFilter && eventReasonsFilter.length > 0) {
-                console.log(`[checkForNewOrders] Filtering by eventReasons: ${eventReasonsFilter.join(', ')}`);
+                logger.info(`[checkForNewOrders] Filtering by eventReasons: ${eventReasonsFilter.join(', ')}`);
             }
 
             const eventsResponse = await this.getStreamEventsFromPosition(
@@ -460,7 +709,7 @@ class RithumClient {
                 currentPosition
             );
             
-            console.log(`[checkForNewOrders] Received ${(eventsResponse.events || []).length} events`);
+            logger.info(`[checkForNewOrders] Received ${(eventsResponse.events || []).length} events`);
 
             const allEvents = eventsResponse.events || [];
 
@@ -474,10 +723,11 @@ class RithumClient {
                     return false;
                 }
 
-                // Apply lifecycle status filter if provided
+                // Apply lifecycle status filter if provided (single lifecycle or list of lifecycles)
                 if (dscoLifecycleFilter) {
                     const payload = event.payload;
-                    return payload && payload.dscoLifecycle === dscoLifecycleFilter;
+                    const lifecycles = Array.isArray(dscoLifecycleFilter) ? dscoLifecycleFilter : [dscoLifecycleFilter];
+                    return payload && lifecycles.includes(payload.dscoLifecycle);
                 }
 
                 return true;
@@ -513,7 +763,7 @@ class RithumClient {
                                 ...fetchedOrder
                             };
                         } catch (fetchError) {
-                            console.error(`Error fetching order ${orderId} details:`, fetchError.message);
+                            logger.error(`Error fetching order ${orderId} details`, { error: fetchError });
                             detail = detail || { id: orderId };
                             detail.fetchError = fetchError.message;
                         }
@@ -532,7 +782,7 @@ class RithumClient {
             let newPosition = currentPosition;
             if (allEvents.length > 0) {
                 const lastEvent = allEvents[allEvents.length - 1];
-                console.log(`[checkForNewOrders] Last event:`, {
+                logger.debug(`[checkForNewOrders] Last event`, {
                     hasId: !!lastEvent?.id,
                     id: lastEvent?.id,
                     eventReasons: lastEvent?.eventReasons,
@@ -541,11 +791,11 @@ class RithumClient {
                 
                 if (lastEvent && lastEvent.id) {
                     newPosition = lastEvent.id;
-                    console.log(`[checkForNewOrders] Setting position to last event ID: ${newPosition}`);
+                    logger.info(`[checkForNewOrders] Setting position to last event ID: ${newPosition}`);
                 } else if (eventsResponse.position) {
                     // Fallback to response position if event doesn't have ID
                     newPosition = eventsResponse.position;
-                    console.log(`[checkForNewOrders] Using response position (event has no ID): ${newPosition}`);
+                    logger.info(`[checkForNewOrders] Using response position (event has no ID): ${newPosition}`);
                 } else {
                     // Last resort: try to get position from stream partition
                     try {
@@ -554,15 +804,15 @@ class RithumClient {
                             const updatedPartition = updatedStream.partitions.find(p => p.partitionId === partitionId);
                             if (updatedPartition && updatedPartition.position) {
                                 newPosition = updatedPartition.position;
-                                console.log(`[checkForNewOrders] Using partition position (no event ID): ${newPosition}`);
+                                logger.info(`[checkForNewOrders] Using partition position (no event ID): ${newPosition}`);
                             }
                         }
                     } catch (error) {
-                        console.warn('Could not fetch updated partition position:', error.message);
+                        logger.warn('Could not fetch updated partition position', { error });
                     }
                 }
             } else {
-                console.log(`[checkForNewOrders] No events found, position unchanged: ${currentPosition}`);
+                logger.info(`[checkForNewOrders] No events found, position unchanged: ${currentPosition}`);
             }
 
             // Always save position if it changed, regardless of whether orders were processed
@@ -570,12 +820,12 @@ class RithumClient {
                 const oldPosition = this.lastPosition;
                 this.lastPosition = newPosition;
                 await this.saveStreamConfig();
-                console.log(`[checkForNewOrders] ✅ Position updated and saved:`);
-                console.log(`   Old: ${oldPosition || '(initial)'}`);
-                console.log(`   New: ${newPosition}`);
+                logger.info(`[checkForNewOrders] ✅ Position updated and saved:`);
+                logger.info(`   Old: ${oldPosition || '(initial)'}`);
+                logger.info(`   New: ${newPosition}`);
             } else if (newPosition === this.lastPosition) {
-                console.log(`[checkForNewOrders] ⚠️  Position unchanged: ${currentPosition}`);
-                console.log(`   This may indicate events are being re-fetched.`);
+                logger.info(`[checkForNewOrders] ⚠️  Position unchanged: ${currentPosition}`);
+                logger.info(`   This may indicate events are being re-fetched.`);
             }
 
             const formattedEvents = newOrderEvents.map(event => ({
@@ -603,7 +853,7 @@ class RithumClient {
                 streamId: this.streamId
             };
         } catch (error) {
-            console.error('Error checking for new orders:', error.message);
+            logger.error('Error checking for new orders', { error });
             return {
                 success: false,
                 error: error.message,
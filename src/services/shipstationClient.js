@@ -1,4 +1,10 @@
 const axios = require('axios');
+const Logger = require('./logger');
+const Metrics = require('./metrics');
+
+const logger = Logger.child({ module: 'shipstationClient' });
+
+const METRICS = Metrics.METRICS;
 
 /**
  * ShipStation API Client
@@ -22,6 +28,26 @@ class ShipStationClient {
                 'api-key': this.apiKey
             }
         });
+
+        // Time every request for the latency histogram
+        this.client.interceptors.request.use((config) => {
+            config.metricsTimer = METRICS.apiRequestDuration.startTimer({
+                api: 'shipstation',
+                method: (config.method || 'get').toUpperCase(),
+                endpoint: Metrics.endpointLabel(config.url)
+            });
+            return config;
+        });
+        this.client.interceptors.response.use(
+            (response) => {
+                response.config.metricsTimer?.({ status: response.status });
+                return response;
+            },
+            (error) => {
+                error.config?.metricsTimer?.({ status: error.response?.status || 'error' });
+                return Promise.reject(error);
+            }
+        );
     }
 
     /**
@@ -264,6 +290,11 @@ class ShipStationClient {
             shipment.requested_shipment_service = orderData.requestedShipmentService;
         }
         
+        // Additional tags set during processing (e.g. delivery promise at risk)
+        (orderData.tags || []).forEach(tag => {
+            shipment.tags.push({ name: String(tag) });
+        });
+
         // Only include tags array if it has items
         if (shipment.tags.length === 0) {
             delete shipment.tags;
@@ -323,7 +354,7 @@ class ShipStationClient {
             const response = await this.client.get('/v2/warehouses');
             return response.data?.warehouses || [];
         } catch (error) {
-            console.error('Error fetching warehouses:', error.message);
+            logger.error('Error fetching warehouses', { error });
             throw error;
         }
     }
@@ -337,7 +368,51 @@ class ShipStationClient {
             const response = await this.client.get('/v2/inventory_warehouses');
             return response.data?.inventory_warehouses || [];
         } catch (error) {
-            console.error('Error fetching inventory warehouses:', error.message);
+            logger.error('Error fetching inventory warehouses', { error });
+            throw error;
+        }
+    }
+
+    /**
+     * Get inventory levels for SKUs
+     * @param {Array<string>} skus - SKUs to look up (all SKUs if empty)
+     * @returns {Promise<Array>} Inventory records: { sku, on_hand, allocated, available, inventory_warehouse_id, ... }
+     */
+    async getInventoryLevels(skus = []) {
+        try {
+            const params = { page_size: 500 };
+            if (skus.length > 0) {
+                params.sku = skus.join(',');
+            }
+            const response = await this.client.get('/v2/inventory', { params });
+            return response.data?.inventory || [];
+        } catch (error) {
+            logger.error('Error fetching inventory levels', { error });
+            throw error;
+        }
+    }
+
+    /**
+     * List inventory levels across all pages
+     * /v2/inventory has no page parameter - later pages are fetched from links.next.href, which carries
+     * the filters and the cursor.
+     * @param {Object} [params] - Query filters (sku, inventory_warehouse_id, group_by, ...)
+     * @returns {Promise<Array>} Inventory records: { sku, on_hand, allocated, available, inventory_warehouse_id, ... }
+     */
+    async listInventory(params = {}) {
+        try {
+            const inventory = [];
+            let response = await this.client.get('/v2/inventory', {
+                params: { page_size: 500, ...params }
+            });
+            inventory.push(...(response.data?.inventory || []));
+            for (let page = 2; response.data?.links?.next?.href && page <= 100; page++) {
+                response = await this.client.get(response.data.links.next.href);
+                inventory.push(...(response.data?.inventory || []));
+            }
+            return inventory;
+        } catch (error) {
+            logger.error('Error listing inventory from ShipStation', { error });
             throw error;
         }
     }
@@ -354,7 +429,7 @@ class ShipStationClient {
             }
             return null;
         } catch (error) {
-            console.warn('Could not fetch warehouses:', error.message);
+            logger.warn('Could not fetch warehouses', { error });
             return null;
         }
     }
@@ -370,8 +445,8 @@ class ShipStationClient {
      */
     async createOrder(orderData) {
         try {
-            console.log('Creating order in ShipStation via v2 shipments API:', orderData.orderNumber);
-            console.log('   (Note: v2 API uses /v2/shipments endpoint, not /v2/orders/createorder)');
+            logger.info('Creating order in ShipStation via v2 shipments API', { orderNumber: orderData.orderNumber });
+            logger.info('   (Note: v2 API uses /v2/shipments endpoint, not /v2/orders/createorder)');
             
             // ShipStation API v2 creates orders through shipments with create_sales_order: true
             // The /v2/orders/createorder endpoint does NOT exist in v2 API
@@ -383,7 +458,7 @@ class ShipStationClient {
                 const defaultWarehouseId = await this.getDefaultWarehouseId();
                 if (defaultWarehouseId) {
                     shipment.warehouse_id = defaultWarehouseId;
-                    console.log('Using default warehouse:', defaultWarehouseId);
+                    logger.info('Using default warehouse', { defaultWarehouseId });
                 } else {
                     throw new Error(
                         'Per ShipStation API v2 spec: Either ship_from OR warehouse_id must be provided. ' +
@@ -399,8 +474,7 @@ class ShipStationClient {
             };
             
             // Debug: Log the shipment payload to verify item prices and tags are being sent correctly
-            console.log('📦 Shipment payload being sent to ShipStation:');
-            console.log(JSON.stringify({
+            logger.debug('📦 Shipment payload being sent to ShipStation', { shipment: {
                 create_sales_order: shipment.create_sales_order,
                 shipment_number: shipment.shipment_number,
                 external_shipment_id: shipment.external_shipment_id,
@@ -415,7 +489,7 @@ class ShipStationClient {
                     options: item.options
                 })),
                 amount_paid: shipment.amount_paid
-            }, null, 2));
+            } });
             
             // POST to /v2/shipments (NOT /v2/orders/createorder which doesn't exist in v2)
             const response = await this.client.post('/v2/shipments', requestBody);
@@ -427,24 +501,26 @@ class ShipStationClient {
                     throw new Error(`ShipStation API errors: ${createdShipment.errors.join(', ')}`);
                 }
                 
-                console.log('Order created in ShipStation via shipment:', createdShipment.shipment_id);
-                console.log('   Created shipment tags:', createdShipment.tags || []);
+                logger.info('Order created in ShipStation via shipment', {
+                    shipment_id: createdShipment.shipment_id,
+                    tags: createdShipment.tags || []
+                });
                 
                 // Always ensure tags are set after shipment creation
                 // ShipStation may not persist tags during creation with create_sales_order: true
                 // This ensures customField2 (dscoOrderId) is stored for later retrieval in webhooks
                 if (shipment.tags && shipment.tags.length > 0) {
                     try {
-                        console.log('   🔄 Ensuring tags are set on shipment...');
+                        logger.info('   🔄 Ensuring tags are set on shipment...');
                         await this.updateShipmentTags(createdShipment.shipment_id, shipment.tags);
-                        console.log('   ✅ Shipment tags confirmed/updated successfully');
-                        console.log(`      Tags: ${shipment.tags.map(t => t.name).join(', ')}`);
+                        logger.info('   ✅ Shipment tags confirmed/updated successfully');
+                        logger.info(`      Tags: ${shipment.tags.map(t => t.name).join(', ')}`);
                     } catch (tagError) {
-                        console.warn('   ⚠️  Could not update shipment tags:', tagError.message);
-                        console.warn('   Note: Tags may not be available in webhook. Webhook handler will fallback to PO NUMBER lookup.');
+                        logger.warn('   ⚠️  Could not update shipment tags', { error: tagError });
+                        logger.warn('   Note: Tags may not be available in webhook. Webhook handler will fallback to PO NUMBER lookup.');
                     }
                 } else {
-                    console.warn('   ⚠️  No tags to set on shipment. customField2 (dscoOrderId) may not be available in webhook.');
+                    logger.warn('   ⚠️  No tags to set on shipment. customField2 (dscoOrderId) may not be available in webhook.');
                 }
                 
                 // Return shipment details including ship_from if available in response
@@ -475,7 +551,7 @@ class ShipStationClient {
             
             throw new Error('Unexpected response format from ShipStation API');
         } catch (error) {
-            console.error('Error creating order in ShipStation:', {
+            logger.error('Error creating order in ShipStation', {
                 status: error.response?.status,
                 data: error.response?.data,
                 orderNumber: orderData.orderNumber
@@ -494,7 +570,7 @@ class ShipStationClient {
             const response = await this.client.get(`/v2/orders/${orderId}`);
             return response.data;
         } catch (error) {
-            console.error('Error getting order from ShipStation:', error.message);
+            logger.error('Error getting order from ShipStation', { error });
             throw error;
         }
     }
@@ -507,12 +583,12 @@ class ShipStationClient {
      */
     async cancelShipment(shipmentId) {
         try {
-            console.log(`Cancelling shipment ${shipmentId} in ShipStation...`);
+            logger.info(`Cancelling shipment ${shipmentId} in ShipStation...`);
             const response = await this.client.put(`/v2/shipments/${shipmentId}/cancel`);
             
             // 204 No Content means success
             if (response.status === 204 || response.status === 200) {
-                console.log(`✅ Shipment ${shipmentId} cancelled successfully`);
+                logger.info(`✅ Shipment ${shipmentId} cancelled successfully`);
                 return {
                     success: true,
                     shipment_id: shipmentId,
@@ -526,7 +602,7 @@ class ShipStationClient {
                 data: response.data
             };
         } catch (error) {
-            console.error('Error cancelling shipment:', error.message);
+            logger.error('Error cancelling shipment', { error });
             throw error;
         }
     }
@@ -549,7 +625,7 @@ class ShipStationClient {
      */
     async deleteOrderByOrderId(orderId) {
         try {
-            console.log(`Finding shipment for order ${orderId}...`);
+            logger.info(`Finding shipment for order ${orderId}...`);
             
             // Try to get the order first to find associated shipment
             try {
@@ -557,7 +633,7 @@ class ShipStationClient {
                 
                 // Search for shipment by sales_order_id or order number
                 if (order.shipment_id) {
-                    console.log(`Found shipment ID: ${order.shipment_id}`);
+                    logger.info(`Found shipment ID: ${order.shipment_id}`);
                     return await this.cancelShipment(order.shipment_id);
                 }
                 
@@ -566,7 +642,7 @@ class ShipStationClient {
                     return await this.deleteOrderByOrderNumber(order.order_number);
                 }
             } catch (orderError) {
-                console.warn(`Could not get order ${orderId}, trying to find shipment by sales_order_id...`);
+                logger.warn(`Could not get order ${orderId}, trying to find shipment by sales_order_id...`);
             }
             
             // Try to find shipment by sales_order_id query parameter
@@ -580,13 +656,13 @@ class ShipStationClient {
             const shipments = shipmentsResponse.data?.shipments || [];
             if (shipments.length > 0) {
                 const shipmentId = shipments[0].shipment_id;
-                console.log(`Found shipment ${shipmentId} for order ${orderId}`);
+                logger.info(`Found shipment ${shipmentId} for order ${orderId}`);
                 return await this.cancelShipment(shipmentId);
             }
             
             throw new Error(`No shipment found for order ID ${orderId}`);
         } catch (error) {
-            console.error(`Error deleting order ${orderId}:`, error.message);
+            logger.error(`Error deleting order ${orderId}`, { error });
             throw error;
         }
     }
@@ -599,7 +675,7 @@ class ShipStationClient {
      */
     async deleteOrderByOrderNumber(orderNumber) {
         try {
-            console.log(`Finding shipment for order number ${orderNumber}...`);
+            logger.info(`Finding shipment for order number ${orderNumber}...`);
             
             // Try to find shipment by external_shipment_id first (which is usually the order number)
             try {
@@ -608,12 +684,12 @@ class ShipStationClient {
                 );
                 const shipment = shipmentResponse.data;
                 if (shipment.shipment_id) {
-                    console.log(`Found shipment ${shipment.shipment_id} by external_shipment_id`);
+                    logger.info(`Found shipment ${shipment.shipment_id} by external_shipment_id`);
                     return await this.cancelShipment(shipment.shipment_id);
                 }
             } catch (externalError) {
                 // If not found by external ID, try by shipment_number
-                console.log(`Not found by external_shipment_id, trying shipment_number...`);
+                logger.info(`Not found by external_shipment_id, trying shipment_number...`);
             }
             
             // Try to find by shipment_number
@@ -627,13 +703,13 @@ class ShipStationClient {
             const shipments = shipmentsResponse.data?.shipments || [];
             if (shipments.length > 0) {
                 const shipmentId = shipments[0].shipment_id;
-                console.log(`Found shipment ${shipmentId} by shipment_number`);
+                logger.info(`Found shipment ${shipmentId} by shipment_number`);
                 return await this.cancelShipment(shipmentId);
             }
             
             throw new Error(`No shipment found for order number ${orderNumber}`);
         } catch (error) {
-            console.error(`Error deleting order ${orderNumber}:`, error.message);
+            logger.error(`Error deleting order ${orderNumber}`, { error });
             throw error;
         }
     }
@@ -648,7 +724,22 @@ class ShipStationClient {
             const response = await this.client.get(`/v2/shipments/${shipmentId}`);
             return response.data;
         } catch (error) {
-            console.error('Error getting shipment from ShipStation:', error.message);
+            logger.error('Error getting shipment from ShipStation', { error });
+            throw error;
+        }
+    }
+
+    /**
+     * List shipments matching the given filters
+     * @param {Object} params - Query parameters (shipment_status, modified_at_start, page, page_size, ...)
+     * @returns {Promise<Object>} Response with shipments, total, page, pages
+     */
+    async listShipments(params = {}) {
+        try {
+            const response = await this.client.get('/v2/shipments', { params });
+            return response.data;
+        } catch (error) {
+            logger.error('Error listing shipments from ShipStation', { error });
             throw error;
         }
     }
@@ -677,7 +768,7 @@ class ShipStationClient {
             } catch (error) {
                 // If tag already exists, that's okay - continue
                 if (error.response?.status === 400 || error.response?.status === 409) {
-                    console.log(`   Tag "${tagName}" may already exist on shipment`);
+                    logger.info(`   Tag "${tagName}" may already exist on shipment`);
                     continue;
                 }
                 // Re-throw other errors
@@ -696,7 +787,7 @@ class ShipStationClient {
             const response = await this.client.get(`/v2/shipments/external_shipment_id/${externalShipmentId}`);
             return response.data;
         } catch (error) {
-            console.error('Error getting shipment by external ID:', error.message);
+            logger.error('Error getting shipment by external ID', { error });
             throw error;
         }
     }
@@ -781,7 +872,81 @@ class ShipStationClient {
 
             return trackingInfo;
         } catch (error) {
-            console.error('Error getting shipment tracking:', error.message);
+            logger.error('Error getting shipment tracking', { error });
+            throw error;
+        }
+    }
+
+    /**
+     * Get a label by ID
+     * @param {string} labelId - ShipStation label ID
+     * @returns {Promise<Object>} Label (shipment_id, tracking_number, voided, status, ...)
+     */
+    async getLabelById(labelId) {
+        try {
+            const response = await this.client.get(`/v2/labels/${labelId}`);
+            return response.data;
+        } catch (error) {
+            logger.error(`Error fetching label ${labelId}`, { status: error.response?.status, data: error.response?.data });
+            throw error;
+        }
+    }
+
+    /**
+     * Get the label that carries a tracking number
+     * @param {string} trackingNumber - Carrier tracking number
+     * @returns {Promise<Object|null>} Label, or null if none matches
+     */
+    async getLabelByTrackingNumber(trackingNumber) {
+        try {
+            const response = await this.client.get('/v2/labels', {
+                params: {
+                    tracking_number: trackingNumber,
+                    page_size: 25
+                }
+            });
+            const labels = response.data?.labels || [];
+            return labels.find(label => !label.voided) || labels[0] || null;
+        } catch (error) {
+            logger.error(`Error fetching label for tracking number ${trackingNumber}`, { status: error.response?.status, data: error.response?.data });
+            throw error;
+        }
+    }
+
+    /**
+     * Create a return label for a previously purchased outbound label
+     * The ship to and ship from addresses are swapped, and every SKU on the outbound label is covered.
+     * @param {string} labelId - ShipStation label ID of the outbound label
+     * @param {Object} [options] - Label options (label_format, label_layout, ...)
+     * @returns {Promise<Object>} Return label (label_id, tracking_number, label_download, ...)
+     */
+    async createReturnLabel(labelId, options = {}) {
+        try {
+            logger.info(`Creating return label for label ${labelId}...`);
+            const response = await this.client.post(`/v2/labels/${labelId}/return`, {
+                label_format: 'pdf',
+                label_layout: '4x6',
+                label_download_type: 'url',
+                ...options
+            });
+            return response.data;
+        } catch (error) {
+            logger.error(`Error creating return label for label ${labelId}`, { error });
+            throw error;
+        }
+    }
+
+    /**
+     * Get the carrier tracking details of a label
+     * @param {string} labelId - ShipStation label ID
+     * @returns {Promise<Object>} Tracking information (status_code, status_description, actual_delivery_date, events, ...)
+     */
+    async getLabelTracking(labelId) {
+        try {
+            const response = await this.client.get(`/v2/labels/${labelId}/track`);
+            return response.data;
+        } catch (error) {
+            logger.error(`Error fetching tracking for label ${labelId}`, { status: error.response?.status, data: error.response?.data });
             throw error;
         }
     }
@@ -806,7 +971,301 @@ class ShipStationClient {
                 throw new Error(`No label found for shipment ${shipmentId}`);
             }
         } catch (error) {
-            console.error(`Error fetching label for shipment ${shipmentId}:`, error.response?.status, error.response?.data);
+            logger.error(`Error fetching label for shipment ${shipmentId}`, { status: error.response?.status, data: error.response?.data });
+            throw error;
+        }
+    }
+
+    /**
+     * Get all labels purchased for a shipment (including voided ones)
+     * @param {string} shipmentId - ShipStation shipment ID
+     * @returns {Promise<Array>} Array of label objects
+     */
+    async getLabelsByShipmentId(shipmentId) {
+        try {
+            const response = await this.client.get('/v2/labels', {
+                params: {
+                    shipment_id: shipmentId,
+                    page_size: 100
+                }
+            });
+            return response.data?.labels || [];
+        } catch (error) {
+            logger.error(`Error fetching labels for shipment ${shipmentId}`, { error });
+            throw error;
+        }
+    }
+
+    /**
+     * Purchase a label for an existing shipment using its carrier_id and service_code
+     * @param {string} shipmentId - ShipStation shipment ID
+     * @param {Object} [options] - Label options (label_format, label_layout, validate_address, ...)
+     * @returns {Promise<Object>} Purchased label (label_id, tracking_number, label_download, shipment_cost, ...)
+     */
+    async createLabelFromShipment(shipmentId, options = {}) {
+        try {
+            logger.info(`Purchasing label for shipment ${shipmentId}...`);
+            const response = await this.client.post(`/v2/labels/shipment/${shipmentId}`, {
+                label_format: 'pdf',
+                label_layout: '4x6',
+                label_download_type: 'url',
+                ...options
+            });
+            return response.data;
+        } catch (error) {
+            logger.error(`Error purchasing label for shipment ${shipmentId}`, { error });
+            throw error;
+        }
+    }
+
+    /**
+     * Download a label or manifest file (label_download.pdf, manifest_download.href, ...)
+     * @param {string} url - Download URL
+     * @returns {Promise<Buffer>} File contents
+     */
+    async downloadFile(url) {
+        try {
+            const response = await this.client.get(url, { responseType: 'arraybuffer' });
+            return Buffer.from(response.data);
+        } catch (error) {
+            logger.error(`Error downloading ${url}`, { error });
+            throw error;
+        }
+    }
+
+    /**
+     * List labels matching the given filters (all pages)
+     * @param {Object} params - Query parameters (label_status, carrier_id, created_at_start, created_at_end, ...)
+     * @returns {Promise<Array>} Labels
+     */
+    async listLabels(params = {}) {
+        try {
+            const labels = [];
+            let page = 1;
+            let response;
+            do {
+                response = await this.client.get('/v2/labels', {
+                    params: { page_size: 500, ...params, page }
+                });
+                labels.push(...(response.data?.labels || []));
+                page++;
+            } while (page <= (response.data?.pages || 1) && page <= 50);
+            return labels;
+        } catch (error) {
+            logger.error('Error listing labels from ShipStation', { error });
+            throw error;
+        }
+    }
+
+    /**
+     * Create a carrier manifest (e.g. a USPS SCAN form) for labels shipping from one warehouse
+     * @param {Object} manifest
+     * @param {string} manifest.carrierId - Carrier the labels were bought with
+     * @param {string} manifest.warehouseId - Warehouse the labels ship from
+     * @param {string} manifest.shipDate - Ship date (ISO date-time)
+     * @param {Array<string>} [manifest.labelIds] - Labels to include (default: all of the carrier's labels for the day)
+     * @returns {Promise<Array>} Created manifests (manifest_id, form_id, label_ids, manifest_download, ...)
+     */
+    async createManifest(manifest) {
+        try {
+            logger.info(`Creating manifest for carrier ${manifest.carrierId}, warehouse ${manifest.warehouseId}...`);
+            const body = {
+                carrier_id: manifest.carrierId,
+                warehouse_id: manifest.warehouseId,
+                ship_date: manifest.shipDate
+            };
+            if (manifest.labelIds) {
+                body.label_ids = manifest.labelIds;
+            }
+            const response = await this.client.post('/v2/manifests', body);
+            // Newer responses list every manifest created; older ones return a single manifest
+            return response.data?.manifests || (response.data?.manifest_id ? [response.data] : []);
+        } catch (error) {
+            logger.error('Error creating manifest', { error });
+            throw error;
+        }
+    }
+
+    /**
+     * List manifests matching the given filters
+     * @param {Object} params - Query parameters (carrier_id, warehouse_id, created_at_start, ship_date_start, ...)
+     * @returns {Promise<Array>} Manifests
+     */
+    async listManifests(params = {}) {
+        try {
+            const response = await this.client.get('/v2/manifests', { params: { page_size: 100, ...params } });
+            return response.data?.manifests || [];
+        } catch (error) {
+            logger.error('Error listing manifests from ShipStation', { error });
+            throw error;
+        }
+    }
+
+    /**
+     * Schedule a carrier pickup for a set of labels
+     * @param {Object} pickup
+     * @param {Array<string>} pickup.labelIds - Labels to be picked up
+     * @param {Object} pickup.contactDetails - { name, email, phone }
+     * @param {Object} pickup.pickupWindow - { start_at, end_at } (ISO date-times)
+     * @param {string} [pickup.pickupNotes] - Instructions for the driver
+     * @returns {Promise<Object>} Scheduled pickup (pickup_id, confirmation_number, pickup_window(s), ...)
+     */
+    async schedulePickup(pickup) {
+        try {
+            logger.info(`Scheduling pickup for ${pickup.labelIds.length} label(s)...`);
+            const body = {
+                label_ids: pickup.labelIds,
+                contact_details: pickup.contactDetails,
+                pickup_window: pickup.pickupWindow
+            };
+            if (pickup.pickupNotes) {
+                body.pickup_notes = pickup.pickupNotes;
+            }
+            const response = await this.client.post('/v2/pickups', body);
+            return response.data;
+        } catch (error) {
+            logger.error('Error scheduling pickup', { error });
+            throw error;
+        }
+    }
+
+    /**
+     * Create a label batch
+     * @param {Array<string>} shipmentIds - Shipments to include
+     * @param {Object} [options]
+     * @param {string} [options.externalBatchId] - Our own unique batch reference
+     * @param {string} [options.batchNotes] - Note shown on the batch in ShipStation
+     * @returns {Promise<Object>} Batch (batch_id, batch_number, status, count, ...)
+     */
+    async createBatch(shipmentIds, options = {}) {
+        try {
+            logger.info(`Creating batch with ${shipmentIds.length} shipment(s)...`);
+            const body = { shipment_ids: shipmentIds };
+            if (options.externalBatchId) {
+                body.external_batch_id = options.externalBatchId;
+            }
+            if (options.batchNotes) {
+                body.batch_notes = options.batchNotes;
+            }
+            const response = await this.client.post('/v2/batches', body);
+            return response.data;
+        } catch (error) {
+            logger.error('Error creating batch', { error });
+            throw error;
+        }
+    }
+
+    /**
+     * Add shipments to an open batch
+     * @param {string} batchId - ShipStation batch ID
+     * @param {Array<string>} shipmentIds - Shipments to add
+     * @returns {Promise<void>}
+     */
+    async addToBatch(batchId, shipmentIds) {
+        try {
+            await this.client.post(`/v2/batches/${batchId}/add`, { shipment_ids: shipmentIds });
+        } catch (error) {
+            logger.error(`Error adding shipments to batch ${batchId}`, { error });
+            throw error;
+        }
+    }
+
+    /**
+     * Get a batch, including its status and label download links
+     * @param {string} batchId - ShipStation batch ID
+     * @returns {Promise<Object>} Batch
+     */
+    async getBatch(batchId) {
+        try {
+            const response = await this.client.get(`/v2/batches/${batchId}`);
+            return response.data;
+        } catch (error) {
+            logger.error(`Error fetching batch ${batchId}`, { error });
+            throw error;
+        }
+    }
+
+    /**
+     * Purchase the labels for every shipment in a batch
+     * Processing is asynchronous - poll getBatch() until the status leaves queued/processing.
+     * @param {string} batchId - ShipStation batch ID
+     * @param {Object} [options] - ship_date, label_layout, label_format, display_scheme
+     * @returns {Promise<void>}
+     */
+    async processBatchLabels(batchId, options = {}) {
+        try {
+            logger.info(`Processing labels for batch ${batchId}...`);
+            await this.client.post(`/v2/batches/${batchId}/process/labels`, {
+                label_format: 'pdf',
+                label_layout: '4x6',
+                ...options
+            });
+        } catch (error) {
+            logger.error(`Error processing batch ${batchId}`, { error });
+            throw error;
+        }
+    }
+
+    /**
+     * Get the per-shipment errors of a processed batch (all pages)
+     * @param {string} batchId - ShipStation batch ID
+     * @returns {Promise<Array>} [{ shipment_id, external_shipment_id, error }]
+     */
+    async getBatchErrors(batchId) {
+        try {
+            const errors = [];
+            let page = 1;
+            let response;
+            do {
+                response = await this.client.get(`/v2/batches/${batchId}/errors`, {
+                    params: { page, pagesize: 100 }
+                });
+                errors.push(...(response.data?.errors || []));
+                page++;
+            } while (response.data?.links?.next?.href && page <= 50);
+            return errors;
+        } catch (error) {
+            logger.error(`Error fetching errors for batch ${batchId}`, { error });
+            throw error;
+        }
+    }
+
+    /**
+     * Void a purchased label (requests a refund from the carrier where applicable)
+     * @param {string} labelId - ShipStation label ID
+     * @returns {Promise<Object>} Void result: { approved, message }
+     */
+    async voidLabel(labelId) {
+        try {
+            logger.info(`Voiding label ${labelId} in ShipStation...`);
+            const response = await this.client.put(`/v2/labels/${labelId}/void`);
+            const result = response.data || {};
+            if (result.approved) {
+                logger.info(`✅ Label ${labelId} voided successfully`);
+            } else {
+                logger.warn(`⚠️  Void request for label ${labelId} was not approved: ${result.message || 'No reason given'}`);
+            }
+            return result;
+        } catch (error) {
+            logger.error(`Error voiding label ${labelId}`, { error });
+            throw error;
+        }
+    }
+
+    /**
+     * Update an existing shipment
+     * The full shipment is replaced, so pass the fetched shipment with the fields to change
+     * @param {string} shipmentId - ShipStation shipment ID
+     * @param {Object} shipmentData - Complete shipment object in v2 format
+     * @returns {Promise<Object>} Updated shipment
+     */
+    async updateShipment(shipmentId, shipmentData) {
+        try {
+            logger.info(`Updating shipment ${shipmentId} in ShipStation...`);
+            const response = await this.client.put(`/v2/shipments/${shipmentId}`, shipmentData);
+            return response.data;
+        } catch (error) {
+            logger.error(`Error updating shipment ${shipmentId}`, { error });
             throw error;
         }
     }
@@ -839,7 +1298,7 @@ class ShipStationClient {
                 throw new Error(`No shipment found for order number ${orderNumber}`);
             }
         } catch (error) {
-            console.error('Error getting tracking by order number:', error.message);
+            logger.error('Error getting tracking by order number', { error });
             throw error;
         }
     }
@@ -894,7 +1353,7 @@ class ShipStationClient {
 
             throw new Error(`No shipment found for tracking number ${trackingNumber}`);
         } catch (error) {
-            console.error('Error getting tracking by tracking number:', error.message);
+            logger.error('Error getting tracking by tracking number', { error });
             throw error;
         }
     }
@@ -909,7 +1368,7 @@ class ShipStationClient {
             const response = await this.client.get('/v2/fulfillments', { params });
             return response.data;
         } catch (error) {
-            console.error('Error getting fulfillments:', error.message);
+            logger.error('Error getting fulfillments', { error });
             throw error;
         }
     }
@@ -924,7 +1383,7 @@ class ShipStationClient {
         try {
             // Position tracking removed - use webhooks instead (per Project.md)
             if (usePositionTracking) {
-                console.warn('[Position Tracking] Position tracking is disabled. Use webhooks for Step 2 instead.');
+                logger.warn('[Position Tracking] Position tracking is disabled. Use webhooks for Step 2 instead.');
             }
 
             const response = await this.client.get('/v2/shipments', { params });
@@ -960,7 +1419,7 @@ class ShipStationClient {
                 } : null
             };
         } catch (error) {
-            console.error('Error getting shipments with tracking:', error.message);
+            logger.error('Error getting shipments with tracking', { error });
             throw error;
         }
     }
@@ -992,7 +1451,7 @@ class ShipStationClient {
 
             // Position tracking removed - use webhooks instead (per Project.md)
             if (usePositionTracking) {
-                console.warn('[Position Tracking] Position tracking is disabled. Use webhooks for Step 2 instead.');
+                logger.warn('[Position Tracking] Position tracking is disabled. Use webhooks for Step 2 instead.');
             }
 
             const response = await this.client.get('/v2/shipments', { params: queryParams });
@@ -1008,7 +1467,7 @@ class ShipStationClient {
                         try {
                             order = await this.getOrderById(shipment.sales_order_id);
                         } catch (error) {
-                            console.warn(`Could not get order ${shipment.sales_order_id}:`, error.message);
+                            logger.warn(`Could not get order ${shipment.sales_order_id}`, { error });
                         }
                     }
 
@@ -1078,7 +1537,7 @@ class ShipStationClient {
                 positionTracking: null // Position tracking removed - use webhooks instead
             };
         } catch (error) {
-            console.error('Error getting shipped orders:', error.message);
+            logger.error('Error getting shipped orders', { error });
             throw error;
         }
     }
@@ -1098,7 +1557,7 @@ class ShipStationClient {
      * @returns {Promise<Object|null>} Position tracking metadata (deprecated - use webhooks instead)
      */
     async getShippedOrdersPosition() {
-        console.warn('[Position Tracking] Position tracking is disabled. Use webhooks for Step 2 instead.');
+        logger.warn('[Position Tracking] Position tracking is disabled. Use webhooks for Step 2 instead.');
         return null;
     }
 
@@ -1107,7 +1566,7 @@ class ShipStationClient {
      * @deprecated Use webhooks instead (per Project.md)
      */
     async resetShippedOrdersPosition() {
-        console.warn('[Position Tracking] Position tracking is disabled. Use webhooks for Step 2 instead.');
+        logger.warn('[Position Tracking] Position tracking is disabled. Use webhooks for Step 2 instead.');
     }
 
     /**
@@ -1120,7 +1579,7 @@ class ShipStationClient {
             // API returns array directly, not wrapped in webhooks property
             return Array.isArray(response.data) ? response.data : (response.data?.webhooks || []);
         } catch (error) {
-            console.error('Error listing webhooks:', error.message);
+            logger.error('Error listing webhooks', { error });
             throw error;
         }
     }
@@ -1141,10 +1600,10 @@ class ShipStationClient {
             };
             
             const response = await this.client.post('/v2/environment/webhooks', webhookData);
-            console.log(`Webhook created: ${response.data?.webhook_id}`);
+            logger.info(`Webhook created: ${response.data?.webhook_id}`);
             return response.data;
         } catch (error) {
-            console.error('Error creating webhook:', error.message);
+            logger.error('Error creating webhook', { error });
             throw error;
         }
     }
@@ -1159,7 +1618,7 @@ class ShipStationClient {
             const response = await this.client.get(`/v2/environment/webhooks/${webhookId}`);
             return response.data;
         } catch (error) {
-            console.error('Error getting webhook:', error.message);
+            logger.error('Error getting webhook', { error });
             throw error;
         }
     }
@@ -1173,10 +1632,10 @@ class ShipStationClient {
     async updateWebhook(webhookId, url) {
         try {
             const response = await this.client.put(`/v2/environment/webhooks/${webhookId}`, { url });
-            console.log(`Webhook ${webhookId} updated`);
+            logger.info(`Webhook ${webhookId} updated`);
             return response.data;
         } catch (error) {
-            console.error('Error updating webhook:', error.message);
+            logger.error('Error updating webhook', { error });
             throw error;
         }
     }
@@ -1188,9 +1647,9 @@ class ShipStationClient {
     async deleteWebhook(webhookId) {
         try {
             await this.client.delete(`/v2/environment/webhooks/${webhookId}`);
-            console.log(`Webhook ${webhookId} deleted`);
+            logger.info(`Webhook ${webhookId} deleted`);
         } catch (error) {
-            console.error('Error deleting webhook:', error.message);
+            logger.error('Error deleting webhook', { error });
             throw error;
         }
     }
@@ -1268,32 +1727,47 @@ class ShipStationClient {
      */
     async getCarriers() {
         try {
-            console.log('📡 Fetching carriers from ShipStation API...');
+            logger.info('📡 Fetching carriers from ShipStation API...');
             
             const response = await this.client.get('/v2/carriers');
             const carriers = response.data?.carriers || response.data || [];
             
-            console.log(`✅ Retrieved ${carriers.length} carriers from ShipStation`);
+            logger.info(`✅ Retrieved ${carriers.length} carriers from ShipStation`);
             
             // Log some carrier info for debugging
             if (carriers.length > 0) {
-                console.log('🚚 Available carriers:');
+                logger.info('🚚 Available carriers:');
                 carriers.slice(0, 5).forEach(carrier => {
                     const status = carrier.is_active === false ? '❌' : '✅';
-                    console.log(`   ${status} ${carrier.carrier_id} (${carrier.carrier_code}) - ${carrier.name || 'N/A'}`);
+                    logger.info(`   ${status} ${carrier.carrier_id} (${carrier.carrier_code}) - ${carrier.name || 'N/A'}`);
                 });
                 if (carriers.length > 5) {
-                    console.log(`   ... and ${carriers.length - 5} more carriers`);
+                    logger.info(`   ... and ${carriers.length - 5} more carriers`);
                 }
             }
             
             return carriers;
         } catch (error) {
-            console.error('❌ Failed to fetch carriers:', error.message);
-            if (error.response) {
-                console.error(`   Status: ${error.response.status}`);
-                console.error(`   Response: ${JSON.stringify(error.response.data, null, 2)}`);
-            }
+            logger.error('❌ Failed to fetch carriers', { error });
+            throw error;
+        }
+    }
+
+    /**
+     * Quote rates for a shipment
+     * @param {Object} shipment - Shipment in v2 format (ship_to, ship_from or warehouse_id, packages)
+     * @param {Object} rateOptions - { carrier_ids, service_codes, package_types }
+     * @returns {Promise<Object>} rate_response: { rates, invalid_rates, rate_request_id, status, errors }
+     */
+    async getRates(shipment, rateOptions) {
+        try {
+            const response = await this.client.post('/v2/rates', {
+                shipment,
+                rate_options: rateOptions
+            });
+            return response.data?.rate_response || { rates: [], invalid_rates: [] };
+        } catch (error) {
+            logger.error('Error fetching rates from ShipStation', { error });
             throw error;
         }
     }
@@ -1311,14 +1785,14 @@ class ShipStationClient {
         const { orderNumber, poNumber, shipmentNumber } = orderData;
         const identifiersToCheck = [orderNumber, poNumber, shipmentNumber].filter(Boolean);
         
-        console.log(`🔍 Checking if order exists using identifiers: [${identifiersToCheck.join(', ')}]`);
+        logger.info(`🔍 Checking if order exists using identifiers: [${identifiersToCheck.join(', ')}]`);
         
         // Method 1: Check by external_shipment_id (primary method)
         for (const identifier of identifiersToCheck) {
             try {
                 const shipment = await this.getShipmentByExternalId(identifier);
                 if (shipment && shipment.shipment_id) {
-                    console.log(`✅ Found existing shipment by external_shipment_id '${identifier}': ${shipment.shipment_id}`);
+                    logger.info(`✅ Found existing shipment by external_shipment_id '${identifier}': ${shipment.shipment_id}`);
                     return {
                         found: true,
                         method: 'external_shipment_id',
@@ -1331,7 +1805,7 @@ class ShipStationClient {
                     // Not found - continue checking
                     continue;
                 } else {
-                    console.warn(`⚠️ Error checking external_shipment_id '${identifier}': ${error.message}`);
+                    logger.warn(`⚠️ Error checking external_shipment_id '${identifier}': ${error.message}`);
                 }
             }
         }
@@ -1353,7 +1827,7 @@ class ShipStationClient {
                 );
                 
                 if (matchingShipment) {
-                    console.log(`✅ Found existing shipment by shipment_number '${identifier}': ${matchingShipment.shipment_id}`);
+                    logger.info(`✅ Found existing shipment by shipment_number '${identifier}': ${matchingShipment.shipment_id}`);
                     return {
                         found: true,
                         method: 'shipment_number_search',
@@ -1362,7 +1836,7 @@ class ShipStationClient {
                     };
                 }
             } catch (error) {
-                console.warn(`⚠️ Error searching by shipment_number '${identifier}': ${error.message}`);
+                logger.warn(`⚠️ Error searching by shipment_number '${identifier}': ${error.message}`);
             }
         }
         
@@ -1385,7 +1859,7 @@ class ShipStationClient {
                 );
                 
                 if (matchingShipment) {
-                    console.log(`✅ Found existing shipment in recent orders '${identifier}': ${matchingShipment.shipment_id}`);
+                    logger.info(`✅ Found existing shipment in recent orders '${identifier}': ${matchingShipment.shipment_id}`);
                     return {
                         found: true,
                         method: 'recent_shipments_search',
@@ -1395,10 +1869,10 @@ class ShipStationClient {
                 }
             }
         } catch (error) {
-            console.warn(`⚠️ Error searching recent shipments: ${error.message}`);
+            logger.warn(`⚠️ Error searching recent shipments: ${error.message}`);
         }
         
-        console.log(`✅ Order not found in ShipStation - safe to create`);
+        logger.info(`✅ Order not found in ShipStation - safe to create`);
         return {
             found: false,
             method: null,
@@ -0,0 +1,172 @@
+/**
+ * SKU Hold Manager
+ * When a SKU runs out mid-day, inventory sync stops new sales but orders already acknowledged
+ * still need it. This job places a Rithum SKU hold (POST /inventory/skuHold, reason out_of_stock)
+ * on every SKU whose ShipStation on-hand is zero while open (shipment_pending) orders have unfilled
+ * lines for it, and removes the hold once stock is received.
+ *
+ * SKUs that ShipStation does not track inventory for are never held. Holds placed here are kept in
+ * an append-only journal (sku-holds.jsonl), so only our own holds are released. Rithum documents
+ * the endpoint for retailer accounts; a supplier account without access gets the error in the report.
+ */
+
+const path = require('path');
+const JournalFile = require('./journalFile');
+const Logger = require('./logger');
+
+const logger = Logger.child({ module: 'skuHoldManager' });
+
+class SkuHoldManager {
+    /**
+     * @param {ShipStationClient} shipstationClient - ShipStation API client
+     * @param {RithumClient} rithumClient - Rithum API client
+     * @param {Object} [options]
+     * @param {string} [options.partnerAccountId] - Rithum account that owns the SKUs
+     * @param {string} [options.tradingPartnerId] - Trading partner that owns the SKUs (if no account ID)
+     * @param {number} [options.lookbackDays] - Open orders updated this many days back are checked (default: 60)
+     * @param {string} [options.stateFile] - Journal of holds placed (default: ./sku-holds.jsonl)
+     */
+    constructor(shipstationClient, rithumClient, options = {}) {
+        this.shipstationClient = shipstationClient;
+        this.rithumClient = rithumClient;
+        this.owner = options.partnerAccountId
+            ? { partnerAccountId: options.partnerAccountId }
+            : { tradingPartnerId: options.tradingPartnerId };
+        this.lookbackDays = options.lookbackDays || 60;
+        this.filePath = options.stateFile || path.join(__dirname, '../../sku-holds.jsonl');
+        this.journal = new JournalFile(this.filePath);
+
+        this.holds = new Map(); // sku -> { heldAt, blockedOrders }
+    }
+
+    /**
+     * Replay the journal of holds placed and released
+     */
+    async load() {
+        const entries = await this.journal.readNew();
+        entries.forEach(entry => {
+            if (entry.action === 'hold') {
+                this.holds.set(entry.sku, { heldAt: entry.timestamp, blockedOrders: entry.blockedOrders || [] });
+            } else if (entry.action === 'release') {
+                this.holds.delete(entry.sku);
+            }
+        });
+    }
+
+    /**
+     * Acknowledged Rithum orders that have not shipped yet
+     * @returns {Promise<Array>} Rithum orders
+     */
+    async getOpenOrders() {
+        return this.rithumClient.fetchOpenOrders(this.lookbackDays);
+    }
+
+    /**
+     * Unfilled quantities of open orders, by SKU
+     * @param {Array} orders - From getOpenOrders()
+     * @returns {Map} sku -> [{ dscoOrderId, poNumber, quantity }]
+     */
+    getUnfilledBySku(orders) {
+        const bySku = new Map();
+        orders.forEach(order => {
+            (order.lineItems || []).forEach(item => {
+                const sku = item.sku || item.partnerSku;
+                const quantity = (Number(item.quantity) || 0) -
+                    (Number(item.shippedQuantity) || 0) -
+                    (Number(item.cancelledQuantity) || 0);
+                if (!sku || quantity <= 0 || item.status === 'cancelled') {
+                    return;
+                }
+                if (!bySku.has(sku)) {
+                    bySku.set(sku, []);
+                }
+                bySku.get(sku).push({ dscoOrderId: order.dscoOrderId, poNumber: order.poNumber || null, quantity });
+            });
+        });
+        return bySku;
+    }
+
+    /**
+     * On-hand units per SKU across all inventory warehouses
+     * @param {Array<string>} skus - SKUs to look up
+     * @returns {Promise<Map>} sku -> on hand (SKUs ShipStation has no inventory for are left out)
+     */
+    async getOnHand(skus) {
+        const onHand = new Map();
+        if (skus.length === 0) {
+            return onHand;
+        }
+        const levels = await this.shipstationClient.listInventory({ sku: skus.join(',') });
+        levels.forEach(level => {
+            if (level.sku) {
+                onHand.set(level.sku, (onHand.get(level.sku) || 0) + (Number(level.on_hand) || 0));
+            }
+        });
+        return onHand;
+    }
+
+    /**
+     * Hold SKUs that ran out under open orders and release holds on restocked SKUs
+     * @param {Object} [options]
+     * @param {boolean} [options.dryRun] - Only report what would be held and released
+     * @returns {Promise<Object>} { placed: [sku], released: [sku], held: [{ sku, onHand, heldAt, blockedOrders }], errors, dryRun }
+     */
+    async run(options = {}) {
+        await this.load();
+        const unfilled = this.getUnfilledBySku(await this.getOpenOrders());
+        const skus = [...new Set([...unfilled.keys(), ...this.holds.keys()])];
+        const onHand = await this.getOnHand(skus);
+
+        const toHold = [...unfilled.keys()].filter(sku => onHand.has(sku) && onHand.get(sku) <= 0 && !this.holds.has(sku));
+        const toRelease = [...this.holds.keys()].filter(sku => onHand.get(sku) > 0);
+        const report = { placed: toHold, released: toRelease, held: [], errors: [], dryRun: !!options.dryRun };
+
+        if (!options.dryRun && (toHold.length > 0 || toRelease.length > 0)) {
+            try {
+                const now = new Date().toISOString();
+                await this.rithumClient.updateSkuHolds({
+                    addHold: toHold.map(sku => ({ sku, ...this.owner, holdBeginDate: now, holdReason: 'out_of_stock' })),
+                    removeHold: toRelease.map(sku => ({ sku, ...this.owner }))
+                });
+                for (const sku of toHold) {
+                    await this.remember({ action: 'hold', sku, blockedOrders: unfilled.get(sku) });
+                    this.holds.set(sku, { heldAt: now, blockedOrders: unfilled.get(sku) });
+                }
+                for (const sku of toRelease) {
+                    await this.remember({ action: 'release', sku, onHand: onHand.get(sku) });
+                    this.holds.delete(sku);
+                }
+                toHold.forEach(sku => logger.info(`⛔ SKU ${sku} put on hold in Rithum - ${unfilled.get(sku).length} open order(s) blocked`));
+                toRelease.forEach(sku => logger.info(`✅ SKU ${sku} hold released - ${onHand.get(sku)} on hand`));
+            } catch (error) {
+                report.placed = [];
+                report.released = [];
+                report.errors.push(error.response?.data?.message || error.message);
+            }
+        }
+
+        // Every SKU on hold after this run, with the open orders waiting for it
+        const held = new Set([...this.holds.keys(), ...(options.dryRun ? toHold : [])]);
+        (options.dryRun ? toRelease : []).forEach(sku => held.delete(sku));
+        report.held = [...held].sort().map(sku => ({
+            sku,
+            onHand: onHand.get(sku) ?? null,
+            heldAt: this.holds.get(sku)?.heldAt || null,
+            blockedOrders: unfilled.get(sku) || []
+        }));
+        return report;
+    }
+
+    /**
+     * Journal a hold placed or released
+     */
+    async remember(entry) {
+        try {
+            await this.journal.append({ ...entry, timestamp: new Date().toISOString() });
+        } catch (error) {
+            logger.warn(`⚠️  Could not journal SKU hold for ${entry.sku}: ${error.message}`);
+        }
+    }
+}
+
+module.exports = SkuHoldManager;
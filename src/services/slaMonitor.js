@@ -0,0 +1,200 @@
+/**
+ * SLA Monitor
+ * Warns before acknowledged orders miss their Rithum shipByDate, and again once they have.
+ *
+ * Open (shipment_pending) Rithum orders are matched to their ShipStation shipment. Orders whose label
+ * is bought or whose shipment was cancelled are left out. The rest are classified by the time left
+ * until shipByDate: on track, at risk (within atRiskHours), or late (past it). Orders missing from
+ * ShipStation are flagged, because nobody can ship them. Alerts go through the Notifier when an order
+ * first becomes at risk or late. Alerts already sent are kept in an append-only journal
+ * (sla-alerts.jsonl), so each order is reported once per status.
+ */
+
+const path = require('path');
+const JournalFile = require('./journalFile');
+const OrderLedger = require('./orderLedger');
+const Notifier = require('./notifier');
+const Logger = require('./logger');
+
+const logger = Logger.child({ module: 'slaMonitor' });
+
+const ALERT_EVENTS = Notifier.EVENTS;
+
+// ShipStation shipment statuses that need no further SLA attention
+const SETTLED_STATUSES = ['label_purchased', 'cancelled'];
+
+// Order of severity - an order is only alerted when it moves up
+const SLA_STATUSES = ['on_track', 'at_risk', 'late'];
+
+class SlaMonitor {
+    /**
+     * @param {ShipStationClient} shipstationClient - ShipStation API client
+     * @param {RithumClient} rithumClient - Rithum API client
+     * @param {Notifier} notifier - Where alerts are sent
+     * @param {Object} [options]
+     * @param {OrderLedger} [options.ledger] - Order ledger, used to find ShipStation shipments (default: shared ledger file)
+     * @param {number} [options.atRiskHours] - Orders due to ship within this many hours are at risk (default: 24)
+     * @param {number} [options.lookbackDays] - Open orders updated this many days back are checked (default: 30)
+     * @param {string} [options.stateFile] - Journal of alerts sent (default: ./sla-alerts.jsonl)
+     */
+    constructor(shipstationClient, rithumClient, notifier, options = {}) {
+        this.shipstationClient = shipstationClient;
+        this.rithumClient = rithumClient;
+        this.notifier = notifier;
+        this.ledger = options.ledger || new OrderLedger();
+        this.atRiskMs = (options.atRiskHours ?? 24) * 60 * 60 * 1000;
+        this.lookbackDays = options.lookbackDays || 30;
+        this.filePath = options.stateFile || path.join(__dirname, '../../sla-alerts.jsonl');
+        this.journal = new JournalFile(this.filePath);
+
+        this.alerted = new Map(); // dscoOrderId -> most severe status alerted
+    }
+
+    /**
+     * Replay the journal of alerts already sent
+     */
+    async load() {
+        const entries = await this.journal.readNew();
+        entries.forEach(entry => this.alerted.set(entry.dscoOrderId, entry.status));
+    }
+
+    /**
+     * Acknowledged Rithum orders that have not shipped yet
+     * @returns {Promise<Array>} Rithum orders
+     */
+    async getOpenOrders() {
+        return this.rithumClient.fetchOpenOrders(this.lookbackDays);
+    }
+
+    /**
+     * The order's ShipStation shipment
+     * Shipments are created with the dscoOrderId as external_shipment_id; the ledger's shipment ID is tried first.
+     * @param {Object} order - Rithum order
+     * @returns {Promise<Object|null>} Shipment, or null if the order is not in ShipStation
+     */
+    async getShipment(order) {
+        const record = await this.ledger.getOrder({ dscoOrderId: order.dscoOrderId, poNumber: order.poNumber });
+        const shipmentId = record?.shipmentIds?.[record.shipmentIds.length - 1];
+        try {
+            return shipmentId
+                ? await this.shipstationClient.getShipmentById(shipmentId)
+                : await this.shipstationClient.getShipmentByExternalId(String(order.dscoOrderId));
+        } catch (error) {
+            if (error.response?.status === 404) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Classify an order against its shipByDate
+     * @param {Object} order - Rithum order
+     * @param {Object|null} shipment - ShipStation shipment
+     * @param {number} [now] - Reference time (ms)
+     * @returns {string|null} 'on_track' | 'at_risk' | 'late', or null if it needs no SLA attention
+     */
+    classify(order, shipment, now = Date.now()) {
+        const shipBy = Date.parse(order.shipByDate);
+        if (!order.shipByDate || Number.isNaN(shipBy) || SETTLED_STATUSES.includes(shipment?.shipment_status)) {
+            return null;
+        }
+        if (now > shipBy) {
+            return 'late';
+        }
+        return shipBy - now <= this.atRiskMs ? 'at_risk' : 'on_track';
+    }
+
+    /**
+     * Classify every open order and alert on those that became at risk or late
+     * @param {Object} [options]
+     * @param {boolean} [options.dryRun] - Classify without sending alerts
+     * @returns {Promise<Object>} { checked, onTrack, atRisk: [...], late: [...], alerted: [dscoOrderId], errors, dryRun }
+     */
+    async run(options = {}) {
+        await this.load();
+        const now = Date.now();
+        const report = { checked: 0, onTrack: 0, atRisk: [], late: [], alerted: [], errors: [], dryRun: !!options.dryRun };
+
+        for (const order of await this.getOpenOrders()) {
+            if (!order.shipByDate) {
+                continue;
+            }
+            try {
+                const shipment = await this.getShipment(order);
+                const status = this.classify(order, shipment, now);
+                if (!status) {
+                    continue;
+                }
+                report.checked++;
+                if (status === 'on_track') {
+                    report.onTrack++;
+                    continue;
+                }
+
+                const hoursLeft = Math.round((Date.parse(order.shipByDate) - now) / (60 * 60 * 1000) * 10) / 10;
+                const entry = {
+                    dscoOrderId: String(order.dscoOrderId),
+                    poNumber: order.poNumber || null,
+                    shipByDate: order.shipByDate,
+                    hoursLeft,
+                    shipmentId: shipment?.shipment_id || null,
+                    shipmentStatus: shipment?.shipment_status || 'not_in_shipstation',
+                    isNew: SLA_STATUSES.indexOf(status) > SLA_STATUSES.indexOf(this.alerted.get(String(order.dscoOrderId)) || 'on_track')
+                };
+                (status === 'late' ? report.late : report.atRisk).push(entry);
+            } catch (error) {
+                report.errors.push({ dscoOrderId: order.dscoOrderId, error: error.message });
+            }
+        }
+
+        if (!options.dryRun) {
+            await this.sendAlert('late', report.late.filter(entry => entry.isNew), report);
+            await this.sendAlert('at_risk', report.atRisk.filter(entry => entry.isNew), report);
+        }
+        return report;
+    }
+
+    /**
+     * Send one alert listing the orders that newly reached a status, and journal them
+     */
+    async sendAlert(status, entries, report) {
+        if (entries.length === 0) {
+            return;
+        }
+
+        const late = status === 'late';
+        const lines = entries.map(entry => {
+            const when = late
+                ? `${Math.abs(entry.hoursLeft)}h past ship-by`
+                : `${entry.hoursLeft}h left`;
+            return `PO ${entry.poNumber || '-'} (order ${entry.dscoOrderId}): ship by ${entry.shipByDate}, ${when}, ` +
+                `ShipStation: ${entry.shipmentStatus}`;
+        });
+        const result = await this.notifier.notify({
+            event: late ? ALERT_EVENTS.SLA_LATE : ALERT_EVENTS.SLA_AT_RISK,
+            severity: late ? 'critical' : 'warning',
+            title: late
+                ? `${entries.length} order(s) missed their Rithum ship-by date`
+                : `${entries.length} order(s) due to ship within ${this.atRiskMs / (60 * 60 * 1000)}h`,
+            message: lines.join('\n'),
+            details: { status, orders: entries.map(({ isNew, ...entry }) => entry) }
+        });
+        // Alerts held for a digest count as sent - they go out with the next flush
+        if (result.sent.length === 0 && !result.queued) {
+            return;
+        }
+
+        for (const entry of entries) {
+            this.alerted.set(entry.dscoOrderId, status);
+            report.alerted.push(entry.dscoOrderId);
+            try {
+                await this.journal.append({ dscoOrderId: entry.dscoOrderId, status, timestamp: new Date().toISOString() });
+            } catch (error) {
+                logger.warn(`⚠️  Could not journal SLA alert for order ${entry.dscoOrderId}: ${error.message}`);
+            }
+        }
+    }
+}
+
+module.exports = SlaMonitor;
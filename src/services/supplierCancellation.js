@@ -0,0 +1,268 @@
+/**
+ * Supplier Cancellation Service
+ * Reports shipments cancelled by our team in ShipStation back to Rithum as line-level
+ * cancellations, so the order does not sit in "acknowledged" until the retailer asks.
+ *
+ * A shipment is reported when it is cancelled in ShipStation or carries the configured
+ * cancel tag. A tag of the form "<cancelTag>:<CODE>" overrides the default cancel code.
+ */
+
+const OrderLedger = require('./orderLedger');
+const Logger = require('./logger');
+
+const logger = Logger.child({ module: 'supplierCancellation' });
+
+const LEDGER_EVENTS = OrderLedger.EVENTS;
+
+class SupplierCancellation {
+    /**
+     * @param {ShipStationClient} shipstationClient - ShipStation API client
+     * @param {RithumClient} rithumClient - Rithum API client
+     * @param {Object} [options]
+     * @param {string} [options.cancelTag] - ShipStation tag that requests a Rithum cancellation
+     * @param {string} [options.cancelCode] - Default Rithum cancel code
+     * @param {string} [options.cancelReason] - Default cancellation reason text
+     * @param {OrderLedger} [options.ledger] - Order ledger (default: shared ledger file)
+     */
+    constructor(shipstationClient, rithumClient, options = {}) {
+        this.shipstationClient = shipstationClient;
+        this.rithumClient = rithumClient;
+        this.cancelTag = options.cancelTag || 'cancel-to-rithum';
+        this.cancelCode = options.cancelCode || 'OOS';
+        this.cancelReason = options.cancelReason || 'Cancelled by supplier';
+        this.ledger = options.ledger || new OrderLedger();
+        this.lastSweepAt = null;
+    }
+
+    /**
+     * Find the cancel tag on a shipment, if present
+     * @param {Object} shipment - ShipStation shipment
+     * @returns {Object|null} The matching tag
+     */
+    findCancelTag(shipment) {
+        const tagName = this.cancelTag.toLowerCase();
+        return (shipment.tags || []).find(tag => {
+            const name = (tag.name || '').toLowerCase();
+            return name === tagName || name.startsWith(`${tagName}:`);
+        }) || null;
+    }
+
+    /**
+     * Whether a shipment should be reported to Rithum as cancelled
+     * @param {Object} shipment - ShipStation shipment
+     * @returns {boolean}
+     */
+    isCancelRequested(shipment) {
+        return shipment.shipment_status === 'cancelled' || !!this.findCancelTag(shipment);
+    }
+
+    /**
+     * Cancel code for a shipment - "<cancelTag>:<CODE>" tags override the default
+     * @param {Object} shipment - ShipStation shipment
+     * @returns {string} Rithum cancel code
+     */
+    resolveCancelCode(shipment) {
+        const tag = this.findCancelTag(shipment);
+        const code = tag ? tag.name.split(':')[1] : null;
+        return code && code.trim() ? code.trim() : this.cancelCode;
+    }
+
+    /**
+     * Build the OrderForCancel payload for a shipment
+     * @param {Object} shipment - ShipStation shipment
+     * @param {string} dscoOrderId - Rithum order ID
+     * @returns {Object} OrderForCancel
+     */
+    buildOrderForCancel(shipment, dscoOrderId) {
+        const cancelCode = this.resolveCancelCode(shipment);
+        const lineItems = (shipment.items || [])
+            .map(item => {
+                const quantity = Number(item.quantity) || 0;
+                if (quantity <= 0) {
+                    return null;
+                }
+
+                const lineItem = {
+                    cancelledQuantity: quantity,
+                    cancelCode,
+                    cancelledReason: this.cancelReason
+                };
+                if (item.external_order_item_id) {
+                    lineItem.dscoItemId = String(item.external_order_item_id);
+                }
+                if (item.sku) {
+                    lineItem.sku = String(item.sku);
+                }
+                return lineItem.dscoItemId || lineItem.sku ? lineItem : null;
+            })
+            .filter(Boolean);
+
+        return {
+            id: String(dscoOrderId),
+            type: 'DSCO_ORDER_ID',
+            lineItems
+        };
+    }
+
+    /**
+     * Work out whether a shipment still needs reporting and which Rithum order it belongs to
+     * @param {Object} shipment - ShipStation shipment
+     * @returns {Promise<Object>} { refs, skipReason }
+     */
+    async prepare(shipment) {
+        const refs = {
+            dscoOrderId: null,
+            poNumber: shipment.shipment_number || null,
+            shipmentId: shipment.shipment_id
+        };
+
+        if (!this.isCancelRequested(shipment)) {
+            return { refs, skipReason: 'Shipment is not cancelled or tagged for cancellation' };
+        }
+
+        const ledgerOrder = await this.ledger.getOrder({ shipmentId: shipment.shipment_id });
+        if (ledgerOrder) {
+            refs.dscoOrderId = ledgerOrder.dscoOrderId;
+            refs.poNumber = ledgerOrder.poNumber || refs.poNumber;
+
+            const events = ledgerOrder.history.map(entry => entry.event);
+            // The retailer cancelled first and we mirrored it into ShipStation - nothing to report
+            if (events.includes(LEDGER_EVENTS.SHIPSTATION_CANCELLED)) {
+                return { refs, skipReason: 'Cancellation originated in Rithum' };
+            }
+            if (events.includes(LEDGER_EVENTS.RITHUM_CANCEL_POSTED)) {
+                return { refs, skipReason: 'Cancellation already posted to Rithum' };
+            }
+        }
+
+        // Shipments created by the intake job use dscoOrderId as external_shipment_id
+        if (!refs.dscoOrderId && /^\d+$/.test(shipment.external_shipment_id || '')) {
+            refs.dscoOrderId = shipment.external_shipment_id;
+        }
+        if (!refs.dscoOrderId) {
+            return { refs, skipReason: 'Rithum order ID not found for shipment' };
+        }
+
+        return { refs, skipReason: null };
+    }
+
+    /**
+     * Report a single cancelled shipment to Rithum (synchronous /order/item/cancel)
+     * @param {Object} shipment - ShipStation shipment
+     * @returns {Promise<Object>} { shipmentId, dscoOrderId, status, reason?, requestId? }
+     */
+    async processShipment(shipment) {
+        const { refs, skipReason } = await this.prepare(shipment);
+        if (skipReason) {
+            logger.info(`   ⏭️  Shipment ${shipment.shipment_id}: ${skipReason}`);
+            return { ...refs, status: 'skipped', reason: skipReason };
+        }
+
+        const orderForCancel = this.buildOrderForCancel(shipment, refs.dscoOrderId);
+        if (orderForCancel.lineItems.length === 0) {
+            return { ...refs, status: 'skipped', reason: 'Shipment has no identifiable line items' };
+        }
+
+        try {
+            const response = await this.rithumClient.cancelOrderItems(orderForCancel);
+            if (response?.status === 'failure') {
+                const error = { message: 'Rithum rejected the cancellation', data: response.messages };
+                await this.ledger.record(LEDGER_EVENTS.RITHUM_CANCEL_FAILED, refs, { orderForCancel }, error);
+                return { ...refs, status: 'failed', reason: error.message, messages: response.messages };
+            }
+
+            await this.ledger.record(LEDGER_EVENTS.RITHUM_CANCEL_POSTED, refs, {
+                cancelCode: orderForCancel.lineItems[0].cancelCode,
+                lineItemCount: orderForCancel.lineItems.length,
+                requestId: response?.requestId || null,
+                rithumStatus: response?.status || null
+            });
+            return { ...refs, status: 'posted', requestId: response?.requestId || null };
+        } catch (error) {
+            await this.ledger.record(LEDGER_EVENTS.RITHUM_CANCEL_FAILED, refs, { orderForCancel }, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Scan recently modified ShipStation shipments and report new cancellations in one batch
+     * (asynchronous /order/item/cancel/batch/small)
+     * @param {Object} [options]
+     * @param {Date|string} [options.since] - Only shipments modified after this (default: last sweep, or 24h ago)
+     * @returns {Promise<Object>} Summary: { scanned, posted, skipped, requestId }
+     */
+    async sweep(options = {}) {
+        const startedAt = new Date();
+        const since = options.since
+            ? new Date(options.since)
+            : (this.lastSweepAt || new Date(startedAt.getTime() - 24 * 60 * 60 * 1000));
+
+        logger.info(`\n🔍 Checking ShipStation for supplier cancellations since ${since.toISOString()}...`);
+
+        const shipments = [];
+        let page = 1;
+        let pages = 1;
+        do {
+            const response = await this.shipstationClient.listShipments({
+                modified_at_start: since.toISOString(),
+                sort_by: 'modified_at',
+                page,
+                page_size: 100
+            });
+            shipments.push(...(response?.shipments || []));
+            pages = response?.pages || 1;
+            page++;
+        } while (page <= pages);
+
+        const candidates = shipments.filter(shipment => this.isCancelRequested(shipment));
+        const payload = [];
+        const refsByOrder = new Map();
+        let skipped = 0;
+
+        for (const shipment of candidates) {
+            const { refs, skipReason } = await this.prepare(shipment);
+            const orderForCancel = skipReason ? null : this.buildOrderForCancel(shipment, refs.dscoOrderId);
+            if (!orderForCancel || orderForCancel.lineItems.length === 0 || refsByOrder.has(refs.dscoOrderId)) {
+                skipped++;
+                continue;
+            }
+            payload.push(orderForCancel);
+            refsByOrder.set(refs.dscoOrderId, refs);
+        }
+
+        const summary = {
+            scanned: shipments.length,
+            posted: 0,
+            skipped,
+            requestId: null
+        };
+
+        if (payload.length > 0) {
+            try {
+                const response = await this.rithumClient.cancelOrderItemsBatch(payload);
+                summary.posted = payload.length;
+                summary.requestId = response?.requestId || null;
+                for (const orderForCancel of payload) {
+                    await this.ledger.record(LEDGER_EVENTS.RITHUM_CANCEL_POSTED, refsByOrder.get(orderForCancel.id), {
+                        cancelCode: orderForCancel.lineItems[0].cancelCode,
+                        lineItemCount: orderForCancel.lineItems.length,
+                        requestId: summary.requestId
+                    });
+                }
+            } catch (error) {
+                for (const orderForCancel of payload) {
+                    await this.ledger.record(LEDGER_EVENTS.RITHUM_CANCEL_FAILED, refsByOrder.get(orderForCancel.id), {
+                        orderForCancel
+                    }, error);
+                }
+                throw error;
+            }
+        }
+
+        this.lastSweepAt = startedAt;
+        logger.info(`✅ Supplier cancellation sweep: ${summary.scanned} shipment(s) scanned, ${summary.posted} posted, ${summary.skipped} skipped`);
+        return summary;
+    }
+}
+
+module.exports = SupplierCancellation;
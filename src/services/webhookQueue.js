@@ -0,0 +1,427 @@
+const crypto = require('crypto');
+const path = require('path');
+const JournalFile = require('./journalFile');
+const Notifier = require('./notifier');
+const Logger = require('./logger');
+
+const logger = Logger.child({ module: 'webhookQueue' });
+
+/**
+ * Job transitions recorded in the queue journal
+ */
+const QUEUE_EVENTS = Object.freeze({
+    ENQUEUED: 'enqueued',
+    ATTEMPT_FAILED: 'attempt_failed',
+    COMPLETED: 'completed',
+    DEAD_LETTERED: 'dead_lettered',
+    REPLAYED: 'replayed',
+    // First entry of a compacted journal - how many completed jobs were dropped from it, and the
+    // delivery IDs of those still inside the replay window
+    COMPACTED: 'compacted'
+});
+
+/**
+ * Durable Webhook Queue
+ * Webhook payloads are appended to a JSON Lines journal before the request is acknowledged, and a
+ * single in-process worker works through them with exponential backoff. Jobs that keep failing
+ * are moved to a dead-letter state where they stay until replayed.
+ *
+ * The journal is replayed on start, so jobs pending when the server stopped are picked up again.
+ * It also remembers the delivery ID of every job for the replay window, so a webhook ShipStation
+ * redelivers after a restart or deploy is not queued - and posted to Rithum - a second time.
+ * Completed jobs are only history, so once compactAfter of them have built up the journal is
+ * rewritten without them - otherwise every payload ever received would stay in it.
+ */
+class WebhookQueue {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.filePath] - Journal path (default: WEBHOOK_QUEUE_FILE or ./webhook-queue.jsonl)
+     * @param {number} [options.maxAttempts] - Attempts before a job is dead-lettered (default: 8)
+     * @param {number} [options.retryBaseSeconds] - Delay after the first failure, doubled for each retry (default: 30)
+     * @param {number} [options.retryMaxMinutes] - Upper bound on the retry delay (default: 60)
+     * @param {number} [options.pollIntervalMs] - How often the worker looks for due retries (default: 1000)
+     * @param {number} [options.compactAfter] - Completed jobs in the journal before it is compacted (default: 500)
+     * @param {number} [options.replayWindowMinutes] - How long delivery IDs are remembered (default: 1440)
+     * @param {Notifier} [options.notifier] - Alerted when a job is dead-lettered
+     */
+    constructor(options = {}) {
+        this.filePath = options.filePath ||
+            process.env.WEBHOOK_QUEUE_FILE ||
+            path.join(__dirname, '../../webhook-queue.jsonl');
+        this.maxAttempts = options.maxAttempts || 8;
+        this.retryBaseMs = (options.retryBaseSeconds || 30) * 1000;
+        this.retryMaxMs = (options.retryMaxMinutes || 60) * 60 * 1000;
+        this.pollIntervalMs = options.pollIntervalMs || 1000;
+        this.compactAfter = options.compactAfter || 500;
+        this.replayWindowMs = (options.replayWindowMinutes ?? 1440) * 60 * 1000;
+        this.notifier = options.notifier || null;
+        this.journal = new JournalFile(this.filePath);
+
+        this.jobs = new Map();  // job ID -> pending or dead-lettered job
+        this.completedCount = 0;
+        this.completedInJournal = 0; // completed jobs since the last compaction
+        this.deliveries = new Map(); // delivery ID -> enqueued at (ISO)
+        this.loaded = false;
+        this.processor = null;
+        this.timer = null;
+        this.draining = false;
+    }
+
+    /**
+     * Rebuild queue state from the journal
+     */
+    async load() {
+        if (this.loaded) {
+            return;
+        }
+        const entries = await this.journal.readAll();
+        entries.forEach(entry => this.apply(entry));
+        this.loaded = true;
+    }
+
+    /**
+     * Fold a single journal entry into the in-memory view
+     * @param {Object} entry - Journal entry
+     */
+    apply(entry) {
+        if (entry.type === QUEUE_EVENTS.ENQUEUED && entry.deliveryId) {
+            this.deliveries.set(entry.deliveryId, entry.timestamp);
+        }
+        if (entry.type === QUEUE_EVENTS.ENQUEUED) {
+            this.jobs.set(entry.id, {
+                id: entry.id,
+                status: 'pending',
+                payload: entry.payload,
+                deliveryId: entry.deliveryId || null,
+                enqueuedAt: entry.timestamp,
+                attempts: 0,
+                nextAttemptAt: entry.timestamp,
+                lastError: null
+            });
+            return;
+        }
+
+        const job = this.jobs.get(entry.id);
+        if (!job && entry.type !== QUEUE_EVENTS.COMPACTED) {
+            return;
+        }
+
+        switch (entry.type) {
+            case QUEUE_EVENTS.ATTEMPT_FAILED:
+                job.attempts = entry.attempts;
+                job.nextAttemptAt = entry.nextAttemptAt;
+                job.lastError = entry.error;
+                break;
+            case QUEUE_EVENTS.DEAD_LETTERED:
+                job.status = 'dead';
+                job.attempts = entry.attempts;
+                job.lastError = entry.error;
+                job.deadLetteredAt = entry.timestamp;
+                break;
+            case QUEUE_EVENTS.REPLAYED:
+                job.status = 'pending';
+                job.attempts = 0;
+                job.nextAttemptAt = entry.timestamp;
+                delete job.deadLetteredAt;
+                break;
+            case QUEUE_EVENTS.COMPLETED:
+                // Completed payloads are not kept in memory
+                this.jobs.delete(entry.id);
+                this.completedCount++;
+                this.completedInJournal++;
+                break;
+            case QUEUE_EVENTS.COMPACTED:
+                this.completedCount += entry.completed || 0;
+                Object.entries(entry.deliveries || {}).forEach(([deliveryId, enqueuedAt]) => {
+                    this.deliveries.set(deliveryId, enqueuedAt);
+                });
+                break;
+            default:
+                break;
+        }
+    }
+
+    async write(entry) {
+        const written = { timestamp: new Date().toISOString(), ...entry };
+        await this.journal.append(written);
+        this.apply(written);
+        return written;
+    }
+
+    /**
+     * Persist a webhook payload for processing
+     * Resolves only once the payload is on disk, so the delivery can be acknowledged safely.
+     * @param {Object} payload - Webhook body
+     * @param {Object} [meta]
+     * @param {string} [meta.deliveryId] - Delivery ID from WebhookVerifier
+     * @returns {Promise<Object|null>} The queued job, or null if the delivery was already queued within the replay window
+     */
+    async enqueue(payload, meta = {}) {
+        await this.load();
+        const deliveryId = meta.deliveryId || null;
+        if (deliveryId && this.isDelivered(deliveryId)) {
+            return null;
+        }
+
+        const id = crypto.randomUUID();
+        // Claimed before the write, so a retry arriving while it is in flight is turned away too
+        if (deliveryId) {
+            this.deliveries.set(deliveryId, new Date().toISOString());
+        }
+        try {
+            await this.write({
+                type: QUEUE_EVENTS.ENQUEUED,
+                id,
+                deliveryId,
+                payload
+            });
+        } catch (error) {
+            if (deliveryId) {
+                this.deliveries.delete(deliveryId);
+            }
+            throw error;
+        }
+
+        this.drain();
+        return this.jobs.get(id);
+    }
+
+    /**
+     * Whether a delivery was queued within the replay window
+     * @param {string} deliveryId - Delivery ID from WebhookVerifier
+     * @returns {boolean}
+     */
+    isDelivered(deliveryId) {
+        const enqueuedAt = this.deliveries.get(deliveryId);
+        if (!enqueuedAt) {
+            return false;
+        }
+        if (Date.now() - Date.parse(enqueuedAt) > this.replayWindowMs) {
+            this.deliveries.delete(deliveryId);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Start the worker
+     * @param {Function} processor - async (payload, job) => result; a thrown error schedules a retry
+     */
+    async start(processor) {
+        this.processor = processor;
+        await this.load();
+
+        const pending = Array.from(this.jobs.values()).filter(job => job.status === 'pending').length;
+        if (pending > 0) {
+            logger.info(`📥 Resuming ${pending} pending webhook job(s) from ${this.filePath}`);
+        }
+
+        await this.compactIfDue();
+
+        this.timer = setInterval(() => this.drain(), this.pollIntervalMs);
+        this.drain();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Process every job that is due, one at a time
+     */
+    async drain() {
+        if (this.draining || !this.processor) {
+            return;
+        }
+
+        this.draining = true;
+        try {
+            let job = this.nextDueJob();
+            while (job) {
+                await this.runJob(job);
+                job = this.nextDueJob();
+            }
+        } catch (error) {
+            logger.error('❌ Webhook queue worker error', { error });
+        } finally {
+            this.draining = false;
+        }
+    }
+
+    nextDueJob() {
+        const now = new Date().toISOString();
+        let due = null;
+        for (const job of this.jobs.values()) {
+            if (job.status === 'pending' && job.nextAttemptAt <= now &&
+                (!due || job.nextAttemptAt < due.nextAttemptAt)) {
+                due = job;
+            }
+        }
+        return due;
+    }
+
+    /**
+     * Run one attempt of a job and record the outcome
+     * @param {Object} job - Queued job
+     */
+    async runJob(job) {
+        const attempt = job.attempts + 1;
+        logger.info(`\n⚙️  Processing webhook job ${job.id} (attempt ${attempt}/${this.maxAttempts})`);
+
+        try {
+            // Lines logged while the job runs carry its ID, next to the order's correlation ID
+            await Logger.withContext({ webhookJobId: job.id, attempt }, () => this.processor(job.payload, job));
+            await this.write({ type: QUEUE_EVENTS.COMPLETED, id: job.id, attempts: attempt });
+            await this.compactIfDue();
+        } catch (error) {
+            const message = error.message || String(error);
+
+            if (attempt >= this.maxAttempts) {
+                logger.error(`   💀 Webhook job ${job.id} dead-lettered after ${attempt} attempt(s): ${message}`);
+                await this.write({ type: QUEUE_EVENTS.DEAD_LETTERED, id: job.id, attempts: attempt, error: message });
+                if (this.notifier) {
+                    await this.notifier.notify({
+                        event: Notifier.EVENTS.WEBHOOK_DEAD_LETTERED,
+                        severity: 'critical',
+                        title: `Webhook job ${job.id} dead-lettered after ${attempt} attempt(s)`,
+                        message: `${message}\nReplay it with POST /api/webhooks/dead-letter/${job.id}/replay once fixed.`,
+                        details: { jobId: job.id, attempts: attempt, error: message, resourceUrl: job.payload?.resource_url || null }
+                    });
+                }
+                return;
+            }
+
+            const delayMs = this.getRetryDelayMs(attempt);
+            logger.warn(`   🔁 Webhook job ${job.id} failed (${message}) - retrying in ${Math.round(delayMs / 1000)}s`);
+            await this.write({
+                type: QUEUE_EVENTS.ATTEMPT_FAILED,
+                id: job.id,
+                attempts: attempt,
+                error: message,
+                nextAttemptAt: new Date(Date.now() + delayMs).toISOString()
+            });
+        }
+    }
+
+    /**
+     * Compact the journal once enough completed jobs have built up in it
+     * A failed compaction is logged and leaves the journal as it was.
+     */
+    async compactIfDue() {
+        if (this.completedInJournal < this.compactAfter) {
+            return;
+        }
+        try {
+            await this.compact();
+        } catch (error) {
+            logger.warn('⚠️  Could not compact the webhook queue journal', { error });
+        }
+    }
+
+    /**
+     * Rewrite the journal without the entries of completed jobs
+     * Pending and dead-lettered jobs keep their full history; the completed count is carried over
+     * in a compacted entry so the queue stats survive.
+     */
+    async compact() {
+        let dropped = 0;
+        const kept = await this.journal.rewrite(entries => {
+            const completedIds = new Set(entries
+                .filter(entry => entry.type === QUEUE_EVENTS.COMPLETED)
+                .map(entry => entry.id));
+            const completed = entries
+                .filter(entry => entry.type === QUEUE_EVENTS.COMPACTED)
+                .reduce((sum, entry) => sum + (entry.completed || 0), completedIds.size);
+            const live = entries.filter(entry =>
+                entry.type !== QUEUE_EVENTS.COMPACTED && !completedIds.has(entry.id));
+            dropped = entries.length - live.length;
+
+            // Delivery IDs of dropped jobs are carried over until they leave the replay window
+            const cutoff = new Date(Date.now() - this.replayWindowMs).toISOString();
+            const deliveries = {};
+            entries.forEach(entry => {
+                if (entry.type === QUEUE_EVENTS.COMPACTED) {
+                    Object.assign(deliveries, entry.deliveries || {});
+                } else if (entry.type === QUEUE_EVENTS.ENQUEUED && entry.deliveryId && completedIds.has(entry.id)) {
+                    deliveries[entry.deliveryId] = entry.timestamp;
+                }
+            });
+            Object.keys(deliveries).forEach(deliveryId => {
+                if (deliveries[deliveryId] < cutoff) {
+                    delete deliveries[deliveryId];
+                }
+            });
+
+            return [
+                { timestamp: new Date().toISOString(), type: QUEUE_EVENTS.COMPACTED, completed, deliveries },
+                ...live
+            ];
+        });
+        this.completedInJournal = 0;
+        logger.info(`🧹 Compacted webhook queue journal: ${dropped} entries dropped, ${kept} kept`);
+    }
+
+    /**
+     * Exponential backoff: retryBase, 2x, 4x, ... capped at retryMax
+     * @param {number} attempts - Attempts made so far
+     * @returns {number} Delay in milliseconds
+     */
+    getRetryDelayMs(attempts) {
+        return Math.min(this.retryMaxMs, this.retryBaseMs * Math.pow(2, attempts - 1));
+    }
+
+    /**
+     * List dead-lettered jobs, oldest first
+     * @returns {Promise<Array>} Dead-lettered jobs (including payloads)
+     */
+    async listDeadLetters() {
+        await this.load();
+        return Array.from(this.jobs.values())
+            .filter(job => job.status === 'dead')
+            .sort((a, b) => a.enqueuedAt.localeCompare(b.enqueuedAt));
+    }
+
+    /**
+     * Put a dead-lettered job back on the queue with a fresh set of attempts
+     * @param {string} id - Job ID
+     * @returns {Promise<Object|null>} The requeued job, or null if no such dead-lettered job
+     */
+    async replay(id) {
+        await this.load();
+        const job = this.jobs.get(id);
+        if (!job || job.status !== 'dead') {
+            return null;
+        }
+
+        await this.write({ type: QUEUE_EVENTS.REPLAYED, id });
+        logger.info(`🔁 Replaying dead-lettered webhook job ${id}`);
+        this.drain();
+        return job;
+    }
+
+    /**
+     * Queue counts for the admin routes
+     * @returns {Promise<Object>} { pending, retrying, deadLettered, completed, queueFile }
+     */
+    async getStats() {
+        await this.load();
+        const jobs = Array.from(this.jobs.values());
+        const pending = jobs.filter(job => job.status === 'pending');
+
+        return {
+            queueFile: this.filePath,
+            pending: pending.length,
+            retrying: pending.filter(job => job.attempts > 0).length,
+            deadLettered: jobs.filter(job => job.status === 'dead').length,
+            completed: this.completedCount,
+            maxAttempts: this.maxAttempts
+        };
+    }
+}
+
+WebhookQueue.EVENTS = QUEUE_EVENTS;
+
+module.exports = WebhookQueue;
@@ -0,0 +1,240 @@
+/**
+ * Webhook Verifier
+ * Authenticates ShipStation webhook deliveries before the server acts on them, and drops
+ * deliveries it has already seen so replays and retries do not re-post shipments to Rithum.
+ * Seen deliveries are only kept in memory here, as a fast first check; WebhookQueue journals the
+ * delivery IDs it queues, which is what catches a redelivery after a restart.
+ *
+ * A delivery is accepted when either:
+ * - its RSA-SHA256 signature verifies against ShipStation's published JWKS (or a local key file), or
+ * - the request path carries the configured shared secret (/webhook/<secret>)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const axios = require('axios');
+const Logger = require('./logger');
+
+const logger = Logger.child({ module: 'webhookVerifier' });
+
+const SIGNATURE_HEADER = 'x-shipengine-rsa-sha256-signature';
+const KEY_ID_HEADER = 'x-shipengine-rsa-sha256-key-id';
+const TIMESTAMP_HEADER = 'x-shipengine-timestamp';
+
+// An unknown key ID triggers a JWKS refetch at most this often
+const JWKS_REFETCH_INTERVAL_MS = 60 * 1000;
+const MAX_DELIVERIES_KEPT = 10000;
+
+class WebhookVerifier {
+    /**
+     * @param {Object} [options] - shipstationConfig.webhook
+     * @param {boolean} [options.verifySignature] - Reject deliveries that fail verification (default: true)
+     * @param {string} [options.jwksUrl] - ShipStation JWKS endpoint
+     * @param {string} [options.publicKeyFile] - Local PEM or JWKS file used instead of the JWKS endpoint
+     * @param {string} [options.pathSecret] - Shared secret accepted as the last path segment
+     * @param {number} [options.timestampToleranceSeconds] - Maximum age of a signed delivery
+     * @param {number} [options.replayWindowMinutes] - How long delivered event IDs are remembered
+     */
+    constructor(options = {}) {
+        this.verifySignature = options.verifySignature !== false;
+        this.jwksUrl = options.jwksUrl || 'https://api.shipstation.com/jwks';
+        this.publicKeyFile = options.publicKeyFile || null;
+        this.pathSecret = options.pathSecret || null;
+        this.timestampToleranceSeconds = options.timestampToleranceSeconds ?? 300;
+        this.replayWindowMs = (options.replayWindowMinutes ?? 1440) * 60 * 1000;
+
+        this.keys = new Map();        // key ID -> KeyObject
+        this.lastJwksFetch = 0;
+        this.localKeysLoaded = false;
+        this.deliveries = new Map();  // delivery ID -> received at (ms)
+    }
+
+    /**
+     * Check that a delivery really came from ShipStation
+     * @param {Object} req - Express request (rawBody captured by express.json's verify hook)
+     * @returns {Promise<Object>} { valid, method, reason }
+     */
+    async verify(req) {
+        if (!this.verifySignature) {
+            return { valid: true, method: 'disabled', reason: null };
+        }
+
+        if (this.pathSecret && req.params?.secret) {
+            return this.secretMatches(req.params.secret)
+                ? { valid: true, method: 'secret', reason: null }
+                : { valid: false, method: 'secret', reason: 'Invalid webhook secret' };
+        }
+
+        if (!req.get(SIGNATURE_HEADER)) {
+            return { valid: false, method: null, reason: 'Missing webhook signature' };
+        }
+
+        try {
+            const reason = await this.checkSignature(req);
+            return { valid: !reason, method: 'signature', reason };
+        } catch (error) {
+            return { valid: false, method: 'signature', reason: `Signature check failed: ${error.message}` };
+        }
+    }
+
+    /**
+     * Verify the RSA-SHA256 signature and timestamp of a delivery
+     * ShipStation signs "<timestamp>.<raw body>" with the key named in the key ID header.
+     * @param {Object} req - Express request
+     * @returns {Promise<string|null>} Rejection reason, or null if the signature is valid
+     */
+    async checkSignature(req) {
+        const signature = req.get(SIGNATURE_HEADER);
+        const keyId = req.get(KEY_ID_HEADER);
+        const timestamp = req.get(TIMESTAMP_HEADER);
+
+        if (!timestamp) {
+            return 'Missing webhook timestamp';
+        }
+
+        const sentAt = /^\d+$/.test(timestamp) ? Number(timestamp) * 1000 : Date.parse(timestamp);
+        if (Number.isNaN(sentAt)) {
+            return `Unreadable webhook timestamp: ${timestamp}`;
+        }
+        const ageSeconds = Math.abs(Date.now() - sentAt) / 1000;
+        if (ageSeconds > this.timestampToleranceSeconds) {
+            return `Webhook timestamp outside tolerance (${Math.round(ageSeconds)}s old)`;
+        }
+
+        const publicKey = await this.getKey(keyId);
+        if (!publicKey) {
+            return `Unknown signing key: ${keyId || 'none'}`;
+        }
+
+        const rawBody = req.rawBody ? req.rawBody.toString('utf8') : '';
+        const signed = Buffer.from(`${timestamp}.${rawBody}`, 'utf8');
+        const valid = crypto.verify('sha256', signed, publicKey, Buffer.from(signature, 'base64'));
+
+        return valid ? null : 'Invalid webhook signature';
+    }
+
+    /**
+     * Find the public key for a key ID, loading the local key file or refetching the JWKS as needed
+     * @param {string} keyId - Key ID from the delivery headers
+     * @returns {Promise<KeyObject|null>} Public key
+     */
+    async getKey(keyId) {
+        if (this.publicKeyFile) {
+            if (!this.localKeysLoaded) {
+                this.loadKeyFile(this.publicKeyFile);
+            }
+            // A PEM file holds a single key that applies to every key ID
+            return this.keys.get(keyId) || this.keys.get('*') || null;
+        }
+
+        if (!this.keys.has(keyId) && Date.now() - this.lastJwksFetch > JWKS_REFETCH_INTERVAL_MS) {
+            await this.fetchJwks();
+        }
+        return this.keys.get(keyId) || null;
+    }
+
+    /**
+     * Load signing keys from a local PEM public key or JWKS JSON file
+     * @param {string} filePath - Key file path
+     */
+    loadKeyFile(filePath) {
+        const content = fs.readFileSync(filePath, 'utf8');
+
+        if (content.includes('-----BEGIN')) {
+            this.keys.set('*', crypto.createPublicKey(content));
+        } else {
+            const parsed = JSON.parse(content);
+            this.addJwks(Array.isArray(parsed.keys) ? parsed.keys : [parsed]);
+        }
+
+        this.localKeysLoaded = true;
+        logger.info(`🔑 Loaded webhook signing key(s) from ${filePath}`);
+    }
+
+    /**
+     * Fetch ShipStation's published signing keys
+     */
+    async fetchJwks() {
+        this.lastJwksFetch = Date.now();
+        try {
+            const response = await axios.get(this.jwksUrl, { timeout: 10000 });
+            this.addJwks(response.data?.keys || []);
+            logger.info(`🔑 Loaded ${this.keys.size} webhook signing key(s) from ${this.jwksUrl}`);
+        } catch (error) {
+            logger.error(`❌ Failed to fetch webhook signing keys from ${this.jwksUrl}`, { error });
+            throw error;
+        }
+    }
+
+    addJwks(jwks) {
+        jwks.forEach(jwk => {
+            if (!jwk.kid) {
+                return;
+            }
+            try {
+                this.keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+            } catch (error) {
+                logger.warn(`⚠️  Skipping unusable signing key ${jwk.kid}: ${error.message}`);
+            }
+        });
+    }
+
+    secretMatches(candidate) {
+        const expected = Buffer.from(this.pathSecret);
+        const actual = Buffer.from(String(candidate));
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+
+    /**
+     * Identify a delivery so retries of the same event can be recognised
+     * ShipStation resends the same body on retry, so a body hash is used when the payload has no ID.
+     * @param {Object} req - Express request
+     * @returns {string} Delivery ID
+     */
+    getDeliveryId(req) {
+        const body = req.body || {};
+        const eventId = body.event_id || body.webhook_event_id || body.id;
+        if (eventId) {
+            return `event:${eventId}`;
+        }
+
+        const raw = req.rawBody || Buffer.from(JSON.stringify(body));
+        return `body:${crypto.createHash('sha256').update(raw).digest('hex')}`;
+    }
+
+    /**
+     * Record a delivery, reporting whether it was already seen within the replay window
+     * @param {string} deliveryId - From getDeliveryId()
+     * @returns {boolean} true if this delivery is a replay or retry
+     */
+    markDelivered(deliveryId) {
+        const now = Date.now();
+        this.pruneDeliveries(now);
+
+        if (this.deliveries.has(deliveryId)) {
+            return true;
+        }
+        this.deliveries.set(deliveryId, now);
+        return false;
+    }
+
+    /**
+     * Forget a delivery whose processing failed, so a later retry is handled
+     * @param {string} deliveryId - From getDeliveryId()
+     */
+    forgetDelivery(deliveryId) {
+        this.deliveries.delete(deliveryId);
+    }
+
+    pruneDeliveries(now) {
+        // Map iteration follows insertion order, so the oldest deliveries come first
+        for (const [deliveryId, receivedAt] of this.deliveries) {
+            if (now - receivedAt <= this.replayWindowMs && this.deliveries.size <= MAX_DELIVERIES_KEPT) {
+                break;
+            }
+            this.deliveries.delete(deliveryId);
+        }
+    }
+}
+
+module.exports = WebhookVerifier;
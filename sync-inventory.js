@@ -0,0 +1,144 @@
+/**
+ * Sync Inventory
+ *
+ * Pushes ShipStation inventory levels to Rithum: available units per SKU and inventory warehouse are
+ * sent as Rithum inventory (quantityAvailable, in-stock/out-of-stock and warehouse codes). Only SKUs
+ * whose quantities changed since the last sync are sent; what was sent is journalled in
+ * inventory-sync.jsonl (INVENTORY_SYNC_FILE).
+ *
+ * ShipStation inventory warehouses are mapped to Rithum warehouse codes with
+ * INVENTORY_WAREHOUSE_CODES ("se-123=WH01,se-456=WH02"). The cron worker runs this every
+ * INVENTORY_SYNC_INTERVAL_MINUTES when INVENTORY_SYNC=true.
+ *
+ * With SKU_HOLD=true (or --holds) SKUs that ran out while acknowledged orders still need them are
+ * put on hold in Rithum, holds on restocked SKUs are released, and the open orders blocked by each
+ * held SKU are listed.
+ *
+ * Usage:
+ *   node sync-inventory.js                    # Send SKUs that changed since the last sync
+ *   node sync-inventory.js --sku RING-1,RING-2 # Only these SKUs
+ *   node sync-inventory.js --full             # Resend every SKU
+ *   node sync-inventory.js --dry-run          # Show what would be sent
+ *   node sync-inventory.js --holds            # Also place/release SKU holds even if SKU_HOLD is off
+ *   node sync-inventory.js --no-holds         # Inventory only
+ *
+ * Exits with status 1 if any SKU could not be sent or the SKU holds could not be updated.
+ */
+
+require('dotenv').config();
+const ShipStationClient = require('./src/services/shipstationClient');
+const RithumClient = require('./src/services/rithumClient');
+const InventorySync = require('./src/services/inventorySync');
+const SkuHoldManager = require('./src/services/skuHoldManager');
+const Logger = require('./src/services/logger');
+const { shipstationConfig, validateConfig: validateShipStationConfig } = require('./src/config/shipstationConfig');
+const { rithumConfig, validateConfig: validateRithumConfig } = require('./src/config/rithumConfig');
+
+const logger = Logger.child({ module: 'syncInventory' });
+
+/**
+ * Send changed inventory to Rithum and print the report
+ * @param {Object} [options] - skus, full, dryRun (see InventorySync.run)
+ * @param {boolean} [options.holds] - Update SKU holds (default: SKU_HOLD)
+ * @returns {Promise<Object>} Run report, with the SKU hold report as holds
+ */
+async function syncInventory(options = {}) {
+    validateShipStationConfig();
+    validateRithumConfig();
+
+    const shipstationClient = new ShipStationClient(
+        shipstationConfig.apiKey,
+        shipstationConfig.baseUrl,
+        shipstationConfig.warehouseId,
+        shipstationConfig.shipFrom
+    );
+    const rithumClient = new RithumClient(
+        rithumConfig.apiUrl,
+        rithumConfig.clientId,
+        rithumConfig.clientSecret
+    );
+    const inventorySync = new InventorySync(shipstationClient, rithumClient, rithumConfig.inventorySync);
+
+    logger.info(`\n📦 Syncing inventory to Rithum${options.dryRun ? ' - DRY RUN' : ''}...\n`);
+    const report = await inventorySync.run(options);
+
+    logger.info('\n' + '='.repeat(80));
+    logger.info(`📊 Inventory: ${report.skus} SKU(s) in ShipStation, ${report.changed.length} changed`);
+    logger.info('='.repeat(80));
+    report.changed.forEach(item => {
+        const warehouses = item.warehouses.map(warehouse => `${warehouse.code}: ${warehouse.quantity}`).join(', ');
+        logger.info(`   ${item.quantityAvailable > 0 ? '✅' : '⛔'} ${item.sku}: ${item.quantityAvailable} (${warehouses || 'no warehouses'})`);
+    });
+    if (!report.dryRun && report.changed.length > 0) {
+        logger.info(`\n   📤 Sent: ${report.sent}, failed: ${report.failed}` +
+            `${report.requestIds.length > 0 ? ` (requestIds: ${report.requestIds.join(', ')})` : ''}`);
+    }
+    report.errors.forEach(error => logger.error(`   ❌ ${error.sku}: ${error.error}`));
+    logger.info('');
+
+    if (options.holds ?? rithumConfig.inventorySync.skuHolds.enabled) {
+        const holdManager = new SkuHoldManager(shipstationClient, rithumClient, rithumConfig.inventorySync.skuHolds);
+        report.holds = await holdManager.run({ dryRun: options.dryRun });
+        printHolds(report.holds);
+        if (report.holds.errors.length > 0) {
+            report.failed++;
+        }
+    }
+
+    return report;
+}
+
+function printHolds(holds) {
+    logger.info('='.repeat(80));
+    logger.info(`⛔ SKU holds: ${holds.held.length} held (${holds.placed.length} placed, ${holds.released.length} released)` +
+        `${holds.dryRun ? ' - dry run' : ''}`);
+    logger.info('='.repeat(80));
+    holds.released.forEach(sku => logger.info(`   ✅ ${sku}: released`));
+    holds.held.forEach(hold => {
+        logger.info(`   ⛔ ${hold.sku}: ${hold.onHand ?? '?'} on hand${holds.placed.includes(hold.sku) ? ' (new)' : ''}, ` +
+            `${hold.blockedOrders.length} open order(s) blocked`);
+        hold.blockedOrders.forEach(order => {
+            logger.info(`      📋 ${order.dscoOrderId}${order.poNumber ? ` (PO ${order.poNumber})` : ''}: ${order.quantity} unit(s)`);
+        });
+    });
+    holds.errors.forEach(error => logger.error(`   ❌ ${error}`));
+    logger.info('');
+}
+
+function getArgValue(args, name) {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const skus = getArgValue(args, '--sku');
+    let holds;
+    if (args.includes('--holds')) {
+        holds = true;
+    } else if (args.includes('--no-holds')) {
+        holds = false;
+    }
+
+    try {
+        const report = await syncInventory({
+            skus: skus ? skus.split(',').map(sku => sku.trim()).filter(Boolean) : [],
+            full: args.includes('--full'),
+            dryRun: args.includes('--dry-run'),
+            holds
+        });
+        if (report.failed > 0) {
+            process.exit(1);
+        }
+    } catch (error) {
+        logger.error('\n❌ Inventory sync failed', { error });
+        process.exit(1);
+    }
+}
+
+// Run the script
+if (require.main === module) {
+    main();
+}
+
+module.exports = { syncInventory };
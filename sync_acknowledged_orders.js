@@ -1,19 +1,29 @@
 require('dotenv').config();
 const ShipStationClient = require('./src/services/shipstationClient');
 const RithumClient = require('./src/services/rithumClient');
+const OrderLedger = require('./src/services/orderLedger');
+const OrderResolver = require('./src/services/orderResolver');
+const Notifier = require('./src/services/notifier');
+const Logger = require('./src/services/logger');
 const { shipstationConfig, validateConfig: validateShipStationConfig } = require('./src/config/shipstationConfig');
 const { rithumConfig, validateConfig: validateRithumConfig } = require('./src/config/rithumConfig');
 
 // Import functions from webhook script
 const {
-    updateRithumOrderTracking
+    updateRithumOrderTracking,
+    createNotifier,
+    withOrderContext
 } = require('./webhook_shipstation_update_Rithum');
 
+const logger = Logger.child({ module: 'syncAcknowledgedOrders' });
+
+const orderLedger = new OrderLedger();
+
 /**
  * Get all acknowledged orders from Rithum
  */
 async function getAcknowledgedOrders(rithumClient) {
-    console.log('🔍 Fetching acknowledged orders from Rithum...\n');
+    logger.info('🔍 Fetching acknowledged orders from Rithum...\n');
     
     try {
         const acknowledgedOrders = [];
@@ -31,7 +41,7 @@ async function getAcknowledgedOrders(rithumClient) {
                 ? { scrollId }
                 : { ordersUpdatedSince: since, until: until, ordersPerPage: 100 };
             
-            console.log(`   Fetching page ${pageCount}...`);
+            logger.info(`   Fetching page ${pageCount}...`);
             const orderResponse = await rithumClient.makeRequest('GET', '/order/page', null, params);
             const orders = orderResponse?.orders || [];
             
@@ -43,7 +53,7 @@ async function getAcknowledgedOrders(rithumClient) {
             const acknowledgedOnPage = orders.filter(o => o.dscoLifecycle === 'acknowledged');
             acknowledgedOrders.push(...acknowledgedOnPage);
             
-            console.log(`      Found ${orders.length} orders (${acknowledgedOnPage.length} acknowledged)`);
+            logger.info(`      Found ${orders.length} orders (${acknowledgedOnPage.length} acknowledged)`);
             
             // Check if there are more pages
             if (orderResponse.scrollId && orderResponse.scrollId !== scrollId) {
@@ -53,20 +63,35 @@ async function getAcknowledgedOrders(rithumClient) {
             }
         }
         
-        console.log(`\n✅ Total acknowledged orders found: ${acknowledgedOrders.length}\n`);
+        logger.info(`\n✅ Total acknowledged orders found: ${acknowledgedOrders.length}\n`);
         return acknowledgedOrders;
         
     } catch (error) {
-        console.error('❌ Error fetching acknowledged orders:', error.message);
+        logger.error('❌ Error fetching acknowledged orders', { error });
         throw error;
     }
 }
 
 /**
  * Find shipment in ShipStation by PO number
+ * Shipment IDs already recorded in the order ledger are used before searching ShipStation
  */
-async function findShipmentByPO(poNumber, shipstationClient) {
+async function findShipmentByPO(poNumber, shipstationClient, dscoOrderId = null) {
     try {
+        // Method 0: Shipment recorded in the order ledger by the intake job
+        const ledgerOrder = await orderLedger.getOrder({ dscoOrderId, poNumber });
+        if (ledgerOrder && ledgerOrder.shipmentIds.length > 0) {
+            const shipmentId = ledgerOrder.shipmentIds[ledgerOrder.shipmentIds.length - 1];
+            try {
+                const shipment = await shipstationClient.getShipmentById(shipmentId);
+                if (shipment && shipment.shipment_id) {
+                    return shipment;
+                }
+            } catch (error) {
+                logger.warn(`   ⚠️  Ledger shipment ${shipmentId} not found in ShipStation: ${error.message}`);
+            }
+        }
+
         // Method 1: Try external_shipment_id
         try {
             const shipment = await shipstationClient.getShipmentByExternalId(poNumber);
@@ -97,7 +122,7 @@ async function findShipmentByPO(poNumber, shipstationClient) {
         return null;
         
     } catch (error) {
-        console.warn(`   ⚠️  Error searching for PO ${poNumber}: ${error.message}`);
+        logger.warn(`   ⚠️  Error searching for PO ${poNumber}: ${error.message}`);
         return null;
     }
 }
@@ -115,27 +140,36 @@ function isShipped(shipment) {
 
 /**
  * Sync acknowledged orders from Rithum with ShipStation
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Report what would be updated without posting to Rithum
+ * @param {number} [options.maxOrders] - Only process the first N orders
+ * @param {Notifier} [options.notifier] - Shared notifier that flushes its own digest (default: one for this run)
  */
 async function syncAcknowledgedOrders(shipstationClient, rithumClient, options = {}) {
     const {
         dryRun = false,
         maxOrders = null
     } = options;
+    const notifier = options.notifier || createNotifier();
 
-    console.log(`\n${'='.repeat(80)}`);
-    console.log(`📋 Syncing Acknowledged Orders from Rithum`);
-    console.log(`${'='.repeat(80)}`);
+    logger.info(`\n${'='.repeat(80)}`);
+    logger.info(`📋 Syncing Acknowledged Orders from Rithum`);
+    logger.info(`${'='.repeat(80)}`);
     if (dryRun) {
-        console.log(`⚠️  DRY RUN MODE - No updates will be made to Rithum\n`);
+        logger.info(`⚠️  DRY RUN MODE - No updates will be made to Rithum\n`);
     }
-    console.log('');
+    logger.info('');
 
     try {
         // Step 1: Get all acknowledged orders from Rithum
         const acknowledgedOrders = await getAcknowledgedOrders(rithumClient);
+
+        // The page already holds the full orders - prime the resolver so updates don't fetch them again
+        const orderResolver = new OrderResolver(rithumClient);
+        acknowledgedOrders.forEach(order => orderResolver.remember(order));
         
         if (acknowledgedOrders.length === 0) {
-            console.log('✅ No acknowledged orders found. All orders are up to date!\n');
+            logger.info('✅ No acknowledged orders found. All orders are up to date!\n');
             return {
                 success: true,
                 totalChecked: 0,
@@ -153,7 +187,7 @@ async function syncAcknowledgedOrders(shipstationClient, rithumClient, options =
             ? acknowledgedOrders.slice(0, maxOrders)
             : acknowledgedOrders;
 
-        console.log(`📦 Processing ${ordersToProcess.length} acknowledged orders...\n`);
+        logger.info(`📦 Processing ${ordersToProcess.length} acknowledged orders...\n`);
 
         const stats = {
             totalChecked: ordersToProcess.length,
@@ -173,160 +207,176 @@ async function syncAcknowledgedOrders(shipstationClient, rithumClient, options =
             const poNumber = order.poNumber;
             const dscoOrderId = order.dscoOrderId;
 
-            console.log(`\n[${i + 1}/${ordersToProcess.length}] Checking order:`);
-            console.log(`   Rithum Order ID: ${dscoOrderId}`);
-            console.log(`   PO Number: ${poNumber || 'N/A'}`);
-
-            if (!poNumber) {
-                console.log(`   ⏭️  SKIPPING: No PO number`);
-                stats.skipped++;
-                results.push({
-                    dscoOrderId,
-                    poNumber: null,
-                    status: 'skipped',
-                    reason: 'No PO number'
-                });
-                continue;
-            }
-
-            try {
-                // Find shipment in ShipStation
-                const shipment = await findShipmentByPO(poNumber, shipstationClient);
+            await withOrderContext({ dscoOrderId, poNumber }, async () => {
+                logger.info(`\n[${i + 1}/${ordersToProcess.length}] Checking order:`);
+                logger.info(`   Rithum Order ID: ${dscoOrderId}`);
+                logger.info(`   PO Number: ${poNumber || 'N/A'}`);
 
-                if (!shipment) {
-                    console.log(`   ⏭️  NOT FOUND in ShipStation`);
-                    stats.notFound++;
+                if (!poNumber) {
+                    logger.info(`   ⏭️  SKIPPING: No PO number`);
+                    stats.skipped++;
                     results.push({
                         dscoOrderId,
-                        poNumber,
-                        status: 'not_found',
-                        reason: 'Shipment not found in ShipStation'
+                        poNumber: null,
+                        status: 'skipped',
+                        reason: 'No PO number'
                     });
-                    continue;
+                    return;
                 }
 
-                stats.foundInShipStation++;
-                console.log(`   ✅ Found in ShipStation: ${shipment.shipment_id}`);
-                console.log(`      Status: ${shipment.shipment_status}`);
+                try {
+                    // Find shipment in ShipStation
+                    const shipment = await findShipmentByPO(poNumber, shipstationClient, dscoOrderId);
+
+                    if (!shipment) {
+                        logger.info(`   ⏭️  NOT FOUND in ShipStation`);
+                        stats.notFound++;
+                        results.push({
+                            dscoOrderId,
+                            poNumber,
+                            status: 'not_found',
+                            reason: 'Shipment not found in ShipStation'
+                        });
+                        return;
+                    }
 
-                // Check if shipped
-                if (!isShipped(shipment)) {
-                    console.log(`   ⏭️  NOT SHIPPED yet (no label purchased)`);
-                    stats.skipped++;
-                    results.push({
-                        dscoOrderId,
-                        poNumber,
-                        shipmentId: shipment.shipment_id,
-                        status: 'not_shipped',
-                        reason: 'Label not purchased yet'
-                    });
-                    continue;
-                }
+                    stats.foundInShipStation++;
+                    logger.info(`   ✅ Found in ShipStation: ${shipment.shipment_id}`);
+                    logger.info(`      Status: ${shipment.shipment_status}`);
+
+                    // Check if shipped
+                    if (!isShipped(shipment)) {
+                        logger.info(`   ⏭️  NOT SHIPPED yet (no label purchased)`);
+                        stats.skipped++;
+                        results.push({
+                            dscoOrderId,
+                            poNumber,
+                            shipmentId: shipment.shipment_id,
+                            status: 'not_shipped',
+                            reason: 'Label not purchased yet'
+                        });
+                        return;
+                    }
 
-                stats.shipped++;
-                console.log(`   ✅ SHIPPED - Has label purchased`);
-
-                // Get tracking info
-                let trackingInfo = {
-                    tracking_number: shipment.tracking_number || null,
-                    carrier_id: shipment.carrier_id,
-                    carrier_code: shipment.carrier_code,
-                    carrier_name: shipment.carrier_name,
-                    ship_date: shipment.ship_date
-                };
+                    stats.shipped++;
+                    logger.info(`   ✅ SHIPPED - Has label purchased`);
+
+                    // Get tracking info
+                    let trackingInfo = {
+                        tracking_number: shipment.tracking_number || null,
+                        carrier_id: shipment.carrier_id,
+                        carrier_code: shipment.carrier_code,
+                        carrier_name: shipment.carrier_name,
+                        ship_date: shipment.ship_date
+                    };
                 
-                // If no tracking on shipment, try to get from label
-                if (!trackingInfo.tracking_number) {
-                    try {
-                        const labelsResponse = await shipstationClient.client.get('/v2/labels', {
-                            params: { shipment_id: shipment.shipment_id }
-                        });
-                        const labels = labelsResponse.data?.labels || [];
-                        if (labels.length > 0) {
-                            trackingInfo.tracking_number = labels[0].tracking_number;
-                            trackingInfo.carrier_code = labels[0].carrier_code;
+                    // If no tracking on shipment, try to get from label
+                    if (!trackingInfo.tracking_number) {
+                        try {
+                            const labelsResponse = await shipstationClient.client.get('/v2/labels', {
+                                params: { shipment_id: shipment.shipment_id }
+                            });
+                            const labels = labelsResponse.data?.labels || [];
+                            if (labels.length > 0) {
+                                trackingInfo.tracking_number = labels[0].tracking_number;
+                                trackingInfo.carrier_code = labels[0].carrier_code;
+                            }
+                        } catch (labelError) {
+                            // Continue without tracking
                         }
-                    } catch (labelError) {
-                        // Continue without tracking
                     }
-                }
 
-                console.log(`      Tracking: ${trackingInfo.tracking_number || 'N/A'}`);
+                    logger.info(`      Tracking: ${trackingInfo.tracking_number || 'N/A'}`);
+
+                    if (dryRun) {
+                        logger.info(`   🔍 DRY RUN: Would update Rithum order ${dscoOrderId}`);
+                        stats.updated++;
+                        results.push({
+                            dscoOrderId,
+                            poNumber,
+                            shipmentId: shipment.shipment_id,
+                            trackingNumber: trackingInfo.tracking_number,
+                            status: 'would_update',
+                            reason: 'Dry run mode'
+                        });
+                        return;
+                    }
 
-                if (dryRun) {
-                    console.log(`   🔍 DRY RUN: Would update Rithum order ${dscoOrderId}`);
-                    stats.updated++;
-                    results.push({
+                    // Update Rithum order
+                    logger.info(`   📤 Updating Rithum order...`);
+                    const updateResult = await updateRithumOrderTracking(
+                        rithumClient,
                         dscoOrderId,
-                        poNumber,
-                        shipmentId: shipment.shipment_id,
-                        trackingNumber: trackingInfo.tracking_number,
-                        status: 'would_update',
-                        reason: 'Dry run mode'
-                    });
-                    continue;
-                }
+                        shipment,
+                        trackingInfo,
+                        shipstationClient,
+                        shipment.shipment_id
+                    );
+
+                    if (updateResult.statusResponse?.skipped) {
+                        logger.info(`   ⏭️  SKIPPED: ${updateResult.statusResponse.reason}`);
+                        stats.skipped++;
+                        results.push({
+                            dscoOrderId,
+                            poNumber,
+                            shipmentId: shipment.shipment_id,
+                            trackingNumber: updateResult.trackingNumber,
+                            status: 'skipped',
+                            reason: updateResult.statusResponse.reason
+                        });
+                    } else {
+                        logger.info(`   ✅ UPDATED successfully`);
+                        logger.info(`      Request ID: ${updateResult.statusResponse?.requestId || 'N/A'}`);
+                        stats.updated++;
+                        results.push({
+                            dscoOrderId,
+                            poNumber,
+                            shipmentId: shipment.shipment_id,
+                            trackingNumber: updateResult.trackingNumber,
+                            status: 'updated',
+                            requestId: updateResult.statusResponse?.requestId
+                        });
+                    }
 
-                // Update Rithum order
-                console.log(`   📤 Updating Rithum order...`);
-                const updateResult = await updateRithumOrderTracking(
-                    rithumClient,
-                    dscoOrderId,
-                    shipment,
-                    trackingInfo,
-                    shipstationClient,
-                    shipment.shipment_id
-                );
-
-                if (updateResult.statusResponse?.skipped) {
-                    console.log(`   ⏭️  SKIPPED: ${updateResult.statusResponse.reason}`);
-                    stats.skipped++;
-                    results.push({
-                        dscoOrderId,
-                        poNumber,
-                        shipmentId: shipment.shipment_id,
-                        trackingNumber: updateResult.trackingNumber,
-                        status: 'skipped',
-                        reason: updateResult.statusResponse.reason
-                    });
-                } else {
-                    console.log(`   ✅ UPDATED successfully`);
-                    console.log(`      Request ID: ${updateResult.statusResponse?.requestId || 'N/A'}`);
-                    stats.updated++;
+                } catch (error) {
+                    logger.error(`   ❌ ERROR: ${error.message}`);
+                    stats.errors++;
                     results.push({
                         dscoOrderId,
                         poNumber,
-                        shipmentId: shipment.shipment_id,
-                        trackingNumber: updateResult.trackingNumber,
-                        status: 'updated',
-                        requestId: updateResult.statusResponse?.requestId
+                        status: 'error',
+                        error: error.message
                     });
                 }
-
-            } catch (error) {
-                console.error(`   ❌ ERROR: ${error.message}`);
-                stats.errors++;
-                results.push({
-                    dscoOrderId,
-                    poNumber,
-                    status: 'error',
-                    error: error.message
-                });
-            }
+            });
         }
 
         // Summary
-        console.log(`\n${'='.repeat(80)}`);
-        console.log(`📊 Sync Summary`);
-        console.log(`${'='.repeat(80)}`);
-        console.log(`   Total Checked: ${stats.totalChecked}`);
-        console.log(`   Found in ShipStation: ${stats.foundInShipStation}`);
-        console.log(`   With Shipped Labels: ${stats.shipped}`);
-        console.log(`   ✅ Updated: ${stats.updated}`);
-        console.log(`   ⏭️  Skipped: ${stats.skipped}`);
-        console.log(`   ❓ Not Found in ShipStation: ${stats.notFound}`);
-        console.log(`   ❌ Errors: ${stats.errors}`);
-        console.log(`${'='.repeat(80)}\n`);
+        logger.info(`\n${'='.repeat(80)}`);
+        logger.info(`📊 Sync Summary`);
+        logger.info(`${'='.repeat(80)}`);
+        logger.info(`   Total Checked: ${stats.totalChecked}`);
+        logger.info(`   Found in ShipStation: ${stats.foundInShipStation}`);
+        logger.info(`   With Shipped Labels: ${stats.shipped}`);
+        logger.info(`   ✅ Updated: ${stats.updated}`);
+        logger.info(`   ⏭️  Skipped: ${stats.skipped}`);
+        logger.info(`   ❓ Not Found in ShipStation: ${stats.notFound}`);
+        logger.info(`   ❌ Errors: ${stats.errors}`);
+        logger.info(`${'='.repeat(80)}\n`);
+
+        const failed = results.filter(result => result.status === 'error');
+        if (failed.length > 0 && !dryRun) {
+            await notifier.notify({
+                event: Notifier.EVENTS.ORDER_SYNC_FAILED,
+                severity: 'warning',
+                title: `${failed.length} acknowledged order(s) could not be synced to Rithum`,
+                message: failed.map(result => `PO ${result.poNumber || '-'} (order ${result.dscoOrderId}): ${result.error}`).join('\n'),
+                details: { orders: failed }
+            });
+        }
+        if (!options.notifier) {
+            await notifier.flush();
+        }
 
         return {
             success: stats.errors === 0,
@@ -335,7 +385,18 @@ async function syncAcknowledgedOrders(shipstationClient, rithumClient, options =
         };
 
     } catch (error) {
-        console.error(`\n❌ Error syncing orders:`, error.message);
+        logger.error(`\n❌ Error syncing orders`, { error });
+        if (!dryRun) {
+            await notifier.notify({
+                event: Notifier.EVENTS.ORDER_SYNC_FAILED,
+                severity: 'critical',
+                title: 'Acknowledged order sync failed',
+                message: error.message
+            });
+            if (!options.notifier) {
+                await notifier.flush();
+            }
+        }
         throw error;
     }
 }
@@ -403,7 +464,7 @@ Notes:
 
     try {
         // Initialize ShipStation client
-        console.log('🔧 Initializing ShipStation client...');
+        logger.info('🔧 Initializing ShipStation client...');
         validateShipStationConfig();
         const shipstationClient = new ShipStationClient(
             shipstationConfig.apiKey,
@@ -411,17 +472,17 @@ Notes:
             shipstationConfig.warehouseId,
             shipstationConfig.shipFrom
         );
-        console.log('✅ ShipStation client initialized');
+        logger.info('✅ ShipStation client initialized');
 
         // Initialize Rithum client
-        console.log('🔧 Initializing Rithum client...');
+        logger.info('🔧 Initializing Rithum client...');
         validateRithumConfig();
         const rithumClient = new RithumClient(
             rithumConfig.apiUrl,
             rithumConfig.clientId,
             rithumConfig.clientSecret
         );
-        console.log('✅ Rithum client initialized');
+        logger.info('✅ Rithum client initialized');
 
         // Sync orders
         const result = await syncAcknowledgedOrders(shipstationClient, rithumClient, {
@@ -430,19 +491,18 @@ Notes:
         });
 
         if (result.success && result.updated > 0) {
-            console.log('✅ Sync completed successfully');
+            logger.info('✅ Sync completed successfully');
             process.exit(0);
         } else if (result.updated === 0 && result.errors === 0) {
-            console.log('✅ All acknowledged orders are up to date');
+            logger.info('✅ All acknowledged orders are up to date');
             process.exit(0);
         } else {
-            console.log('⚠️  Sync completed with some errors');
+            logger.warn('⚠️  Sync completed with some errors');
             process.exit(1);
         }
 
     } catch (error) {
-        console.error('\n❌ Fatal error:', error.message);
-        console.error(error.stack);
+        logger.error('\n❌ Fatal error', { error });
         process.exit(1);
     }
 }
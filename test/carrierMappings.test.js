@@ -0,0 +1,89 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const CarrierMappings = require('../src/services/carrierMappings');
+
+function validMappings() {
+    return {
+        version: 1,
+        defaultCarrier: 'usps',
+        fallbackCarrierId: 'se-1',
+        carriers: {
+            usps: {
+                aliases: ['usps', 'generic'],
+                carrierIds: ['se-1'],
+                manifestId: 'USPS',
+                shipstationServices: [{ serviceCode: 'usps_ground_advantage' }],
+                rithumServiceLevels: [
+                    { service: 'priority', code: 'USPM' },
+                    { code: 'USGA' }
+                ]
+            },
+            fedex: {
+                aliases: ['fedex'],
+                carrierIds: ['se-2'],
+                manifestId: 'FedEx',
+                shipstationServices: [{ method: 'overnight', serviceCode: 'fedex_standard_overnight' }],
+                rithumServiceLevels: [
+                    { service: '2day|2_day', code: 'FEHD' },
+                    { code: 'FECG' }
+                ]
+            }
+        },
+        rithumShipmentCodes: { USPM: 'Priority Mail', USGA: null, FEHD: '2Day', FECG: 'Ground' },
+        defaultRithumShipmentCode: 'USGA',
+        defaultShipMethodName: 'Ground'
+    };
+}
+
+test('validate accepts a well-formed file and the shipped carrier-mappings.json', () => {
+    assert.deepEqual(CarrierMappings.validate(validMappings()), []);
+    assert.doesNotThrow(() => CarrierMappings.load());
+});
+
+test('validate reports every problem with its path', () => {
+    const data = validMappings();
+    data.version = 2;
+    data.defaultCarrier = 'dhl';
+    data.rithumShipmentCodes.bad = 'x';
+    data.carriers.fedex.aliases = [];
+    data.carriers.fedex.rithumServiceLevels.push({ code: 'NOPE' });
+    data.carriers.usps.shipstationServices.push({ serviceCode: 'x', method: '(' });
+    data.shipMethodCarriers = [{ method: 'express', carriers: ['dhl'], position: 'middle' }];
+
+    const errors = CarrierMappings.validate(data);
+    [
+        'version: must be one of 1 (got 2)',
+        'defaultCarrier: must be one of usps, fedex',
+        'rithumShipmentCodes.bad: codes are 4 upper-case characters',
+        'carriers.fedex.aliases: must be a non-empty array of strings',
+        'carriers.fedex.rithumServiceLevels[2].code: "NOPE" is not listed in rithumShipmentCodes',
+        'shipMethodCarriers[0].carriers: must list carriers defined in "carriers"',
+        'shipMethodCarriers[0].position: must be "first" or "last"'
+    ].forEach(expected => assert.ok(errors.includes(expected), `missing "${expected}" in ${JSON.stringify(errors)}`));
+    assert.ok(errors.some(error => error.startsWith('carriers.usps.shipstationServices[1].method')));
+});
+
+test('validate rejects anything but an object', () => {
+    assert.deepEqual(CarrierMappings.validate(null), ['file must contain a JSON object']);
+    assert.throws(() => new CarrierMappings({ version: 1 }), /Invalid carrier mappings/);
+});
+
+test('getRithumShipmentCode maps ShipStation carrier and service to a Rithum code', () => {
+    const mappings = new CarrierMappings(validMappings());
+
+    assert.equal(mappings.getRithumShipmentCode('stamps_com_generic', 'usps_priority_mail'), 'USPM');
+    assert.equal(mappings.getRithumShipmentCode('usps', 'usps_ground_advantage'), 'USGA');
+    assert.equal(mappings.getRithumShipmentCode('fedex', 'fedex_2day'), 'FEHD');
+    assert.equal(mappings.getRithumShipmentCode('fedex', 'fedex_ground'), 'FECG');
+    // The carrier can be recognised from the service code alone
+    assert.equal(mappings.getRithumShipmentCode(null, 'fedex_2day'), 'FEHD');
+});
+
+test('getRithumShipmentCode keeps existing Rithum codes and falls back to the default', () => {
+    const mappings = new CarrierMappings(validMappings());
+
+    assert.equal(mappings.getRithumShipmentCode('fedex', 'fehd'), 'FEHD');
+    assert.equal(mappings.getRithumShipmentCode('dhl', 'dhl_express'), 'USGA');
+    assert.equal(mappings.getShipMethodName('USGA'), 'Ground');
+    assert.equal(mappings.getShipMethodName('USPM'), 'Priority Mail');
+});
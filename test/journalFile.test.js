@@ -0,0 +1,96 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JournalFile = require('../src/services/journalFile');
+
+let dir;
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-test-'));
+});
+
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('readNew returns only entries appended since the previous read', async () => {
+    const journal = new JournalFile(path.join(dir, 'journal.jsonl'));
+    assert.deepEqual(await journal.readNew(), []);
+
+    await journal.append({ n: 1 });
+    await journal.append({ n: 2 });
+    assert.deepEqual(await journal.readNew(), [{ n: 1 }, { n: 2 }]);
+
+    await journal.append({ n: 3 });
+    assert.deepEqual(await journal.readNew(), [{ n: 3 }]);
+    assert.deepEqual(await journal.readAll(), [{ n: 1 }, { n: 2 }, { n: 3 }]);
+});
+
+test('a partly written line is held back until it is complete', async () => {
+    const filePath = path.join(dir, 'journal.jsonl');
+    const journal = new JournalFile(filePath);
+
+    fs.writeFileSync(filePath, '{"n":1}\n{"n":');
+    assert.deepEqual(await journal.readNew(), [{ n: 1 }]);
+
+    fs.appendFileSync(filePath, '2}\n');
+    assert.deepEqual(await journal.readNew(), [{ n: 2 }]);
+});
+
+test('corrupt lines are skipped', async () => {
+    const filePath = path.join(dir, 'journal.jsonl');
+    fs.writeFileSync(filePath, '{"n":1}\nnot json\n{"n":2}\n');
+
+    assert.deepEqual(await new JournalFile(filePath).readNew(), [{ n: 1 }, { n: 2 }]);
+});
+
+test('rewrite keeps what the transform returns and later appends follow it', async () => {
+    const journal = new JournalFile(path.join(dir, 'journal.jsonl'));
+    for (const n of [1, 2, 3, 4]) {
+        await journal.append({ n });
+    }
+    await journal.readNew();
+
+    assert.equal(await journal.rewrite(entries => entries.filter(entry => entry.n % 2 === 0)), 2);
+    await journal.append({ n: 5 });
+
+    assert.deepEqual(await journal.readNew(), [{ n: 5 }]);
+    assert.deepEqual(await journal.readAll(), [{ n: 2 }, { n: 4 }, { n: 5 }]);
+});
+
+test('a reader replays a shared journal from the start once another writer replaces it', async () => {
+    const filePath = path.join(dir, 'journal.jsonl');
+    let replaced = 0;
+    const reader = new JournalFile(filePath, { shared: true, onReplace: () => replaced++ });
+    const writer = new JournalFile(filePath, { shared: true });
+
+    for (const n of [1, 2, 3]) {
+        await writer.append({ n });
+    }
+    assert.equal((await reader.readNew()).length, 3);
+
+    await writer.rewrite(entries => entries.filter(entry => entry.n !== 1));
+    await writer.append({ n: 4 });
+    await writer.append({ n: 5 });
+
+    // The new file is longer than the offset the reader had reached, so only the inode shows the change
+    assert.deepEqual(await reader.readNew(), [{ n: 2 }, { n: 3 }, { n: 4 }, { n: 5 }]);
+    assert.equal(replaced, 1);
+    assert.equal(fs.existsSync(`${filePath}.lock`), false);
+});
+
+test('a stale lock left by a dead process is removed', async () => {
+    const filePath = path.join(dir, 'journal.jsonl');
+    const lockPath = `${filePath}.lock`;
+    fs.writeFileSync(lockPath, '');
+    const longAgo = new Date(Date.now() - 60 * 60 * 1000);
+    fs.utimesSync(lockPath, longAgo, longAgo);
+
+    const journal = new JournalFile(filePath, { shared: true });
+    await journal.append({ n: 1 });
+
+    assert.deepEqual(await journal.readAll(), [{ n: 1 }]);
+    assert.equal(fs.existsSync(lockPath), false);
+});
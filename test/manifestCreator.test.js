@@ -0,0 +1,112 @@
+// Days are server local days - pin the zone so the day boundaries below are known
+process.env.TZ = 'America/Los_Angeles';
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ManifestCreator = require('../src/services/manifestCreator');
+const OrderLedger = require('../src/services/orderLedger');
+
+let dir;
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'manifest-test-'));
+});
+
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * ShipStation client double recording the calls the close-out makes
+ */
+function createClient({ failManifests = 0 } = {}) {
+    const calls = { listLabels: [], createManifest: 0, schedulePickup: [] };
+    return {
+        calls,
+        async listLabels(params) {
+            calls.listLabels.push(params);
+            return [
+                { label_id: 'se-l1', shipment_id: 'se-s1', carrier_id: 'se-c1', shipment: { warehouse_id: 'se-w1' } },
+                { label_id: 'se-l2', shipment_id: 'se-s2', carrier_id: 'se-c1', shipment: { warehouse_id: 'se-w1' }, voided: true }
+            ];
+        },
+        async listManifests() {
+            return [];
+        },
+        async createManifest({ labelIds }) {
+            calls.createManifest++;
+            if (calls.createManifest <= failManifests) {
+                throw new Error('carrier unavailable');
+            }
+            return [{ manifest_id: `se-m${calls.createManifest}`, label_ids: labelIds }];
+        },
+        async schedulePickup(request) {
+            calls.schedulePickup.push(request);
+            return { pickup_id: `se-p${calls.schedulePickup.length}`, confirmation_number: 'C1' };
+        }
+    };
+}
+
+function createManifestCreator(client) {
+    return new ManifestCreator(client, {
+        ledger: new OrderLedger({ filePath: path.join(dir, 'order-ledger.jsonl'), source: 'test' }),
+        manifestDir: dir,
+        pickup: { enabled: true, windowStart: '15:00', windowEnd: '18:00' }
+    });
+}
+
+test('localDay is the calendar day in server local time', () => {
+    assert.equal(ManifestCreator.localDay(new Date('2026-03-10T06:30:00Z')), '2026-03-09');
+    assert.equal(ManifestCreator.localDay(new Date('2026-03-10T08:00:00Z')), '2026-03-10');
+});
+
+test('labels and the pickup window use the same local day', async () => {
+    const client = createClient();
+    // Clocks go forward this morning, so the day is 23 hours long
+    const report = await createManifestCreator(client).run({ day: '2026-03-08' });
+
+    assert.deepEqual(client.calls.listLabels[0], {
+        label_status: 'completed',
+        created_at_start: '2026-03-08T08:00:00.000Z',
+        created_at_end: '2026-03-09T06:59:59.999Z'
+    });
+    assert.deepEqual(client.calls.schedulePickup[0].pickupWindow, {
+        start_at: '2026-03-08T22:00:00.000Z',
+        end_at: '2026-03-09T01:00:00.000Z'
+    });
+    assert.equal(report.failed, 0);
+    // Voided labels are not manifested
+    assert.deepEqual(report.groups[0].manifests[0].labelIds, ['se-l1']);
+});
+
+test('a re-run after a failed manifest does not book the pickup again', async () => {
+    const client = createClient({ failManifests: 1 });
+    const creator = createManifestCreator(client);
+
+    const first = await creator.run({ day: '2026-03-09' });
+    assert.equal(first.failed, 1);
+    assert.equal(first.groups[0].pickup.pickupId, 'se-p1');
+
+    const retry = await creator.run({ day: '2026-03-09' });
+    assert.equal(retry.failed, 0);
+    assert.equal(client.calls.schedulePickup.length, 1);
+    assert.deepEqual(retry.groups[0].pickup, {
+        pickupId: 'se-p1',
+        confirmationNumber: 'C1',
+        pickupWindows: [],
+        bookedEarlier: true
+    });
+});
+
+test('a dry run books nothing and writes no index', async () => {
+    const client = createClient();
+    const report = await createManifestCreator(client).run({ day: '2026-03-09', dryRun: true });
+
+    assert.equal(report.groups[0].labelCount, 1);
+    assert.equal(client.calls.createManifest, 0);
+    assert.equal(client.calls.schedulePickup.length, 0);
+    assert.equal(fs.existsSync(path.join(dir, '2026-03-09.json')), false);
+});
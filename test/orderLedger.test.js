@@ -0,0 +1,124 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const OrderLedger = require('../src/services/orderLedger');
+
+const LEDGER_EVENTS = OrderLedger.EVENTS;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let dir;
+let filePath;
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ledger-test-'));
+    filePath = path.join(dir, 'order-ledger.jsonl');
+});
+
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function writeEntries(entries) {
+    fs.writeFileSync(filePath, entries.map(entry => JSON.stringify(entry) + '\n').join(''));
+}
+
+function daysAgo(days) {
+    return new Date(Date.now() - days * DAY_MS).toISOString();
+}
+
+test('record builds the order state and any identifier finds it', async () => {
+    const ledger = new OrderLedger({ filePath, source: 'test' });
+    await ledger.record(LEDGER_EVENTS.PULLED, { dscoOrderId: 1001, poNumber: 'PO-1' });
+    await ledger.record(LEDGER_EVENTS.SHIPSTATION_CREATED, { dscoOrderId: '1001', shipmentId: 'se-1' });
+    await ledger.record(LEDGER_EVENTS.LABEL_PURCHASED, { shipmentId: 'se-1' }, { trackingNumber: 'T1' });
+    await ledger.record(LEDGER_EVENTS.RITHUM_SHIPMENT_FAILED, { poNumber: 'PO-1' }, {}, new Error('boom'));
+
+    const order = await ledger.getOrder({ shipmentId: 'se-1' });
+    assert.equal(order.key, '1001');
+    assert.equal(order.poNumber, 'PO-1');
+    assert.deepEqual(order.shipmentIds, ['se-1']);
+    assert.deepEqual(order.trackingNumbers, ['T1']);
+    assert.equal(order.state, LEDGER_EVENTS.RITHUM_SHIPMENT_FAILED);
+    assert.equal(order.lastError.message, 'boom');
+    assert.equal(order.history.length, 4);
+    assert.equal(await ledger.getOrder({ poNumber: 'PO-1' }), order);
+});
+
+test('entries without identifiers are not written', async () => {
+    const ledger = new OrderLedger({ filePath, source: 'test' });
+
+    assert.equal(await ledger.record(LEDGER_EVENTS.PULLED, {}), null);
+    assert.equal(fs.existsSync(filePath), false);
+});
+
+test('an order first seen by shipment is merged once its dscoOrderId is known', async () => {
+    const ledger = new OrderLedger({ filePath, source: 'test' });
+    await ledger.record(LEDGER_EVENTS.LABEL_PURCHASED, { shipmentId: 'se-9' }, { trackingNumber: 'T9' });
+    await ledger.record(LEDGER_EVENTS.PULLED, { dscoOrderId: '2002', poNumber: 'PO-2', shipmentId: 'se-9' });
+
+    const orders = await ledger.listOrders();
+    assert.equal(orders.length, 1);
+    assert.equal(orders[0].key, '2002');
+    assert.deepEqual(orders[0].trackingNumbers, ['T9']);
+    assert.deepEqual(orders[0].history.map(entry => entry.event), [LEDGER_EVENTS.LABEL_PURCHASED, LEDGER_EVENTS.PULLED]);
+});
+
+test('a new instance replays the journal and sees entries other writers add', async () => {
+    const writer = new OrderLedger({ filePath, source: 'cron' });
+    await writer.record(LEDGER_EVENTS.PULLED, { dscoOrderId: '3003', poNumber: 'PO-3' });
+    await writer.recordRun({ pulled: 1 });
+
+    const reader = new OrderLedger({ filePath, source: 'webhook' });
+    assert.equal((await reader.getOrder({ dscoOrderId: '3003' })).state, LEDGER_EVENTS.PULLED);
+    assert.equal((await reader.getLastRun()).pulled, 1);
+
+    await writer.record(LEDGER_EVENTS.SHIPSTATION_CREATED, { dscoOrderId: '3003', shipmentId: 'se-3' });
+    assert.equal((await reader.getOrder({ shipmentId: 'se-3' })).state, LEDGER_EVENTS.SHIPSTATION_CREATED);
+});
+
+test('orders past the retention window are dropped from memory and from the journal', async () => {
+    writeEntries([
+        { timestamp: daysAgo(120), event: LEDGER_EVENTS.PULLED, dscoOrderId: 'OLD', poNumber: 'PO-OLD', details: {} },
+        { timestamp: daysAgo(100), event: LEDGER_EVENTS.SHIPSTATION_CREATED, dscoOrderId: 'OLD', shipmentId: 'se-old', details: {} },
+        { timestamp: daysAgo(100), event: LEDGER_EVENTS.PULLED, dscoOrderId: 'ACTIVE', details: {} },
+        { timestamp: daysAgo(100), event: LEDGER_EVENTS.RUN_COMPLETED, details: { pulled: 2 } },
+        { timestamp: daysAgo(1), event: LEDGER_EVENTS.LABEL_PURCHASED, dscoOrderId: 'ACTIVE', details: {} }
+    ]);
+
+    const ledger = new OrderLedger({ filePath, source: 'test', retentionDays: 90 });
+    assert.deepEqual((await ledger.listOrders()).map(order => order.key), ['ACTIVE']);
+    assert.equal(await ledger.getOrder({ poNumber: 'PO-OLD' }), null);
+    assert.equal((await ledger.getOrder({ dscoOrderId: 'ACTIVE' })).history.length, 2);
+    assert.equal((await ledger.getRuns()).length, 1);
+
+    const kept = fs.readFileSync(filePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(kept.map(entry => entry.dscoOrderId || entry.event),
+        ['ACTIVE', LEDGER_EVENTS.RUN_COMPLETED, 'ACTIVE']);
+});
+
+test('a retention of 0 keeps every order', async () => {
+    writeEntries([
+        { timestamp: daysAgo(400), event: LEDGER_EVENTS.PULLED, dscoOrderId: 'OLD', details: {} }
+    ]);
+
+    const ledger = new OrderLedger({ filePath, source: 'test', retentionDays: 0 });
+    assert.equal((await ledger.listOrders()).length, 1);
+    assert.equal(fs.readFileSync(filePath, 'utf8').trim().split('\n').length, 1);
+});
+
+test('another process compacting the journal does not duplicate history', async () => {
+    writeEntries([
+        { timestamp: daysAgo(200), event: LEDGER_EVENTS.PULLED, dscoOrderId: 'OLD', details: {} }
+    ]);
+    const reader = new OrderLedger({ filePath, source: 'webhook', retentionDays: 0 });
+    await reader.record(LEDGER_EVENTS.PULLED, { dscoOrderId: '4004' });
+
+    const compactor = new OrderLedger({ filePath, source: 'cron', retentionDays: 90 });
+    await compactor.record(LEDGER_EVENTS.SHIPSTATION_CREATED, { dscoOrderId: '4004', shipmentId: 'se-4' });
+
+    const order = await reader.getOrder({ dscoOrderId: '4004' });
+    assert.deepEqual(order.history.map(entry => entry.event), [LEDGER_EVENTS.PULLED, LEDGER_EVENTS.SHIPSTATION_CREATED]);
+    assert.deepEqual((await reader.listOrders()).map(candidate => candidate.key), ['4004']);
+});
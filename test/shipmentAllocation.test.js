@@ -0,0 +1,87 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    capToOutstanding,
+    allocateByContents,
+    spreadLineItems
+} = require('../webhook_shipstation_update_Rithum');
+
+const quantities = boxes => boxes.map(box => box.map(item => `${item.sku}x${item.quantity}`));
+
+test('capToOutstanding passes line items through when the Rithum order is unknown', () => {
+    const lineItems = [{ sku: 'A', quantity: 3 }];
+
+    assert.deepEqual(capToOutstanding(lineItems, null), { lineItems, outstandingAfter: null });
+});
+
+test('capToOutstanding never ships more than a line still expects', () => {
+    const rithumOrder = {
+        lineItems: [
+            { dscoItemId: 11, sku: 'A', quantity: 5, shippedQuantity: 3 },
+            { dscoItemId: 12, sku: 'B', quantity: 2, cancelledQuantity: 2 },
+            { dscoItemId: 13, sku: 'C', quantity: 4, remainingQuantity: 4 }
+        ]
+    };
+    const { lineItems, outstandingAfter } = capToOutstanding([
+        { dscoItemId: '11', sku: 'A', quantity: 4 },
+        { sku: 'B', quantity: 1 },
+        { sku: 'C', quantity: 1 },
+        { sku: 'UNKNOWN', quantity: 7 }
+    ], rithumOrder);
+
+    assert.deepEqual(lineItems.map(item => [item.sku, item.quantity]), [['A', 2], ['C', 1], ['UNKNOWN', 7]]);
+    assert.equal(outstandingAfter, 3);
+});
+
+test('capToOutstanding counts units already reported in Rithum packages', () => {
+    const rithumOrder = {
+        lineItems: [{ dscoItemId: 21, sku: 'A', quantity: 3 }],
+        packages: [{ items: [{ dscoItemId: 21, quantity: 2 }] }]
+    };
+
+    const { lineItems, outstandingAfter } = capToOutstanding([{ sku: 'A', quantity: 3 }], rithumOrder);
+    assert.deepEqual(lineItems.map(item => item.quantity), [1]);
+    assert.equal(outstandingAfter, 0);
+});
+
+test('allocateByContents follows the box contents recorded in ShipStation', () => {
+    const lineItems = [{ sku: 'A', quantity: 3 }, { sku: 'B', quantity: 1 }];
+    const packages = [
+        { products: [{ sku: 'A', quantity: 2 }] },
+        { products: [{ sku: 'A', quantity: 1 }, { sku: 'B', quantity: 1 }] }
+    ];
+
+    assert.deepEqual(quantities(allocateByContents(lineItems, packages)), [['Ax2'], ['Ax1', 'Bx1']]);
+});
+
+test('allocateByContents reports units the contents miss with the first box', () => {
+    const lineItems = [{ sku: 'A', quantity: 2 }, { sku: 'B', quantity: 1 }];
+    const packages = [{ products: [{ sku: 'A', quantity: 1 }] }, { products: [{ sku: 'A', quantity: 1 }] }];
+
+    assert.deepEqual(quantities(allocateByContents(lineItems, packages)), [['Ax1', 'Bx1'], ['Ax1']]);
+});
+
+test('allocateByContents gives up when a box has no known contents', () => {
+    const lineItems = [{ sku: 'A', quantity: 2 }];
+
+    assert.equal(allocateByContents(lineItems, [{ products: [{ sku: 'A', quantity: 2 }] }, { products: [] }]), null);
+    // Contents that leave a box empty are no better than none
+    assert.equal(allocateByContents(lineItems, [
+        { products: [{ sku: 'A', quantity: 2 }] },
+        { products: [{ sku: 'Z', quantity: 1 }] }
+    ]), null);
+});
+
+test('spreadLineItems deals units across boxes and flags items split between them', () => {
+    const boxes = spreadLineItems([{ sku: 'A', quantity: 3 }, { sku: 'B', quantity: 1 }], 2);
+
+    assert.deepEqual(quantities(boxes), [['Ax2'], ['Ax1', 'Bx1']]);
+    assert.equal(boxes[0][0].packageSpanFlag, true);
+    assert.equal(boxes[1][1].packageSpanFlag, undefined);
+});
+
+test('spreadLineItems fills no more boxes than there are units', () => {
+    const boxes = spreadLineItems([{ sku: 'A', quantity: 2 }], 5);
+
+    assert.deepEqual(quantities(boxes), [['Ax1'], ['Ax1']]);
+});
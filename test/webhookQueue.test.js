@@ -0,0 +1,121 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WebhookQueue = require('../src/services/webhookQueue');
+
+let dir;
+let filePath;
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'queue-test-'));
+    filePath = path.join(dir, 'webhook-queue.jsonl');
+});
+
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('retry delay doubles from the base and is capped', () => {
+    const queue = new WebhookQueue({ filePath, retryBaseSeconds: 30, retryMaxMinutes: 5 });
+
+    assert.deepEqual([1, 2, 3, 4, 5, 6].map(attempts => queue.getRetryDelayMs(attempts) / 1000),
+        [30, 60, 120, 240, 300, 300]);
+});
+
+test('a failed attempt is scheduled for retry and a later success completes the job', async () => {
+    const queue = new WebhookQueue({ filePath, retryBaseSeconds: 30 });
+    const job = await queue.enqueue({ resource_url: 'https://example.test/1' });
+
+    // Jobs are run one attempt at a time below rather than by the worker
+    let calls = 0;
+    queue.processor = async () => {
+        calls++;
+        if (calls === 1) {
+            throw new Error('Rithum unavailable');
+        }
+    };
+    const before = Date.now();
+    await queue.runJob(job);
+
+    assert.equal(job.attempts, 1);
+    assert.equal(job.lastError, 'Rithum unavailable');
+    assert.ok(Date.parse(job.nextAttemptAt) >= before + 30 * 1000);
+    assert.equal(queue.nextDueJob(), null);
+
+    await queue.runJob(job);
+    assert.deepEqual(await queue.getStats(), {
+        queueFile: filePath,
+        pending: 0,
+        retrying: 0,
+        deadLettered: 0,
+        completed: 1,
+        maxAttempts: 8
+    });
+});
+
+test('a job is dead-lettered after maxAttempts, alerted, and can be replayed', async () => {
+    const alerts = [];
+    const queue = new WebhookQueue({
+        filePath,
+        maxAttempts: 2,
+        notifier: { notify: async alert => alerts.push(alert) }
+    });
+    const job = await queue.enqueue({ resource_url: 'https://example.test/2' });
+    queue.processor = async () => {
+        throw new Error('bad payload');
+    };
+    await queue.runJob(job);
+    await queue.runJob(job);
+
+    const deadLetters = await queue.listDeadLetters();
+    assert.deepEqual(deadLetters.map(dead => dead.id), [job.id]);
+    assert.equal(deadLetters[0].attempts, 2);
+    assert.equal(alerts.length, 1);
+    assert.equal(alerts[0].details.jobId, job.id);
+
+    // The dead letter survives a restart
+    const restarted = new WebhookQueue({ filePath, maxAttempts: 2 });
+    assert.equal((await restarted.getStats()).deadLettered, 1);
+
+    assert.equal(await restarted.replay('no-such-job'), null);
+    const replayed = await restarted.replay(job.id);
+    assert.equal(replayed.status, 'pending');
+    assert.equal(replayed.attempts, 0);
+});
+
+test('pending jobs are picked up again after a restart', async () => {
+    const queue = new WebhookQueue({ filePath });
+    const job = await queue.enqueue({ resource_url: 'https://example.test/3' });
+
+    const restarted = new WebhookQueue({ filePath });
+    await restarted.load();
+    assert.equal(restarted.nextDueJob().id, job.id);
+});
+
+test('a redelivered webhook is not queued twice, even after a restart or compaction', async () => {
+    const queue = new WebhookQueue({ filePath, compactAfter: 1 });
+    const job = await queue.enqueue({ n: 1 }, { deliveryId: 'delivery-1' });
+    assert.equal(await queue.enqueue({ n: 1 }, { deliveryId: 'delivery-1' }), null);
+
+    queue.processor = async () => {};
+    await queue.runJob(job);
+
+    // compactAfter: 1 rewrote the journal after the job completed
+    const entries = fs.readFileSync(filePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(entries.map(entry => entry.type), [WebhookQueue.EVENTS.COMPACTED]);
+
+    const restarted = new WebhookQueue({ filePath });
+    assert.equal(await restarted.enqueue({ n: 1 }, { deliveryId: 'delivery-1' }), null);
+    assert.equal((await restarted.getStats()).completed, 1);
+    assert.notEqual(await restarted.enqueue({ n: 2 }, { deliveryId: 'delivery-2' }), null);
+});
+
+test('delivery IDs are forgotten once the replay window has passed', async () => {
+    const queue = new WebhookQueue({ filePath, replayWindowMinutes: 10 });
+    await queue.enqueue({ n: 1 }, { deliveryId: 'delivery-1' });
+
+    queue.deliveries.set('delivery-1', new Date(Date.now() - 11 * 60 * 1000).toISOString());
+    assert.notEqual(await queue.enqueue({ n: 1 }, { deliveryId: 'delivery-1' }), null);
+});
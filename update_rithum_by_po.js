@@ -1,42 +1,85 @@
 require('dotenv').config();
 const ShipStationClient = require('./src/services/shipstationClient');
 const RithumClient = require('./src/services/rithumClient');
+const OrderLedger = require('./src/services/orderLedger');
+const OrderResolver = require('./src/services/orderResolver');
+const Logger = require('./src/services/logger');
 const { shipstationConfig, validateConfig: validateShipStationConfig } = require('./src/config/shipstationConfig');
 const { rithumConfig, validateConfig: validateRithumConfig } = require('./src/config/rithumConfig');
 
-// Import functions from the batch script
+// Import functions from the webhook script
 const {
     updateRithumOrderTracking,
-    extractRithumOrderId
-} = require('./update_rithum_from_batch');
+    extractRithumOrderId,
+    withOrderContext
+} = require('./webhook_shipstation_update_Rithum');
+
+const logger = Logger.child({ module: 'updateRithumByPo' });
 
 /**
  * Find and update a single order by PO number
  */
 async function updateOrderByPO(poNumber, shipstationClient, rithumClient) {
-    console.log(`\n${'='.repeat(80)}`);
-    console.log(`🔍 Searching for Order with PO Number: ${poNumber}`);
-    console.log(`${'='.repeat(80)}\n`);
+    logger.info(`\n${'='.repeat(80)}`);
+    logger.info(`🔍 Searching for Order with PO Number: ${poNumber}`);
+    logger.info(`${'='.repeat(80)}\n`);
 
     try {
-        // Method 1: Try to find shipment by external_shipment_id (usually matches PO number)
-        console.log(`📋 Method 1: Searching by external_shipment_id...`);
         let shipment = null;
-        
+
+        // Resolve the Rithum order first - the argument may be a PO number or a dscoOrderId
+        let rithumOrder = null;
         try {
-            shipment = await shipstationClient.getShipmentByExternalId(poNumber);
-            if (shipment && shipment.shipment_id) {
-                console.log(`✅ Found shipment by external_shipment_id: ${shipment.shipment_id}`);
-            }
+            rithumOrder = await new OrderResolver(rithumClient).resolve({
+                dscoOrderId: /^\d+$/.test(poNumber) ? poNumber : null,
+                poNumber
+            });
         } catch (error) {
-            if (error.response?.status !== 404) {
-                console.warn(`   ⚠️  Error searching by external_shipment_id: ${error.message}`);
+            logger.warn(`⚠️  Could not look up order in Rithum: ${error.message}`);
+        }
+        if (rithumOrder) {
+            logger.info(`🔗 Rithum order ${rithumOrder.dscoOrderId} (PO: ${rithumOrder.poNumber || 'N/A'}, lifecycle: ${rithumOrder.dscoLifecycle})`);
+        } else {
+            logger.warn(`⚠️  Order not found in Rithum by dscoOrderId or PO number`);
+        }
+        const dscoOrderId = rithumOrder?.dscoOrderId || null;
+
+        // Method 0: Use the shipment recorded in the order ledger, if any
+        const ledgerOrder = await new OrderLedger().getOrder({ dscoOrderId: dscoOrderId || poNumber, poNumber });
+        if (ledgerOrder && ledgerOrder.shipmentIds.length > 0) {
+            const shipmentId = ledgerOrder.shipmentIds[ledgerOrder.shipmentIds.length - 1];
+            logger.info(`📋 Method 0: Found shipment ${shipmentId} in order ledger (state: ${ledgerOrder.state})`);
+            try {
+                shipment = await shipstationClient.getShipmentById(shipmentId);
+            } catch (error) {
+                logger.warn(`   ⚠️  Error fetching ledger shipment: ${error.message}`);
+            }
+        }
+
+        // Method 1: Try to find shipment by external_shipment_id (the intake job uses the dscoOrderId)
+        const externalIds = [...new Set([dscoOrderId, poNumber].filter(Boolean))];
+        for (const externalId of externalIds) {
+            if (shipment) {
+                break;
+            }
+            logger.info(`📋 Method 1: Searching by external_shipment_id ${externalId}...`);
+            try {
+                shipment = await shipstationClient.getShipmentByExternalId(externalId);
+                if (shipment && shipment.shipment_id) {
+                    logger.info(`✅ Found shipment by external_shipment_id: ${shipment.shipment_id}`);
+                } else {
+                    shipment = null;
+                }
+            } catch (error) {
+                if (error.response?.status !== 404) {
+                    logger.warn(`   ⚠️  Error searching by external_shipment_id: ${error.message}`);
+                }
             }
         }
 
         // Method 2: Try to find by shipment_number
         if (!shipment) {
-            console.log(`📋 Method 2: Searching by shipment_number...`);
+            logger.info(`📋 Method 2: Searching by shipment_number...`);
             try {
                 const response = await shipstationClient.client.get('/v2/shipments', {
                     params: {
@@ -48,16 +91,16 @@ async function updateOrderByPO(poNumber, shipstationClient, rithumClient) {
                 const shipments = response.data?.shipments || [];
                 if (shipments.length > 0) {
                     shipment = shipments[0];
-                    console.log(`✅ Found shipment by shipment_number: ${shipment.shipment_id}`);
+                    logger.info(`✅ Found shipment by shipment_number: ${shipment.shipment_id}`);
                 }
             } catch (error) {
-                console.warn(`   ⚠️  Error searching by shipment_number: ${error.message}`);
+                logger.warn(`   ⚠️  Error searching by shipment_number: ${error.message}`);
             }
         }
 
         // Method 3: Search recent shipments and match
         if (!shipment) {
-            console.log(`📋 Method 3: Searching recent shipments...`);
+            logger.info(`📋 Method 3: Searching recent shipments...`);
             try {
                 // Search last 30 days
                 const endDate = new Date();
@@ -73,7 +116,7 @@ async function updateOrderByPO(poNumber, shipstationClient, rithumClient) {
                 });
                 
                 const shipments = response.data?.shipments || [];
-                console.log(`   Found ${shipments.length} shipments in last 30 days`);
+                logger.info(`   Found ${shipments.length} shipments in last 30 days`);
                 
                 // Search for matching PO number
                 shipment = shipments.find(s => 
@@ -83,19 +126,19 @@ async function updateOrderByPO(poNumber, shipstationClient, rithumClient) {
                 );
                 
                 if (shipment) {
-                    console.log(`✅ Found shipment in recent orders: ${shipment.shipment_id}`);
+                    logger.info(`✅ Found shipment in recent orders: ${shipment.shipment_id}`);
                 }
             } catch (error) {
-                console.warn(`   ⚠️  Error searching recent shipments: ${error.message}`);
+                logger.warn(`   ⚠️  Error searching recent shipments: ${error.message}`);
             }
         }
 
         if (!shipment) {
-            console.log(`\n❌ No shipment found for PO Number: ${poNumber}`);
-            console.log(`\n💡 Tips:`);
-            console.log(`   - Verify the PO number is correct`);
-            console.log(`   - Check if the order exists in ShipStation`);
-            console.log(`   - The order might be older than 30 days\n`);
+            logger.error(`\n❌ No shipment found for PO Number: ${poNumber}`);
+            logger.info(`\n💡 Tips:`);
+            logger.info(`   - Verify the PO number is correct`);
+            logger.info(`   - Check if the order exists in ShipStation`);
+            logger.info(`   - The order might be older than 30 days\n`);
             return {
                 success: false,
                 poNumber,
@@ -104,19 +147,19 @@ async function updateOrderByPO(poNumber, shipstationClient, rithumClient) {
         }
 
         // Display shipment info
-        console.log(`\n📦 Shipment Details:`);
-        console.log(`   Shipment ID: ${shipment.shipment_id}`);
-        console.log(`   Shipment Number: ${shipment.shipment_number}`);
-        console.log(`   External ID: ${shipment.external_shipment_id || 'N/A'}`);
-        console.log(`   Status: ${shipment.shipment_status}`);
-        console.log(`   Created: ${shipment.created_at}`);
-        console.log(`   Tracking: ${shipment.tracking_number || 'N/A'}`);
+        logger.info(`\n📦 Shipment Details:`);
+        logger.info(`   Shipment ID: ${shipment.shipment_id}`);
+        logger.info(`   Shipment Number: ${shipment.shipment_number}`);
+        logger.info(`   External ID: ${shipment.external_shipment_id || 'N/A'}`);
+        logger.info(`   Status: ${shipment.shipment_status}`);
+        logger.info(`   Created: ${shipment.created_at}`);
+        logger.info(`   Tracking: ${shipment.tracking_number || 'N/A'}`);
 
         // Check if shipment has a label (is shipped)
         if (shipment.shipment_status !== 'label_purchased' && !shipment.tracking_number) {
-            console.log(`\n⚠️  WARNING: Shipment does not have a purchased label yet`);
-            console.log(`   Status: ${shipment.shipment_status}`);
-            console.log(`   You may need to purchase a label first in ShipStation\n`);
+            logger.warn(`\n⚠️  WARNING: Shipment does not have a purchased label yet`);
+            logger.warn(`   Status: ${shipment.shipment_status}`);
+            logger.warn(`   You may need to purchase a label first in ShipStation\n`);
             
             const readline = require('readline').createInterface({
                 input: process.stdin,
@@ -129,7 +172,7 @@ async function updateOrderByPO(poNumber, shipstationClient, rithumClient) {
             readline.close();
             
             if (answer.toLowerCase() !== 'y') {
-                console.log('Operation cancelled by user\n');
+                logger.info('Operation cancelled by user\n');
                 return {
                     success: false,
                     poNumber,
@@ -139,13 +182,13 @@ async function updateOrderByPO(poNumber, shipstationClient, rithumClient) {
         }
 
         // Extract Rithum order ID
-        console.log(`\n🔍 Extracting Rithum Order ID...`);
-        const rithumOrderId = await extractRithumOrderId(shipment, shipstationClient);
+        logger.info(`\n🔍 Extracting Rithum Order ID...`);
+        const rithumOrderId = dscoOrderId || await extractRithumOrderId(shipment, shipstationClient, rithumClient);
 
         if (!rithumOrderId) {
-            console.log(`\n❌ Could not find Rithum Order ID`);
-            console.log(`   This shipment may not have been created through the middleware`);
-            console.log(`   Or the Rithum Order ID was not stored in tags/external_shipment_id\n`);
+            logger.error(`\n❌ Could not find Rithum Order ID`);
+            logger.error(`   This shipment may not have been created through the middleware`);
+            logger.error(`   Or the Rithum Order ID was not stored in tags/external_shipment_id\n`);
             return {
                 success: false,
                 poNumber,
@@ -154,7 +197,7 @@ async function updateOrderByPO(poNumber, shipstationClient, rithumClient) {
             };
         }
 
-        console.log(`✅ Rithum Order ID: ${rithumOrderId}`);
+        logger.info(`✅ Rithum Order ID: ${rithumOrderId}`);
 
         // Get tracking info
         let trackingInfo = {
@@ -168,7 +211,7 @@ async function updateOrderByPO(poNumber, shipstationClient, rithumClient) {
         // If no tracking on shipment, try to get from label
         if (!trackingInfo.tracking_number) {
             try {
-                console.log(`\n🔍 Fetching label for tracking information...`);
+                logger.info(`\n🔍 Fetching label for tracking information...`);
                 const labelsResponse = await shipstationClient.client.get('/v2/labels', {
                     params: { shipment_id: shipment.shipment_id }
                 });
@@ -177,15 +220,15 @@ async function updateOrderByPO(poNumber, shipstationClient, rithumClient) {
                     trackingInfo.tracking_number = labels[0].tracking_number;
                     trackingInfo.carrier_code = labels[0].carrier_code;
                     trackingInfo.carrier_name = labels[0].carrier_code;
-                    console.log(`   ✅ Found tracking: ${trackingInfo.tracking_number}`);
+                    logger.info(`   ✅ Found tracking: ${trackingInfo.tracking_number}`);
                 }
             } catch (labelError) {
-                console.warn(`   ⚠️  Could not fetch label: ${labelError.message}`);
+                logger.warn(`   ⚠️  Could not fetch label: ${labelError.message}`);
             }
         }
 
         // Update Rithum order
-        console.log(`\n📤 Updating Rithum Order...`);
+        logger.info(`\n📤 Updating Rithum Order...`);
         const updateResult = await updateRithumOrderTracking(
             rithumClient,
             rithumOrderId,
@@ -196,7 +239,7 @@ async function updateOrderByPO(poNumber, shipstationClient, rithumClient) {
         );
 
         if (updateResult.statusResponse?.skipped) {
-            console.log(`\n⏭️  Order was skipped: ${updateResult.statusResponse.reason}`);
+            logger.info(`\n⏭️  Order was skipped: ${updateResult.statusResponse.reason}`);
             return {
                 success: false,
                 skipped: true,
@@ -208,19 +251,19 @@ async function updateOrderByPO(poNumber, shipstationClient, rithumClient) {
             };
         }
 
-        console.log(`\n${'='.repeat(80)}`);
-        console.log(`✅ Successfully Updated Rithum Order`);
-        console.log(`${'='.repeat(80)}`);
-        console.log(`   PO Number: ${poNumber}`);
-        console.log(`   Shipment ID: ${shipment.shipment_id}`);
-        console.log(`   Rithum Order ID: ${rithumOrderId}`);
-        console.log(`   Tracking Number: ${updateResult.trackingNumber || 'N/A'}`);
-        console.log(`   Carrier: ${updateResult.carrier || 'N/A'}`);
-        console.log(`   Line Items: ${updateResult.lineItemCount}`);
+        logger.info(`\n${'='.repeat(80)}`);
+        logger.info(`✅ Successfully Updated Rithum Order`);
+        logger.info(`${'='.repeat(80)}`);
+        logger.info(`   PO Number: ${poNumber}`);
+        logger.info(`   Shipment ID: ${shipment.shipment_id}`);
+        logger.info(`   Rithum Order ID: ${rithumOrderId}`);
+        logger.info(`   Tracking Number: ${updateResult.trackingNumber || 'N/A'}`);
+        logger.info(`   Carrier: ${updateResult.carrier || 'N/A'}`);
+        logger.info(`   Line Items: ${updateResult.lineItemCount}`);
         if (updateResult.statusResponse?.requestId) {
-            console.log(`   Rithum Request ID: ${updateResult.statusResponse.requestId}`);
+            logger.info(`   Rithum Request ID: ${updateResult.statusResponse.requestId}`);
         }
-        console.log(`${'='.repeat(80)}\n`);
+        logger.info(`${'='.repeat(80)}\n`);
 
         return {
             success: true,
@@ -234,11 +277,8 @@ async function updateOrderByPO(poNumber, shipstationClient, rithumClient) {
         };
 
     } catch (error) {
-        console.error(`\n❌ Error updating order with PO ${poNumber}:`, error.message);
-        if (error.response) {
-            console.error(`   Status: ${error.response.status}`);
-            console.error(`   Response:`, JSON.stringify(error.response.data, null, 2));
-        }
+        // The error's HTTP status and response body are logged with it
+        logger.error(`\n❌ Error updating order with PO ${poNumber}`, { error });
         throw error;
     }
 }
@@ -281,7 +321,9 @@ Environment Variables Required:
   RITHUM_CLIENT_SECRET      Rithum API client secret
 
 Search Methods:
-  1. Searches by external_shipment_id (exact match)
+  The Rithum order is resolved first by dscoOrderId or PO number (GET /order/)
+  0. Looks up the shipment recorded in the order ledger (order-ledger.jsonl)
+  1. Searches by external_shipment_id (exact match on dscoOrderId, then PO number)
   2. Searches by shipment_number (exact match)
   3. Searches recent shipments (last 30 days) for matching PO
 
@@ -297,14 +339,14 @@ Notes:
     const poNumber = args[0];
 
     if (!poNumber || poNumber.trim() === '') {
-        console.error('❌ Error: PO number is required');
+        logger.error('❌ Error: PO number is required');
         console.error('Usage: node update_rithum_by_po.js <po_number>');
         process.exit(1);
     }
 
     try {
         // Initialize ShipStation client
-        console.log('🔧 Initializing ShipStation client...');
+        logger.info('🔧 Initializing ShipStation client...');
         validateShipStationConfig();
         const shipstationClient = new ShipStationClient(
             shipstationConfig.apiKey,
@@ -312,35 +354,35 @@ Notes:
             shipstationConfig.warehouseId,
             shipstationConfig.shipFrom
         );
-        console.log('✅ ShipStation client initialized');
+        logger.info('✅ ShipStation client initialized');
 
         // Initialize Rithum client
-        console.log('🔧 Initializing Rithum client...');
+        logger.info('🔧 Initializing Rithum client...');
         validateRithumConfig();
         const rithumClient = new RithumClient(
             rithumConfig.apiUrl,
             rithumConfig.clientId,
             rithumConfig.clientSecret
         );
-        console.log('✅ Rithum client initialized');
+        logger.info('✅ Rithum client initialized');
 
         // Update the order
-        const result = await updateOrderByPO(poNumber, shipstationClient, rithumClient);
+        // Logged under the order's correlation ID, next to the intake and webhook lines for it
+        const result = await withOrderContext({ poNumber }, () => updateOrderByPO(poNumber, shipstationClient, rithumClient));
 
         if (result.success) {
-            console.log('✅ Operation completed successfully');
+            logger.info('✅ Operation completed successfully');
             process.exit(0);
         } else if (result.skipped) {
-            console.log('⚠️  Order was skipped (already updated or invalid state)');
+            logger.info('⚠️  Order was skipped (already updated or invalid state)');
             process.exit(0);
         } else {
-            console.log('❌ Operation failed');
+            logger.error('❌ Operation failed');
             process.exit(1);
         }
 
     } catch (error) {
-        console.error('\n❌ Fatal error:', error.message);
-        console.error(error.stack);
+        logger.error('\n❌ Fatal error', { error });
         process.exit(1);
     }
 }
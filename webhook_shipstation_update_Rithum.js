@@ -1,69 +1,48 @@
 require('dotenv').config();
-const fs = require('fs').promises;
-const path = require('path');
+const crypto = require('crypto');
 const { URL } = require('url');
 const express = require('express');
 const ShipStationClient = require('./src/services/shipstationClient');
 const RithumClient = require('./src/services/rithumClient');
+const OrderLedger = require('./src/services/orderLedger');
+const SupplierCancellation = require('./src/services/supplierCancellation');
+const WebhookVerifier = require('./src/services/webhookVerifier');
+const WebhookQueue = require('./src/services/webhookQueue');
+const OrderResolver = require('./src/services/orderResolver');
+const ChangeLogPoller = require('./src/services/changeLogPoller');
+const LabelVoidHandler = require('./src/services/labelVoidHandler');
+const InvoiceGenerator = require('./src/services/invoiceGenerator');
+const DeliveryTracker = require('./src/services/deliveryTracker');
+const CarrierMappings = require('./src/services/carrierMappings');
+const Notifier = require('./src/services/notifier');
+const Logger = require('./src/services/logger');
+const Metrics = require('./src/services/metrics');
 const { shipstationConfig, validateConfig: validateShipStationConfig } = require('./src/config/shipstationConfig');
 const { rithumConfig, validateConfig: validateRithumConfig } = require('./src/config/rithumConfig');
+const { notificationConfig, validateConfig: validateNotificationConfig } = require('./src/config/notificationConfig');
+const { metricsConfig } = require('./src/config/metricsConfig');
 
-const TRACKING_FILE = path.join(__dirname, 'shipped_orders_tracking.json');
+const logger = Logger.child({ module: 'webhookServer' });
+
+const LEDGER_EVENTS = OrderLedger.EVENTS;
+const METRICS = Metrics.METRICS;
+const orderLedger = new OrderLedger();
+const carrierMappings = CarrierMappings.load();
 const PORT = process.env.PORT || process.env.WEBHOOK_PORT || 3001;
 
 /**
  * Map ShipStation carrier and service codes to Rithum shipping method codes
- * Based on Rithum's allowed values: ASEE, ASEP, ASEL, ASET, FECG, FEHD, FESP, ONCG, PSDD, UPCG, UPSV, UPSP, USGA, USPM
+ * Rules and the allowed Rithum codes live in carrier-mappings.json
  */
 function mapToRithumShippingMethod(carrierCode, serviceCode) {
-    // Normalize inputs
-    const carrier = String(carrierCode || '').toLowerCase().trim();
-    const service = String(serviceCode || '').toLowerCase().trim();
-    
-    // Debug logging
-    console.log(`   🔍 Mapping carrier/service: "${carrierCode}" / "${serviceCode}"`);
-    console.log(`      Normalized: "${carrier}" / "${service}"`);
-    
-    // If service code already looks like a valid Rithum code (4 uppercase letters), return it
-    // This handles cases where the service might already be a Rithum code
-    const validRithumCodes = ['ASEE', 'ASEP', 'ASEL', 'ASET', 'FECG', 'FEHD', 'FESP', 'ONCG', 'PSDD', 'UPCG', 'UPSV', 'UPSP', 'USGA', 'USPM'];
-    const upperService = String(serviceCode || '').toUpperCase().trim();
-    if (validRithumCodes.includes(upperService)) {
-        console.log(`      ✅ Service code is already a valid Rithum code: ${upperService}`);
-        return upperService;
-    }
-    
-    // UPS mappings
-    if (carrier === 'ups' || carrier.includes('ups') || service.includes('ups')) {
-        if (service.includes('ground')) return 'UPCG'; // UPS Ground
-        if (service.includes('next_day') || service.includes('nextday') || service.includes('overnight')) return 'UPSV'; // UPS Next Day Air
-        if (service.includes('2nd_day') || service.includes('2day')) return 'UPSP'; // UPS 2nd Day Air
-        return 'UPCG'; // Default UPS to Ground
-    }
-    
-    // USPS mappings
-    if (carrier === 'usps' || service.includes('usps')) {
-        if (service.includes('priority')) return 'USPM'; // USPS Priority Mail
-        if (service.includes('first') || service.includes('fcm')) return 'USPM'; // USPS First Class -> Priority
-        return 'USGA'; // USPS Ground Advantage or other
-    }
-    
-    // FedEx mappings
-    if (carrier === 'fedex' || carrier === 'fedex_uk' || service.includes('fedex')) {
-        if (service.includes('ground') || service.includes('home_delivery')) return 'FECG'; // FedEx Ground
-        if (service.includes('2day') || service.includes('2_day')) return 'FEHD'; // FedEx 2Day
-        if (service.includes('express') || service.includes('overnight') || service.includes('priority')) return 'FESP'; // FedEx Express/Priority
-        return 'FECG'; // Default FedEx to Ground
-    }
-    
-    // OnTrac mappings
-    if (carrier === 'ontrac' || service.includes('ontrac')) {
-        return 'ONCG'; // OnTrac Ground
+    logger.info(`   🔍 Mapping carrier/service: "${carrierCode}" / "${serviceCode}"`);
+
+    const rithumCode = carrierMappings.getRithumShipmentCode(carrierCode, serviceCode);
+    if (!carrierMappings.resolveCarrier(carrierCode) && !carrierMappings.resolveCarrier(serviceCode) &&
+        !carrierMappings.isRithumShipmentCode(String(serviceCode || '').toUpperCase().trim())) {
+        logger.warn(`   ⚠️  Unknown carrier/service combination: ${carrierCode}/${serviceCode}, defaulting to ${rithumCode}`);
     }
-    
-    // Default fallback - use UPS Ground as safe default
-    console.warn(`   ⚠️  Unknown carrier/service combination: ${carrier}/${service}, defaulting to UPCG`);
-    return 'UPCG';
+    return rithumCode;
 }
 
 function normalizeEventType(rawType) {
@@ -91,36 +70,376 @@ function extractFulfillmentFromLegacyPayload(webhookData) {
             carrier_id: webhookData.carrier_id || null
         };
     } catch (error) {
-        console.warn('⚠️  Could not parse resource_url:', error.message);
+        logger.warn('⚠️  Could not parse resource_url', { error });
         return null;
     }
 }
 
+/**
+ * Post a ShipStation shipment's tracking to Rithum and record the outcome in the order ledger
+ */
 async function updateRithumOrderTracking(rithumClient, rithumOrderId, shipment, trackingInfo, shipstationClient = null, shipmentId = null) {
-    if (!rithumClient) {
-        throw new Error('Rithum client not available');
+    const ledgerRefs = {
+        dscoOrderId: rithumOrderId,
+        poNumber: shipment?.shipment_number,
+        shipmentId: shipmentId || shipment?.shipment_id
+    };
+
+    let result;
+    try {
+        result = await submitRithumShipment(rithumClient, rithumOrderId, shipment, trackingInfo, shipstationClient, shipmentId);
+    } catch (error) {
+        METRICS.rithumShipmentPosts.inc({ result: 'failure' });
+        await orderLedger.record(LEDGER_EVENTS.RITHUM_SHIPMENT_FAILED, ledgerRefs, {
+            trackingNumber: trackingInfo?.tracking_number || shipment?.tracking_number || null
+        }, error);
+        throw error;
     }
 
-    if (!rithumOrderId) {
-        throw new Error('Missing Rithum order ID');
+    if (result.statusResponse?.skipped) {
+        METRICS.rithumShipmentPosts.inc({ result: 'skipped' });
+        await orderLedger.record(LEDGER_EVENTS.RITHUM_SHIPMENT_SKIPPED, ledgerRefs, {
+            trackingNumber: result.trackingNumber || null,
+            trackingNumbers: result.trackingNumbers || [],
+            reason: result.statusResponse.reason
+        });
+    } else {
+        METRICS.rithumShipmentPosts.inc({ result: 'success' });
+        await orderLedger.record(LEDGER_EVENTS.RITHUM_SHIPMENT_POSTED, ledgerRefs, {
+            trackingNumber: result.trackingNumber || null,
+            trackingNumbers: result.trackingNumbers || [],
+            packageCount: result.packageCount,
+            carrier: result.carrier,
+            shipMethod: result.shipMethod,
+            lineItemCount: result.lineItemCount,
+            orderComplete: result.orderComplete,
+            requestId: result.statusResponse?.requestId || null
+        });
+
+        if (rithumConfig.invoices.enabled) {
+            try {
+                await new InvoiceGenerator(rithumClient, { ledger: orderLedger, ...rithumConfig.invoices })
+                    .invoiceShipment(ledgerRefs, {
+                        trackingNumbers: result.trackingNumbers || [],
+                        lineItems: result.lineItems,
+                        shipDate: result.shipDate,
+                        carrier: result.carrierManifestId,
+                        shipMethod: carrierMappings.getShipMethodName(result.serviceLevelCode),
+                        serviceLevelCode: result.serviceLevelCode
+                    });
+            } catch (error) {
+                // The shipment is posted - a failed invoice is in the ledger and can be re-run with create-invoices.js
+                logger.error(`   ❌ Could not invoice Rithum order ${rithumOrderId}`, { error });
+            }
+        }
     }
 
-    const trackingNumber = trackingInfo?.tracking_number || shipment.tracking_number;
-    
-    // Try to get actual label cost from ShipStation
-    let labelCost = 0;
+    return result;
+}
+
+/**
+ * Whether a tracking number has already been posted to Rithum for an order
+ * Labels bought by the intake auto-label run are reported straight away, so their label_created_v2
+ * webhook must not post them a second time.
+ */
+async function wasTrackingPosted(rithumOrderId, trackingNumber) {
+    if (!rithumOrderId || !trackingNumber) {
+        return false;
+    }
+    const order = await orderLedger.getOrder({ dscoOrderId: rithumOrderId });
+    return (order?.history || []).some(entry => entry.event === LEDGER_EVENTS.RITHUM_SHIPMENT_POSTED &&
+        (entry.details?.trackingNumbers || [entry.details?.trackingNumber]).includes(trackingNumber));
+}
+
+const WEIGHT_UNIT_MAP = {
+    'oz': 'OZ',
+    'ounce': 'OZ',
+    'ounces': 'OZ',
+    'lb': 'LB',
+    'lbs': 'LB',
+    'pound': 'LB',
+    'pounds': 'LB',
+    'g': 'G',
+    'gram': 'G',
+    'grams': 'G',
+    'kg': 'KG',
+    'kilogram': 'KG',
+    'kilograms': 'KG'
+};
+
+/**
+ * Convert a ShipStation weight ({ value, unit } or a bare number of ounces) to Rithum's weight fields
+ * @param {Object|number} weight - ShipStation weight
+ * @returns {Object|null} { shipWeight, shipWeightUnits } or null if no usable weight
+ */
+function toRithumWeight(weight) {
+    if (!weight) {
+        return null;
+    }
+
+    const value = typeof weight === 'object' ? (weight.value || weight.amount) : weight;
+    const unit = typeof weight === 'object' ? (weight.unit || 'ounce') : 'ounce';
+    const shipWeight = parseFloat(value);
+    if (!shipWeight) {
+        return null;
+    }
+
+    return {
+        shipWeight,
+        shipWeightUnits: WEIGHT_UNIT_MAP[String(unit).toLowerCase()] || 'OZ'
+    };
+}
+
+/**
+ * Collect every package that left the warehouse for a ShipStation shipment
+ * Each active (non-voided) label contributes one entry per package, so multi-box labels and
+ * shipments relabelled into several parcels each keep their own tracking number.
+ * @param {Object} shipment - ShipStation shipment
+ * @param {ShipStationClient|null} shipstationClient - Used to fetch labels
+ * @param {string|null} shipmentId - ShipStation shipment ID
+ * @param {string|null} fallbackTrackingNumber - Tracking number from the webhook / shipment
+ * @returns {Promise<Array>} [{ trackingNumber, weight, cost, products }]
+ */
+async function collectShipmentPackages(shipment, shipstationClient, shipmentId, fallbackTrackingNumber) {
+    const shipmentPackages = shipment.packages || [];
+    const packages = [];
+
     if (shipstationClient && shipmentId) {
         try {
-            console.log(`   💰 Fetching label cost from ShipStation...`);
-            const label = await shipstationClient.getLabelByShipmentId(shipmentId);
-            if (label && label.shipment_cost && label.shipment_cost.amount) {
-                labelCost = label.shipment_cost.amount;
-                console.log(`   💰 Label Cost: $${labelCost} (from ShipStation label)`);
+            logger.info(`   💰 Fetching labels from ShipStation...`);
+            const labels = await shipstationClient.getLabelsByShipmentId(shipmentId);
+            const activeLabels = labels.filter(label =>
+                !label.voided && label.status !== 'voided' && !label.is_return_label
+            );
+
+            activeLabels.forEach(label => {
+                const labelCost = parseFloat(label.shipment_cost?.amount) || 0;
+                const labelPackages = (label.packages || []).filter(pkg => pkg.tracking_number);
+
+                if (labelPackages.length === 0) {
+                    packages.push({
+                        trackingNumber: label.tracking_number,
+                        weight: null,
+                        cost: labelCost,
+                        products: []
+                    });
+                    return;
+                }
+
+                labelPackages.forEach((labelPackage, index) => {
+                    // Label packages carry tracking; the shipment's packages carry the box contents
+                    const shipmentPackage = shipmentPackages.find(pkg =>
+                        pkg.shipment_package_id && pkg.shipment_package_id === labelPackage.package_id
+                    ) || (activeLabels.length === 1 ? shipmentPackages[index] : null);
+
+                    packages.push({
+                        trackingNumber: labelPackage.tracking_number,
+                        weight: labelPackage.weight || shipmentPackage?.weight || null,
+                        // The label cost covers all of its packages - count it once
+                        cost: index === 0 ? labelCost : 0,
+                        products: shipmentPackage?.products || []
+                    });
+                });
+            });
+
+            if (packages.length > 0) {
+                const labelCost = packages.reduce((sum, pkg) => sum + pkg.cost, 0);
+                logger.info(`   💰 Label Cost: $${labelCost} across ${packages.length} package(s) (from ShipStation labels)`);
             }
         } catch (error) {
-            console.warn(`   ⚠️  Could not fetch label cost: ${error.message}`);
+            logger.warn(`   ⚠️  Could not fetch labels: ${error.message}`);
+        }
+    }
+
+    if (packages.length === 0) {
+        const trackedPackages = shipmentPackages.filter(pkg => pkg.tracking_number);
+        if (trackedPackages.length > 1) {
+            trackedPackages.forEach(pkg => packages.push({
+                trackingNumber: pkg.tracking_number,
+                weight: pkg.weight || null,
+                cost: 0,
+                products: pkg.products || []
+            }));
+        } else {
+            packages.push({
+                trackingNumber: fallbackTrackingNumber || trackedPackages[0]?.tracking_number,
+                weight: null,
+                cost: 0,
+                products: shipmentPackages[0]?.products || []
+            });
+        }
+    }
+
+    // A single package ships the whole shipment, so the shipment-level weight applies to it
+    if (packages.length === 1) {
+        packages[0].weight = shipment.total_weight || shipment.weight || packages[0].weight || shipmentPackages[0]?.weight || null;
+        packages[0].trackingNumber = packages[0].trackingNumber || fallbackTrackingNumber;
+    }
+
+    // Without a label cost, fall back to the shipment's shipping amount on the first package
+    if (!packages.some(pkg => pkg.cost)) {
+        packages[0].cost = parseFloat(shipment.shipping_amount?.amount || shipment.ship_cost || shipment.cost || 0) || 0;
+    }
+
+    const seen = new Set();
+    return packages.filter(pkg => {
+        if (pkg.trackingNumber && seen.has(pkg.trackingNumber)) {
+            return false;
+        }
+        seen.add(pkg.trackingNumber);
+        return true;
+    });
+}
+
+/**
+ * Quantity of each Rithum order line still waiting to ship
+ * @param {Object} rithumOrder - Rithum order
+ * @returns {Array} [{ dscoItemId, sku, outstanding }]
+ */
+function getOutstandingLines(rithumOrder) {
+    const shippedFromPackages = new Map();
+    (rithumOrder.packages || []).forEach(pkg => {
+        (pkg.items || []).forEach(item => {
+            const key = item.dscoItemId ? `id:${item.dscoItemId}` : `sku:${item.sku}`;
+            shippedFromPackages.set(key, (shippedFromPackages.get(key) || 0) + (Number(item.quantity) || 0));
+        });
+    });
+
+    return (rithumOrder.lineItems || []).map(line => {
+        let outstanding = line.remainingQuantity;
+        if (typeof outstanding !== 'number') {
+            const shipped = typeof line.shippedQuantity === 'number'
+                ? line.shippedQuantity
+                : (shippedFromPackages.get(`id:${line.dscoItemId}`) || shippedFromPackages.get(`sku:${line.sku}`) || 0);
+            outstanding = (Number(line.quantity) || 0) - (Number(line.cancelledQuantity) || 0) - shipped;
+        }
+
+        return {
+            dscoItemId: line.dscoItemId ? String(line.dscoItemId) : null,
+            sku: line.sku ? String(line.sku) : null,
+            outstanding: Math.max(0, outstanding)
+        };
+    });
+}
+
+/**
+ * Cap shipment line items to what the Rithum order still expects, so a shipment reported
+ * again (or a split shipment overlapping an earlier one) never over-ships a line
+ * @param {Array} lineItems - Shipment line items
+ * @param {Object|null} rithumOrder - Rithum order, if it was found
+ * @returns {Object} { lineItems, outstandingAfter } - outstandingAfter is null when the order is unknown
+ */
+function capToOutstanding(lineItems, rithumOrder) {
+    if (!rithumOrder || !Array.isArray(rithumOrder.lineItems) || rithumOrder.lineItems.length === 0) {
+        return { lineItems, outstandingAfter: null };
+    }
+
+    const outstandingLines = getOutstandingLines(rithumOrder);
+    const capped = lineItems.map(item => {
+        const line = outstandingLines.find(candidate =>
+            (item.dscoItemId && candidate.dscoItemId === item.dscoItemId) ||
+            (item.sku && candidate.sku === item.sku)
+        );
+        // Items we cannot match are passed through and left for Rithum to validate
+        if (!line) {
+            return item;
+        }
+
+        const quantity = Math.min(item.quantity, line.outstanding);
+        line.outstanding -= quantity;
+        return { ...item, quantity };
+    }).filter(item => item.quantity > 0);
+
+    return {
+        lineItems: capped,
+        outstandingAfter: outstandingLines.reduce((sum, line) => sum + line.outstanding, 0)
+    };
+}
+
+/**
+ * Split line items across packages using the box contents recorded in ShipStation
+ * @param {Array} lineItems - Shipment line items
+ * @param {Array} packages - Packages from collectShipmentPackages()
+ * @returns {Array|null} Line items per package, or null if the contents do not cover every box
+ */
+function allocateByContents(lineItems, packages) {
+    const knowsContents = packages.every(pkg =>
+        (pkg.products || []).some(product => product.sku && Number(product.quantity) > 0)
+    );
+    if (!knowsContents) {
+        return null;
+    }
+
+    const remaining = lineItems.map(item => ({ ...item }));
+    const allocations = packages.map(pkg => {
+        const boxItems = [];
+        pkg.products.forEach(product => {
+            let quantity = Number(product.quantity) || 0;
+            remaining
+                .filter(item => item.sku === String(product.sku))
+                .forEach(item => {
+                    const taken = Math.min(quantity, item.quantity);
+                    if (taken > 0) {
+                        boxItems.push({ ...item, quantity: taken });
+                        item.quantity -= taken;
+                        quantity -= taken;
+                    }
+                });
+        });
+        return boxItems;
+    });
+
+    // Units the recorded contents do not account for are reported with the first box
+    remaining.filter(item => item.quantity > 0).forEach(item => allocations[0].push(item));
+
+    return allocations.every(boxItems => boxItems.length > 0) ? allocations : null;
+}
+
+/**
+ * Spread line items across packages when the box contents are unknown
+ * Units are dealt out one box at a time and an item landing in several boxes is flagged with
+ * packageSpanFlag. Rithum rejects a package without units, so when there are fewer units than
+ * packages only as many boxes as there are units are filled.
+ * @param {Array} lineItems - Shipment line items
+ * @param {number} count - Number of packages
+ * @returns {Array} Line items per package - fewer than count when there are fewer units
+ */
+function spreadLineItems(lineItems, count) {
+    const totalUnits = lineItems.reduce((sum, item) => sum + item.quantity, 0);
+    const boxCount = Math.max(1, Math.min(count, totalUnits));
+    const allocations = Array.from({ length: boxCount }, () => new Map());
+    let cursor = 0;
+
+    lineItems.forEach((item, itemIndex) => {
+        for (let unit = 0; unit < item.quantity; unit++) {
+            const box = allocations[cursor % boxCount];
+            const placed = box.get(itemIndex) || { ...item, quantity: 0 };
+            placed.quantity++;
+            box.set(itemIndex, placed);
+            cursor++;
         }
+    });
+
+    lineItems.forEach((item, itemIndex) => {
+        const placements = allocations.map(box => box.get(itemIndex)).filter(Boolean);
+        if (placements.length > 1) {
+            placements.forEach(placed => { placed.packageSpanFlag = true; });
+        }
+    });
+
+    return allocations.map(box => Array.from(box.values()));
+}
+
+async function submitRithumShipment(rithumClient, rithumOrderId, shipment, trackingInfo, shipstationClient = null, shipmentId = null) {
+    if (!rithumClient) {
+        throw new Error('Rithum client not available');
+    }
+
+    if (!rithumOrderId) {
+        throw new Error('Missing Rithum order ID');
     }
+
+    const trackingNumber = trackingInfo?.tracking_number || shipment.tracking_number;
     
     // Variable to store the requested shipping method from Rithum order
     let requestedShippingServiceLevelCode = null;
@@ -128,54 +447,28 @@ async function updateRithumOrderTracking(rithumClient, rithumOrderId, shipment,
     let rithumOrder = null;
     
     // Check if order already has this shipment (avoid duplicates)
-    console.log(`   🔍 Checking if shipment already exists in Rithum order ${rithumOrderId}...`);
+    logger.info(`   🔍 Checking if shipment already exists in Rithum order ${rithumOrderId}...`);
     try {
-        const until = new Date(Date.now() - 5000).toISOString();
-        const since = new Date(Date.now() - 60 * 24 * 60 * 60 * 1000).toISOString(); // 60 days ago
-        
-        // Fetch orders and search for our specific order
-        let scrollId = null;
-        let existingOrder = null;
-        let pageCount = 0;
-        const maxPages = 10; // Limit search to 10 pages max
-        
-        while (!existingOrder && pageCount < maxPages) {
-            pageCount++;
-            
-            const params = scrollId 
-                ? { scrollId }
-                : { ordersUpdatedSince: since, until: until, ordersPerPage: 100 };
-            
-            const orderResponse = await rithumClient.makeRequest('GET', '/order/page', null, params);
-            const orders = orderResponse?.orders || [];
-            
-            // Look for our order in this page
-            existingOrder = orders.find(o => o.dscoOrderId === String(rithumOrderId));
-            
-            // If not found and there's more pages, continue
-            if (!existingOrder && orderResponse.scrollId) {
-                scrollId = orderResponse.scrollId;
-            } else {
-                break;
-            }
-        }
+        const existingOrder = await new OrderResolver(rithumClient).resolve({ dscoOrderId: rithumOrderId });
         
         if (existingOrder) {
             // Store the order for later use (poNumber, etc.)
             rithumOrder = existingOrder;
             
-            console.log(`   ✅ Found order ${rithumOrderId} - lifecycle: ${existingOrder.dscoLifecycle}`);
-            console.log(`      PO Number: ${existingOrder.poNumber || 'N/A'}`);
-            console.log(`      Requested shipping: ${existingOrder.requestedShippingServiceLevelCode || 'N/A'}`);
+            logger.info(`   ✅ Found order ${rithumOrderId} - lifecycle: ${existingOrder.dscoLifecycle}`);
+            logger.info(`      PO Number: ${existingOrder.poNumber || 'N/A'}`);
+            logger.info(`      Requested shipping: ${existingOrder.requestedShippingServiceLevelCode || 'N/A'}`);
             
             // Check if order is in wrong lifecycle state (not acknowledged or completed)
+            // A partially shipped order stays "acknowledged" until every line has shipped
             const validLifecycles = ['acknowledged', 'completed'];
             if (!validLifecycles.includes(existingOrder.dscoLifecycle)) {
-                console.log(`   ⏭️  SKIPPING: Order lifecycle is "${existingOrder.dscoLifecycle}" (must be acknowledged or completed)`);
-                console.log(`      Order has not been acknowledged by supplier yet - cannot add shipment`);
+                logger.info(`   ⏭️  SKIPPING: Order lifecycle is "${existingOrder.dscoLifecycle}" (must be acknowledged or completed)`);
+                logger.info(`      Order has not been acknowledged by supplier yet - cannot add shipment`);
                 return {
                     statusResponse: { skipped: true, reason: `Invalid lifecycle: ${existingOrder.dscoLifecycle}` },
                     trackingNumber,
+                    trackingNumbers: trackingNumber ? [trackingNumber] : [],
                     carrier: null,
                     shipMethod: null,
                     shipDate: null,
@@ -184,54 +477,46 @@ async function updateRithumOrderTracking(rithumClient, rithumOrderId, shipment,
                 };
             }
             
-            // Check if order lifecycle is already completed
-            if (existingOrder.dscoLifecycle === 'completed') {
-                // Check if tracking number already exists
-                const existingPackages = existingOrder.packages || [];
-                const duplicatePackage = existingPackages.find(pkg => pkg.trackingNumber === trackingNumber);
-                
-                if (duplicatePackage) {
-                    console.log(`   ⏭️  SKIPPING: Tracking ${trackingNumber} already exists on completed order`);
-                    return {
-                        statusResponse: { skipped: true, reason: 'Duplicate tracking on completed order' },
-                        trackingNumber,
-                        carrier: duplicatePackage.shipCarrier,
-                        shipMethod: duplicatePackage.shipMethod,
-                        shipDate: duplicatePackage.shipDate,
-                        lineItemCount: duplicatePackage.items?.length || 0
-                    };
-                }
-            } else {
-                // Order not completed yet - check for duplicate tracking anyway
-                const existingPackages = existingOrder.packages || [];
-                const duplicatePackage = existingPackages.find(pkg => pkg.trackingNumber === trackingNumber);
-                
-                if (duplicatePackage) {
-                    console.log(`   ⏭️  SKIPPING: Tracking ${trackingNumber} already exists on order`);
-                    return {
-                        statusResponse: { skipped: true, reason: 'Tracking number already exists' },
-                        trackingNumber,
-                        carrier: duplicatePackage.shipCarrier,
-                        shipMethod: duplicatePackage.shipMethod,
-                        shipDate: duplicatePackage.shipDate,
-                        lineItemCount: duplicatePackage.items?.length || 0
-                    };
-                }
-            }
-            
-            console.log(`   ✅ Order lifecycle valid and no duplicates - proceeding with shipment creation`);
-            
             // Store the requested shipping method from the order to use instead of ShipStation's method
             requestedShippingServiceLevelCode = existingOrder.requestedShippingServiceLevelCode;
         } else {
-            console.log(`   ⚠️  Order ${rithumOrderId} not found in recent orders`);
-            console.log(`      This may fail if order is not in "acknowledged" lifecycle state`);
-            console.log(`      Proceeding with shipment creation anyway...`);
+            logger.info(`   ⚠️  Order ${rithumOrderId} not found in Rithum`);
+            logger.info(`      This may fail if order is not in "acknowledged" lifecycle state`);
+            logger.info(`      Proceeding with shipment creation anyway...`);
         }
     } catch (error) {
-        console.warn(`   ⚠️  Could not check for existing shipment: ${error.message}`);
-        console.warn(`      This may fail if order is not in "acknowledged" lifecycle state`);
-        console.warn(`      Proceeding with shipment creation anyway...`);
+        logger.warn(`   ⚠️  Could not check for existing shipment: ${error.message}`);
+        logger.warn(`      This may fail if order is not in "acknowledged" lifecycle state`);
+        logger.warn(`      Proceeding with shipment creation anyway...`);
+    }
+
+    // One Rithum shipment per package; packages already on the Rithum order are not sent again
+    const allPackages = await collectShipmentPackages(shipment, shipstationClient, shipmentId, trackingNumber);
+    const existingPackages = rithumOrder?.packages || [];
+    const reportedTracking = new Set(existingPackages.map(pkg => pkg.trackingNumber).filter(Boolean));
+    const packages = allPackages.filter(pkg => !pkg.trackingNumber || !reportedTracking.has(pkg.trackingNumber));
+    const trackingNumbers = allPackages.map(pkg => pkg.trackingNumber).filter(Boolean);
+
+    if (packages.length === 0) {
+        const duplicatePackage = existingPackages.find(pkg => pkg.trackingNumber === allPackages[0].trackingNumber);
+        logger.info(`   ⏭️  SKIPPING: Tracking ${trackingNumbers.join(', ')} already exists on order`);
+        return {
+            statusResponse: {
+                skipped: true,
+                reason: rithumOrder.dscoLifecycle === 'completed'
+                    ? 'Duplicate tracking on completed order'
+                    : 'Tracking number already exists'
+            },
+            trackingNumber: trackingNumbers[0] || trackingNumber,
+            trackingNumbers,
+            carrier: duplicatePackage?.shipCarrier,
+            shipMethod: duplicatePackage?.shipMethod,
+            shipDate: duplicatePackage?.shipDate,
+            lineItemCount: duplicatePackage?.items?.length || 0
+        };
+    }
+    if (packages.length < allPackages.length) {
+        logger.info(`   ⏭️  ${allPackages.length - packages.length} package(s) already on the Rithum order - reporting ${packages.length} new package(s)`);
     }
     
     // Extract carrier information
@@ -242,10 +527,10 @@ async function updateRithumOrderTracking(rithumClient, rithumOrderId, shipment,
     const shipMethod = trackingInfo?.service_code || shipment.carrier?.service || shipment.service_code || shipment.ship_method || null;
     
     // Debug logging for extracted values
-    console.log(`   📋 Extracted from shipment:`);
-    console.log(`      Carrier Name: ${carrierName}`);
-    console.log(`      Carrier Code: ${carrierCode}`);
-    console.log(`      Ship Method: ${shipMethod}`);
+    logger.info(`   📋 Extracted from shipment:`);
+    logger.info(`      Carrier Name: ${carrierName}`);
+    logger.info(`      Carrier Code: ${carrierCode}`);
+    logger.info(`      Ship Method: ${shipMethod}`);
     
     // Ship date should be the date the label was created or today, NOT a future date
     let shipDate = trackingInfo?.ship_date || shipment.ship_date;
@@ -253,11 +538,11 @@ async function updateRithumOrderTracking(rithumClient, rithumOrderId, shipment,
     // If the ship date is in the future or missing, use today's date
     if (!shipDate || new Date(shipDate) > new Date()) {
         shipDate = new Date().toISOString();
-        console.log(`   ⚠️  Ship date was future/missing, using today: ${shipDate}`);
+        logger.info(`   ⚠️  Ship date was future/missing, using today: ${shipDate}`);
     }
 
     // Try to extract line items with identifiers
-    const lineItems = (shipment.items || []).map(item => {
+    const shipmentLineItems = (shipment.items || []).map(item => {
         const rawQuantity = item.quantity || item.ordered_quantity || 1;
         const quantity = Number(rawQuantity);
         if (!quantity || Number.isNaN(quantity) || quantity <= 0) {
@@ -293,154 +578,122 @@ async function updateRithumOrderTracking(rithumClient, rithumOrderId, shipment,
         return lineItem;
     }).filter(Boolean);
 
+    if (shipmentLineItems.length === 0) {
+        // No identifiable line items - we can't create a shipment without them
+        // Rithum requires at least one line item with quantity and identifier
+        throw new Error('Cannot create shipment: No identifiable line items found. Shipment requires at least one item with dscoItemId, sku, partnerSku, or upc.');
+    }
+
+    // Report only what is still outstanding on the order (split shipments, re-sent webhooks)
+    const { lineItems, outstandingAfter } = capToOutstanding(shipmentLineItems, rithumOrder);
+    if (lineItems.length === 0) {
+        logger.info(`   ⏭️  SKIPPING: Every line item on this shipment has already shipped or been cancelled in Rithum`);
+        return {
+            statusResponse: { skipped: true, reason: 'All line items already shipped' },
+            trackingNumber: packages[0].trackingNumber || trackingNumber,
+            trackingNumbers,
+            carrier: carrierName || carrierCode,
+            shipMethod,
+            shipDate,
+            lineItemCount: 0
+        };
+    }
+
+    const packageItems = packages.length === 1
+        ? [lineItems]
+        : (allocateByContents(lineItems, packages) || spreadLineItems(lineItems, packages.length));
+
+    // Labels left without units are folded into the last package that has some, cost included
+    if (packageItems.length < packages.length) {
+        const extraPackages = packages.splice(packageItems.length);
+        const lastPackage = packages[packages.length - 1];
+        lastPackage.cost = extraPackages.reduce((sum, pkg) => sum + (pkg.cost || 0), lastPackage.cost || 0);
+        logger.warn(`   ⚠️  Only ${packages.length} unit(s) for ${packages.length + extraPackages.length} packages - ` +
+            `not reporting tracking ${extraPackages.map(pkg => pkg.trackingNumber || 'NO_TRACKING').join(', ')} separately`);
+    }
+
     const dscoOrderId = String(rithumOrderId);
 
-    // Build shipment object to add to the order
-    // This will change the order lifecycle from "acknowledged" to "completed"
+    // Build shipment objects to add to the order
+    // This will change the order lifecycle from "acknowledged" to "completed" once every line has shipped
     const shipmentData = {
         dscoOrderId,
-        shipments: [
-            {
-                trackingNumber: trackingNumber || 'NO_TRACKING',
-                lineItems: []  // REQUIRED field according to Rithum API spec
-            }
-        ]
+        shipments: packages.map((pkg, index) => ({
+            trackingNumber: pkg.trackingNumber || 'NO_TRACKING',
+            // REQUIRED field according to Rithum API spec
+            lineItems: packageItems[index].map(item => {
+                const shipmentItem = {
+                    quantity: item.quantity
+                };
+
+                // Add item identifiers (at least one is required)
+                if (item.dscoItemId) shipmentItem.dscoItemId = item.dscoItemId;
+                if (item.sku) shipmentItem.sku = item.sku;
+                if (item.partnerSku) shipmentItem.partnerSku = item.partnerSku;
+                if (item.upc) shipmentItem.upc = item.upc;
+                if (item.packageSpanFlag) shipmentItem.packageSpanFlag = true;
+
+                return shipmentItem;
+            })
+        }))
     };
     
     // Add poNumber if we have the Rithum order (REQUIRED for singleShipment endpoint)
     if (rithumOrder && rithumOrder.poNumber) {
         shipmentData.poNumber = rithumOrder.poNumber;
-        console.log(`   📋 Using PO Number from order: ${rithumOrder.poNumber}`);
+        logger.info(`   📋 Using PO Number from order: ${rithumOrder.poNumber}`);
     } else {
-        console.log(`   ⚠️  WARNING: No PO Number available (order not fetched or missing poNumber)`);
+        logger.info(`   ⚠️  WARNING: No PO Number available (order not fetched or missing poNumber)`);
     }
 
-    // Add line items to the shipment
-    if (lineItems.length > 0) {
-        shipmentData.shipments[0].lineItems = lineItems.map(item => {
-            const shipmentItem = {
-                quantity: item.quantity
-            };
-            
-            // Add item identifiers (at least one is required)
-            if (item.dscoItemId) shipmentItem.dscoItemId = item.dscoItemId;
-            if (item.sku) shipmentItem.sku = item.sku;
-            if (item.partnerSku) shipmentItem.partnerSku = item.partnerSku;
-            if (item.upc) shipmentItem.upc = item.upc;
-            
-            return shipmentItem;
-        });
-        console.log(`   📦 Creating shipment with ${lineItems.length} line item(s)`);
-    } else {
-        // No identifiable line items - we can't create a shipment without them
-        // Rithum requires at least one line item with quantity and identifier
-        throw new Error('Cannot create shipment: No identifiable line items found. Shipment requires at least one item with dscoItemId, sku, partnerSku, or upc.');
-    }
+    logger.info(`   📦 Creating ${packages.length} shipment(s) with ${lineItems.length} line item(s)`);
 
     // Add REQUIRED shipment details
     // Rithum requires: trackingNumber, shipDate, shipMethod, shipCarrier, shipCost, shipWeight, shipWeightUnits
-    
-    // Ship Date (REQUIRED)
-    if (shipDate) {
-        shipmentData.shipments[0].shipDate = shipDate;
-    }
-    
-    // Ship Cost - Use label cost if available, otherwise try shipment fields
-    // Label cost is the actual cost charged by the carrier for the label
-    const shipCost = labelCost || shipment.shipping_amount?.amount || shipment.ship_cost || shipment.cost || 0;
-    shipmentData.shipments[0].shipCost = parseFloat(shipCost);
-    if (labelCost) {
-        console.log(`   💰 Ship Cost: $${shipCost} (from label)`);
-    } else {
-        console.log(`   💰 Ship Cost: $${shipCost} (from shipment or default)`);
-    }
-    
-    // Ship Weight (REQUIRED) - Extract from shipment packages or total_weight
-    let shipWeight = null;
-    let shipWeightUnit = null;
-    
-    if (shipment.total_weight && shipment.total_weight.value) {
-        shipWeight = shipment.total_weight.value;
-        shipWeightUnit = shipment.total_weight.unit || 'ounce';
-    } else if (shipment.weight && typeof shipment.weight === 'object') {
-        shipWeight = shipment.weight.value || shipment.weight.amount;
-        shipWeightUnit = shipment.weight.unit || 'ounce';
-    } else if (shipment.weight) {
-        shipWeight = shipment.weight;
-        shipWeightUnit = 'ounce'; // Default
-    } else if (shipment.packages && shipment.packages.length > 0) {
-        // Get weight from first package
-        const firstPackage = shipment.packages[0];
-        if (firstPackage.weight) {
-            if (typeof firstPackage.weight === 'object') {
-                shipWeight = firstPackage.weight.value || firstPackage.weight.amount;
-                shipWeightUnit = firstPackage.weight.unit || 'ounce';
-            } else {
-                shipWeight = firstPackage.weight;
-                shipWeightUnit = 'ounce';
-            }
-        }
-    }
-    
-    if (shipWeight !== null && shipWeight !== undefined) {
-        shipmentData.shipments[0].shipWeight = parseFloat(shipWeight);
-        
-        const weightUnitMap = {
-            'oz': 'OZ',
-            'ounce': 'OZ',
-            'ounces': 'OZ',
-            'lb': 'LB',
-            'lbs': 'LB',
-            'pound': 'LB',
-            'pounds': 'LB',
-            'g': 'G',
-            'gram': 'G',
-            'grams': 'G',
-            'kg': 'KG',
-            'kilogram': 'KG',
-            'kilograms': 'KG'
-        };
-        
-        const normalizedUnit = weightUnitMap[String(shipWeightUnit).toLowerCase()] || 'OZ';
-        shipmentData.shipments[0].shipWeightUnits = normalizedUnit;
-        
-        console.log(`   ⚖️  Ship Weight: ${shipWeight} ${normalizedUnit}`);
-    } else {
-        // Default weight if not available (required field)
-        shipmentData.shipments[0].shipWeight = 1;
-        shipmentData.shipments[0].shipWeightUnits = 'OZ';
-        console.log(`   ⚖️  Ship Weight: 1 OZ (default - weight not found in shipment)`);
-    }
+    packages.forEach((pkg, index) => {
+        const rithumShipment = shipmentData.shipments[index];
+
+        // Ship Date (REQUIRED)
+        rithumShipment.shipDate = shipDate;
+
+        // Ship Cost - the actual label cost charged by the carrier, counted once per label
+        rithumShipment.shipCost = pkg.cost;
+
+        // Ship Weight (REQUIRED) - default if not available
+        const weight = toRithumWeight(pkg.weight);
+        rithumShipment.shipWeight = weight ? weight.shipWeight : 1;
+        rithumShipment.shipWeightUnits = weight ? weight.shipWeightUnits : 'OZ';
+
+        logger.info(`   📦 Package ${index + 1}/${packages.length}: tracking ${rithumShipment.trackingNumber}, ` +
+            `$${rithumShipment.shipCost}, ${rithumShipment.shipWeight} ${rithumShipment.shipWeightUnits}` +
+            `${weight ? '' : ' (default - weight not found)'}, ${rithumShipment.lineItems.length} line item(s)`);
+    });
     
     // Determine which shipping method to use
     // Priority: 1) Requested method from Rithum order (if valid), 2) Map from ShipStation carrier/service
     let rithumShippingMethod;
     
-    // Valid Rithum shipping codes for shipments
-    const validRithumCodes = ['ASEE', 'ASEP', 'ASEL', 'ASET', 'FECG', 'FEHD', 'FESP', 'ONCG', 'PSDD', 'UPCG', 'UPSV', 'UPSP', 'USGA', 'USPM'];
-    
-    if (requestedShippingServiceLevelCode && validRithumCodes.includes(requestedShippingServiceLevelCode)) {
+    if (requestedShippingServiceLevelCode && carrierMappings.isRithumShipmentCode(requestedShippingServiceLevelCode)) {
         // Use the method that was originally requested in the order (if it's a valid shipment code)
         rithumShippingMethod = requestedShippingServiceLevelCode;
-        console.log(`   📋 Using requested shipping method from order: ${rithumShippingMethod}`);
+        logger.info(`   📋 Using requested shipping method from order: ${rithumShippingMethod}`);
     } else {
-        if (requestedShippingServiceLevelCode && !validRithumCodes.includes(requestedShippingServiceLevelCode)) {
-            console.log(`   ⚠️  Order requested "${requestedShippingServiceLevelCode}" which is not valid for shipments`);
-            console.log(`       Mapping based on carrier/service instead...`);
+        if (requestedShippingServiceLevelCode) {
+            logger.info(`   ⚠️  Order requested "${requestedShippingServiceLevelCode}" which is not valid for shipments`);
+            logger.info(`       Mapping based on carrier/service instead...`);
         }
         
-        // Map ShipStation carrier/service to Rithum shipping method code
-        // Rithum requires specific method codes: ASEE, ASEP, ASEL, ASET, FECG, FEHD, FESP, ONCG, PSDD, UPCG, UPSV, UPSP, USGA, USPM
+        // Map ShipStation carrier/service to Rithum shipping method code (rithumShipmentCodes in carrier-mappings.json)
         rithumShippingMethod = mapToRithumShippingMethod(carrierCode || carrierName, shipMethod);
-        console.log(`   🔄 Mapped from ShipStation: ${shipMethod || 'N/A'} → ${rithumShippingMethod}`);
+        logger.info(`   🔄 Mapped from ShipStation: ${shipMethod || 'N/A'} → ${rithumShippingMethod}`);
     }
     
     // Validate that we got a proper Rithum code (should be 4 characters)
     // If the mapping returned something that looks wrong, log detailed info
     if (!rithumShippingMethod || rithumShippingMethod.length !== 4) {
-        console.warn(`   ⚠️  WARNING: Mapped shipping method looks invalid: "${rithumShippingMethod}"`);
-        console.warn(`      Input Carrier: "${carrierCode || carrierName}"`);
-        console.warn(`      Input Service: "${shipMethod}"`);
+        logger.warn(`   ⚠️  WARNING: Mapped shipping method looks invalid: "${rithumShippingMethod}"`);
+        logger.warn(`      Input Carrier: "${carrierCode || carrierName}"`);
+        logger.warn(`      Input Service: "${shipMethod}"`);
     }
     
     // Add shipping fields - Rithum requires BOTH carrierManifestId AND shippingServiceLevelCode
@@ -449,125 +702,55 @@ async function updateRithumOrderTracking(rithumClient, rithumOrderId, shipment,
     // shipMethod: Human-readable method name (optional but recommended)
     
     // Map carrier name to Rithum's carrierManifestId format
-    const carrierManifestIdMap = {
-        'usps': 'USPS',
-        'stamps_com': 'USPS',
-        'fedex': 'FedEx',
-        'fedex_uk': 'FedEx',
-        'ups': 'UPS',
-        'dhl_express': 'DHL',
-        'ontrac': 'OnTrac'
-    };
-    
-    const normalizedCarrier = (carrierName || carrierCode || '').toLowerCase();
-    const carrierManifestId = carrierManifestIdMap[normalizedCarrier] || 
-                               (carrierName || carrierCode || 'USPS').toUpperCase();
-    
-    // Map service code to human-readable method name
-    const shipMethodMap = {
-        'USGA': 'Ground Advantage',
-        'USPM': 'Priority Mail',
-        'FECG': 'FedEx Ground',
-        'FEHD': 'FedEx 2Day',
-        'FESP': 'FedEx Express',
-        'UPCG': 'UPS Ground',
-        'UPSV': 'UPS Next Day Air',
-        'UPSP': 'UPS 2nd Day Air'
-    };
+    const carrierManifestId = carrierMappings.getCarrierManifestId(carrierName || carrierCode);
     
-    shipmentData.shipments[0].carrierManifestId = carrierManifestId;
-    shipmentData.shipments[0].shippingServiceLevelCode = rithumShippingMethod;
-    shipmentData.shipments[0].shipMethod = shipMethodMap[rithumShippingMethod] || 'Ground';
-    shipmentData.shipments[0].shipCarrier = carrierManifestId;  // REQUIRED field - same as carrierManifestId
+    shipmentData.shipments.forEach(rithumShipment => {
+        rithumShipment.carrierManifestId = carrierManifestId;
+        rithumShipment.shippingServiceLevelCode = rithumShippingMethod;
+        rithumShipment.shipMethod = carrierMappings.getShipMethodName(rithumShippingMethod);
+        rithumShipment.shipCarrier = carrierManifestId;  // REQUIRED field - same as carrierManifestId
+    });
     
-    console.log(`   📦 Carrier Manifest ID: ${carrierManifestId}`);
-    console.log(`   🚚 Shipping Service Level Code: ${rithumShippingMethod}`);
-    console.log(`   📮 Ship Method: ${shipmentData.shipments[0].shipMethod}`);
-    console.log(`   🔍 DEBUG: Final shipment payload being sent to Rithum:`);
-    console.log(`      shippingServiceLevelCode: "${shipmentData.shipments[0].shippingServiceLevelCode}"`);
-    console.log(`      trackingNumber: "${shipmentData.shipments[0].trackingNumber}"`);
-    console.log(`      shipWeight: ${shipmentData.shipments[0].shipWeight} ${shipmentData.shipments[0].shipWeightUnits}`);
-    console.log(`      Full payload:`, JSON.stringify(shipmentData, null, 2));
+    logger.info(`   📦 Carrier Manifest ID: ${carrierManifestId}`);
+    logger.info(`   🚚 Shipping Service Level Code: ${rithumShippingMethod}`);
+    logger.info(`   📮 Ship Method: ${shipmentData.shipments[0].shipMethod}`);
+    logger.debug('   🔍 Final shipment payload being sent to Rithum', { shipmentData });
     
-    // Submit shipment to Rithum
-    const statusResponse = await rithumClient.createShipments(shipmentData);
+    // Submit to Rithum - a single package is created synchronously, several go through the small batch API
+    const statusResponse = shipmentData.shipments.length === 1
+        ? await rithumClient.createSingleShipment(shipmentData)
+        : await rithumClient.createShipments(shipmentData);
     
-    // Log the requestId for tracking async validation results
+    // The order's packages have changed - the next lookup must see them
+    new OrderResolver(rithumClient).invalidate({ dscoOrderId });
+
+    // Validation is asynchronous - the change log poller resolves this requestId later
     if (statusResponse && statusResponse.requestId) {
-        console.log(`   📝 Rithum Request ID: ${statusResponse.requestId}`);
-        console.log(`      ℹ️  Use this ID to check validation status in Rithum OrderChangeLog`);
+        logger.info(`   📝 Rithum Request ID: ${statusResponse.requestId}`);
+        logger.info(`      ℹ️  Acceptance will be confirmed from the Rithum OrderChangeLog`);
+    }
+
+    if (outstandingAfter > 0) {
+        logger.info(`   ℹ️  Partial shipment - ${outstandingAfter} unit(s) still to ship, order stays acknowledged in Rithum`);
     }
 
     return {
         statusResponse,
-        trackingNumber,
+        trackingNumber: shipmentData.shipments[0].trackingNumber,
+        trackingNumbers: shipmentData.shipments.map(rithumShipment => rithumShipment.trackingNumber),
         carrier: carrierName || carrierCode,
         shipMethod,
         shipDate,
-        lineItemCount: lineItems.length
+        lineItemCount: lineItems.length,
+        lineItems,
+        carrierManifestId,
+        serviceLevelCode: rithumShippingMethod,
+        packageCount: shipmentData.shipments.length,
+        orderComplete: outstandingAfter === null ? null : outstandingAfter === 0
     };
 }
 
-async function loadTrackedOrders() {
-    try {
-        const data = await fs.readFile(TRACKING_FILE, 'utf8');
-        const parsed = JSON.parse(data);
-        
-        // Validate and ensure proper structure
-        if (!parsed || typeof parsed !== 'object') {
-            console.warn(`⚠️  Invalid tracking file structure, reinitializing...`);
-            return {
-                trackedOrders: [],
-                lastUpdated: null,
-                totalTracked: 0
-            };
-        }
-        
-        // Ensure trackedOrders is an array
-        if (!Array.isArray(parsed.trackedOrders)) {
-            console.warn(`⚠️  trackedOrders field is not an array, reinitializing...`);
-            parsed.trackedOrders = [];
-        }
-        
-        // Ensure totalTracked is correct
-        parsed.totalTracked = parsed.trackedOrders.length;
-        
-        return parsed;
-    } catch (error) {
-        if (error.code === 'ENOENT') {
-            // File doesn't exist yet - return empty structure
-            return {
-                trackedOrders: [],
-                lastUpdated: null,
-                totalTracked: 0
-            };
-        }
-        
-        // JSON parsing or other error - log and return empty structure
-        console.error(`⚠️  Error loading tracking file: ${error.message}`);
-        console.warn(`   Reinitializing tracking data structure...`);
-        return {
-            trackedOrders: [],
-            lastUpdated: null,
-            totalTracked: 0
-        };
-    }
-}
-
-/**
- * Save tracked orders to file
- */
-async function saveTrackedOrders(data) {
-    try {
-        await fs.writeFile(TRACKING_FILE, JSON.stringify(data, null, 2), 'utf8');
-        console.log(`\n💾 Tracked orders saved to: ${TRACKING_FILE}\n`);
-    } catch (error) {
-        console.error(`\n❌ Failed to save tracking file: ${error.message}`);
-        throw error;
-    }
-}
-
-async function extractRithumOrderId(shipment, shipstationClient = null) {
+async function extractRithumOrderId(shipment, shipstationClient = null, rithumClient = null) {
     let rithumOrderId = null;
 
     // Method 1: Check tags (customField2 becomes a tag with name = dscoOrderId)
@@ -579,7 +762,7 @@ async function extractRithumOrderId(shipment, shipstationClient = null) {
         });
         if (dscoTag) {
             rithumOrderId = dscoTag.name;
-            console.log(`   🔗 Found Rithum Order ID in tags: ${rithumOrderId}`);
+            logger.info(`   🔗 Found Rithum Order ID in tags: ${rithumOrderId}`);
             return rithumOrderId;
         }
     }
@@ -587,14 +770,14 @@ async function extractRithumOrderId(shipment, shipstationClient = null) {
     // Method 2: Check customField2 directly (if available in shipment)
     if (!rithumOrderId && shipment.customField2) {
         rithumOrderId = shipment.customField2;
-        console.log(`   🔗 Found Rithum Order ID in customField2: ${rithumOrderId}`);
+        logger.info(`   🔗 Found Rithum Order ID in customField2: ${rithumOrderId}`);
         return rithumOrderId;
     }
 
     // Method 3: Check sales_order if available (customField2 might be on the order)
     if (!rithumOrderId && shipment.sales_order_id && shipstationClient) {
         try {
-            console.log(`   🔍 Checking sales_order for Rithum Order ID...`);
+            logger.info(`   🔍 Checking sales_order for Rithum Order ID...`);
             const order = await shipstationClient.getOrderById(shipment.sales_order_id);
             
             // Check order tags
@@ -605,7 +788,7 @@ async function extractRithumOrderId(shipment, shipstationClient = null) {
                 });
                 if (dscoTag) {
                     rithumOrderId = dscoTag.name;
-                    console.log(`   🔗 Found Rithum Order ID in sales_order tags: ${rithumOrderId}`);
+                    logger.info(`   🔗 Found Rithum Order ID in sales_order tags: ${rithumOrderId}`);
                     return rithumOrderId;
                 }
             }
@@ -613,11 +796,11 @@ async function extractRithumOrderId(shipment, shipstationClient = null) {
             // Check order customField2
             if (order.customField2) {
                 rithumOrderId = order.customField2;
-                console.log(`   🔗 Found Rithum Order ID in sales_order customField2: ${rithumOrderId}`);
+                logger.info(`   🔗 Found Rithum Order ID in sales_order customField2: ${rithumOrderId}`);
                 return rithumOrderId;
             }
         } catch (error) {
-            console.warn(`   ⚠️  Could not fetch sales_order to extract Rithum ID: ${error.message}`);
+            logger.warn(`   ⚠️  Could not fetch sales_order to extract Rithum ID: ${error.message}`);
         }
     }
 
@@ -628,7 +811,7 @@ async function extractRithumOrderId(shipment, shipstationClient = null) {
         // Check if external_shipment_id is numeric (likely dscoOrderId)
         if (externalId.match(/^\d+$/)) {
             rithumOrderId = externalId;
-            console.log(`   🔗 Found Rithum Order ID in external_shipment_id: ${rithumOrderId}`);
+            logger.info(`   🔗 Found Rithum Order ID in external_shipment_id: ${rithumOrderId}`);
             return rithumOrderId;
         }
         
@@ -639,8 +822,8 @@ async function extractRithumOrderId(shipment, shipstationClient = null) {
             const match = externalId.match(/^9(\d+)-\d+$/);
             if (match && match[1]) {
                 rithumOrderId = match[1];
-                console.log(`   🔗 Found TEST Rithum Order ID in external_shipment_id: ${externalId}`);
-                console.log(`      Extracted original ID: ${rithumOrderId}`);
+                logger.info(`   🔗 Found TEST Rithum Order ID in external_shipment_id: ${externalId}`);
+                logger.info(`      Extracted original ID: ${rithumOrderId}`);
                 return rithumOrderId;
             }
         }
@@ -651,26 +834,68 @@ async function extractRithumOrderId(shipment, shipstationClient = null) {
         // Only use if it looks like a Rithum order ID (numeric)
         if (shipment.shipment_number.match(/^\d+$/)) {
             rithumOrderId = shipment.shipment_number;
-            console.log(`   🔗 Found Rithum Order ID in shipment_number: ${rithumOrderId}`);
+            logger.info(`   🔗 Found Rithum Order ID in shipment_number: ${rithumOrderId}`);
+            return rithumOrderId;
+        }
+    }
+
+    // Method 6: Look the shipment up in the order ledger (orders created by the intake job)
+    if (!rithumOrderId && shipment.shipment_id) {
+        const ledgerOrder = await orderLedger.getOrder({ shipmentId: shipment.shipment_id });
+        if (ledgerOrder && ledgerOrder.dscoOrderId) {
+            rithumOrderId = ledgerOrder.dscoOrderId;
+            logger.info(`   🔗 Found Rithum Order ID in order ledger: ${rithumOrderId}`);
             return rithumOrderId;
         }
     }
 
+    // Method 7: Ask Rithum for the order by PO number (shipment_number holds the poNumber)
+    if (!rithumOrderId && shipment.shipment_number && rithumClient) {
+        try {
+            const order = await new OrderResolver(rithumClient).resolve({ poNumber: shipment.shipment_number });
+            if (order) {
+                rithumOrderId = order.dscoOrderId;
+                logger.info(`   🔗 Found Rithum Order ID by PO number lookup: ${rithumOrderId}`);
+                return rithumOrderId;
+            }
+        } catch (error) {
+            logger.warn(`   ⚠️  Could not look up PO ${shipment.shipment_number} in Rithum: ${error.message}`);
+        }
+    }
+
     if (!rithumOrderId) {
-        console.warn(`   ⚠️  Could not find Rithum Order ID in shipment`);
-        console.warn(`      Tags: ${JSON.stringify(shipment.tags || [])}`);
-        console.warn(`      External Shipment ID: ${shipment.external_shipment_id || 'N/A'}`);
-        console.warn(`      Shipment Number: ${shipment.shipment_number || 'N/A'}`);
-        console.warn(`      Sales Order ID: ${shipment.sales_order_id || 'N/A'}`);
-        console.warn(`   💡 Note: This shipment may not have been created through the middleware.`);
-        console.warn(`      Orders created via the middleware store dscoOrderId in tags/customField2.`);
+        logger.warn(`   ⚠️  Could not find Rithum Order ID in shipment`);
+        logger.warn(`      Tags: ${JSON.stringify(shipment.tags || [])}`);
+        logger.warn(`      External Shipment ID: ${shipment.external_shipment_id || 'N/A'}`);
+        logger.warn(`      Shipment Number: ${shipment.shipment_number || 'N/A'}`);
+        logger.warn(`      Sales Order ID: ${shipment.sales_order_id || 'N/A'}`);
+        logger.warn(`   💡 Note: This shipment may not have been created through the middleware.`);
+        logger.warn(`      Orders created via the middleware store dscoOrderId in tags/customField2.`);
     }
 
     return rithumOrderId;
 }
 
 /**
- * Process label_created_v2 webhook event
+ * Run fn in the log context of the order a shipment belongs to
+ * The correlation ID assigned when the order was pulled from the Rithum stream is looked up in the
+ * ledger, so the webhook's log lines can be found next to the intake's.
+ * @param {Object} refs - { shipmentId, dscoOrderId, poNumber } (any subset)
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<*>} What fn returns
+ */
+async function withOrderContext(refs, fn) {
+    const order = await orderLedger.getOrder(refs).catch(() => null);
+    return Logger.withContext({
+        correlationId: order?.correlationId || Logger.newCorrelationId(),
+        dscoOrderId: order?.dscoOrderId || refs.dscoOrderId,
+        poNumber: order?.poNumber || refs.poNumber,
+        shipmentId: refs.shipmentId
+    }, fn);
+}
+
+/**
+ * Process label_created_v2 webhook event
  * This is triggered when a label is created in ShipStation
  * 
  * Webhook payload structure:
@@ -696,7 +921,7 @@ async function processLabelCreatedWebhook(webhookData, shipstationClient, rithum
                 const pathMatch = resourceUrl.pathname.match(/\/shipments\/([^\/]+)/);
                 if (pathMatch) {
                     shipmentIds.push(pathMatch[1]);
-                    console.log(`   ✅ Found shipment_id in resource_url path: ${pathMatch[1]}`);
+                    logger.info(`   ✅ Found shipment_id in resource_url path: ${pathMatch[1]}`);
                 }
                 
                 if (shipmentIds.length === 0) {
@@ -710,7 +935,7 @@ async function processLabelCreatedWebhook(webhookData, shipstationClient, rithum
                 if (shipmentIds.length === 0) {
                     const batchId = resourceUrl.searchParams.get('batch_id');
                     if (batchId) {
-                        console.log(`   🔍 Processing batch webhook with batch_id: ${batchId}`);
+                        logger.info(`   🔍 Processing batch webhook with batch_id: ${batchId}`);
                         const labelsResponse = await shipstationClient.client.get('/v2/labels', {
                             params: { batch_id: batchId }
                         });
@@ -719,7 +944,7 @@ async function processLabelCreatedWebhook(webhookData, shipstationClient, rithum
                         if (Array.isArray(labels) && labels.length > 0) {
                             // 🚀 FIX: Process ALL labels in batch, not just labels[0]
                             shipmentIds = labels.map(label => label.shipment_id).filter(id => id);
-                            console.log(`   ✅ Found ${shipmentIds.length} shipment(s) in batch: ${shipmentIds.join(', ')}`);
+                            logger.info(`   ✅ Found ${shipmentIds.length} shipment(s) in batch: ${shipmentIds.join(', ')}`);
                             
                             // Store tracking info for all labels
                             webhookData._batchLabels = labels.map(label => ({
@@ -732,7 +957,7 @@ async function processLabelCreatedWebhook(webhookData, shipstationClient, rithum
                     }
                 }
             } catch (error) {
-                console.warn('⚠️  Could not parse resource_url:', error.message);
+                logger.warn('⚠️  Could not parse resource_url', { error });
             }
         }
         
@@ -740,242 +965,225 @@ async function processLabelCreatedWebhook(webhookData, shipstationClient, rithum
             throw new Error('No shipment_id found in label_created_v2 webhook payload. Tried: shipment data, resource_url params, and batch labels.');
         }
 
-        console.log(`\n🏷️  Processing label created webhook for ${shipmentIds.length} shipment(s):`);
+        logger.info(`\n🏷️  Processing label created webhook for ${shipmentIds.length} shipment(s):`);
         
         // 🚀 FIX: Process ALL shipments in the batch
         const results = [];
         
         for (let i = 0; i < shipmentIds.length; i++) {
             const shipmentId = shipmentIds[i];
-            console.log(`\n   📦 Processing shipment ${i + 1}/${shipmentIds.length}: ${shipmentId}`);
+            await withOrderContext({ shipmentId }, async () => {
+                logger.info(`\n   📦 Processing shipment ${i + 1}/${shipmentIds.length}: ${shipmentId}`);
             
-            try {
-                const shipment = await shipstationClient.getShipmentById(shipmentId);
-                let trackingInfo = await shipstationClient.getShipmentTracking(shipmentId);
+                try {
+                    const shipment = await shipstationClient.getShipmentById(shipmentId);
+                    let trackingInfo = await shipstationClient.getShipmentTracking(shipmentId);
                 
-                // Check if we have tracking from batch labels
-                const batchLabel = webhookData._batchLabels?.find(label => label.shipment_id === shipmentId);
-                if (!trackingInfo.tracking_number && batchLabel?.tracking_number) {
-                    console.log(`      ✅ Using tracking number from batch label: ${batchLabel.tracking_number}`);
-                    trackingInfo.tracking_number = batchLabel.tracking_number;
-                    if (batchLabel.carrier_id && !trackingInfo.carrier_id) {
-                        trackingInfo.carrier_id = batchLabel.carrier_id;
-                    }
-                    if (batchLabel.carrier_code && !trackingInfo.carrier_name) {
-                        trackingInfo.carrier_name = batchLabel.carrier_code;
-                    }
-                } else if (!trackingInfo.tracking_number) {
-                    console.log(`   🔍 Tracking number not in shipment, checking labels...`);
-                    try {
-                        // Fetch labels for this shipment
-                        const labelsResponse = await shipstationClient.client.get('/v2/labels', {
-                            params: { shipment_id: shipmentId }
-                        });
+                    // Check if we have tracking from batch labels
+                    const batchLabel = webhookData._batchLabels?.find(label => label.shipment_id === shipmentId);
+                    if (!trackingInfo.tracking_number && batchLabel?.tracking_number) {
+                        logger.info(`      ✅ Using tracking number from batch label: ${batchLabel.tracking_number}`);
+                        trackingInfo.tracking_number = batchLabel.tracking_number;
+                        if (batchLabel.carrier_id && !trackingInfo.carrier_id) {
+                            trackingInfo.carrier_id = batchLabel.carrier_id;
+                        }
+                        if (batchLabel.carrier_code && !trackingInfo.carrier_name) {
+                            trackingInfo.carrier_name = batchLabel.carrier_code;
+                        }
+                    } else if (!trackingInfo.tracking_number) {
+                        logger.info(`   🔍 Tracking number not in shipment, checking labels...`);
+                        try {
+                            // Fetch labels for this shipment
+                            const labelsResponse = await shipstationClient.client.get('/v2/labels', {
+                                params: { shipment_id: shipmentId }
+                            });
                         
-                        const labels = labelsResponse.data?.labels || labelsResponse.data || [];
-                        if (Array.isArray(labels) && labels.length > 0) {
-                            // Get tracking number from first label
-                            const label = labels[0];
-                            if (label.tracking_number) {
-                                console.log(`   ✅ Found tracking number from label: ${label.tracking_number}`);
-                                trackingInfo.tracking_number = label.tracking_number;
-                                // Also update carrier info from label if available
-                                if (label.carrier_id && !trackingInfo.carrier_id) {
-                                    trackingInfo.carrier_id = label.carrier_id;
-                                }
-                                if (label.carrier_code && !trackingInfo.carrier_name) {
-                                    trackingInfo.carrier_name = label.carrier_code;
+                            const labels = labelsResponse.data?.labels || labelsResponse.data || [];
+                            if (Array.isArray(labels) && labels.length > 0) {
+                                // Get tracking number from the first label that was not voided
+                                const label = labels.find(candidate => !candidate.voided) || labels[0];
+                                if (label.tracking_number) {
+                                    logger.info(`   ✅ Found tracking number from label: ${label.tracking_number}`);
+                                    trackingInfo.tracking_number = label.tracking_number;
+                                    // Also update carrier info from label if available
+                                    if (label.carrier_id && !trackingInfo.carrier_id) {
+                                        trackingInfo.carrier_id = label.carrier_id;
+                                    }
+                                    if (label.carrier_code && !trackingInfo.carrier_name) {
+                                        trackingInfo.carrier_name = label.carrier_code;
+                                    }
+                                } else {
+                                    logger.info(`   ⚠️  Label exists but tracking number not yet available (may be populated later)`);
                                 }
-                            } else {
-                                console.log(`   ⚠️  Label exists but tracking number not yet available (may be populated later)`);
                             }
+                        } catch (error) {
+                            logger.warn('⚠️  Could not fetch labels for tracking number', { error });
                         }
-                    } catch (error) {
-                        console.warn('⚠️  Could not fetch labels for tracking number:', error.message);
+                    } else {
+                        logger.info(`   ✅ Tracking number found in shipment: ${trackingInfo.tracking_number}`);
                     }
-                } else {
-                    console.log(`   ✅ Tracking number found in shipment: ${trackingInfo.tracking_number}`);
-                }
 
-                // Extract Rithum order ID
-                const rithumOrderId = await extractRithumOrderId(shipment, shipstationClient);
-
-                // Build tracked order information
-                const trackedOrder = {
-                    timestamp: new Date().toISOString(),
-                    webhookEvent: 'label_created_v2',
-                    shipment: {
-                        shipment_id: shipment.shipment_id,
-                        shipment_number: shipment.shipment_number,
-                        external_shipment_id: shipment.external_shipment_id,
-                        shipment_status: shipment.shipment_status,
-                        sales_order_id: shipment.sales_order_id,
-                        created_at: shipment.created_at,
-                        modified_at: shipment.modified_at
-                    },
-                    tracking: {
-                        tracking_number: trackingInfo.tracking_number || null,
-                        carrier_id: trackingInfo.carrier_id || shipment.carrier_id,
-                        carrier_name: trackingInfo.carrier_name || shipment.carrier_name,
-                        ship_date: trackingInfo.ship_date || shipment.ship_date,
-                        estimated_delivery_date: trackingInfo.estimated_delivery_date || shipment.estimated_delivery_date,
-                        packages: trackingInfo.packages || shipment.packages || []
-                    },
-                    shipping: {
-                        ship_to: shipment.ship_to || null,
-                        ship_from: shipment.ship_from || null
-                    },
-                    rithumOrderId: rithumOrderId || null,
-                    rithumUpdated: false,
-                    rithumUpdate: {
-                        attempted: !!rithumClient && !!rithumOrderId,
-                        success: false,
-                        updatedAt: null,
-                        trackingNumber: null,
-                        carrier: null,
-                        error: null
-                    },
-                    note: rithumClient ? 'Label created - tracking captured - awaiting Rithum update' : 'Label created - tracking captured locally - Rithum client unavailable'
-                };
+                    // Extract Rithum order ID
+                    const rithumOrderId = await extractRithumOrderId(shipment, shipstationClient, rithumClient);
+
+                    // Build tracked order information
+                    const trackedOrder = {
+                        timestamp: new Date().toISOString(),
+                        webhookEvent: 'label_created_v2',
+                        shipment: {
+                            shipment_id: shipment.shipment_id,
+                            shipment_number: shipment.shipment_number,
+                            external_shipment_id: shipment.external_shipment_id,
+                            shipment_status: shipment.shipment_status,
+                            sales_order_id: shipment.sales_order_id,
+                            created_at: shipment.created_at,
+                            modified_at: shipment.modified_at
+                        },
+                        tracking: {
+                            tracking_number: trackingInfo.tracking_number || null,
+                            carrier_id: trackingInfo.carrier_id || shipment.carrier_id,
+                            carrier_name: trackingInfo.carrier_name || shipment.carrier_name,
+                            ship_date: trackingInfo.ship_date || shipment.ship_date,
+                            estimated_delivery_date: trackingInfo.estimated_delivery_date || shipment.estimated_delivery_date,
+                            packages: trackingInfo.packages || shipment.packages || []
+                        },
+                        shipping: {
+                            ship_to: shipment.ship_to || null,
+                            ship_from: shipment.ship_from || null
+                        },
+                        rithumOrderId: rithumOrderId || null,
+                        rithumUpdated: false,
+                        rithumUpdate: {
+                            attempted: !!rithumClient && !!rithumOrderId,
+                            success: false,
+                            updatedAt: null,
+                            trackingNumber: null,
+                            carrier: null,
+                            error: null
+                        },
+                        note: rithumClient ? 'Label created - tracking captured - awaiting Rithum update' : 'Label created - tracking captured locally - Rithum client unavailable'
+                    };
 
-                // Attempt to update Rithum with tracking information
-                if (rithumClient && rithumOrderId) {
-                    try {
-                        const { statusResponse, trackingNumber: submittedTracking, carrier, lineItemCount } = await updateRithumOrderTracking(
-                            rithumClient,
-                            rithumOrderId,
-                            shipment,
-                            trackingInfo,
-                            shipstationClient,  // Pass ShipStation client
-                            shipmentId          // Pass shipment ID for label lookup
-                        );
+                    await orderLedger.record(LEDGER_EVENTS.LABEL_PURCHASED, {
+                        dscoOrderId: rithumOrderId,
+                        poNumber: shipment.shipment_number,
+                        shipmentId
+                    }, {
+                        trackingNumber: trackedOrder.tracking.tracking_number || null,
+                        carrierId: trackedOrder.tracking.carrier_id || null,
+                        carrierName: trackedOrder.tracking.carrier_name || null,
+                        shipDate: trackedOrder.tracking.ship_date || null
+                    });
+
+                    // A new label for a shipment whose earlier label was voided replaces the dead tracking in Rithum
+                    if (rithumClient && rithumOrderId) {
+                        try {
+                            const voidHandler = new LabelVoidHandler(shipstationClient, rithumClient, {
+                                ledger: orderLedger,
+                                mappings: carrierMappings
+                            });
+                            for (const correction of await voidHandler.checkShipment(shipmentId)) {
+                                logger.info(`      🔁 Voided tracking ${correction.trackingNumber}: ${correction.status}` +
+                                    `${correction.replacementTrackingNumber ? ` (now ${correction.replacementTrackingNumber})` : ''}`);
+                            }
+                        } catch (error) {
+                            logger.error(`      ❌ Could not correct voided tracking for shipment ${shipmentId}`, { error });
+                        }
+                    }
+
+                    // Attempt to update Rithum with tracking information
+                    if (rithumClient && rithumOrderId && await wasTrackingPosted(rithumOrderId, trackedOrder.tracking.tracking_number)) {
+                        trackedOrder.rithumUpdate.attempted = false;
+                        trackedOrder.note = 'Label created - tracking already posted to Rithum';
+                        logger.info(`      ⏭️  Tracking ${trackedOrder.tracking.tracking_number} already posted to Rithum - skipping update`);
+                    } else if (rithumClient && rithumOrderId) {
+                        try {
+                            const { statusResponse, trackingNumber: submittedTracking, trackingNumbers, carrier, lineItemCount } = await updateRithumOrderTracking(
+                                rithumClient,
+                                rithumOrderId,
+                                shipment,
+                                trackingInfo,
+                                shipstationClient,  // Pass ShipStation client
+                                shipmentId          // Pass shipment ID for label lookup
+                            );
                         
-                        trackedOrder.rithumUpdated = true;
-                        trackedOrder.rithumUpdate.success = true;
-                        trackedOrder.rithumUpdate.updatedAt = new Date().toISOString();
-                        trackedOrder.rithumUpdate.trackingNumber = submittedTracking;
-                        trackedOrder.rithumUpdate.carrier = carrier;
-                        trackedOrder.rithumUpdate.lineItemCount = lineItemCount;
-                        trackedOrder.rithumUpdate.responses = {
-                            status: statusResponse
+                            trackedOrder.rithumUpdated = true;
+                            trackedOrder.rithumUpdate.success = true;
+                            trackedOrder.rithumUpdate.updatedAt = new Date().toISOString();
+                            trackedOrder.rithumUpdate.trackingNumber = submittedTracking;
+                            trackedOrder.rithumUpdate.trackingNumbers = trackingNumbers;
+                            trackedOrder.rithumUpdate.carrier = carrier;
+                            trackedOrder.rithumUpdate.lineItemCount = lineItemCount;
+                            trackedOrder.rithumUpdate.responses = {
+                                status: statusResponse
+                            };
+
+                            trackedOrder.note = submittedTracking
+                                ? `Label created - tracking: ${submittedTracking} - order status updated in Rithum`
+                                : 'Label created - no tracking yet - order status updated in Rithum';
+
+                            const logTrackingNumber = (trackingNumbers || []).join(', ') || submittedTracking || 'N/A';
+                            logger.info(`      ✅ Updated Rithum order ${rithumOrderId}`);
+                            logger.info(`         Status: shipped`);
+                            logger.info(`         Tracking: ${logTrackingNumber}`);
+                            logger.info(`         Line Items: ${lineItemCount}`);
+                        } catch (error) {
+                            trackedOrder.rithumUpdated = false;
+                            trackedOrder.rithumUpdate.error = {
+                                message: error.message,
+                                status: error.response?.status,
+                                data: error.response?.data
+                            };
+                            trackedOrder.note = 'Label created - tracking captured locally - failed to update Rithum';
+
+                            logger.error(`      ❌ Failed to update Rithum order ${rithumOrderId}`, { error });
+                        }
+                    } else if (!rithumClient) {
+                        trackedOrder.rithumUpdate.attempted = false;
+                        trackedOrder.rithumUpdate.error = {
+                            message: 'Rithum client not configured'
                         };
-
-                        trackedOrder.note = submittedTracking
-                            ? `Label created - tracking: ${submittedTracking} - order status updated in Rithum`
-                            : 'Label created - no tracking yet - order status updated in Rithum';
-
-                        const logTrackingNumber = submittedTracking || 'N/A';
-                        console.log(`      ✅ Updated Rithum order ${rithumOrderId}`);
-                        console.log(`         Status: shipped`);
-                        console.log(`         Tracking: ${logTrackingNumber}`);
-                        console.log(`         Line Items: ${lineItemCount}`);
-                    } catch (error) {
-                        trackedOrder.rithumUpdated = false;
+                    } else {
                         trackedOrder.rithumUpdate.error = {
-                            message: error.message,
-                            status: error.response?.status,
-                            data: error.response?.data
+                            message: 'Rithum order ID not found on shipment'
                         };
-                        trackedOrder.note = 'Label created - tracking captured locally - failed to update Rithum';
-
-                        console.error(`      ❌ Failed to update Rithum order ${rithumOrderId}:`, error.message);
-                        if (error.response) {
-                            console.error('         Status:', error.response.status);
-                            console.error('         Response:', JSON.stringify(error.response.data, null, 2));
-                        }
                     }
-                } else if (!rithumClient) {
-                    trackedOrder.rithumUpdate.attempted = false;
-                    trackedOrder.rithumUpdate.error = {
-                        message: 'Rithum client not configured'
-                    };
-                } else {
-                    trackedOrder.rithumUpdate.error = {
-                        message: 'Rithum order ID not found on shipment'
-                    };
-                }
-
-                // Load existing tracked orders
-                const trackingData = await loadTrackedOrders();
 
-                // Ensure trackingData has the expected structure
-                if (!trackingData || typeof trackingData !== 'object') {
-                    console.warn(`      ⚠️  Invalid tracking data structure, reinitializing...`);
-                    trackingData = {
-                        trackedOrders: [],
-                        lastUpdated: null,
-                        totalTracked: 0
-                    };
-                }
-                
-                // Ensure trackedOrders is an array
-                if (!Array.isArray(trackingData.trackedOrders)) {
-                    console.warn(`      ⚠️  trackedOrders is not an array, reinitializing...`);
-                    trackingData.trackedOrders = [];
-                }
-
-                // Check if this shipment was already tracked
-                const existingIndex = trackingData.trackedOrders.findIndex(
-                    order => order.shipment && order.shipment.shipment_id === shipmentId
-                );
-
-                if (existingIndex >= 0) {
-                    // Update existing entry (label_created_v2 might come before fulfillment_shipped_v2)
-                    console.log(`      ⚠️  Shipment already tracked - updating entry`);
-                    // Only update if this is a more complete event (fulfillment_shipped_v2 takes precedence)
-                    const existing = trackingData.trackedOrders[existingIndex];
-                    if (existing.webhookEvent === 'fulfillment_shipped_v2') {
-                        console.log(`      ℹ️  Keeping fulfillment_shipped_v2 data (more complete)`);
-                        // Don't overwrite fulfillment_shipped_v2 with label_created_v2
+                    logger.info(`      ✅ Label created order recorded in ledger`);
+                    if (rithumOrderId) {
+                        logger.info(`      🔗 Rithum Order ID: ${rithumOrderId}`);
+                        if (trackedOrder.rithumUpdated) {
+                            logger.info('      📬 Rithum order updated successfully');
+                        } else if (trackedOrder.rithumUpdate.attempted) {
+                            logger.info('      ⚠️  Failed to update Rithum order. See logs for details.');
+                        }
                     } else {
-                        trackingData.trackedOrders[existingIndex] = trackedOrder;
+                        logger.info(`      ⚠️  Rithum Order ID not found in shipment`);
                     }
-                } else {
-                    // Add new entry
-                    trackingData.trackedOrders.push(trackedOrder);
-                    trackingData.totalTracked = trackingData.trackedOrders.length;
-                }
-
-                trackingData.lastUpdated = new Date().toISOString();
-
-                // Save to file
-                await saveTrackedOrders(trackingData);
 
-                console.log(`      ✅ Label created order tracked successfully`);
-                console.log(`      📊 Total tracked orders: ${trackingData.totalTracked}`);
-                if (rithumOrderId) {
-                    console.log(`      🔗 Rithum Order ID: ${rithumOrderId}`);
-                    if (trackedOrder.rithumUpdated) {
-                        console.log('      📬 Rithum order updated successfully');
-                    } else if (trackedOrder.rithumUpdate.attempted) {
-                        console.log('      ⚠️  Failed to update Rithum order. See logs for details.');
-                    }
-                } else {
-                    console.log(`      ⚠️  Rithum Order ID not found in shipment`);
+                    results.push({
+                        success: true,
+                        trackedOrder,
+                        shipmentId,
+                        trackingNumber: trackedOrder.tracking.tracking_number
+                    });
+
+                } catch (shipmentError) {
+                    logger.error(`      ❌ Error processing shipment ${shipmentId}`, { error: shipmentError });
+                    logger.error(`         Stack trace`, { stack: shipmentError.stack });
+                    results.push({
+                        success: false,
+                        shipmentId,
+                        error: shipmentError.message
+                    });
                 }
-
-                results.push({
-                    success: true,
-                    trackedOrder,
-                    shipmentId,
-                    trackingNumber: trackedOrder.tracking.tracking_number
-                });
-
-            } catch (shipmentError) {
-                console.error(`      ❌ Error processing shipment ${shipmentId}:`, shipmentError.message);
-                console.error(`         Stack trace:`, shipmentError.stack);
-                results.push({
-                    success: false,
-                    shipmentId,
-                    error: shipmentError.message
-                });
-            }
+            });
         }
 
         const successfulResults = results.filter(r => r.success);
         const failedResults = results.filter(r => !r.success);
         
-        console.log(`\n🏁 Batch processing complete: ${successfulResults.length} successful, ${failedResults.length} failed`);
+        logger.info(`\n🏁 Batch processing complete: ${successfulResults.length} successful, ${failedResults.length} failed`);
         
         return {
             success: failedResults.length === 0, // Success only if all shipments processed
@@ -985,7 +1193,7 @@ async function processLabelCreatedWebhook(webhookData, shipstationClient, rithum
         };
 
     } catch (error) {
-        console.error(`\n❌ Error processing label_created_v2 webhook:`, error.message);
+        logger.error(`\n❌ Error processing label_created_v2 webhook`, { error });
         throw error;
     }
 }
@@ -1009,186 +1217,155 @@ async function processFulfillmentShippedWebhook(webhookData, shipstationClient,
             throw new Error('No shipment_id in fulfillment data');
         }
 
-        console.log(`\n📦 Processing shipped order webhook:`);
-        console.log(`   Shipment ID: ${shipmentId}`);
-        console.log(`   Tracking Number: ${fulfillment.tracking_number || 'N/A'}`);
-        console.log(`   Carrier: ${fulfillment.carrier_name || fulfillment.carrier_id || 'N/A'}`);
+        return withOrderContext({ shipmentId }, async () => {
+            logger.info(`\n📦 Processing shipped order webhook:`);
+            logger.info(`   Shipment ID: ${shipmentId}`);
+            logger.info(`   Tracking Number: ${fulfillment.tracking_number || 'N/A'}`);
+            logger.info(`   Carrier: ${fulfillment.carrier_name || fulfillment.carrier_id || 'N/A'}`);
 
-        // Get full shipment details from ShipStation
-        console.log(`   🔍 Fetching full shipment details...`);
-        const shipment = await shipstationClient.getShipmentById(shipmentId);
-        const trackingInfo = await shipstationClient.getShipmentTracking(shipmentId);
+            // Get full shipment details from ShipStation
+            logger.info(`   🔍 Fetching full shipment details...`);
+            const shipment = await shipstationClient.getShipmentById(shipmentId);
+            const trackingInfo = await shipstationClient.getShipmentTracking(shipmentId);
 
-        // Fallback: use fulfillment data if shipment tracking is not populated yet
-        if (!trackingInfo.tracking_number && fulfillment.tracking_number) {
-            trackingInfo.tracking_number = fulfillment.tracking_number;
-        }
-        if (!trackingInfo.carrier_name && (fulfillment.carrier_name || fulfillment.carrier_id)) {
-            trackingInfo.carrier_name = fulfillment.carrier_name || fulfillment.carrier_id;
-        }
-        if (!trackingInfo.ship_date && fulfillment.ship_date) {
-            trackingInfo.ship_date = fulfillment.ship_date;
-        }
+            // Fallback: use fulfillment data if shipment tracking is not populated yet
+            if (!trackingInfo.tracking_number && fulfillment.tracking_number) {
+                trackingInfo.tracking_number = fulfillment.tracking_number;
+            }
+            if (!trackingInfo.carrier_name && (fulfillment.carrier_name || fulfillment.carrier_id)) {
+                trackingInfo.carrier_name = fulfillment.carrier_name || fulfillment.carrier_id;
+            }
+            if (!trackingInfo.ship_date && fulfillment.ship_date) {
+                trackingInfo.ship_date = fulfillment.ship_date;
+            }
 
-        // Extract Rithum order ID
-        const rithumOrderId = await extractRithumOrderId(shipment, shipstationClient);
+            // Extract Rithum order ID
+            const rithumOrderId = await extractRithumOrderId(shipment, shipstationClient, rithumClient);
+
+            // Build tracked order information
+            const trackedOrder = {
+                timestamp: new Date().toISOString(),
+                webhookEvent: 'fulfillment_shipped_v2',
+                shipment: {
+                    shipment_id: shipment.shipment_id,
+                    shipment_number: shipment.shipment_number,
+                    external_shipment_id: shipment.external_shipment_id,
+                    shipment_status: shipment.shipment_status,
+                    sales_order_id: shipment.sales_order_id,
+                    created_at: shipment.created_at,
+                    modified_at: shipment.modified_at
+                },
+                tracking: {
+                    tracking_number: trackingInfo.tracking_number || fulfillment.tracking_number,
+                    carrier_id: trackingInfo.carrier_id || shipment.carrier_id,
+                    carrier_name: trackingInfo.carrier_name || shipment.carrier_name,
+                    ship_date: trackingInfo.ship_date || shipment.ship_date,
+                    estimated_delivery_date: trackingInfo.estimated_delivery_date || shipment.estimated_delivery_date,
+                    packages: trackingInfo.packages || shipment.packages || []
+                },
+                shipping: {
+                    ship_to: shipment.ship_to || null,
+                    ship_from: shipment.ship_from || null
+                },
+                rithumOrderId: rithumOrderId || null,
+                rithumUpdated: false,
+                rithumUpdate: {
+                    attempted: !!rithumClient && !!rithumOrderId,
+                    success: false,
+                    updatedAt: null,
+                    trackingNumber: null,
+                    carrier: null,
+                    error: null
+                },
+                note: rithumClient ? 'Tracking captured - awaiting Rithum update' : 'Tracking captured locally - Rithum client unavailable'
+            };
 
-        // Build tracked order information
-        const trackedOrder = {
-            timestamp: new Date().toISOString(),
-            webhookEvent: 'fulfillment_shipped_v2',
-            shipment: {
-                shipment_id: shipment.shipment_id,
-                shipment_number: shipment.shipment_number,
-                external_shipment_id: shipment.external_shipment_id,
-                shipment_status: shipment.shipment_status,
-                sales_order_id: shipment.sales_order_id,
-                created_at: shipment.created_at,
-                modified_at: shipment.modified_at
-            },
-            tracking: {
-                tracking_number: trackingInfo.tracking_number || fulfillment.tracking_number,
-                carrier_id: trackingInfo.carrier_id || shipment.carrier_id,
-                carrier_name: trackingInfo.carrier_name || shipment.carrier_name,
-                ship_date: trackingInfo.ship_date || shipment.ship_date,
-                estimated_delivery_date: trackingInfo.estimated_delivery_date || shipment.estimated_delivery_date,
-                packages: trackingInfo.packages || shipment.packages || []
-            },
-            shipping: {
-                ship_to: shipment.ship_to || null,
-                ship_from: shipment.ship_from || null
-            },
-            rithumOrderId: rithumOrderId || null,
-            rithumUpdated: false,
-            rithumUpdate: {
-                attempted: !!rithumClient && !!rithumOrderId,
-                success: false,
-                updatedAt: null,
-                trackingNumber: null,
-                carrier: null,
-                error: null
-            },
-            note: rithumClient ? 'Tracking captured - awaiting Rithum update' : 'Tracking captured locally - Rithum client unavailable'
-        };
+            await orderLedger.record(LEDGER_EVENTS.FULFILLMENT_SHIPPED, {
+                dscoOrderId: rithumOrderId,
+                poNumber: shipment.shipment_number,
+                shipmentId
+            }, {
+                trackingNumber: trackedOrder.tracking.tracking_number || null,
+                carrierId: trackedOrder.tracking.carrier_id || null,
+                carrierName: trackedOrder.tracking.carrier_name || null,
+                shipDate: trackedOrder.tracking.ship_date || null
+            });
 
-        // Attempt to update Rithum with tracking information
-        if (rithumClient && rithumOrderId) {
-            try {
-                const { statusResponse, trackingNumber: submittedTracking, carrier, lineItemCount } = await updateRithumOrderTracking(
-                    rithumClient,
-                    rithumOrderId,
-                    shipment,
-                    trackingInfo,
-                    shipstationClient,  // Pass ShipStation client
-                    shipmentId          // Pass shipment ID for label lookup
-                );
+            // Attempt to update Rithum with tracking information
+            if (rithumClient && rithumOrderId) {
+                try {
+                    const { statusResponse, trackingNumber: submittedTracking, trackingNumbers, carrier, lineItemCount } = await updateRithumOrderTracking(
+                        rithumClient,
+                        rithumOrderId,
+                        shipment,
+                        trackingInfo,
+                        shipstationClient,  // Pass ShipStation client
+                        shipmentId          // Pass shipment ID for label lookup
+                    );
                 
-                trackedOrder.rithumUpdated = true;
-                trackedOrder.rithumUpdate.success = true;
-                trackedOrder.rithumUpdate.updatedAt = new Date().toISOString();
-                trackedOrder.rithumUpdate.trackingNumber = submittedTracking;
-                trackedOrder.rithumUpdate.carrier = carrier;
-                trackedOrder.rithumUpdate.lineItemCount = lineItemCount;
-                trackedOrder.rithumUpdate.responses = {
-                    status: statusResponse
-                };
+                    trackedOrder.rithumUpdated = true;
+                    trackedOrder.rithumUpdate.success = true;
+                    trackedOrder.rithumUpdate.updatedAt = new Date().toISOString();
+                    trackedOrder.rithumUpdate.trackingNumber = submittedTracking;
+                    trackedOrder.rithumUpdate.carrier = carrier;
+                    trackedOrder.rithumUpdate.lineItemCount = lineItemCount;
+                    trackedOrder.rithumUpdate.responses = {
+                        status: statusResponse
+                    };
 
-                trackedOrder.note = submittedTracking
-                    ? `Fulfillment shipped - tracking: ${submittedTracking} - order status updated in Rithum`
-                    : 'Fulfillment shipped - no tracking yet - order status updated in Rithum';
+                    trackedOrder.note = submittedTracking
+                        ? `Fulfillment shipped - tracking: ${submittedTracking} - order status updated in Rithum`
+                        : 'Fulfillment shipped - no tracking yet - order status updated in Rithum';
+
+                    const logTrackingNumber = (trackingNumbers || []).join(', ') || submittedTracking || 'N/A';
+                    logger.info(`   ✅ Updated Rithum order ${rithumOrderId}`);
+                    logger.info(`      Status: shipped`);
+                    logger.info(`      Tracking: ${logTrackingNumber}`);
+                    logger.info(`      Line Items: ${lineItemCount}`);
+                } catch (error) {
+                    trackedOrder.rithumUpdated = false;
+                    trackedOrder.rithumUpdate.error = {
+                        message: error.message,
+                        status: error.response?.status,
+                        data: error.response?.data
+                    };
+                    trackedOrder.note = 'Tracking captured locally - failed to update Rithum';
 
-                const logTrackingNumber = submittedTracking || 'N/A';
-                console.log(`   ✅ Updated Rithum order ${rithumOrderId}`);
-                console.log(`      Status: shipped`);
-                console.log(`      Tracking: ${logTrackingNumber}`);
-                console.log(`      Line Items: ${lineItemCount}`);
-            } catch (error) {
-                trackedOrder.rithumUpdated = false;
+                    logger.error(`   ❌ Failed to update Rithum order ${rithumOrderId}`, { error });
+                }
+            } else if (!rithumClient) {
+                trackedOrder.rithumUpdate.attempted = false;
                 trackedOrder.rithumUpdate.error = {
-                    message: error.message,
-                    status: error.response?.status,
-                    data: error.response?.data
+                    message: 'Rithum client not configured'
                 };
-                trackedOrder.note = 'Tracking captured locally - failed to update Rithum';
+            } else {
+                trackedOrder.rithumUpdate.error = {
+                    message: 'Rithum order ID not found on shipment'
+                };
+            }
 
-                console.error(`   ❌ Failed to update Rithum order ${rithumOrderId}:`, error.message);
-                if (error.response) {
-                    console.error('      Status:', error.response.status);
-                    console.error('      Response:', JSON.stringify(error.response.data, null, 2));
+            logger.info(`   ✅ Shipped order recorded in ledger`);
+            if (rithumOrderId) {
+                logger.info(`   🔗 Rithum Order ID: ${rithumOrderId}`);
+                if (trackedOrder.rithumUpdated) {
+                    logger.info('   📬 Rithum order updated successfully');
+                } else if (trackedOrder.rithumUpdate.attempted) {
+                    logger.info('   ⚠️  Failed to update Rithum order. See logs for details.');
                 }
+            } else {
+                logger.info(`   ⚠️  Rithum Order ID not found in shipment`);
             }
-        } else if (!rithumClient) {
-            trackedOrder.rithumUpdate.attempted = false;
-            trackedOrder.rithumUpdate.error = {
-                message: 'Rithum client not configured'
-            };
-        } else {
-            trackedOrder.rithumUpdate.error = {
-                message: 'Rithum order ID not found on shipment'
-            };
-        }
-
-        // Load existing tracked orders
-        const trackingData = await loadTrackedOrders();
 
-        // Ensure trackingData has the expected structure
-        if (!trackingData || typeof trackingData !== 'object') {
-            console.warn(`   ⚠️  Invalid tracking data structure, reinitializing...`);
-            trackingData = {
-                trackedOrders: [],
-                lastUpdated: null,
-                totalTracked: 0
+            return {
+                success: true,
+                trackedOrder,
+                shipmentId,
+                trackingNumber: trackedOrder.tracking.tracking_number
             };
-        }
-        
-        // Ensure trackedOrders is an array
-        if (!Array.isArray(trackingData.trackedOrders)) {
-            console.warn(`   ⚠️  trackedOrders is not an array, reinitializing...`);
-            trackingData.trackedOrders = [];
-        }
-
-        // Check if this shipment was already tracked
-        const existingIndex = trackingData.trackedOrders.findIndex(
-            order => order.shipment && order.shipment.shipment_id === shipmentId
-        );
-
-        if (existingIndex >= 0) {
-            // Update existing entry
-            console.log(`   ⚠️  Shipment already tracked - updating entry`);
-            trackingData.trackedOrders[existingIndex] = trackedOrder;
-        } else {
-            // Add new entry
-            trackingData.trackedOrders.push(trackedOrder);
-            trackingData.totalTracked = trackingData.trackedOrders.length;
-        }
-
-        trackingData.lastUpdated = new Date().toISOString();
-
-        // Save to file
-        await saveTrackedOrders(trackingData);
-
-        console.log(`   ✅ Shipped order tracked successfully`);
-        console.log(`   📊 Total tracked orders: ${trackingData.totalTracked}`);
-        if (rithumOrderId) {
-            console.log(`   🔗 Rithum Order ID: ${rithumOrderId}`);
-            if (trackedOrder.rithumUpdated) {
-                console.log('   📬 Rithum order updated successfully');
-            } else if (trackedOrder.rithumUpdate.attempted) {
-                console.log('   ⚠️  Failed to update Rithum order. See logs for details.');
-            }
-        } else {
-            console.log(`   ⚠️  Rithum Order ID not found in shipment`);
-        }
-
-        return {
-            success: true,
-            trackedOrder,
-            shipmentId,
-            trackingNumber: trackedOrder.tracking.tracking_number
-        };
+        });
 
     } catch (error) {
-        console.error(`\n❌ Error processing fulfillment_shipped_v2 webhook:`, error.message);
+        logger.error(`\n❌ Error processing fulfillment_shipped_v2 webhook`, { error });
         throw error;
     }
 }
@@ -1214,6 +1391,11 @@ async function processWebhookEvent(webhookData, shipstationClient, rithumClient)
         case 'label_created_v2':
             return await processLabelCreatedWebhook(webhookData, shipstationClient, rithumClient);
 
+        case 'track':
+        case 'track_event_v2':
+        case 'api_track':
+            return await createDeliveryTracker(shipstationClient, rithumClient).handleTrackWebhook(webhookData);
+
         case 'shipment_created_v2':
             return {
                 success: true,
@@ -1222,7 +1404,7 @@ async function processWebhookEvent(webhookData, shipstationClient, rithumClient)
             };
 
         default:
-            console.log(`   ℹ️  Unhandled event type: ${eventType}`);
+            logger.info(`   ℹ️  Unhandled event type: ${eventType}`);
             return {
                 success: true,
                 message: `Event type ${eventType} received but not specifically handled`,
@@ -1242,9 +1424,9 @@ async function trackShippedOrder(webhookPayload) {
                 shipstationConfig.warehouseId,
                 shipstationConfig.shipFrom
             );
-            console.log('✅ ShipStation client initialized\n');
+            logger.info('✅ ShipStation client initialized\n');
         } catch (error) {
-            console.error('❌ Failed to initialize ShipStation client:', error.message);
+            logger.error('❌ Failed to initialize ShipStation client', { error });
             throw new Error('ShipStation client not configured');
         }
         let rithumClient = null;
@@ -1255,65 +1437,306 @@ async function trackShippedOrder(webhookPayload) {
                 rithumConfig.clientId,
                 rithumConfig.clientSecret
             );
-            console.log('✅ Rithum client initialized\n');
+            logger.info('✅ Rithum client initialized\n');
         } catch (error) {
-            console.warn('⚠️  Rithum client not available:', error.message);
+            logger.warn('⚠️  Rithum client not available', { error });
         }
         const result = await processWebhookEvent(webhookPayload, shipstationClient, rithumClient);
 
         return result;
 
     } catch (error) {
-        console.error('\n❌ Error tracking shipped order:', error.message);
+        logger.error('\n❌ Error tracking shipped order', { error });
         throw error;
     }
 }
 
 /**
- * Get tracking summary
+ * Find the first failure in a processed webhook result
+ * Handlers report per-shipment failures (including failed Rithum updates) in the result rather
+ * than throwing, so the queue needs them pulled out to decide whether to retry.
+ * @param {Object} result - Result of processWebhookEvent()
+ * @returns {string|null} Failure message, or null if everything succeeded
+ */
+function getWebhookFailure(result) {
+    const results = Array.isArray(result?.results) ? result.results : [result];
+
+    for (const item of results) {
+        if (!item) {
+            continue;
+        }
+        if (item.success === false) {
+            return item.error || item.message || 'Webhook processing failed';
+        }
+        const rithumUpdate = item.trackedOrder?.rithumUpdate;
+        if (rithumUpdate?.attempted && !rithumUpdate.success) {
+            return `Rithum update failed: ${rithumUpdate.error?.message || 'unknown error'}`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Queue worker: process one stored webhook payload, throwing so the queue retries on failure
+ */
+async function processQueuedWebhook(payload) {
+    const result = await trackShippedOrder(payload);
+    const failure = getWebhookFailure(result);
+    if (failure) {
+        throw new Error(failure);
+    }
+    return result;
+}
+
+/**
+ * Create the service that reports ShipStation cancellations to Rithum
+ * Both API clients are required, so configuration errors are thrown
+ */
+function createSupplierCancellation() {
+    validateShipStationConfig();
+    validateRithumConfig();
+
+    const shipstationClient = new ShipStationClient(
+        shipstationConfig.apiKey,
+        shipstationConfig.baseUrl,
+        shipstationConfig.warehouseId,
+        shipstationConfig.shipFrom
+    );
+    const rithumClient = new RithumClient(
+        rithumConfig.apiUrl,
+        rithumConfig.clientId,
+        rithumConfig.clientSecret
+    );
+
+    return new SupplierCancellation(shipstationClient, rithumClient, {
+        cancelTag: rithumConfig.cancelTag,
+        cancelCode: rithumConfig.cancelCode,
+        cancelReason: rithumConfig.cancelReason,
+        ledger: orderLedger
+    });
+}
+
+/**
+ * Build the notifier for operational alerts
+ * A notification misconfiguration must not stop orders from flowing, so it falls back to console alerts
+ * @returns {Notifier}
+ */
+function createNotifier() {
+    try {
+        validateNotificationConfig();
+        return Notifier.fromConfig(notificationConfig);
+    } catch (error) {
+        logger.warn(`⚠️  ${error.message} - alerts go to the console only`);
+        return new Notifier();
+    }
+}
+
+/**
+ * Build the poller that confirms submitted shipments against the Rithum OrderChangeLog
+ * @param {Notifier} [notifier] - Alerted about rejections left for manual review
+ */
+function createChangeLogPoller(notifier = null) {
+    validateRithumConfig();
+
+    const rithumClient = new RithumClient(
+        rithumConfig.apiUrl,
+        rithumConfig.clientId,
+        rithumConfig.clientSecret
+    );
+
+    return new ChangeLogPoller(rithumClient, {
+        ledger: orderLedger,
+        mapShippingMethod: mapToRithumShippingMethod,
+        maxResubmits: rithumConfig.changeLogMaxResubmits,
+        notifier
+    });
+}
+
+/**
+ * Build the generator whose invoice requests are confirmed against the Rithum InvoiceChangeLog
+ */
+function createInvoiceGenerator() {
+    validateRithumConfig();
+
+    const rithumClient = new RithumClient(
+        rithumConfig.apiUrl,
+        rithumConfig.clientId,
+        rithumConfig.clientSecret
+    );
+
+    return new InvoiceGenerator(rithumClient, {
+        ledger: orderLedger,
+        ...rithumConfig.invoices
+    });
+}
+
+/**
+ * Build the tracker that records carrier delivery status for posted tracking numbers
+ * @param {ShipStationClient} [shipstationClient] - Defaults to a client built from the configuration
+ * @param {RithumClient} [rithumClient] - Defaults to a client built from the configuration
+ */
+function createDeliveryTracker(shipstationClient = null, rithumClient = null) {
+    if (!shipstationClient) {
+        validateShipStationConfig();
+        shipstationClient = new ShipStationClient(
+            shipstationConfig.apiKey,
+            shipstationConfig.baseUrl,
+            shipstationConfig.warehouseId,
+            shipstationConfig.shipFrom
+        );
+    }
+    if (!rithumClient) {
+        validateRithumConfig();
+        rithumClient = new RithumClient(
+            rithumConfig.apiUrl,
+            rithumConfig.clientId,
+            rithumConfig.clientSecret
+        );
+    }
+
+    return new DeliveryTracker(shipstationClient, rithumClient, {
+        ledger: orderLedger,
+        ...rithumConfig.deliveryTracking,
+        shipFrom: shipstationConfig.shipFrom
+    });
+}
+
+/**
+ * Build the handler that corrects Rithum tracking when a reported label is voided
+ */
+function createLabelVoidHandler() {
+    validateShipStationConfig();
+    validateRithumConfig();
+
+    const shipstationClient = new ShipStationClient(
+        shipstationConfig.apiKey,
+        shipstationConfig.baseUrl,
+        shipstationConfig.warehouseId,
+        shipstationConfig.shipFrom
+    );
+    const rithumClient = new RithumClient(
+        rithumConfig.apiUrl,
+        rithumConfig.clientId,
+        rithumConfig.clientSecret
+    );
+
+    return new LabelVoidHandler(shipstationClient, rithumClient, {
+        ledger: orderLedger,
+        mappings: carrierMappings,
+        maxAgeDays: rithumConfig.labelVoidMaxAgeDays
+    });
+}
+
+/**
+ * Get tracking summary from the order ledger
  */
 async function getTrackingSummary() {
     try {
-        const trackingData = await loadTrackedOrders();
+        const summary = await orderLedger.getSummary();
+        
+        logger.info('\n' + '='.repeat(80));
+        logger.info('📊 Order Sync Ledger Summary');
+        logger.info('='.repeat(80));
+        logger.info(`   Ledger File: ${summary.ledgerFile}`);
+        logger.info(`   Total Orders: ${summary.totalOrders}`);
+        logger.info(`   Last Updated: ${summary.lastUpdated || 'Never'}`);
         
-        console.log('\n' + '='.repeat(80));
-        console.log('📊 Shipped Orders Tracking Summary');
-        console.log('='.repeat(80));
-        console.log(`   Total Tracked Orders: ${trackingData.totalTracked}`);
-        console.log(`   Last Updated: ${trackingData.lastUpdated || 'Never'}`);
+        Object.entries(summary.byState).forEach(([state, count]) => {
+            logger.info(`      ${state}: ${count}`);
+        });
         
-        if (trackingData.trackedOrders.length > 0) {
-            console.log(`\n   Recent Orders (last 5):`);
-            const recent = trackingData.trackedOrders.slice(-5).reverse();
-            recent.forEach((order, index) => {
-                console.log(`\n   ${index + 1}. Shipment: ${order.shipment.shipment_number || order.shipment.shipment_id}`);
-                console.log(`      Tracking: ${order.tracking.tracking_number || 'N/A'}`);
-                console.log(`      Carrier: ${order.tracking.carrier_name || 'N/A'}`);
-                console.log(`      Rithum Order ID: ${order.rithumOrderId || 'Not found'}`);
-                console.log(`      Rithum Updated: ${order.rithumUpdated ? 'Yes' : 'No'}`);
-                console.log(`      Tracked At: ${order.timestamp}`);
-                if (order.rithumUpdate?.error) {
-                    console.log(`      Rithum Error: ${order.rithumUpdate.error.message || 'Unknown error'}`);
+        if (summary.recentOrders.length > 0) {
+            logger.info(`\n   Recent Orders (last 5):`);
+            summary.recentOrders.forEach((order, index) => {
+                logger.info(`\n   ${index + 1}. Order: ${order.dscoOrderId || 'N/A'} (PO: ${order.poNumber || 'N/A'})`);
+                logger.info(`      State: ${order.state}`);
+                logger.info(`      Shipments: ${order.shipmentIds.join(', ') || 'N/A'}`);
+                logger.info(`      Tracking: ${order.trackingNumbers.join(', ') || 'N/A'}`);
+                logger.info(`      Updated At: ${order.updatedAt}`);
+                if (order.lastError) {
+                    logger.info(`      Last Error: ${order.lastError.message || 'Unknown error'} (${order.lastError.event})`);
                 }
             });
         }
         
-        console.log('\n' + '='.repeat(80) + '\n');
+        logger.info('\n' + '='.repeat(80) + '\n');
         
-        return trackingData;
+        return summary;
     } catch (error) {
-        console.error('Error getting tracking summary:', error.message);
+        logger.error('Error getting tracking summary', { error });
         throw error;
     }
 }
 
+/**
+ * Express middleware that lets a request through only with the admin token in X-Admin-Token
+ * Guards the routes that read stored payloads or write to Rithum and ShipStation, which are
+ * otherwise reachable by anyone who can reach the public webhook port.
+ * @param {string|null} adminToken - ADMIN_API_TOKEN; without it the routes answer 503
+ * @returns {Function} Express middleware
+ */
+function requireAdminToken(adminToken) {
+    const expected = adminToken ? Buffer.from(adminToken) : null;
+
+    return (req, res, next) => {
+        if (!expected) {
+            return res.status(503).json({
+                success: false,
+                error: 'Admin routes are disabled (ADMIN_API_TOKEN is not set)'
+            });
+        }
+        const candidate = req.get('x-admin-token');
+        if (!candidate) {
+            return res.status(401).json({
+                success: false,
+                error: 'Missing X-Admin-Token header'
+            });
+        }
+        const actual = Buffer.from(candidate);
+        if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid admin token'
+            });
+        }
+        next();
+    };
+}
+
 /**
  * Start Express server to receive webhooks
  * Perfect for use with ngrok!
  */
 function startWebhookServer() {
     const app = express();
-    app.use(express.json());
+    // Keep the exact bytes ShipStation signed - re-serialized JSON would not verify
+    app.use(express.json({
+        verify: (req, res, buf) => {
+            req.rawBody = buf;
+        }
+    }));
+
+    // Alerts for rejected shipments and dead-lettered webhooks
+    const notifier = createNotifier();
+    const digestMinutes = notificationConfig.digest.minutes;
+    if (notifier.digestEvents.length > 0 && digestMinutes > 0) {
+        setInterval(() => {
+            notifier.flush().catch(error => {
+                logger.error('❌ Alert digest failed', { error });
+            });
+        }, digestMinutes * 60 * 1000);
+    }
+
+    const webhookVerifier = new WebhookVerifier(shipstationConfig.webhook);
+    const requireAdmin = requireAdminToken(shipstationConfig.webhook.adminToken);
+    const webhookQueue = new WebhookQueue({
+        ...shipstationConfig.webhook.queue,
+        replayWindowMinutes: shipstationConfig.webhook.replayWindowMinutes,
+        notifier
+    });
+    webhookQueue.start(processQueuedWebhook).catch(error => {
+        logger.error('❌ Failed to start webhook queue worker', { error });
+    });
 
     app.get('/health', (req, res) => {
         res.json({
@@ -1324,21 +1747,54 @@ function startWebhookServer() {
     });
     
     const webhookHandler = async (req, res) => {
+        logger.info('📨 Received webhook request');
+
+        const verification = await webhookVerifier.verify(req);
+        if (!verification.valid) {
+            logger.warn(`   🚫 Rejected webhook: ${verification.reason}`);
+            return res.status(401).json({
+                success: false,
+                error: verification.reason
+            });
+        }
+
+        // Retries and replays of an event already handled must not post the shipment again
+        const deliveryId = webhookVerifier.getDeliveryId(req);
+        if (webhookVerifier.markDelivered(deliveryId)) {
+            logger.info(`   ⏭️  Duplicate delivery ${deliveryId} - already processed`);
+            return res.status(200).json({
+                success: true,
+                duplicate: true,
+                message: 'Webhook already processed'
+            });
+        }
+
         try {
-            console.log('📨 Received webhook request');
-            // Process the webhook
-            const result = await trackShippedOrder(req.body);
+            // Persist and acknowledge - the queue worker does the ShipStation/Rithum round trip
+            const job = await webhookQueue.enqueue(req.body, { deliveryId });
+            if (!job) {
+                // Queued before a restart - the verifier's memory of it did not survive, the journal did
+                logger.info(`   ⏭️  Duplicate delivery ${deliveryId} - already queued`);
+                return res.status(200).json({
+                    success: true,
+                    duplicate: true,
+                    message: 'Webhook already processed'
+                });
+            }
+            logger.info(`   📥 Queued as job ${job.id}`);
 
-            res.status(200).json({
+            res.status(202).json({
                 success: true,
-                message: 'Webhook processed successfully',
-                ...result
+                queued: true,
+                jobId: job.id
             });
         } catch (error) {
-            console.error('Error processing webhook:', error.message);
-            res.status(200).json({
+            logger.error('Error queueing webhook', { error });
+            // Not persisted - let ShipStation's retry deliver it again
+            webhookVerifier.forgetDelivery(deliveryId);
+            res.status(500).json({
                 success: false,
-                message: 'Error processing webhook',
+                message: 'Error queueing webhook',
                 error: error.message
             });
         }
@@ -1347,9 +1803,352 @@ function startWebhookServer() {
     // Webhook endpoints - accepts base path and API-style path
     app.post('/webhook', webhookHandler);
     app.post('/api/shipstation/webhooks/v2', webhookHandler);
+    // Shared-secret variants for deliveries that cannot be signature-checked
+    app.post('/webhook/:secret', webhookHandler);
+    app.post('/api/shipstation/webhooks/v2/:secret', webhookHandler);
     
+    // Webhook queue admin - inspect the queue and replay dead-lettered events
+    app.get('/api/webhooks/queue', requireAdmin, async (req, res) => {
+        try {
+            res.json({
+                success: true,
+                ...(await webhookQueue.getStats())
+            });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    app.get('/api/webhooks/dead-letter', requireAdmin, async (req, res) => {
+        try {
+            const deadLetters = await webhookQueue.listDeadLetters();
+            res.json({
+                success: true,
+                count: deadLetters.length,
+                deadLetters
+            });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    app.post('/api/webhooks/dead-letter/replay', requireAdmin, async (req, res) => {
+        try {
+            const deadLetters = await webhookQueue.listDeadLetters();
+            for (const job of deadLetters) {
+                await webhookQueue.replay(job.id);
+            }
+            res.json({
+                success: true,
+                replayed: deadLetters.map(job => job.id)
+            });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    app.post('/api/webhooks/dead-letter/:id/replay', requireAdmin, async (req, res) => {
+        try {
+            const job = await webhookQueue.replay(req.params.id);
+            if (!job) {
+                return res.status(404).json({
+                    success: false,
+                    error: `No dead-lettered job ${req.params.id}`
+                });
+            }
+            res.json({
+                success: true,
+                replayed: [job.id]
+            });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    // Supplier cancellations - report cancelled/tagged ShipStation shipments to Rithum
+    // ShipStation sends no webhook for cancellations, so this is triggered on demand and on a timer
+    let supplierCancellation = null;
+    try {
+        supplierCancellation = createSupplierCancellation();
+    } catch (error) {
+        logger.warn('⚠️  Supplier cancellation sync disabled', { error });
+    }
+
+    app.post('/api/shipstation/cancel-to-rithum', requireAdmin, async (req, res) => {
+        if (!supplierCancellation) {
+            return res.status(503).json({
+                success: false,
+                error: 'Supplier cancellation sync is not configured'
+            });
+        }
+
+        try {
+            const { shipmentId, since } = req.body || {};
+            let result;
+            if (shipmentId) {
+                const shipment = await supplierCancellation.shipstationClient.getShipmentById(shipmentId);
+                result = await supplierCancellation.processShipment(shipment);
+            } else {
+                result = await supplierCancellation.sweep({ since });
+            }
+            res.json({
+                success: true,
+                ...result
+            });
+        } catch (error) {
+            logger.error('Error reporting cancellation to Rithum', { error });
+            res.status(500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+
+    const cancelSyncMinutes = rithumConfig.cancelSyncIntervalMinutes;
+    if (supplierCancellation && cancelSyncMinutes > 0) {
+        setInterval(() => {
+            supplierCancellation.sweep().catch(error => {
+                logger.error('❌ Supplier cancellation sweep failed', { error });
+            });
+        }, cancelSyncMinutes * 60 * 1000);
+    }
+    
+    // Shipment validation - Rithum accepts or rejects batch shipments after the request returns
+    let changeLogPoller = null;
+    try {
+        changeLogPoller = createChangeLogPoller(notifier);
+    } catch (error) {
+        logger.warn('⚠️  Rithum change log polling disabled', { error });
+    }
+
+    app.post('/api/rithum/changelog/poll', requireAdmin, async (req, res) => {
+        if (!changeLogPoller) {
+            return res.status(503).json({
+                success: false,
+                error: 'Rithum change log polling is not configured'
+            });
+        }
+
+        try {
+            const result = await changeLogPoller.poll();
+            res.json({
+                success: true,
+                ...result
+            });
+        } catch (error) {
+            logger.error('Error polling Rithum change log', { error });
+            res.status(500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+
+    const changeLogPollMinutes = rithumConfig.changeLogPollMinutes;
+    if (changeLogPoller && changeLogPollMinutes > 0) {
+        setInterval(() => {
+            changeLogPoller.poll().catch(error => {
+                logger.error('❌ Rithum change log poll failed', { error });
+            });
+        }, changeLogPollMinutes * 60 * 1000);
+    }
+
+    // Invoices - Rithum validates invoice batches after the request returns
+    let invoiceGenerator = null;
+    if (rithumConfig.invoices.enabled) {
+        try {
+            invoiceGenerator = createInvoiceGenerator();
+        } catch (error) {
+            logger.warn('⚠️  Rithum invoice checks disabled', { error });
+        }
+    }
+
+    app.post('/api/rithum/invoices/check', requireAdmin, async (req, res) => {
+        if (!invoiceGenerator) {
+            return res.status(503).json({
+                success: false,
+                error: 'Rithum invoicing is not enabled (AUTO_INVOICE=true)'
+            });
+        }
+
+        try {
+            const result = await invoiceGenerator.checkStatus();
+            res.json({
+                success: true,
+                ...result
+            });
+        } catch (error) {
+            logger.error('Error checking Rithum invoice change log', { error });
+            res.status(500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+
+    if (invoiceGenerator && changeLogPollMinutes > 0) {
+        setInterval(() => {
+            invoiceGenerator.checkStatus().catch(error => {
+                logger.error('❌ Rithum invoice check failed', { error });
+            });
+        }, changeLogPollMinutes * 60 * 1000);
+    }
+
+    // Label voids - ShipStation sends no webhook for them, so reported shipments are swept
+    let labelVoidHandler = null;
+    try {
+        labelVoidHandler = createLabelVoidHandler();
+    } catch (error) {
+        logger.warn('⚠️  Label void handling disabled', { error });
+    }
+
+    app.post('/api/labels/:labelId/void', requireAdmin, async (req, res) => {
+        if (!labelVoidHandler) {
+            return res.status(503).json({
+                success: false,
+                error: 'Label void handling is not configured'
+            });
+        }
+
+        try {
+            const result = await labelVoidHandler.voidLabel(req.params.labelId);
+            res.status(result.approved ? 200 : 409).json({
+                success: result.approved,
+                ...result
+            });
+        } catch (error) {
+            logger.error(`Error voiding label ${req.params.labelId}`, { error });
+            res.status(500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+
+    app.post('/api/labels/void-sweep', requireAdmin, async (req, res) => {
+        if (!labelVoidHandler) {
+            return res.status(503).json({
+                success: false,
+                error: 'Label void handling is not configured'
+            });
+        }
+
+        try {
+            const { shipmentId } = req.body || {};
+            const result = shipmentId
+                ? { corrections: await labelVoidHandler.checkShipment(shipmentId) }
+                : await labelVoidHandler.sweep();
+            res.json({
+                success: true,
+                ...result
+            });
+        } catch (error) {
+            logger.error('Error checking for voided labels', { error });
+            res.status(500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+
+    const labelVoidSweepMinutes = rithumConfig.labelVoidSweepMinutes;
+    if (labelVoidHandler && labelVoidSweepMinutes > 0) {
+        setInterval(() => {
+            labelVoidHandler.sweep().catch(error => {
+                logger.error('❌ Label void sweep failed', { error });
+            });
+        }, labelVoidSweepMinutes * 60 * 1000);
+    }
+
+    // Delivery tracking - track webhooks arrive through /webhook, the poller covers missed events
+    let deliveryTracker = null;
+    try {
+        deliveryTracker = createDeliveryTracker();
+    } catch (error) {
+        logger.warn('⚠️  Delivery tracking poll disabled', { error });
+    }
+
+    app.get('/api/tracking/:trackingNumber', requireAdmin, async (req, res) => {
+        try {
+            const trackingNumber = req.params.trackingNumber;
+            const order = await orderLedger.listOrders()
+                .then(orders => orders.find(record => record.trackingNumbers.includes(trackingNumber)));
+            if (!order) {
+                return res.status(404).json({
+                    success: false,
+                    error: `Tracking number ${trackingNumber} not found in the order ledger`
+                });
+            }
+
+            const history = order.history.filter(entry => entry.details?.trackingNumber === trackingNumber &&
+                entry.event !== LEDGER_EVENTS.RITHUM_SHIPMENT_POSTED);
+            const tracking = (deliveryTracker || new DeliveryTracker(null, null, { ledger: orderLedger }))
+                .getTrackingState(order).get(trackingNumber);
+            res.json({
+                success: true,
+                trackingNumber,
+                dscoOrderId: order.dscoOrderId,
+                poNumber: order.poNumber,
+                status: tracking?.event || null,
+                statusCode: tracking?.statusCode || null,
+                voided: !!tracking?.voided,
+                reportedToRithum: !!tracking?.reported,
+                history
+            });
+        } catch (error) {
+            logger.error('Error reading tracking status', { error });
+            res.status(500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+
+    app.post('/api/tracking/poll', requireAdmin, async (req, res) => {
+        if (!deliveryTracker) {
+            return res.status(503).json({
+                success: false,
+                error: 'Delivery tracking is not configured'
+            });
+        }
+
+        try {
+            const result = await deliveryTracker.poll();
+            res.json({
+                success: true,
+                ...result
+            });
+        } catch (error) {
+            logger.error('Error polling delivery tracking', { error });
+            res.status(500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+
+    const trackingPollMinutes = rithumConfig.deliveryTracking.pollMinutes;
+    if (deliveryTracker && trackingPollMinutes > 0) {
+        setInterval(() => {
+            deliveryTracker.poll().catch(error => {
+                logger.error('❌ Delivery tracking poll failed', { error });
+            });
+        }, trackingPollMinutes * 60 * 1000);
+    }
+
     // Summary endpoint
-    app.get('/summary', async (req, res) => {
+    // Prometheus scrape endpoint (see Metrics)
+    app.get('/metrics', (req, res) => {
+        if (!metricsConfig.enabled) {
+            return res.status(503).json({
+                success: false,
+                error: 'Metrics are disabled (METRICS_ENABLED=false)'
+            });
+        }
+        res.set('Content-Type', Metrics.CONTENT_TYPE).send(Metrics.registry.render());
+    });
+
+    app.get('/summary', requireAdmin, async (req, res) => {
         try {
             const summary = await getTrackingSummary();
             res.json({
@@ -1366,19 +2165,58 @@ function startWebhookServer() {
     
     // Start server
     app.listen(PORT, () => {
-        console.log('\n' + '='.repeat(80));
-        console.log('🚀 Webhook Step 2 Server Started');
-        console.log('='.repeat(80));
-        console.log(`   Local URL: http://localhost:${PORT}`);
-        console.log(`   Webhook Endpoint: http://localhost:${PORT}/webhook`);
-        console.log(`   Health Check: http://localhost:${PORT}/health`);
-        console.log(`   Summary: http://localhost:${PORT}/summary`);
-        console.log('\n📡 To use with ngrok:');
-        console.log(`   1. Run: ngrok http ${PORT}`);
-        console.log(`   2. Copy the ngrok URL (e.g., https://abc123.ngrok.io)`);
-        console.log(`   3. Configure ShipStation webhook to: https://abc123.ngrok.io/webhook`);
-        console.log(`   4. Event type: fulfillment_shipped_v2`);
-        console.log('\n' + '='.repeat(80) + '\n');
+        logger.info('\n' + '='.repeat(80));
+        logger.info('🚀 Webhook Step 2 Server Started');
+        logger.info('='.repeat(80));
+        logger.info(`   Local URL: http://localhost:${PORT}`);
+        logger.info(`   Webhook Endpoint: http://localhost:${PORT}/webhook`);
+        logger.info(`   Health Check: http://localhost:${PORT}/health`);
+        logger.info(`   Summary: http://localhost:${PORT}/summary (admin)`);
+        if (metricsConfig.enabled) {
+            logger.info(`   Metrics: http://localhost:${PORT}/metrics`);
+        }
+        logger.info(`   Cancel to Rithum: POST http://localhost:${PORT}/api/shipstation/cancel-to-rithum`);
+        if (shipstationConfig.webhook.adminToken) {
+            logger.info('   Admin routes: X-Admin-Token header required');
+        } else {
+            logger.warn('   ⚠️  Admin routes disabled - set ADMIN_API_TOKEN to enable them');
+        }
+        logger.info(`   Webhook Queue: http://localhost:${PORT}/api/webhooks/queue (dead letters: /api/webhooks/dead-letter)`);
+        if (supplierCancellation && cancelSyncMinutes > 0) {
+            logger.info(`   Cancellation sweep: every ${cancelSyncMinutes} minute(s) (tag: "${rithumConfig.cancelTag}")`);
+        }
+        if (changeLogPoller && changeLogPollMinutes > 0) {
+            logger.info(`   Shipment validation: Rithum change log checked every ${changeLogPollMinutes} minute(s) ` +
+                `(POST /api/rithum/changelog/poll)`);
+        }
+        if (invoiceGenerator && changeLogPollMinutes > 0) {
+            logger.info(`   Invoices: created after each posted shipment, checked every ${changeLogPollMinutes} minute(s) ` +
+                `(POST /api/rithum/invoices/check)`);
+        }
+        if (labelVoidHandler && labelVoidSweepMinutes > 0) {
+            logger.info(`   Label voids: reported shipments checked every ${labelVoidSweepMinutes} minute(s) ` +
+                `(POST /api/labels/:labelId/void, /api/labels/void-sweep)`);
+        }
+        if (deliveryTracker && trackingPollMinutes > 0) {
+            logger.info(`   Delivery tracking: track webhooks, polled every ${trackingPollMinutes} minute(s)` +
+                `${rithumConfig.deliveryTracking.monitorInRithum ? ', delivered packages sent to Rithum' : ''} ` +
+                `(GET /api/tracking/:trackingNumber, POST /api/tracking/poll)`);
+        }
+        logger.info(`   Alerts: ${notifier.channels.map(channel => channel.type).join(', ')}` +
+            `${notifier.digestEvents.length > 0 ? ` (digest of ${notifier.digestEvents.join(', ')} every ${digestMinutes} minute(s))` : ''}`);
+        if (webhookVerifier.verifySignature) {
+            const keySource = webhookVerifier.publicKeyFile || webhookVerifier.jwksUrl;
+            logger.info(`   Webhook verification: RSA-SHA256 signature (${keySource})` +
+                `${webhookVerifier.pathSecret ? ' or shared secret path' : ''}`);
+        } else {
+            logger.warn('   ⚠️  Webhook verification DISABLED (SHIPSTATION_WEBHOOK_VERIFY=false)');
+        }
+        logger.info('\n📡 To use with ngrok:');
+        logger.info(`   1. Run: ngrok http ${PORT}`);
+        logger.info(`   2. Copy the ngrok URL (e.g., https://abc123.ngrok.io)`);
+        logger.info(`   3. Configure ShipStation webhook to: https://abc123.ngrok.io/webhook`);
+        logger.info(`   4. Event type: fulfillment_shipped_v2`);
+        logger.info('\n' + '='.repeat(80) + '\n');
     });
 }
 
@@ -1387,9 +2225,14 @@ module.exports = {
     trackShippedOrder,
     processWebhookEvent,
     getTrackingSummary,
-    loadTrackedOrders,
     updateRithumOrderTracking,
-    mapToRithumShippingMethod
+    extractRithumOrderId,
+    mapToRithumShippingMethod,
+    capToOutstanding,
+    allocateByContents,
+    spreadLineItems,
+    createNotifier,
+    withOrderContext
 };
 
 // Run if called directly
@@ -1402,13 +2245,13 @@ if (require.main === module) {
     } else if (args.length === 0) {
         // No arguments - show summary
         getTrackingSummary().catch(error => {
-            console.error('Error:', error.message);
+            logger.error('Error', { error });
             process.exit(1);
         });
     } else if (args[0] === '--summary' || args[0] === '-s') {
         // Show summary
         getTrackingSummary().catch(error => {
-            console.error('Error:', error.message);
+            logger.error('Error', { error });
             process.exit(1);
         });
     } else {
@@ -1417,15 +2260,15 @@ if (require.main === module) {
             const webhookPayload = JSON.parse(args[0]);
             trackShippedOrder(webhookPayload)
                 .then(result => {
-                    console.log('\n✅ Webhook processed successfully');
+                    logger.info('\n✅ Webhook processed successfully');
                     process.exit(0);
                 })
                 .catch(error => {
-                    console.error('\n❌ Failed to process webhook:', error.message);
+                    logger.error('\n❌ Failed to process webhook', { error });
                     process.exit(1);
                 });
         } catch (error) {
-            console.error('❌ Invalid JSON payload:', error.message);
+            logger.error('❌ Invalid JSON payload', { error });
                         process.exit(1);
         }
     }